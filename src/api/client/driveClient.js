@@ -0,0 +1,114 @@
+import { CONFIG } from '../../constants/config.js';
+
+/**
+ * driveClient.js
+ *
+ * Low-level wrappers around the Google Drive Files API for the files the app
+ * keeps next to the spreadsheet (receipt photos). Mirrors sharingClient.js —
+ * each function maps to one HTTP call. Under the drive.file scope only files
+ * the app created are visible to it.
+ */
+
+function _headers(accessToken, contentType = 'application/json') {
+    return {
+        Authorization:  'Bearer ' + accessToken,
+        'Content-Type': contentType,
+    };
+}
+
+async function _unwrap(res) {
+    if (res.status === 204) return {};
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error?.message || `HTTP ${res.status}`);
+    return data;
+}
+
+/**
+ * @param {string} accessToken
+ * @param {string} name
+ * @returns {Promise<string|null>} ID of a non-trashed folder with that name
+ */
+export async function findFolder(accessToken, name) {
+    const query = encodeURIComponent(
+        `name='${name.replace(/'/g, "\\'")}' and mimeType='application/vnd.google-apps.folder' and trashed=false`
+    );
+    const res  = await fetch(`${CONFIG.DRIVE_FILES}?q=${query}&fields=files(id)&pageSize=1`, {
+        method:  'GET',
+        headers: _headers(accessToken),
+    });
+    const data = await _unwrap(res);
+    return data.files?.[0]?.id ?? null;
+}
+
+/**
+ * @param {string} accessToken
+ * @param {string} name
+ * @returns {Promise<string>} ID of the new folder
+ */
+export async function createFolder(accessToken, name) {
+    const res = await fetch(`${CONFIG.DRIVE_FILES}?fields=id`, {
+        method:  'POST',
+        headers: _headers(accessToken),
+        body:    JSON.stringify({ name, mimeType: 'application/vnd.google-apps.folder' }),
+    });
+    const data = await _unwrap(res);
+    return data.id;
+}
+
+/**
+ * Uploads a file with its metadata in one multipart request.
+ *
+ * @param {string} accessToken
+ * @param {{ name: string, parents?: string[], mimeType?: string }} metadata
+ * @param {Blob} blob
+ * @returns {Promise<string>} ID of the new file
+ */
+export async function uploadFile(accessToken, metadata, blob) {
+    const boundary = `spengo-${Date.now().toString(36)}`;
+    const body     = new Blob([
+        `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n`,
+        JSON.stringify(metadata),
+        `\r\n--${boundary}\r\nContent-Type: ${blob.type || 'application/octet-stream'}\r\n\r\n`,
+        blob,
+        `\r\n--${boundary}--`,
+    ]);
+    const res = await fetch(`${CONFIG.DRIVE_UPLOAD}?uploadType=multipart&fields=id`, {
+        method:  'POST',
+        headers: _headers(accessToken, `multipart/related; boundary=${boundary}`),
+        body,
+    });
+    const data = await _unwrap(res);
+    return data.id;
+}
+
+/**
+ * @param {string} accessToken
+ * @param {string} fileId
+ * @returns {Promise<Blob>} the file content
+ */
+export async function downloadFile(accessToken, fileId) {
+    const res = await fetch(`${CONFIG.DRIVE_FILES}/${encodeURIComponent(fileId)}?alt=media`, {
+        method:  'GET',
+        headers: { Authorization: 'Bearer ' + accessToken },
+    });
+    if (!res.ok) await _unwrap(res);
+    return res.blob();
+}
+
+/**
+ * Lets another Google account view a file, without a notification email.
+ *
+ * @param {string} accessToken
+ * @param {string} fileId
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+export async function addReader(accessToken, fileId, email) {
+    const url = `${CONFIG.DRIVE_FILES}/${encodeURIComponent(fileId)}/permissions?sendNotificationEmail=false&fields=id`;
+    const res = await fetch(url, {
+        method:  'POST',
+        headers: _headers(accessToken),
+        body:    JSON.stringify({ type: 'user', role: 'reader', emailAddress: email }),
+    });
+    await _unwrap(res);
+}
\ No newline at end of file
@@ -1,21 +1,49 @@
 import { STATE } from '../src/state.js';
 import * as AuthService from './services/authService.js';
 import { loadTranslations, applyTranslations, updateCategoryLabels } from './i18n/localization.js';
-import { onAuthReady, onSignIn, onSignOut, onSilentFail, enableSignInButton } from './controllers/authController.js';
-import { restoreCachedExpenses } from './controllers/expenseController.js';
-import { showAuthError, navigate } from './ui/navigation.js';
+import {
+    onAuthReady,
+    onSignIn,
+    onSignOut,
+    onSilentFail,
+    onAuthError,
+    startOfflineSession,
+} from './controllers/authController.js';
+import { restoreCachedExpenses, syncOutbox } from './controllers/expenseController.js';
+import { restoreCachedLedger } from './controllers/ledgerController.js';
+import { restoreCachedRules } from './controllers/recurringController.js';
+import { restoreCachedBudgets } from './controllers/budgetController.js';
+import { restoreCachedCategories } from './controllers/categoryController.js';
+import { restoreCachedCategoryRules } from './controllers/autocategoryController.js';
+import { navigate } from './ui/navigation.js';
 import { renderAuthScreen, mountStatsScreen, initReactiveBindings } from './ui/renderer.jsx';
 import { initTheme } from './ui/theme.js';
 
 initTheme();
 
+// Production only — in dev the worker would serve stale modules over HMR.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(err => {
+            console.warn('[SpenGo] Service worker registration failed:', err);
+        });
+    });
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     window.addEventListener('spengo:navigate', e => navigate(e.detail.name));
+    // Replay expenses written while offline as soon as connectivity returns.
+    window.addEventListener('online', () => syncOutbox());
 
     await loadTranslations();
     updateCategoryLabels();
     applyTranslations(STATE, null);
-    restoreCachedExpenses();
+    restoreCachedLedger();
+    restoreCachedRules();
+    restoreCachedBudgets();
+    restoreCachedCategories();
+    restoreCachedCategoryRules();
+    await restoreCachedExpenses();
 
     // ── Guest mode: detect shared access URL (?id=SPREADSHEET_ID) ──────────
     // Must run before AuthService.init so onAuthReady sees the correct flags.
@@ -35,14 +63,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     mountStatsScreen();
     initReactiveBindings();
 
+    // Opened from the home screen without a connection: show the cached
+    // expenses now instead of waiting for a Google SDK that will never load.
+    startOfflineSession();
+
     await AuthService.init({
         onReady:      onAuthReady,
         onSilentFail: onSilentFail,
         onSignIn:     onSignIn,
         onSignOut:    onSignOut,
-        onError: (msg) => {
-            showAuthError(msg);
-            enableSignInButton();
-        },
+        onError:      onAuthError,
     });
 });
\ No newline at end of file
@@ -11,4 +11,12 @@ export const CATEGORIES = [
     { id: 'eating',        label: 'Eating out',    emoji: '🍕',  color: '#d97706' },
     { id: 'subscriptions', label: 'Subscriptions', emoji: '⭐',  color: '#7c3aed' },
     { id: 'other',         label: 'Other',         emoji: '📦',  color: '#6b7280' },
+];
+
+export const INCOME_CATEGORIES = [
+    { id: 'salary',       label: 'Salary',       emoji: '💼', color: '#16a34a' },
+    { id: 'side',         label: 'Side income',  emoji: '🛠️', color: '#0d9488' },
+    { id: 'gifts',        label: 'Gifts',        emoji: '🎁', color: '#db2777' },
+    { id: 'investments',  label: 'Investments',  emoji: '📈', color: '#2563eb' },
+    { id: 'other_income', label: 'Other income', emoji: '💰', color: '#65a30d' },
 ];
\ No newline at end of file
@@ -4,8 +4,18 @@ export const CONFIG = {
     FEEDBACK_URL:      import.meta.env.VITE_FEEDBACK_URL,
     SHEET_NAME:        'spends',
     SPREADSHEET_TITLE: 'SpenGo',
+    RECEIPTS_FOLDER:   'SpenGo Receipts',
     SCOPES: 'https://www.googleapis.com/auth/drive.file https://www.googleapis.com/auth/spreadsheets https://www.googleapis.com/auth/userinfo.profile https://www.googleapis.com/auth/userinfo.email',
     SHEETS_BASE: 'https://sheets.googleapis.com/v4/spreadsheets',
     DRIVE_FILES: 'https://www.googleapis.com/drive/v3/files',
+    DRIVE_UPLOAD: 'https://www.googleapis.com/upload/drive/v3/files',
     REVOKE_URL: 'https://oauth2.googleapis.com/revoke',
+    TABS: {
+        CURRENCIES: 'currencies',
+        RECURRING:  'recurring',
+        BUDGETS:    'budgets',
+        CATEGORIES: 'categories',
+        CATEGORY_RULES: 'category_rules',
+        SETTLEMENTS:    'settlements',
+    },
 };
\ No newline at end of file
@@ -1,7 +1,7 @@
 export const STORAGE = {
     LANG:               'spengo_lang',
     SHEET_ID:           'spengo_sheet_id',
-    EXPENSES:           'spengo_expenses',
+    EXPENSES:           'spengo_expenses',   // legacy blob — migrated into IndexedDB on start
     THEME:              'spengo-theme',
     LOGIN_HINT:         'google_login_hint',
     NUMERIC_SHEET_ID:   'spengo_numeric_sheet_id',
@@ -9,9 +9,23 @@ export const STORAGE = {
     SHARED_USERS:       'spengo_shared_users',
     SHEET_OWNER_EMAIL:  'spengo_sheet_owner',
     GUEST_SHEET_ID:     'spengo_guest_sheet_id',
+    OUTBOX:             'spengo_outbox',
+    LEDGER:             'spengo_ledger',
+    RECURRING:          'spengo_recurring',
+    BUDGETS:            'spengo_budgets',
+    CATEGORIES:         'spengo_categories',
+    CATEGORY_RULES:     'spengo_category_rules',
+    SETTLEMENTS:        'spengo_settlements',
+    DUPLICATE_WINDOW:   'spengo_duplicate_window',
 };
 
 export const SESSION_STORAGE = {
     ACCESS_TOKEN: 'google_access_token',
     EXPIRES_AT:   'google_token_expires_at',
+};
+
+export const INDEXED_DB = {
+    NAME:     'spengo',
+    VERSION:  1,
+    EXPENSES: 'expenses',
 };
\ No newline at end of file
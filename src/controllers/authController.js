@@ -3,7 +3,19 @@ import * as AuthService from '../services/authService.js';
 import * as SheetsService from '../services/sheetsService.js';
 import * as SharingService from '../services/sharingService.js';
 import * as Storage from '../services/storageService.js';
-import { showScreen } from '../ui/navigation.js';
+import * as Outbox from '../services/outboxService.js';
+import { showScreen, showAuthError } from '../ui/navigation.js';
+import { reloadGoogleSdk } from '../helpers/authHelpers.js';
+import { syncOutbox, withPendingWrites, cacheRecentExpenses, dismissUndo } from './expenseController.js';
+import { refreshLedger } from './ledgerController.js';
+import { refreshRules, materializeRecurring } from './recurringController.js';
+import { refreshBudgets } from './budgetController.js';
+import { refreshCategories } from './categoryController.js';
+import { refreshCategoryRules } from './autocategoryController.js';
+import { closeSearch } from './searchController.js';
+import { clearFilter } from './filterController.js';
+import { clearSelection } from './selectionController.js';
+import * as ExpenseStore from '../services/expenseStore.js';
 import { getI18nValue } from '../i18n/localization.js';
 import { showToast, isPermissionError, isAuthError, isSheetOwner } from '../utils/helpers.js';
 import {
@@ -13,6 +25,7 @@ import {
     renderAuthScreen,
     renderSetupScreen,
     renderAvatarOnboardingPopover,
+    renderSignOutDialog,
 } from '../ui/renderer.jsx';
 
 // ─── Auth lifecycle ────────────────────────────────────
@@ -35,8 +48,16 @@ import {
  *   'restore'         — token expired, cached expenses available → show UI immediately, silent refresh
  *   'silent'          — token expired, no cache → show spinner, silent refresh
  *   'unauthenticated' — no sheetId at all → show sign-in screen
+ *
+ * If startOfflineSession() already put the cached session on screen, the
+ * whole decision is postponed until the browser is back online.
  */
 export function onAuthReady() {
+    if (STATE.authStatus === 'offline' && !navigator.onLine) {
+        _resumeWhenOnline(onAuthReady);
+        return;
+    }
+
     // ── Guest mode: URL param already parsed into STATE by app.js ──────────
     if (STATE.isGuestMode && STATE.guestSheetId) {
         _showAuthScreen({ isGuestMode: true });
@@ -53,7 +74,7 @@ export function onAuthReady() {
         // same as owner 'fresh' path. Otherwise attempt a silent refresh so the
         // guest doesn't have to tap "Sign in" again on every F5.
         const { accessToken, tokenExpired } = Storage.getStoredSession();
-        const cachedExpenses = Storage.getExpenses();
+        const cachedExpenses = STATE.expenses;
 
         if (accessToken && !tokenExpired) {
             STATE.accessToken = accessToken;
@@ -73,7 +94,8 @@ export function onAuthReady() {
     }
 
     // ── Owner mode ─────────────────────────────────────────────────────────
-    const session = AuthService.resolveSessionType();
+    // app.js has already restored the cached hot window into STATE.
+    const session = AuthService.resolveSessionType(STATE.expenses);
 
     switch (session.type) {
         case 'unauthenticated':
@@ -92,6 +114,17 @@ export function onAuthReady() {
 }
 
 export function onSilentFail() {
+    // Connection dropped mid-refresh: keep working from the cache instead of
+    // bouncing to the sign-in screen, and retry once back online.
+    if (!navigator.onLine && STATE.expenses.length > 0) {
+        _showOffline();
+        _resumeWhenOnline(() => {
+            STATE.authStatus = 'restoring';
+            AuthService.silentRefresh();
+        });
+        return;
+    }
+
     Storage.clearSession();
     STATE.accessToken = null;
 
@@ -145,9 +178,17 @@ export function onSignOut() {
     STATE.reset();
     STATE.currentPeriod         = 'week';
     STATE.currentCategoryFilter = 'all';
+    STATE.currentMemberFilter   = 'all';
+    STATE.currentEntryType      = 'expense';
     STATE.selectedCat           = null;
+    dismissUndo();
+    closeSearch();
+    clearFilter();
+    clearSelection();
 
     Storage.clearAll();
+    Outbox.clear();
+    ExpenseStore.clear();
 
     setNavEnabled(false);
     renderProfileModal({ open: false });
@@ -157,6 +198,68 @@ export function onSignOut() {
     enableSignInButton();
 }
 
+/**
+ * Auth errors outside the token flows — most often the Google SDK failing to
+ * load. While an offline session is on screen that is expected, so auth is
+ * simply started over once connectivity returns.
+ *
+ * @param {string} message
+ */
+export function onAuthError(message) {
+    if (STATE.authStatus === 'offline') {
+        _resumeWhenOnline(() => {
+            reloadGoogleSdk();
+            AuthService.init();
+        });
+        return;
+    }
+    showAuthError(message);
+    enableSignInButton();
+}
+
+// ─── Offline start ────────────────────────────────────
+
+/**
+ * Puts the cached expense list on screen right away when the app starts
+ * without connectivity. Signing in is impossible offline (the Google SDK
+ * can't even load), so auth is deferred — see onAuthReady / onAuthError.
+ *
+ * Not used for a fresh ?id= access link: that sheet has never been loaded
+ * on this device, so there is nothing cached to show for it.
+ *
+ * @returns {boolean} True if the cached session is now on screen
+ */
+export function startOfflineSession() {
+    if (navigator.onLine || STATE.isGuestMode) return false;
+
+    const sheetId = Storage.getGuestSheetId() || Storage.getSheetId();
+    if (!sheetId) return false;
+
+    STATE.spreadsheetId = sheetId;
+    _showOffline();
+    return true;
+}
+
+function _showOffline() {
+    STATE.authStatus = 'offline';
+    _restoreProfileFromStorage();
+    setNavEnabled(true);
+    showScreen('main');
+    showToast(getI18nValue('toast.offline'));
+}
+
+/**
+ * Runs fn on the next 'online' event, or right away if the browser has
+ * already reconnected in the meantime.
+ */
+function _resumeWhenOnline(fn) {
+    if (navigator.onLine) {
+        fn();
+        return;
+    }
+    window.addEventListener('online', fn, { once: true });
+}
+
 // ─── Profile modal ────────────────────────────────────
 //
 // Ownership logic lives here, not in the renderer.
@@ -180,12 +283,38 @@ export function openProfileModal() {
 
 // Separated so renderer can call close then trigger sign-out
 // without knowing about AuthService.
-function _handleSignOut() {
+async function _handleSignOut() {
     renderProfileModal({ open: false });
+    if (!await _confirmUnsynced()) return;
     renderAuthScreen({ loading: false, error: null, onSignIn: AuthService.signIn, resetKey: true });
     AuthService.signOut();
 }
 
+/**
+ * Sign-out clears the outbox with the rest of the account's data, so queued
+ * writes are sent first; whatever still can't be sent is only thrown away
+ * once the user agrees.
+ * @returns {Promise<boolean>} whether to go on signing out
+ */
+async function _confirmUnsynced() {
+    await syncOutbox();
+    const count = Outbox.queuedCount();
+    if (count === 0) return true;
+
+    return new Promise(resolve => {
+        const answer = value => {
+            renderSignOutDialog({ open: false });
+            resolve(value);
+        };
+        renderSignOutDialog({
+            open:      true,
+            count,
+            onConfirm: () => answer(true),
+            onCancel:  () => answer(false),
+        });
+    });
+}
+
 // ─── Guest session ────────────────────────────────────
 
 /**
@@ -218,12 +347,7 @@ async function _initGuestSession() {
         Storage.saveGuestSheetId(STATE.guestSheetId); // persist for F5
 
         // Load expenses from the shared sheet.
-        _showLoadingSetup();
-        const expenses = await AuthService.withToken(token =>
-            SheetsService.loadRecentExpenses(token, STATE.spreadsheetId)
-        );
-        STATE.expenses = expenses;
-        Storage.saveExpenses(expenses);
+        await _loadAndCacheExpenses();
 
         setNavEnabled(true);
         await _transitionToMain();
@@ -312,13 +436,29 @@ async function _resolveAndSaveSpreadsheet() {
     return isNew;
 }
 
+/**
+ * Pushes any writes queued while offline, then reads the hot window, the
+ * currency ledger, the recurring rules, the budgets, the categories and
+ * the auto-categorization rules from the sheet. Writes that still could
+ * not be sent are re-applied on top so they stay visible until the next
+ * sync. Recurring expenses that fell due are created in the background.
+ */
 async function _loadAndCacheExpenses() {
     _showLoadingSetup();
-    const expenses = await AuthService.withToken(token =>
-        SheetsService.loadRecentExpenses(token, STATE.spreadsheetId)
-    );
-    STATE.expenses = expenses;
-    Storage.saveExpenses(expenses);
+    await syncOutbox();
+    const [expenses] = await Promise.all([
+        AuthService.withToken(token =>
+            SheetsService.loadRecentExpenses(token, STATE.spreadsheetId)
+        ),
+        refreshLedger(),
+        refreshRules(),
+        refreshBudgets(),
+        refreshCategories(),
+        refreshCategoryRules(),
+    ]);
+    STATE.expenses = withPendingWrites(expenses);
+    cacheRecentExpenses(STATE.expenses);
+    materializeRecurring();
 }
 
 async function _refreshDataInBackground() {
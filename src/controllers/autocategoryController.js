@@ -0,0 +1,103 @@
+import { STATE } from '../state.js';
+import { CONFIG } from '../constants/config.js';
+import { categoriesFor, subcategoriesFor } from './categoryController.js';
+import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
+import * as Storage from '../services/storageService.js';
+import { withToken } from '../services/authService.js';
+import {
+    parseCategoryRules, categoryRulesToRows, learnCategories, suggestCategory, CATEGORY_RULES_HEADER,
+} from '../utils/autocategory.utils.js';
+import { flushAfterWrite } from './expenseController.js';
+import { renderCategoryRulesModal } from '../ui/renderer.jsx';
+
+/**
+ * Categories picked from the comment, by keyword rules stored in the
+ * spreadsheet's "category_rules" tab and by what past entries were filed
+ * under. Everything runs on the device:
+ *   restoreCachedCategoryRules → cached rules on screen before auth
+ *   refreshCategoryRules       → fresh read from the sheet after sign-in
+ *   categorySuggester          → comment → suggestion, for the add modal and imports
+ *   openCategoryRulesModal     → the editor
+ *   saveCategoryRules          → local update + queued tab rewrite
+ */
+
+// ---------------------------------------------------------------------------
+// Load
+// ---------------------------------------------------------------------------
+
+export function restoreCachedCategoryRules() {
+    const sheetId = Storage.getGuestSheetId() || Storage.getSheetId();
+    if (!sheetId) return;
+    const cached = Storage.getCategoryRules(sheetId);
+    if (cached) STATE.categoryRules = cached;
+}
+
+/**
+ * Reads the rules of the active spreadsheet; a tab rewrite still waiting in
+ * the outbox wins over what the sheet holds.
+ * @returns {Promise<void>}
+ */
+export async function refreshCategoryRules() {
+    const spreadsheetId = STATE.spreadsheetId;
+    try {
+        const rows  = Outbox.pendingTab(spreadsheetId, CONFIG.TABS.CATEGORY_RULES)
+            ?? await withToken(token => SheetsService.loadCategoryRuleRows(token, spreadsheetId));
+        const rules = parseCategoryRules(rows);
+        STATE.categoryRules = rules;
+        Storage.saveCategoryRules(spreadsheetId, rules);
+    } catch (err) {
+        console.warn('[SpenGo] Failed to load category rules:', err);
+        STATE.categoryRules = Storage.getCategoryRules(spreadsheetId) ?? [];
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Suggestions
+// ---------------------------------------------------------------------------
+
+/**
+ * Learns from the entries in memory once and returns a function suggesting
+ * a category for a comment. Only categories offered for new entries are
+ * suggested; a subcategory that is no longer offered is dropped.
+ * @returns {(comment: string, type?: 'expense'|'income') => import('../utils/autocategory.utils.js').Suggestion|null}
+ */
+export function categorySuggester() {
+    const learned = learnCategories(STATE.expenses);
+    const rules   = STATE.categoryRules;
+    return (comment, type = 'expense') => {
+        const offered = new Set(categoriesFor(type).map(c => c.id));
+        const hit     = suggestCategory(comment, { rules, learned, type, allowed: id => offered.has(id) });
+        if (!hit) return null;
+        const subs = subcategoriesFor(hit.category);
+        return subs.some(s => s.id === hit.subcategory) ? hit : { ...hit, subcategory: '' };
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Modal
+// ---------------------------------------------------------------------------
+
+export function openCategoryRulesModal() {
+    renderCategoryRulesModal({
+        open:    true,
+        rules:   STATE.categoryRules,
+        onSave:  saveCategoryRules,
+        onClose: () => renderCategoryRulesModal({ open: false }),
+    });
+}
+
+/**
+ * Applies new rules locally and queues the rewrite of the "category_rules"
+ * tab. They are cleaned up the way rows read back from the sheet are.
+ * @param {Array<import('../utils/autocategory.utils.js').CategoryRule>} rules
+ * @returns {Promise<void>}
+ */
+export async function saveCategoryRules(rules) {
+    const cleaned = parseCategoryRules(categoryRulesToRows(rules));
+    STATE.categoryRules = cleaned;
+    Storage.saveCategoryRules(STATE.spreadsheetId, cleaned);
+    Outbox.enqueueTab(STATE.spreadsheetId, CONFIG.TABS.CATEGORY_RULES, CATEGORY_RULES_HEADER, categoryRulesToRows(cleaned));
+    renderCategoryRulesModal({ open: false });
+    await flushAfterWrite('toast.category_rules_saved');
+}
\ No newline at end of file
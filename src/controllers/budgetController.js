@@ -0,0 +1,73 @@
+import { STATE } from '../state.js';
+import { CONFIG } from '../constants/config.js';
+import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
+import * as Storage from '../services/storageService.js';
+import { withToken } from '../services/authService.js';
+import { parseBudgets, budgetsToRows, BUDGETS_HEADER } from '../utils/budget.utils.js';
+import { flushAfterWrite } from './expenseController.js';
+import { renderBudgetModal } from '../ui/renderer.jsx';
+
+/**
+ * Monthly budgets of the active spreadsheet, stored in its "budgets" tab:
+ *   restoreCachedBudgets → cached budgets on screen before auth
+ *   refreshBudgets       → fresh read from the sheet after sign-in
+ *   saveBudgets          → local update + queued tab rewrite
+ */
+
+// ---------------------------------------------------------------------------
+// Load
+// ---------------------------------------------------------------------------
+
+export function restoreCachedBudgets() {
+    const sheetId = Storage.getGuestSheetId() || Storage.getSheetId();
+    if (!sheetId) return;
+    const cached = Storage.getBudgets(sheetId);
+    if (cached) STATE.budgets = cached;
+}
+
+/**
+ * Reads the budgets of the active spreadsheet; a tab rewrite still waiting in
+ * the outbox wins over what the sheet holds.
+ * @returns {Promise<void>}
+ */
+export async function refreshBudgets() {
+    const spreadsheetId = STATE.spreadsheetId;
+    try {
+        const rows    = Outbox.pendingTab(spreadsheetId, CONFIG.TABS.BUDGETS)
+            ?? await withToken(token => SheetsService.loadBudgetRows(token, spreadsheetId));
+        const budgets = parseBudgets(rows);
+        STATE.budgets = budgets;
+        Storage.saveBudgets(spreadsheetId, budgets);
+    } catch (err) {
+        console.warn('[SpenGo] Failed to load budgets:', err);
+        STATE.budgets = Storage.getBudgets(spreadsheetId) ?? {};
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Modal
+// ---------------------------------------------------------------------------
+
+export function openBudgetModal() {
+    renderBudgetModal({
+        open:     true,
+        budgets:  STATE.budgets,
+        currency: STATE.ledger.baseCurrency,
+        onSave:   saveBudgets,
+        onClose:  () => renderBudgetModal({ open: false }),
+    });
+}
+
+/**
+ * Applies new budgets locally and queues the rewrite of the "budgets" tab.
+ * @param {Object<string, number>} budgets
+ * @returns {Promise<void>}
+ */
+export async function saveBudgets(budgets) {
+    STATE.budgets = budgets;
+    Storage.saveBudgets(STATE.spreadsheetId, budgets);
+    Outbox.enqueueTab(STATE.spreadsheetId, CONFIG.TABS.BUDGETS, BUDGETS_HEADER, budgetsToRows(budgets));
+    renderBudgetModal({ open: false });
+    await flushAfterWrite('toast.budgets_saved');
+}
\ No newline at end of file
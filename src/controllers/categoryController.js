@@ -0,0 +1,157 @@
+import { STATE } from '../state.js';
+import { CONFIG } from '../constants/config.js';
+import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
+import * as Storage from '../services/storageService.js';
+import { withToken } from '../services/authService.js';
+import { CATEGORIES, INCOME_CATEGORIES } from '../constants/categories.js';
+import { parseCategories, categoriesToRows, mergeCategories, subcategoriesOf, CATEGORIES_HEADER } from '../utils/categories.utils.js';
+import { flushAfterWrite } from './expenseController.js';
+import { renderCategoryModal } from '../ui/renderer.jsx';
+
+/**
+ * Categories of the active spreadsheet, stored in its "categories" tab so
+ * every member sees the same set:
+ *   restoreCachedCategories → cached definitions on screen before auth
+ *   refreshCategories       → fresh read from the sheet after sign-in
+ *   openCategoryModal       → the editor
+ *   saveCategories          → local update + queued tab rewrite
+ *   categoriesFor, allCategories, findCategory,
+ *   subcategoriesFor, findSubcategory
+ *                           → the built-ins with these definitions applied
+ */
+
+// ---------------------------------------------------------------------------
+// Load
+// ---------------------------------------------------------------------------
+
+export function restoreCachedCategories() {
+    const sheetId = Storage.getGuestSheetId() || Storage.getSheetId();
+    if (!sheetId) return;
+    const cached = Storage.getCategories(sheetId);
+    if (cached) STATE.categories = cached;
+}
+
+/**
+ * Reads the category definitions of the active spreadsheet; a tab rewrite
+ * still waiting in the outbox wins over what the sheet holds.
+ * @returns {Promise<void>}
+ */
+export async function refreshCategories() {
+    const spreadsheetId = STATE.spreadsheetId;
+    try {
+        const rows       = Outbox.pendingTab(spreadsheetId, CONFIG.TABS.CATEGORIES)
+            ?? await withToken(token => SheetsService.loadCategoryRows(token, spreadsheetId));
+        const categories = parseCategories(rows);
+        STATE.categories = categories;
+        Storage.saveCategories(spreadsheetId, categories);
+    } catch (err) {
+        console.warn('[SpenGo] Failed to load categories:', err);
+        STATE.categories = Storage.getCategories(spreadsheetId) ?? [];
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Modal
+// ---------------------------------------------------------------------------
+
+export function openCategoryModal() {
+    renderCategoryModal({
+        open:    true,
+        type:    STATE.currentEntryType,
+        onSave:  saveCategories,
+        onClose: () => renderCategoryModal({ open: false }),
+    });
+}
+
+/**
+ * Applies new definitions locally and queues the rewrite of the
+ * "categories" tab.
+ * @param {Array<import('../utils/categories.utils.js').CategoryDefinition>} categories
+ * @returns {Promise<void>}
+ */
+export async function saveCategories(categories) {
+    STATE.categories = categories;
+    Storage.saveCategories(STATE.spreadsheetId, categories);
+    Outbox.enqueueTab(STATE.spreadsheetId, CONFIG.TABS.CATEGORIES, CATEGORIES_HEADER, categoriesToRows(categories));
+    renderCategoryModal({ open: false });
+    await flushAfterWrite('toast.categories_saved');
+}
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * Categories offered for an entry type: the built-ins with the spreadsheet's
+ * "categories" tab applied, hidden ones left out unless asked for. Should
+ * every one of them be hidden, all are offered rather than none.
+ * @param {'expense'|'income'} type
+ * @param {{ hidden?: boolean }} [options]
+ * @returns {Array}
+ */
+export function categoriesFor(type, { hidden = false } = {}) {
+    const all   = _activeFor(type);
+    const shown = all.filter(c => !c.hidden);
+    return hidden || !shown.length ? all : shown;
+}
+
+/**
+ * Every category of both types, hidden ones included — for reading back
+ * entries recorded before a category was hidden.
+ * @returns {Array}
+ */
+export function allCategories() {
+    return [..._activeFor('expense'), ..._activeFor('income')];
+}
+
+/**
+ * Looks a category up in both lists, hidden ones included; IDs no longer
+ * defined get the "other" category of the given type.
+ * @param {string} id
+ * @param {'expense'|'income'} [type]
+ * @returns {{ id: string, label: string, emoji: string, color: string }}
+ */
+export function findCategory(id, type = 'expense') {
+    const all = allCategories();
+    return all.find(c => c.id === id)
+        || all.find(c => c.id === _builtInFor(type).at(-1).id);
+}
+
+/**
+ * Subcategories of a category, hidden ones left out unless asked for.
+ * @param {string} categoryId
+ * @param {{ hidden?: boolean }} [options]
+ * @returns {Array<{ id: string, label: string, emoji: string, color: string, hidden: boolean }>}
+ */
+export function subcategoriesFor(categoryId, { hidden = false } = {}) {
+    const parent = allCategories().find(c => c.id === categoryId);
+    if (!parent) return [];
+    const subs = subcategoriesOf(parent, STATE.categories);
+    return hidden ? subs : subs.filter(s => !s.hidden);
+}
+
+/**
+ * Looks a subcategory up under its category, hidden ones included. A
+ * subcategory no longer defined there is null, so the entry rolls up under
+ * the category.
+ * @param {string} categoryId
+ * @param {string} [subId]
+ * @returns {{ id: string, label: string, emoji: string, color: string }|null}
+ */
+export function findSubcategory(categoryId, subId) {
+    if (!subId) return null;
+    return subcategoriesFor(categoryId, { hidden: true }).find(s => s.id === subId) ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+function _builtInFor(type) {
+    return type === 'income' ? INCOME_CATEGORIES : CATEGORIES;
+}
+
+function _activeFor(type) {
+    return mergeCategories(_builtInFor(type), STATE.categories.filter(d => d.type === type));
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { STATE } from '../state.js';
+import * as Storage from '../services/storageService.js';
+import { DEFAULT_WINDOW_DAYS, findDuplicatesOf, duplicatePairs } from '../utils/duplicates.utils.js';
+import { openEditModal } from './expenseController.js';
+import { renderAddModal, renderDuplicateDialog, renderDuplicatesModal } from '../ui/renderer.jsx';
+
+/**
+ * Likely duplicate entries:
+ *   confirmIfDuplicate   → asks before adding an entry that looks recorded already
+ *   findLikelyDuplicates → the entries of an import that look recorded already
+ *   openDuplicatesModal  → suspicious pairs among the loaded entries
+ */
+
+/** @returns {number} days two entries may lie apart and still match */
+export function duplicateWindow() {
+    return Storage.getDuplicateWindow() ?? DEFAULT_WINDOW_DAYS;
+}
+
+/**
+ * Resolves true right away when nothing similar is loaded; otherwise shows
+ * the closest match and resolves with the user's answer. Opening the match
+ * from the dialog cancels the add.
+ *
+ * @param {Object} candidate - the entry about to be added
+ * @returns {Promise<boolean>} whether to add it
+ */
+export function confirmIfDuplicate(candidate) {
+    const [existing] = findDuplicatesOf(candidate, STATE.expenses, { windowDays: duplicateWindow() });
+    if (!existing) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+        const answer = value => {
+            renderDuplicateDialog({ open: false });
+            resolve(value);
+        };
+        renderDuplicateDialog({
+            open:      true,
+            existing,
+            ledger:    STATE.ledger,
+            onConfirm: () => answer(true),
+            onCancel:  () => answer(false),
+            onShow:    () => {
+                answer(false);
+                renderAddModal({ open: false });
+                openEditModal(existing.id);
+            },
+        });
+    });
+}
+
+/**
+ * @param {Array<Object>} expenses - entries about to be imported
+ * @param {Array<Object>} existing - entries already recorded around their dates
+ * @returns {Set<string>} IDs of the imported entries that match an existing one
+ */
+export function findLikelyDuplicates(expenses, existing) {
+    const options = { windowDays: duplicateWindow() };
+    return new Set(expenses.filter(e => findDuplicatesOf(e, existing, options).length).map(e => e.id));
+}
+
+export function openDuplicatesModal() {
+    const windowDays = duplicateWindow();
+    renderDuplicatesModal({
+        open:           true,
+        pairs:          duplicatePairs(STATE.expenses, { windowDays }),
+        windowDays,
+        ledger:         STATE.ledger,
+        onWindowChange: days => {
+            Storage.saveDuplicateWindow(days);
+            openDuplicatesModal();
+        },
+        onOpen:         id => {
+            renderDuplicatesModal({ open: false });
+            openEditModal(id);
+        },
+        onClose:        () => renderDuplicatesModal({ open: false }),
+    });
+}
\ No newline at end of file
@@ -1,17 +1,41 @@
 import { STATE } from '../state.js';
 import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
 import { withToken } from '../services/authService.js';
 import * as Storage from '../services/storageService.js';
+import * as ExpenseStore from '../services/expenseStore.js';
 import { getI18nValue } from '../i18n/localization.js';
-import { uuid, todayStr, showToast } from '../utils/helpers.js';
-import { renderAddModal, renderEditModal } from '../ui/renderer.jsx';
+import { uuid, todayStr, showToast, prevMonthStart } from '../utils/helpers.js';
+import { inBaseCurrency } from '../utils/currency.utils.js';
+import { monthSpending, crossedBudgets, OVERALL } from '../utils/budget.utils.js';
+import { refundedAmounts } from '../utils/cashflow.utils.js';
+import { normaliseEmail } from '../utils/split.utils.js';
+import { stampCreated, stampUpdated } from '../utils/attribution.utils.js';
+import { categoriesFor, findCategory } from './categoryController.js';
+import { renderAddModal, renderEditModal, renderUndoSnackbar } from '../ui/renderer.jsx';
 import { clearYearCache } from '../ui/statistics/statistics-chart.js';
+import { ledgerMemberList } from './splitController.js';
+import { confirmIfDuplicate } from './duplicateController.js';
+import { uploadReceiptPhotos, receiptThumbnail } from './receiptController.js';
+import { applySearchChanges } from './searchController.js';
+import { applyRangeChanges } from './filterController.js';
+import { categorySuggester } from './autocategoryController.js';
 
 // ─── Helpers ──────────────────────────────────────────
 
-function _saveExpenses(expenses) {
+/**
+ * Publishes the new list to STATE and persists only the records that
+ * changed to the local cache. Open search results and the older entries
+ * read for a filter follow the changes.
+ * @param {Array} expenses
+ * @param {{ put?: Array, remove?: string[] }} changes
+ */
+function _saveExpenses(expenses, { put = [], remove = [] } = {}) {
     STATE.expenses = expenses;
-    Storage.saveExpenses(expenses);
+    ExpenseStore.put(put);
+    ExpenseStore.remove(remove);
+    applySearchChanges({ put, remove });
+    applyRangeChanges({ put, remove });
 }
 
 /**
@@ -26,100 +50,528 @@ function _safeDate(date) {
     return date;
 }
 
+/**
+ * Spending of a month per category and overall, in the base currency.
+ * Only meaningful for months inside the hot window.
+ * @param {string} month - YYYY-MM
+ * @returns {Object<string, number>}
+ */
+function _monthSpending(month) {
+    return monthSpending(inBaseCurrency(STATE.expenses, STATE.ledger).expenses, month);
+}
+
+/**
+ * Kept receipts plus the uploaded `photos`, or null (after a toast) when an
+ * upload fails so the modal stays open with the user's input.
+ * @param {Object} expense
+ * @param {string[]} kept
+ * @param {File[]} photos
+ * @returns {Promise<string[]|null>}
+ */
+async function _attachReceipts(expense, kept, photos) {
+    if (!photos.length) return kept;
+    try {
+        return [...kept, ...await uploadReceiptPhotos({ ...expense, receipts: kept }, photos)];
+    } catch (err) {
+        console.warn('[SpenGo] Receipt upload failed:', err);
+        showToast(getI18nValue('toast.receipt_failed'), 'error');
+        return null;
+    }
+}
+
+/** @returns {Object|undefined} the entry being edited, loaded or not */
+function _editedEntry(id) {
+    return STATE.expenses.find(e => e.id === id) ?? (_editing?.id === id ? _editing : undefined);
+}
+
+/**
+ * Toast for the first budget a new expense pushed past 80% or past its
+ * limit, or null if none.
+ * @param {Object<string, number>} before - month spending without the expense
+ * @param {string} month - YYYY-MM
+ * @returns {{ message: string, type: string }|null}
+ */
+function _budgetWarning(before, month) {
+    const [crossed] = crossedBudgets(STATE.budgets, before, _monthSpending(month));
+    if (!crossed) return null;
+    const name = crossed.id === OVERALL
+        ? getI18nValue('budget.overall')
+        : findCategory(crossed.id).label;
+    const over = crossed.level === 'over';
+    return {
+        message: getI18nValue(over ? 'toast.budget_over' : 'toast.budget_warn')
+            .replace('{c}', name)
+            .replace('{p}', Math.round(crossed.ratio * 100)),
+        type:    over ? 'error' : 'warning',
+    };
+}
+
 // ─── Cache restore (called on app start before auth) ──
 
-export function restoreCachedExpenses() {
-    if (!Storage.getSheetId()) return;
-    const cached = Storage.getExpenses();
+/**
+ * Moves a pre-IndexedDB cache over if present, then puts the cached hot
+ * window on screen before auth completes.
+ * @returns {Promise<void>}
+ */
+export async function restoreCachedExpenses() {
+    if (!Storage.getSheetId() && !Storage.getGuestSheetId()) return;
+    await ExpenseStore.migrateLegacyCache();
+    const cached = await ExpenseStore.getSince(prevMonthStart());
     if (cached.length > 0) STATE.expenses = cached;
 }
 
+/**
+ * Caches a fresh read of the hot window, replacing whatever the cache held
+ * for those dates. Older history in the cache is kept.
+ * @param {Array} expenses
+ * @returns {Promise<void>}
+ */
+export function cacheRecentExpenses(expenses) {
+    return ExpenseStore.replaceRange(prevMonthStart(), null, expenses);
+}
+
+/**
+ * Loads every expense of a calendar year. Reads from the sheet and refreshes
+ * the local cache with the result; falls back to the cache when the sheet
+ * can't be reached, so statistics for past months still render offline.
+ * Writes still waiting in the outbox are applied either way.
+ *
+ * @param {number} year
+ * @returns {Promise<Array>}
+ */
+export async function loadYearExpenses(year) {
+    const from = `${year}-01-01`;
+    const to   = `${year}-12-31`;
+    try {
+        const expenses = await withToken(token =>
+            SheetsService.loadExpensesByYear(token, STATE.spreadsheetId, year)
+        );
+        const merged = _pendingInRange(expenses, from, to);
+        ExpenseStore.replaceRange(from, to, merged);
+        return merged;
+    } catch (err) {
+        const cached = await ExpenseStore.getRange(from, to);
+        if (!cached.length) throw err;
+        console.warn(`[SpenGo] Using cached expenses for ${year}:`, err);
+        return _pendingInRange(cached, from, to);
+    }
+}
+
+/** Pending writes applied to entries of a date range; inserts dated elsewhere stay out. */
+function _pendingInRange(expenses, from, to) {
+    return withPendingWrites(expenses).filter(e => e.date >= from && e.date <= to);
+}
+
+/**
+ * Entries in and around a date range, for tools that work on one
+ * (export, import dedup). A range inside the hot window is already in
+ * STATE; older ones are read year by year, falling back to the local cache
+ * offline.
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to   - YYYY-MM-DD
+ * @returns {Promise<Array>} entries of the years the range touches
+ */
+export async function loadExpensesBetween(from, to) {
+    if (from >= prevMonthStart()) return STATE.expenses;
+    const years = [];
+    for (let y = Number(from.slice(0, 4)); y <= Number(to.slice(0, 4)); y++) years.push(y);
+    return (await Promise.all(years.map(loadYearExpenses))).flat();
+}
+
+/**
+ * Loads the whole history of the sheet, for balances that carry over from
+ * month to month, and refreshes the local cache with it. Offline, whatever
+ * the cache holds is used instead and reported as incomplete. Writes still
+ * waiting in the outbox are applied either way.
+ *
+ * @returns {Promise<{ expenses: Array, complete: boolean }>}
+ */
+export async function loadAllExpenses() {
+    try {
+        const expenses = await withToken(token => SheetsService.loadExpenses(token, STATE.spreadsheetId));
+        const merged   = withPendingWrites(expenses);
+        ExpenseStore.replaceRange('', null, merged);
+        return { expenses: merged, complete: true };
+    } catch (err) {
+        console.warn('[SpenGo] Using cached expenses for the full history:', err);
+        const cached = await ExpenseStore.getSince('');
+        return { expenses: withPendingWrites(cached.length ? cached : STATE.expenses), complete: false };
+    }
+}
+
 // ─── Add modal ────────────────────────────────────────
 
+/** Members and the signed-in user's email, for the paid-by / split fields. */
+function _sharing() {
+    return { members: ledgerMemberList(), myEmail: normaliseEmail(STATE.userProfile?.email) };
+}
+
 export function openAddModal() {
-    STATE.selectedCat = 'food';
+    STATE.selectedCat = categoriesFor(STATE.currentEntryType)[0].id;
     renderAddModal({
         open:     true,
+        ..._sharing(),
+        suggest:  categorySuggester(),
         onSubmit: submitExpense,
         onClose:  () => renderAddModal({ open: false }),
     });
 }
 
-export async function submitExpense({ amount, category, comment, date }) {
+/**
+ * Opens the add modal as a refund of `original`, prefilled with what is
+ * left to refund of it.
+ * @param {object} original
+ */
+export function openRefundModal(original) {
+    renderEditModal({ expense: null });
+    renderAddModal({
+        open:     true,
+        refundOf: original,
+        refunded: refundedAmounts(STATE.expenses).get(original.id) ?? 0,
+        ..._sharing(),
+        onSubmit: submitExpense,
+        onClose:  () => renderAddModal({ open: false }),
+    });
+}
+
+/**
+ * A negative amount records a refund; `refundOf` links it to the expense it
+ * refunds. `paidBy` and `split` record who paid and who shares it. An
+ * entry that looks recorded already is only added once the user confirms.
+ * @param {{
+ *   amount: number, category: string, subcategory?: string, comment: string, date: string, currency?: string,
+ *   type?: 'expense'|'income', refundOf?: string, paidBy?: string, split?: Object<string, number>
+ * }} entry
+ * @returns {Promise<boolean>} whether the entry was added
+ */
+export async function submitExpense({
+    amount, category, subcategory = '', comment, date, currency = '', type = 'expense', refundOf = '', paidBy = '', split = {}, photos = [],
+}) {
     STATE.selectedCat = category;
-    const expense = {
+    const expense = stampCreated({
         id: uuid(),
         date: _safeDate(date),
         category,
+        subcategory,
         amount,
         comment,
-    };
-    try {
-        await withToken(token =>
-            SheetsService.appendExpense(token, STATE.spreadsheetId, expense)
-        );
-        clearYearCache(new Date(expense.date).getFullYear());
-        _saveExpenses([...STATE.expenses, expense]);
-        renderAddModal({ open: false });
-        showToast(getI18nValue('toast.added'), 'success');
-    } catch (err) {
-        showToast(getI18nValue('toast.error_prefix') + err.message, 'error');
-        throw err;
-    }
+        currency,
+        type,
+        refundOf,
+        paidBy,
+        split,
+    }, STATE.userProfile?.email);
+    if (!await confirmIfDuplicate(expense)) return false;
+    const receipts = await _attachReceipts(expense, [], photos);
+    if (!receipts) return false;
+    expense.receipts = receipts;
+
+    const month  = expense.date.slice(0, 7);
+    const before = type === 'expense' && amount > 0 && expense.date >= prevMonthStart() ? _monthSpending(month) : null;
+
+    Outbox.enqueueInsert(STATE.spreadsheetId, expense);
+    clearYearCache(new Date(expense.date).getFullYear());
+    _saveExpenses([...STATE.expenses, expense], { put: [expense] });
+    renderAddModal({ open: false });
+
+    const warning     = before && _budgetWarning(before, month);
+    const toastKey    = amount < 0 ? 'toast.refund_added' : type === 'income' ? 'toast.income_added' : 'toast.added';
+    const { dropped } = await flushAfterWrite(toastKey);
+    if (warning && !dropped.length) showToast(warning.message, warning.type);
+    return true;
 }
 
 // ─── Edit modal ───────────────────────────────────────
 
-export function openEditModal(id) {
-    const expense = STATE.expenses.find(e => e.id === id);
+/**
+ * Entry open in the edit modal. Search results can be older than the hot
+ * window, so update and delete look here when STATE doesn't have the entry.
+ * @type {Object|null}
+ */
+let _editing = null;
+
+/**
+ * @param {string} id
+ * @param {Object} [entry] - the entry itself, when it isn't in STATE (an older search result)
+ */
+export function openEditModal(id, entry) {
+    const expense = STATE.expenses.find(e => e.id === id) ?? entry;
     if (!expense) return;
+    _editing = expense;
     renderEditModal({
         expense,
-        onUpdate: updateExpense,
-        onDelete: deleteExpense,
-        onClose:  () => renderEditModal({ expense: null }),
+        ..._sharing(),
+        onUpdate:      updateExpense,
+        onDelete:      deleteExpense,
+        onRefund:      openRefundModal,
+        onLoadReceipt: receiptThumbnail,
+        onClose:       () => renderEditModal({ expense: null }),
     });
 }
 
-export async function updateExpense(id, amount, category, comment, date) {
-    const original = STATE.expenses.find(e => e.id === id);
+/**
+ * @param {string} id
+ * @param {number} amount
+ * @param {string} category
+ * @param {string} comment
+ * @param {string} [date]
+ * @param {string} [currency]
+ * @param {{ paidBy: string, split: Object<string, number> }} [sharing]
+ * @param {{ receipts: string[], photos: File[] }} [attached] - receipts kept and photos to upload
+ * @param {string} [subcategory] - cleared when left out and the category changes
+ * @returns {Promise<void>}
+ */
+export async function updateExpense(id, amount, category, comment, date, currency, sharing, attached, subcategory) {
+    const original = _editedEntry(id);
     if (!original) return;
-    const updated = {
+    const receipts = attached
+        ? await _attachReceipts(original, attached.receipts, attached.photos)
+        : original.receipts;
+    if (!receipts) return;
+    const updated = stampUpdated({
         ...original,
         amount,
         category,
+        subcategory: subcategory ?? (category === original.category ? original.subcategory : ''),
         comment,
-        date: _safeDate(date ?? original.date),
-    };
-    try {
-        await withToken(token =>
-            SheetsService.editExpense(token, STATE.spreadsheetId, updated)
-        );
-        clearYearCache(new Date(original.date).getFullYear());
-        if (updated.date !== original.date) {
-            clearYearCache(new Date(updated.date).getFullYear());
-        }
-        _saveExpenses(STATE.expenses.map(e => e.id === id ? updated : e));
-        renderEditModal({ expense: null });
-        showToast(getI18nValue('toast.updated'), 'success');
-    } catch (err) {
-        showToast(getI18nValue('toast.error_prefix') + err.message, 'error');
-        throw err;
+        date:     _safeDate(date ?? original.date),
+        currency: currency ?? original.currency,
+        paidBy:   sharing?.paidBy ?? original.paidBy,
+        split:    sharing?.split  ?? original.split,
+        receipts,
+    });
+    Outbox.enqueueUpdate(STATE.spreadsheetId, updated);
+    clearYearCache(new Date(original.date).getFullYear());
+    if (updated.date !== original.date) {
+        clearYearCache(new Date(updated.date).getFullYear());
     }
+    _saveExpenses(STATE.expenses.map(e => e.id === id ? updated : e), { put: [updated] });
+    renderEditModal({ expense: null });
+    _offerUndo(getI18nValue('toast.updated'), () => _restore([original], [updated]));
+    await flushAfterWrite(null);
 }
 
+/**
+ * Hides the entry at once but holds its removal from the sheet back for the
+ * undo window; the row is deleted by the first sync after that.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
 export async function deleteExpense(id) {
-    try {
-        await withToken(token =>
-            SheetsService.deleteExpense(token, STATE.spreadsheetId, id)
-        );
-        const deleted = STATE.expenses.find(e => e.id === id);
-        if (deleted) clearYearCache(new Date(deleted.date).getFullYear());
-        _saveExpenses(STATE.expenses.filter(e => e.id !== id));
-        renderEditModal({ expense: null });
-        showToast(getI18nValue('toast.deleted'), 'success');
-    } catch {
-        showToast(getI18nValue('toast.delete_error'), 'error');
-        throw new Error('delete failed');
+    const deleted = _editedEntry(id);
+    Outbox.enqueueRemove(STATE.spreadsheetId, id, Date.now() + UNDO_MS);
+    if (deleted) clearYearCache(new Date(deleted.date).getFullYear());
+    _saveExpenses(STATE.expenses.filter(e => e.id !== id), { remove: [id] });
+    renderEditModal({ expense: null });
+    if (deleted) _offerUndo(getI18nValue('toast.deleted'), () => _restore([deleted], null));
+    setTimeout(() => flushAfterWrite(null), UNDO_MS);
+}
+
+// ─── Bulk actions ─────────────────────────────────────
+
+/**
+ * Writes changes to many entries at once (bulk actions on a selection) as a
+ * single sheet request, with one undo for all of them.
+ * @param {Array<Object>} originals - the entries as they are, a superset of `changed` is fine
+ * @param {Array<Object>} changed   - the entries as they are to be, see bulk.utils
+ * @returns {Promise<void>}
+ */
+export async function updateExpenses(originals, changed) {
+    if (!changed.length) return;
+    const ids      = new Set(changed.map(e => e.id));
+    const previous = originals.filter(e => ids.has(e.id));
+    const updated  = changed.map(e => stampUpdated(e));
+    Outbox.enqueueBatch(STATE.spreadsheetId, { updates: updated });
+    _clearYearCaches([...previous, ...updated]);
+    _saveExpenses(_withHot(ids, updated), { put: updated });
+    _offerUndo(getI18nValue('bulk.updated').replace('{n}', updated.length), () => _restore(previous, updated));
+    await flushAfterWrite(null);
+}
+
+/**
+ * Deletes many entries in a single sheet request, held back for the undo
+ * window like a single delete.
+ * @param {Array<Object>} entries
+ * @returns {Promise<void>}
+ */
+export async function deleteExpenses(entries) {
+    if (!entries.length) return;
+    const ids = entries.map(e => e.id);
+    Outbox.enqueueBatch(STATE.spreadsheetId, { removes: ids }, Date.now() + UNDO_MS);
+    _clearYearCaches(entries);
+    _saveExpenses(STATE.expenses.filter(e => !ids.includes(e.id)), { remove: ids });
+    _offerUndo(getI18nValue('bulk.deleted').replace('{n}', ids.length), () => _restore(entries, null));
+    setTimeout(() => flushAfterWrite(null), UNDO_MS);
+}
+
+/** Every year the given entries are in has to be read again. */
+function _clearYearCaches(entries) {
+    new Set(entries.map(e => new Date(e.date).getFullYear())).forEach(clearYearCache);
+}
+
+/**
+ * STATE's entries with those of `ids` replaced by `entries`, which only
+ * stay if they are (still) inside the hot window.
+ * @param {Set<string>} ids
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>}
+ */
+function _withHot(ids, entries) {
+    const cutoff = prevMonthStart();
+    return [...STATE.expenses.filter(e => !ids.has(e.id)), ...entries.filter(e => e.date >= cutoff)];
+}
+
+// ─── Undo ─────────────────────────────────────────────
+
+/** How long (ms) a delete or edit, single or bulk, can be taken back. */
+const UNDO_MS = 5000;
+
+let _undoTimer = null;
+let _undoId    = 0;
+
+/**
+ * Shows the undo snackbar for the latest delete or edit, replacing the one
+ * for the action before.
+ * @param {string} message
+ * @param {() => Promise<void>} undo
+ */
+function _offerUndo(message, undo) {
+    clearTimeout(_undoTimer);
+    renderUndoSnackbar({
+        open:    true,
+        id:      ++_undoId,
+        message,
+        onUndo:  () => { dismissUndo(); undo(); },
+    });
+    _undoTimer = setTimeout(dismissUndo, UNDO_MS);
+}
+
+export function dismissUndo() {
+    clearTimeout(_undoTimer);
+    renderUndoSnackbar({ open: false });
+}
+
+/**
+ * Puts entries back as they were before an edit or a delete. A delete still
+ * held back is simply dropped, so the rows never leave their place; rows
+ * that left the sheet already come back as new rows at the end.
+ * @param {Array<Object>}      previous - the entries before the action
+ * @param {Array<Object>|null} current  - the entries after an edit, null after a delete
+ * @returns {Promise<void>}
+ */
+async function _restore(previous, current) {
+    if (current) {
+        if (previous.length === 1) Outbox.enqueueUpdate(STATE.spreadsheetId, previous[0]);
+        else Outbox.enqueueBatch(STATE.spreadsheetId, { updates: previous });
+    } else if (!Outbox.cancelHeldRemove(STATE.spreadsheetId, previous[0].id)) {
+        Outbox.enqueueInsertMany(STATE.spreadsheetId, previous);
     }
+    _clearYearCaches([...previous, ...(current ?? [])]);
+    _saveExpenses(_withHot(new Set(previous.map(e => e.id)), previous), { put: previous });
+    await flushAfterWrite('toast.restored');
+}
+
+// ─── Generated expenses ───────────────────────────────
+
+/**
+ * Queues expenses created by the app rather than typed in (recurring
+ * occurrences, imports) as one batched append. Only those inside the hot
+ * window join STATE; older ones go straight to the cache and the sheet.
+ * They are attributed to the signed-in user, whose device created them.
+ *
+ * @param {Array} generated
+ */
+export function addGeneratedExpenses(generated) {
+    if (!generated.length) return;
+    const expenses = generated.map(e => stampCreated(e, STATE.userProfile?.email));
+    const cutoff   = prevMonthStart();
+    Outbox.enqueueInsertMany(STATE.spreadsheetId, expenses);
+    new Set(expenses.map(e => new Date(e.date).getFullYear())).forEach(clearYearCache);
+    _saveExpenses([...STATE.expenses, ...expenses.filter(e => e.date >= cutoff)], { put: expenses });
+}
+
+// ─── Outbox sync ──────────────────────────────────────
+
+/** @type {Promise<{ synced: number, dropped: Array, pending: number }>|null} */
+let _flushing = null;
+
+/**
+ * Replays queued writes against the sheet. Concurrent callers share the
+ * same in-flight run. Skipped while offline or before the session has a
+ * token — the outbox is retried on sign-in and on the 'online' event.
+ *
+ * @returns {Promise<{ synced: number, dropped: Array, pending: number }>}
+ */
+function _flushOutbox() {
+    if (_flushing) return _flushing;
+
+    const spreadsheetId = STATE.spreadsheetId;
+    if (!navigator.onLine || STATE.authStatus !== 'ready' || Outbox.pendingCount(spreadsheetId) === 0) {
+        return Promise.resolve({ synced: 0, dropped: [], pending: Outbox.pendingCount(spreadsheetId) });
+    }
+
+    _flushing = withToken(token => Outbox.replay(token, spreadsheetId))
+        .catch(err => {
+            console.warn('[SpenGo] Outbox replay failed:', err);
+            return { synced: 0, dropped: [], pending: Outbox.pendingCount(spreadsheetId) };
+        })
+        .finally(() => { _flushing = null; });
+
+    return _flushing;
+}
+
+/**
+ * Flushes right after a local write and reports the outcome of that write:
+ * the regular success toast if it reached the sheet, an "offline" notice if
+ * it is still queued, and an error if it is queued but this device's
+ * storage could not keep it.
+ *
+ * @param {string|null} successKey - i18n key of the toast shown once synced;
+ *   null when the caller confirms the write itself (the undo snackbar)
+ * @param {Object} [replacements] - values for `{placeholder}`s in that toast
+ * @returns {Promise<{ synced: number, dropped: Array, pending: number }>}
+ */
+export async function flushAfterWrite(successKey, replacements = {}) {
+    const result = await _flushOutbox();
+    const { dropped, pending } = result;
+    if (dropped.length) {
+        showToast(getI18nValue('toast.error_prefix') + dropped[0].error.message, 'error');
+    } else if (pending > 0 && Outbox.isUnsaved()) {
+        showToast(getI18nValue('toast.not_saved'), 'error');
+    } else if (pending > 0) {
+        showToast(getI18nValue('toast.saved_offline'));
+    } else if (successKey) {
+        const message = Object.entries(replacements)
+            .reduce((text, [key, value]) => text.replace(`{${key}}`, value), getI18nValue(successKey));
+        showToast(message, 'success');
+    }
+    return result;
+}
+
+/**
+ * Background sync entry point — called after sign-in and whenever the
+ * browser comes back online. Tells the user when queued offline writes
+ * have reached the sheet.
+ *
+ * @returns {Promise<void>}
+ */
+export async function syncOutbox() {
+    const { synced, dropped } = await _flushOutbox();
+    if (dropped.length) {
+        showToast(getI18nValue('toast.error_prefix') + dropped[0].error.message, 'error');
+    } else if (synced > 0) {
+        showToast(getI18nValue('toast.synced').replace('{n}', synced), 'success');
+    }
+}
+
+/**
+ * Re-applies writes still waiting in the outbox on top of a fresh read from
+ * the sheet, so offline changes stay visible until they are synced.
+ *
+ * @param {Array} expenses
+ * @returns {Array}
+ */
+export function withPendingWrites(expenses) {
+    return Outbox.applyPending(STATE.spreadsheetId, expenses);
 }
\ No newline at end of file
@@ -0,0 +1,79 @@
+import { STATE } from '../state.js';
+import { getI18nValue } from '../i18n/localization.js';
+import { showToast } from '../utils/helpers.js';
+import { allCategories, findCategory } from './categoryController.js';
+import {
+    EXPORT_COLUMNS,
+    selectForExport,
+    exportRecords,
+    exportFile,
+    exportFileName,
+} from '../utils/export.utils.js';
+import { loadExpensesBetween } from './expenseController.js';
+import { renderExportModal } from '../ui/renderer.jsx';
+
+/**
+ * File export, built in the browser:
+ *   openExportModal → range, category and format
+ *   exportExpenses  → loads the range, writes the file and downloads it
+ *   exportEntries   → writes given entries (a selection) to a file and downloads it
+ */
+
+export function openExportModal() {
+    renderExportModal({
+        open:       true,
+        categories: allCategories(),
+        onExport:   exportExpenses,
+        onClose:    () => renderExportModal({ open: false }),
+    });
+}
+
+/**
+ * @param {{ from: string, to: string, category: string, format: 'csv'|'json'|'xlsx' }} request
+ * @returns {Promise<void>}
+ */
+export async function exportExpenses({ from, to, category, format }) {
+    let entries;
+    try {
+        entries = selectForExport(await loadExpensesBetween(from, to), { from, to, category });
+    } catch (err) {
+        showToast(getI18nValue('toast.error_prefix') + err.message, 'error');
+        return;
+    }
+    if (!entries.length) {
+        showToast(getI18nValue('export.empty'), 'error');
+        return;
+    }
+    exportEntries(entries, format, { from, to });
+    renderExportModal({ open: false });
+}
+
+/**
+ * @param {Array<Object>} entries
+ * @param {'csv'|'json'|'xlsx'} format
+ * @param {{ from: string, to: string }} range - names the file and its sheet
+ */
+export function exportEntries(entries, format, { from, to }) {
+    const records = exportRecords(entries, {
+        ledger:        STATE.ledger,
+        categoryLabel: id => findCategory(id).label,
+        kindLabel:     kind => getI18nValue(`entry.${kind}`),
+    });
+    const { data, mime } = exportFile(records, format, {
+        header:    EXPORT_COLUMNS.map(col => getI18nValue(`export.col_${col}`)),
+        sheetName: `${from} – ${to}`,
+    });
+    _download(new Blob([data], { type: mime }), exportFileName({ from, to }, format));
+    showToast(getI18nValue('toast.exported').replace('{n}', records.length), 'success');
+}
+
+function _download(blob, fileName) {
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
\ No newline at end of file
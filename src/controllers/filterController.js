@@ -0,0 +1,86 @@
+import { STATE } from '../state.js';
+import { getI18nValue } from '../i18n/localization.js';
+import { prevMonthStart, showToast } from '../utils/helpers.js';
+import { EMPTY_FILTER } from '../utils/filter.utils.js';
+import { categoriesFor } from './categoryController.js';
+import { loadExpensesBetween, openEditModal } from './expenseController.js';
+import { ledgerMemberList } from './splitController.js';
+import { renderFilterModal } from '../ui/renderer.jsx';
+
+/**
+ * Advanced filter of the main screen and statistics:
+ *   openFilterModal   → the filter panel
+ *   setFilter         → applies a filter, reading older entries its range needs
+ *   clearFilter       → back to the period buttons and pills
+ *   filterSource      → entries the filtered views draw from
+ *   openFilteredEntry → edits an entry of the list, loaded or not
+ *   applyRangeChanges → keeps the older entries in step with edits and deletes
+ */
+
+/** Bumped by every new filter so a slow read can't land on a newer one. */
+let _run = 0;
+
+export function openFilterModal() {
+    renderFilterModal({
+        open:       true,
+        filter:     STATE.filter,
+        categories: [...categoriesFor('expense'), ...categoriesFor('income')],
+        members:    ledgerMemberList(),
+        onApply:    setFilter,
+        onClose:    () => renderFilterModal({ open: false }),
+    });
+}
+
+/**
+ * @param {import('../utils/filter.utils.js').Filter} filter
+ * @returns {Promise<void>}
+ */
+export async function setFilter(filter) {
+    const run = ++_run;
+    renderFilterModal({ open: false });
+    STATE.filter = filter;
+
+    const cutoff = prevMonthStart();
+    if (!filter.from || filter.from >= cutoff) {
+        STATE.rangeEntries = [];
+        return;
+    }
+    try {
+        const entries = await loadExpensesBetween(filter.from, filter.to || cutoff);
+        if (run === _run) STATE.rangeEntries = entries.filter(e => e.date < cutoff);
+    } catch (err) {
+        if (run === _run) showToast(getI18nValue('toast.error_prefix') + err.message, 'error');
+    }
+}
+
+export function clearFilter() {
+    setFilter(EMPTY_FILTER);
+}
+
+/**
+ * The hot window plus, for a date range reaching further back, the older
+ * entries read for it.
+ * @returns {Array}
+ */
+export function filterSource() {
+    return STATE.rangeEntries.length ? [...STATE.rangeEntries, ...STATE.expenses] : STATE.expenses;
+}
+
+/** @param {string} id */
+export function openFilteredEntry(id) {
+    openEditModal(id, STATE.rangeEntries.find(e => e.id === id));
+}
+
+/**
+ * @param {{ put?: Array, remove?: string[] }} changes
+ */
+export function applyRangeChanges({ put = [], remove = [] }) {
+    if (!STATE.rangeEntries.length) return;
+    const cutoff  = prevMonthStart();
+    const changed = new Set([...remove, ...put.map(e => e.id)]);
+    const { from, to } = STATE.filter;
+    STATE.rangeEntries = [
+        ...STATE.rangeEntries.filter(e => !changed.has(e.id)),
+        ...put.filter(e => e.date < cutoff && e.date >= from && (!to || e.date <= to)),
+    ];
+}
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { STATE } from '../state.js';
+import { categoriesFor } from './categoryController.js';
+import { todayStr } from '../utils/helpers.js';
+import { addGeneratedExpenses, flushAfterWrite, loadExpensesBetween } from './expenseController.js';
+import { findLikelyDuplicates } from './duplicateController.js';
+import { categorySuggester } from './autocategoryController.js';
+import { renderImportModal } from '../ui/renderer.jsx';
+
+/**
+ * CSV and bank statement import:
+ *   openImportModal → file, column mapping, category matching and preview
+ *   checkExisting   → entries imported before, and likely duplicates
+ *   importExpenses  → batched appends of every valid row
+ */
+
+export function openImportModal() {
+    renderImportModal({
+        open:         true,
+        categories:   categoriesFor('expense'),
+        baseCurrency: STATE.ledger.baseCurrency,
+        suggest:      categorySuggester(),
+        checkExisting,
+        onImport:     importExpenses,
+        onClose:      () => renderImportModal({ open: false }),
+    });
+}
+
+/**
+ * Compares the entries about to be imported with those already recorded.
+ * Statement entries have IDs derived from the bank's references, so an
+ * entry whose ID is already known came from an earlier import; others may
+ * still match something typed in by hand.
+ *
+ * @param {Array<{ id: string, date: string }>} expenses
+ * @returns {Promise<{ imported: Set<string>, duplicates: Set<string> }>}
+ */
+export async function checkExisting(expenses) {
+    if (!expenses.length) return { imported: new Set(), duplicates: new Set() };
+    const from = expenses.reduce((min, e) => e.date < min ? e.date : min, expenses[0].date);
+    try {
+        const existing = await loadExpensesBetween(from, todayStr());
+        const known    = new Set(existing.map(e => e.id));
+        const fresh    = expenses.filter(e => !known.has(e.id));
+        return {
+            imported:   new Set(expenses.filter(e => known.has(e.id)).map(e => e.id)),
+            duplicates: findLikelyDuplicates(fresh, existing),
+        };
+    } catch (err) {
+        console.warn('[SpenGo] Could not compare the import with existing entries:', err);
+        return { imported: new Set(), duplicates: new Set() };
+    }
+}
+
+/**
+ * @param {Array} expenses - built by buildImport or statementExpenses
+ * @returns {Promise<void>}
+ */
+export async function importExpenses(expenses) {
+    addGeneratedExpenses(expenses);
+    renderImportModal({ open: false });
+    await flushAfterWrite('toast.imported', { n: expenses.length });
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+import { STATE } from '../state.js';
+import { CONFIG } from '../constants/config.js';
+import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
+import * as Storage from '../services/storageService.js';
+import { withToken } from '../services/authService.js';
+import { emptyLedger, parseLedger, ledgerToRows, LEDGER_HEADER } from '../utils/currency.utils.js';
+import { flushAfterWrite } from './expenseController.js';
+import { renderCurrencyModal } from '../ui/renderer.jsx';
+
+/**
+ * Currency ledger lifecycle — base currency and exchange rates of the
+ * active spreadsheet, stored in its "currencies" tab:
+ *   restoreCachedLedger → cached ledger on screen before auth
+ *   refreshLedger       → fresh read from the sheet after sign-in
+ *   saveLedger          → local update + queued tab rewrite
+ *
+ * Like expenses, edits go through the outbox, so rates can be changed offline.
+ */
+
+// ---------------------------------------------------------------------------
+// Load
+// ---------------------------------------------------------------------------
+
+/**
+ * Puts the ledger cached for the last used spreadsheet into STATE.
+ * Called on app start next to restoreCachedExpenses.
+ */
+export function restoreCachedLedger() {
+    const sheetId = Storage.getGuestSheetId() || Storage.getSheetId();
+    if (!sheetId) return;
+    const cached = Storage.getLedger(sheetId);
+    if (cached) STATE.ledger = cached;
+}
+
+/**
+ * Reads the ledger of the active spreadsheet. A tab rewrite still waiting
+ * in the outbox wins over what the sheet holds. On failure the cached ledger
+ * stays in place — conversions are still right, just possibly dated.
+ *
+ * @returns {Promise<void>}
+ */
+export async function refreshLedger() {
+    const spreadsheetId = STATE.spreadsheetId;
+    try {
+        const rows   = Outbox.pendingTab(spreadsheetId, CONFIG.TABS.CURRENCIES)
+            ?? await withToken(token => SheetsService.loadLedgerRows(token, spreadsheetId));
+        const ledger = parseLedger(rows);
+        STATE.ledger = ledger;
+        Storage.saveLedger(spreadsheetId, ledger);
+    } catch (err) {
+        console.warn('[SpenGo] Failed to load currency ledger:', err);
+        STATE.ledger = Storage.getLedger(spreadsheetId) ?? emptyLedger();
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Modal
+// ---------------------------------------------------------------------------
+
+export function openCurrencyModal() {
+    renderCurrencyModal({
+        open:    true,
+        ledger:  STATE.ledger,
+        onSave:  saveLedger,
+        onClose: () => renderCurrencyModal({ open: false }),
+    });
+}
+
+/**
+ * Applies a new ledger locally and queues the rewrite of the "currencies" tab.
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @returns {Promise<void>}
+ */
+export async function saveLedger(ledger) {
+    STATE.ledger = ledger;
+    Storage.saveLedger(STATE.spreadsheetId, ledger);
+    Outbox.enqueueTab(STATE.spreadsheetId, CONFIG.TABS.CURRENCIES, LEDGER_HEADER, ledgerToRows(ledger));
+    renderCurrencyModal({ open: false });
+    await flushAfterWrite('toast.currencies_saved');
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { STATE } from '../state.js';
+import { categoriesFor, subcategoriesFor } from './categoryController.js';
+import { todayStr } from '../utils/helpers.js';
+import { ENTRY_TYPES } from '../utils/cashflow.utils.js';
+import { normaliseEmail } from '../utils/split.utils.js';
+import { parseQuickEntry } from '../utils/quickadd.utils.js';
+import { categorySuggester } from './autocategoryController.js';
+import { submitExpense } from './expenseController.js';
+
+/**
+ * One-line quick add of the main screen:
+ *   parseQuickAdd  → the entry a line describes, for the preview chip
+ *   submitQuickAdd → adds the confirmed entry the way the add form does
+ */
+
+/**
+ * Suggester learned from the entries it was built with; built again once
+ * the entries or the rules change.
+ * @type {{ expenses: Array|null, rules: Array|null, suggest: Function|null }}
+ */
+let _suggester = { expenses: null, rules: null, suggest: null };
+
+/**
+ * @param {string} text
+ * @returns {import('../utils/quickadd.utils.js').QuickEntry|null}
+ */
+export function parseQuickAdd(text) {
+    const categories = ENTRY_TYPES.flatMap(type => categoriesFor(type).map(c => ({ ...c, type })));
+    return parseQuickEntry(text, {
+        today:         todayStr(),
+        categories,
+        subcategories: categories.flatMap(c => subcategoriesFor(c.id).map(s => ({ ...s, parent: c.id }))),
+        suggest:       _suggest(),
+    });
+}
+
+/**
+ * Paid by the signed-in user, in the base currency, shared with nobody.
+ * @param {import('../utils/quickadd.utils.js').QuickEntry} entry
+ * @returns {Promise<boolean>} whether the entry was added
+ */
+export function submitQuickAdd(entry) {
+    return submitExpense({
+        ...entry,
+        currency: STATE.ledger.baseCurrency || '',
+        paidBy:   normaliseEmail(STATE.userProfile?.email),
+    });
+}
+
+// ─── Private ──────────────────────────────────────────
+
+function _suggest() {
+    if (_suggester.expenses !== STATE.expenses || _suggester.rules !== STATE.categoryRules) {
+        _suggester = { expenses: STATE.expenses, rules: STATE.categoryRules, suggest: categorySuggester() };
+    }
+    return _suggester.suggest;
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { STATE } from '../state.js';
+import * as ReceiptService from '../services/receiptService.js';
+import { withToken } from '../services/authService.js';
+import { RECEIPT_QUALITY, fitWithin, receiptFileName } from '../utils/receipt.utils.js';
+import { normaliseEmail } from '../utils/split.utils.js';
+import { ledgerMemberList } from './splitController.js';
+
+/**
+ * Receipt photos attached to entries:
+ *   uploadReceiptPhotos → compresses picked photos and stores them in Drive
+ *   receiptThumbnail    → a displayable URL of a stored photo
+ */
+
+/** @type {Map<string, Promise<string|null>>} file ID → object URL */
+const _thumbnails = new Map();
+
+/**
+ * Uploads photos for an entry, in order, and returns their Drive file IDs.
+ * Numbering continues after the photos the entry already has.
+ *
+ * @param {{ id: string, date: string, receipts?: string[] }} expense
+ * @param {File[]} photos
+ * @returns {Promise<string[]>}
+ * @throws when a photo can't be read or uploaded
+ */
+export async function uploadReceiptPhotos(expense, photos) {
+    const myEmail = normaliseEmail(STATE.userProfile?.email);
+    const readers = ledgerMemberList().map(m => m.email).filter(email => email !== myEmail);
+    const offset  = expense.receipts?.length ?? 0;
+    const ids     = [];
+
+    for (const [i, photo] of photos.entries()) {
+        const blob = await _compress(photo);
+        const id   = await withToken(token =>
+            ReceiptService.uploadReceipt(token, blob, receiptFileName(expense, offset + i), readers)
+        );
+        _thumbnails.set(id, Promise.resolve(URL.createObjectURL(blob)));
+        ids.push(id);
+    }
+    return ids;
+}
+
+/**
+ * Object URL of a receipt photo, downloaded once per session. Resolves null
+ * when the photo can't be read by the app — e.g. one uploaded by another
+ * member, which the drive.file scope doesn't reach; it still opens from its
+ * Drive link.
+ *
+ * @param {string} fileId
+ * @returns {Promise<string|null>}
+ */
+export function receiptThumbnail(fileId) {
+    if (!_thumbnails.has(fileId)) {
+        _thumbnails.set(fileId, withToken(token => ReceiptService.downloadReceipt(token, fileId))
+            .then(blob => URL.createObjectURL(blob))
+            .catch(err => {
+                console.warn('[SpenGo] Receipt not readable:', err);
+                return null;
+            }));
+    }
+    return _thumbnails.get(fileId);
+}
+
+// ─── Private ──────────────────────────────────────────
+
+/**
+ * Re-encodes a photo as a JPEG no larger than RECEIPT_MAX_SIDE on its
+ * longest side, turned the way the camera held it.
+ * @param {File} file
+ * @returns {Promise<Blob>}
+ */
+async function _compress(file) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const size   = fitWithin(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width  = size.width;
+    canvas.height = size.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, size.width, size.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new Error('Photo could not be encoded')),
+        'image/jpeg',
+        RECEIPT_QUALITY,
+    ));
+}
\ No newline at end of file
@@ -0,0 +1,185 @@
+import { STATE } from '../state.js';
+import { CONFIG } from '../constants/config.js';
+import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
+import * as Storage from '../services/storageService.js';
+import { withToken } from '../services/authService.js';
+import { uuid, todayStr, prevMonthStart } from '../utils/helpers.js';
+import {
+    parseRules,
+    rulesToRows,
+    dueOccurrences,
+    materializeRule,
+    RULES_HEADER,
+} from '../utils/recurrence.utils.js';
+import { addGeneratedExpenses, flushAfterWrite, withPendingWrites } from './expenseController.js';
+import { renderRecurringModal } from '../ui/renderer.jsx';
+
+/**
+ * Recurring expense rules, stored in the spreadsheet's "recurring" tab:
+ *   restoreCachedRules   → cached rules for the modal before auth
+ *   refreshRules         → fresh read from the sheet after sign-in
+ *   materializeRecurring → creates missed occurrences after every fresh read
+ *   saveRule, deleteRule → local update + queued tab rewrite
+ */
+
+// ---------------------------------------------------------------------------
+// Load
+// ---------------------------------------------------------------------------
+
+export function restoreCachedRules() {
+    const sheetId = Storage.getGuestSheetId() || Storage.getSheetId();
+    if (!sheetId) return;
+    const cached = Storage.getRecurringRules(sheetId);
+    if (cached) STATE.recurringRules = cached;
+}
+
+/**
+ * Reads the rules of the active spreadsheet; a tab rewrite still waiting in
+ * the outbox wins over what the sheet holds.
+ * @returns {Promise<void>}
+ */
+export async function refreshRules() {
+    const spreadsheetId = STATE.spreadsheetId;
+    try {
+        const rows = Outbox.pendingTab(spreadsheetId, CONFIG.TABS.RECURRING)
+            ?? await withToken(token => SheetsService.loadRecurringRows(token, spreadsheetId));
+        _setRules(parseRules(rows));
+    } catch (err) {
+        console.warn('[SpenGo] Failed to load recurring rules:', err);
+        STATE.recurringRules = Storage.getRecurringRules(spreadsheetId) ?? [];
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Materialize
+// ---------------------------------------------------------------------------
+
+/** @type {Promise<number>|null} */
+let _materializing = null;
+
+/**
+ * Creates every occurrence that fell due since the rules were last run.
+ * Must follow a fresh read of the sheet: occurrences whose deterministic ID
+ * is already there (another device got to them first) are skipped. The
+ * append checks the sheet again when it is sent, since another device may
+ * get there in between.
+ *
+ * @returns {Promise<void>}
+ */
+export async function materializeRecurring() {
+    const added = await _materialize();
+    if (added > 0) await flushAfterWrite('toast.recurring_added', { n: added });
+}
+
+/**
+ * @returns {Promise<number>} Number of expenses created
+ */
+function _materialize() {
+    if (_materializing) return _materializing;
+    _materializing = _runMaterialize()
+        .catch(err => {
+            console.warn('[SpenGo] Recurring expenses were not created:', err);
+            return 0;
+        })
+        .finally(() => { _materializing = null; });
+    return _materializing;
+}
+
+async function _runMaterialize() {
+    const today = todayStr();
+    const rules = STATE.recurringRules;
+    if (!rules.some(r => dueOccurrences(r, today, 1).length)) return 0;
+
+    const existingIds = await _knownExpenseIds(rules, today);
+    const created     = [];
+    const updated     = rules.map(rule => {
+        const { expenses, lastDate } = materializeRule(rule, today, existingIds);
+        created.push(...expenses);
+        return lastDate === rule.lastDate ? rule : { ...rule, lastDate };
+    });
+
+    addGeneratedExpenses(created);
+    _saveRules(updated);
+    return created.length;
+}
+
+/**
+ * IDs already in the sheet or queued. STATE holds the freshly read hot
+ * window; only when a rule has to catch up on older dates is the whole
+ * sheet read.
+ */
+async function _knownExpenseIds(rules, today) {
+    const cutoff    = prevMonthStart();
+    const reachBack = rules.some(r => dueOccurrences(r, today).some(d => d < cutoff));
+    if (!reachBack) return new Set(STATE.expenses.map(e => e.id));
+
+    const all = await withToken(token => SheetsService.loadExpenses(token, STATE.spreadsheetId));
+    return new Set([...withPendingWrites(all), ...STATE.expenses].map(e => e.id));
+}
+
+// ---------------------------------------------------------------------------
+// Modal
+// ---------------------------------------------------------------------------
+
+export function openRecurringModal() {
+    _renderModal();
+}
+
+/**
+ * Adds a rule or replaces the one with the same ID, then creates any
+ * occurrences already due (e.g. a rule backdated to the start of the month).
+ * @param {Object} rule - without `id` / `lastDate` for a new rule
+ * @returns {Promise<void>}
+ */
+export async function saveRule(rule) {
+    const existing = STATE.recurringRules.find(r => r.id === rule.id);
+    const saved    = existing
+        ? { ...existing, ...rule }
+        : { ...rule, id: uuid(), lastDate: '' };
+
+    _saveRules(existing
+        ? STATE.recurringRules.map(r => r.id === saved.id ? saved : r)
+        : [...STATE.recurringRules, saved]);
+    _renderModal();
+
+    await _materialize();
+    await flushAfterWrite('toast.recurring_saved');
+}
+
+/**
+ * Removes a rule. Expenses it already created are kept.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteRule(id) {
+    _saveRules(STATE.recurringRules.filter(r => r.id !== id));
+    _renderModal();
+    await flushAfterWrite('toast.recurring_deleted');
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+function _renderModal() {
+    renderRecurringModal({
+        open:         true,
+        rules:        STATE.recurringRules,
+        baseCurrency: STATE.ledger.baseCurrency,
+        onSave:       saveRule,
+        onDelete:     deleteRule,
+        onClose:      () => renderRecurringModal({ open: false }),
+    });
+}
+
+function _setRules(rules) {
+    STATE.recurringRules = rules;
+    Storage.saveRecurringRules(STATE.spreadsheetId, rules);
+}
+
+/** Applies rules locally and queues the rewrite of the "recurring" tab. */
+function _saveRules(rules) {
+    _setRules(rules);
+    Outbox.enqueueTab(STATE.spreadsheetId, CONFIG.TABS.RECURRING, RULES_HEADER, rulesToRows(rules));
+}
\ No newline at end of file
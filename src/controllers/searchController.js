@@ -0,0 +1,147 @@
+import { STATE, EMPTY_SEARCH } from '../state.js';
+import { prevMonthStart } from '../utils/helpers.js';
+import { entryType } from '../utils/cashflow.utils.js';
+import { searchEntries, searchTerms } from '../utils/search.utils.js';
+import { findCategory, findSubcategory } from './categoryController.js';
+import { loadAllExpenses, openEditModal } from './expenseController.js';
+
+/**
+ * Full-text search of the main screen, over the whole history:
+ *   searchExpenses     → matches among the loaded entries, then older years
+ *   searchEarlier      → carries the search one year further back
+ *   closeSearch        → back to the period view
+ *   openSearchResult   → edits a match, loaded or not
+ *   applySearchChanges → keeps the results in step with edits and deletes
+ *
+ * The history before the loaded entries is read once, on the first search
+ * that needs it, and kept until the search is closed, so refining the query
+ * doesn't read it again. It is searched one year at a time, newest first,
+ * until a page of matches is found or no older entries are left.
+ */
+
+/** Matches wanted before the search stops reading older years by itself. */
+const PAGE_SIZE = 30;
+
+/** @type {Array|null} entries older than the hot window, once read */
+let _older = null;
+
+/** @type {Promise<void>|null} the read of the older history, shared by all years */
+let _reading = null;
+
+/** Bumped by every new query so a slow read can't overwrite newer results. */
+let _run = 0;
+
+/**
+ * @param {string} query
+ * @returns {Promise<void>}
+ */
+export async function searchExpenses(query) {
+    const run = ++_run;
+    if (!searchTerms(query).length) {
+        STATE.search = { ...STATE.search, query, results: [], loading: false };
+        return;
+    }
+    STATE.search = { ...STATE.search, query, results: _matches(query) };
+    while (run === _run && !STATE.search.reachedEnd && STATE.search.results.length < PAGE_SIZE) {
+        if (!await _readYear(run)) return;
+    }
+}
+
+/**
+ * Searches the year before the oldest one searched so far.
+ * @returns {Promise<void>}
+ */
+export async function searchEarlier() {
+    await _readYear(_run);
+}
+
+export function closeSearch() {
+    _run++;
+    _older   = null;
+    _reading = null;
+    STATE.search = EMPTY_SEARCH;
+}
+
+/** @param {string} id */
+export function openSearchResult(id) {
+    openEditModal(id, STATE.search.results.find(e => e.id === id));
+}
+
+/**
+ * Applies an edit or delete to the history read by the search and refreshes
+ * its results. Entries in the hot window are picked up from STATE.
+ * @param {{ put?: Array, remove?: string[] }} changes
+ */
+export function applySearchChanges({ put = [], remove = [] }) {
+    if (!STATE.search.query) return;
+    if (_older) {
+        const cutoff  = prevMonthStart();
+        const changed = new Set([...remove, ...put.map(e => e.id)]);
+        _older = [..._older.filter(e => !changed.has(e.id)), ...put.filter(e => e.date < cutoff)];
+    }
+    STATE.search = { ...STATE.search, results: _matches(STATE.search.query) };
+}
+
+// ─── Private ──────────────────────────────────────────
+
+/** Matches among the loaded entries and the older ones back to `searchedTo`. */
+function _matches(query, searchedTo = STATE.search.searchedTo) {
+    const older = searchedTo === null || !_older ? [] : _older.filter(e => e.date >= `${searchedTo}-01-01`);
+    return searchEntries([...older, ...STATE.expenses], query, _categoryLabel);
+}
+
+/** Category and subcategory names, so a search for either finds the entry. */
+function _categoryLabel(entry) {
+    const cat = findCategory(entry.category, entryType(entry));
+    const sub = findSubcategory(cat.id, entry.subcategory);
+    return sub ? `${cat.label} ${sub.label}` : cat.label;
+}
+
+/**
+ * The history before the hot window, read on first use. A failed read is
+ * forgotten so the next search tries again.
+ * @returns {Promise<void>}
+ */
+function _readOlder() {
+    if (_reading) return _reading;
+    const reading = loadAllExpenses()
+        .then(({ expenses }) => {
+            if (_reading === reading) _older = expenses.filter(e => e.date < prevMonthStart());
+        })
+        .catch(err => {
+            if (_reading === reading) _reading = null;
+            throw err;
+        });
+    _reading = reading;
+    return reading;
+}
+
+/**
+ * Adds the next older year to the search. The first one is the year the
+ * hot window starts in, for its months before the window.
+ * @returns {Promise<boolean>} false when the read failed or a newer query took over
+ */
+async function _readYear(run) {
+    const year = STATE.search.searchedTo === null
+        ? Number(prevMonthStart().slice(0, 4))
+        : STATE.search.searchedTo - 1;
+
+    STATE.search = { ...STATE.search, loading: true };
+    try {
+        await _readOlder();
+    } catch (err) {
+        console.warn('[SpenGo] Search could not read the older history:', err);
+        if (run === _run) STATE.search = { ...STATE.search, loading: false };
+        return false;
+    }
+    if (run !== _run) return false;
+
+    STATE.search = {
+        ...STATE.search,
+        results:    _matches(STATE.search.query, year),
+        searchedTo: year,
+        loading:    false,
+        reachedEnd: !_older.some(e => e.date < `${year}-01-01`),
+    };
+    return true;
+}
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { STATE } from '../state.js';
+import { getI18nValue } from '../i18n/localization.js';
+import { todayStr, showToast } from '../utils/helpers.js';
+import { recategorize, shiftDates, selectionRange } from '../utils/bulk.utils.js';
+import { categoriesFor } from './categoryController.js';
+import { updateExpenses, deleteExpenses } from './expenseController.js';
+import { filterSource } from './filterController.js';
+import { exportEntries } from './exportController.js';
+import { renderBulkModal } from '../ui/renderer.jsx';
+
+/**
+ * Selection mode of the expense list and the bulk actions on it:
+ *   toggleSelected → adds or removes an entry; the first one starts selection mode
+ *   selectAll      → selects the given entries (those on screen)
+ *   clearSelection → leaves selection mode
+ *   openBulkModal  → new category, date shift or export of the selection
+ *   deleteSelected → deletes the selection, with undo
+ *
+ * Edits and deletes reach the sheet as a single request however many
+ * entries are selected.
+ */
+
+/** @param {string} id */
+export function toggleSelected(id) {
+    STATE.selection = STATE.selection.includes(id)
+        ? STATE.selection.filter(s => s !== id)
+        : [...STATE.selection, id];
+}
+
+/** @param {string[]} ids */
+export function selectAll(ids) {
+    STATE.selection = ids;
+}
+
+export function clearSelection() {
+    if (STATE.selection.length) STATE.selection = [];
+}
+
+/** @param {'category'|'date'|'export'} action */
+export function openBulkModal(action) {
+    renderBulkModal({
+        open:       true,
+        action,
+        count:      STATE.selection.length,
+        categories: categoriesFor(STATE.currentEntryType),
+        onApply:    value => _apply(action, value),
+        onClose:    () => renderBulkModal({ open: false }),
+    });
+}
+
+/** @returns {Promise<void>} */
+export async function deleteSelected() {
+    const selected = _selected();
+    clearSelection();
+    await deleteExpenses(selected);
+}
+
+// ─── Private ──────────────────────────────────────────
+
+/** Entries of the selection, loaded in the hot window or for the filter. */
+function _selected() {
+    const ids = new Set(STATE.selection);
+    return filterSource().filter(e => ids.has(e.id));
+}
+
+/**
+ * @param {'category'|'date'|'export'} action
+ * @param {string|number} value - category ID, days to shift by, or file format
+ */
+async function _apply(action, value) {
+    const selected = _selected();
+    renderBulkModal({ open: false });
+    clearSelection();
+
+    if (action === 'export') {
+        exportEntries(selected, value, selectionRange(selected));
+        return;
+    }
+    const changed = action === 'category'
+        ? recategorize(selected, value, STATE.currentEntryType)
+        : shiftDates(selected, value, todayStr());
+    if (!changed.length) {
+        showToast(getI18nValue('bulk.unchanged'));
+        return;
+    }
+    await updateExpenses(selected, changed);
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { STATE } from '../state.js';
+import { CONFIG } from '../constants/config.js';
+import * as SheetsService from '../services/sheetsService.js';
+import * as Outbox from '../services/outboxService.js';
+import * as Storage from '../services/storageService.js';
+import { withToken } from '../services/authService.js';
+import { getI18nValue } from '../i18n/localization.js';
+import { uuid, todayStr } from '../utils/helpers.js';
+import { inBaseCurrency } from '../utils/currency.utils.js';
+import {
+    ledgerMembers,
+    memberLetter,
+    normaliseEmail,
+    parseSettlements,
+    settlementsToRows,
+    SETTLEMENTS_HEADER,
+} from '../utils/split.utils.js';
+import { loadAllExpenses, flushAfterWrite } from './expenseController.js';
+import { renderBalancesModal } from '../ui/renderer.jsx';
+
+/**
+ * Members of spreadsheets used by several people:
+ *   ledgerMemberList  → members for the paid-by / split fields and authors
+ *   openBalancesModal → who owes whom over the whole history, and the
+ *                       transfers that settle it
+ *   recordSettlement  → a settle-up payment, queued to the "settlements" tab
+ */
+
+/**
+ * What the open balances modal shows: the full history and the recorded
+ * payments, as read when it was opened.
+ * @type {{ expenses: Array, complete: boolean, settlements: Array }}
+ */
+let _history = { expenses: [], complete: true, settlements: [] };
+
+/**
+ * Members of the active ledger with display names. The signed-in user is
+ * first and called "You"; others use their Drive display name when known.
+ * Only the signed-in user's avatar picture is known; others get an initial.
+ * @returns {Array<{ email: string, name: string, letter: string, picture: string|null }>}
+ */
+export function ledgerMemberList() {
+    const sharedUsers = Storage.getSharedUsers();
+    const myEmail     = normaliseEmail(STATE.userProfile?.email);
+    const names       = new Map(sharedUsers.map(u => [normaliseEmail(u.email), u.displayName]));
+
+    return ledgerMembers({
+        myEmail,
+        ownerEmail: Storage.getSheetOwnerEmail(),
+        sharedUsers,
+        entries:    STATE.expenses,
+    }).map(email => {
+        const isMe = email === myEmail;
+        const name = names.get(email) || email.split('@')[0];
+        return {
+            email,
+            name:    isMe ? getI18nValue('split.you') : name,
+            letter:  (isMe && STATE.userProfile.letter) || memberLetter(name),
+            picture: isMe ? STATE.userProfile.picture || null : null,
+        };
+    });
+}
+
+/**
+ * Opens the balances at once and fills them in when the whole history and
+ * the recorded payments have been read.
+ * @returns {Promise<void>}
+ */
+export async function openBalancesModal() {
+    _history = { expenses: STATE.expenses, complete: true, settlements: [] };
+    _renderBalances({ loading: true });
+
+    const [{ expenses, complete }, settlements] = await Promise.all([loadAllExpenses(), _loadSettlements()]);
+    _history = { expenses, complete, settlements };
+    _renderBalances();
+}
+
+/**
+ * Records that one member paid another back, in the base currency. The
+ * tab is read again first so a payment another member just recorded is
+ * kept in the rewrite.
+ * @param {{ from: string, to: string, amount: number }} transfer
+ * @returns {Promise<void>}
+ */
+export async function recordSettlement({ from, to, amount }) {
+    const spreadsheetId = STATE.spreadsheetId;
+    const settlement    = { id: uuid(), date: todayStr(), from, to, amount, currency: STATE.ledger.baseCurrency || '' };
+    const settlements   = [...await _loadSettlements(), settlement];
+
+    Storage.saveSettlements(spreadsheetId, settlements);
+    Outbox.enqueueTab(spreadsheetId, CONFIG.TABS.SETTLEMENTS, SETTLEMENTS_HEADER, settlementsToRows(settlements));
+    _history = { ..._history, settlements };
+    _renderBalances();
+    await flushAfterWrite('toast.settled');
+}
+
+// ─── Private ──────────────────────────────────────────
+
+/**
+ * Payments recorded in the active spreadsheet; a tab rewrite still waiting
+ * in the outbox wins over what the sheet holds.
+ * @returns {Promise<Array<import('../utils/split.utils.js').Settlement>>}
+ */
+async function _loadSettlements() {
+    const spreadsheetId = STATE.spreadsheetId;
+    try {
+        const rows        = Outbox.pendingTab(spreadsheetId, CONFIG.TABS.SETTLEMENTS)
+            ?? await withToken(token => SheetsService.loadSettlementRows(token, spreadsheetId));
+        const settlements = parseSettlements(rows);
+        Storage.saveSettlements(spreadsheetId, settlements);
+        return settlements;
+    } catch (err) {
+        console.warn('[SpenGo] Failed to load settlements:', err);
+        return Storage.getSettlements(spreadsheetId) ?? [];
+    }
+}
+
+function _renderBalances({ loading = false } = {}) {
+    renderBalancesModal({
+        open:        true,
+        loading,
+        entries:     inBaseCurrency(_history.expenses, STATE.ledger).expenses,
+        settlements: inBaseCurrency(_history.settlements, STATE.ledger).expenses,
+        complete:    _history.complete,
+        members:     ledgerMemberList(),
+        currency:    STATE.ledger.baseCurrency,
+        onSettle:    recordSettlement,
+        onClose:     () => renderBalancesModal({ open: false }),
+    });
+}
\ No newline at end of file
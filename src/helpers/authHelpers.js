@@ -33,6 +33,30 @@ export function waitForGoogleSdk({ intervalMs = 100, timeoutMs = 10000 } = {}) {
     });
 }
 
+/**
+ * Script URLs of the two Google SDK libraries, keyed by the global each one
+ * defines. Must match the <script> tags in index.html.
+ */
+const GOOGLE_SDK_SCRIPTS = {
+    google: 'https://accounts.google.com/gsi/client',
+    gapi:   'https://apis.google.com/js/api.js',
+};
+
+/**
+ * Re-requests whichever Google SDK library has not loaded yet.
+ * When the page starts offline the <script> tags in index.html fail once
+ * and the browser never retries them, so this is needed before init can run.
+ */
+export function reloadGoogleSdk() {
+    Object.entries(GOOGLE_SDK_SCRIPTS).forEach(([globalName, src]) => {
+        if (window[globalName]) return;
+        const script = document.createElement('script');
+        script.src   = src;
+        script.async = true;
+        document.head.appendChild(script);
+    });
+}
+
 /**
  * Builds the config object for `google.accounts.oauth2.initTokenClient()`.
  *
@@ -1,60 +1,175 @@
 import { CONFIG } from '../constants/config.js';
 import * as SheetsClient from '../api/client/sheetsClient.js';
-import { uuid, parseAmount } from '../utils/helpers.js';
+import { prevMonthStart } from '../utils/helpers.js';
 import { getNumericSheetId, saveNumericSheetId } from '../services/storageService.js';
+import { buildRowIndex, rowFromRange, withRowDeleted, withRowsDeleted, rowsStillMatch } from '../utils/rowIndex.utils.js';
+import { buildUpdateRowRequests, buildDeleteRowsRequests } from '../utils/sheetBatch.utils.js';
+import {
+    SCHEMA_VERSION,
+    headerRow,
+    expenseToRow,
+    rowsToExpenses,
+    resolveSchema,
+    detectVersion,
+    planMigration,
+    columnLetter,
+} from '../utils/sheetSchema.utils.js';
+
+// ---------------------------------------------------------------------------
+// Row index
+// ---------------------------------------------------------------------------
 
 /**
- * Builds an A1-notation range string.
- * @param {string} sheetName
- * @param {string} a1
- * @returns {string}  e.g. "spends!A2:E1000"
+ * ID → 1-based sheet row, one map per spreadsheet/tab. Rebuilt from every
+ * full read and kept in step with our own appends and deletes, so editing or
+ * deleting an expense reads back a few ID cells instead of scanning the
+ * whole ID column first.
+ *
+ * Only deletes shift rows. If another device deletes a row mid-session the
+ * index is stale until the next full read (app start, refresh, year load),
+ * so the ID cells of indexed rows are read back before each write; on a
+ * mismatch, or for more rows than MAX_VERIFIED_CELLS, the ID column is
+ * scanned again.
+ *
+ * @type {Map<string, Map<string, number>>}
  */
-export function range(sheetName, a1) {
-    return `${sheetName}!${a1}`;
-}
+const _rowIndexes = new Map();
 
 /**
- * Returns the header row written on spreadsheet creation.
- * @returns {string[][]}
+ * Bumped on every delete. A read that started before a delete carries the
+ * old row numbers and must not overwrite the already-shifted index.
  */
-export function headerRow() {
-    return [['ID', 'Date', 'Category', 'Amount', 'Comment']];
-}
+let _indexGeneration = 0;
 
 /**
- * Serializes an expense object into a Sheets row array.
- * @param {{ id, date, category, amount, comment }} expense
- * @returns {Array}
+ * Most indexed rows whose ID cells are read back one range each. Every cell
+ * is a query parameter of the batchGet URL, so larger batches read the
+ * whole ID column once instead, the same read that follows a mismatch.
  */
-export function expenseToRow(expense) {
-    return [expense.id, expense.date, expense.category, expense.amount, expense.comment];
+const MAX_VERIFIED_CELLS = 20;
+
+function _indexKey(spreadsheetId, sheetName) {
+    return `${spreadsheetId}/${sheetName}`;
 }
 
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/** Spreadsheet-level developer metadata key holding the schema version. */
+const SCHEMA_METADATA_KEY = 'spengoSchemaVersion';
+
+/**
+ * Resolved schema per spreadsheet/tab. Cached as a promise so concurrent
+ * first reads share one lookup.
+ * @type {Map<string, Promise<{ version: number, columns: Array<string|null> }>>}
+ */
+const _schemas = new Map();
+
 /**
- * Deserializes a single Sheets row into an expense object.
- * Returns null for rows with amount <= 0.
- * @param {Array} row
- * @returns {{ id, date, category, amount, comment } | null}
+ * Returns the column layout of the expenses tab, first migrating the
+ * spreadsheet to SCHEMA_VERSION if it is behind: the headers of missing
+ * columns are appended to row 1 and the new version is stored in developer
+ * metadata. Resolved once per session.
+ *
+ * If the migration can't be written (e.g. a guest with view-only access)
+ * the sheet is used as-is at the version it is at.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @param {string} sheetName
+ * @returns {Promise<{ version: number, columns: Array<string|null> }>}
  */
-export function rowToExpense(row) {
-    const amount = parseAmount(row[3]);
-    if (amount <= 0) return null;
+export function ensureSchema(accessToken, spreadsheetId, sheetName) {
+    const key = _indexKey(spreadsheetId, sheetName);
+    if (!_schemas.has(key)) {
+        const promise = _loadSchema(accessToken, spreadsheetId, sheetName);
+        // Let a later call retry if the lookup itself failed (e.g. offline).
+        promise.catch(() => _schemas.delete(key));
+        _schemas.set(key, promise);
+    }
+    return _schemas.get(key);
+}
+
+async function _loadSchema(accessToken, spreadsheetId, sheetName) {
+    const [meta, headerData] = await Promise.all([
+        SheetsClient.get(
+            accessToken,
+            `${CONFIG.SHEETS_BASE}/${spreadsheetId}?fields=developerMetadata(metadataId,metadataKey,metadataValue)`
+        ),
+        SheetsClient.get(
+            accessToken,
+            `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, '1:1'))}`
+        ),
+    ]);
+
+    const header  = headerData.values?.[0] || [];
+    const stored  = (meta.developerMetadata || []).find(m => m.metadataKey === SCHEMA_METADATA_KEY);
+    const version = Number(stored?.metadataValue) || detectVersion(header);
+    const schema  = resolveSchema(header, version);
+    const plan    = planMigration(schema);
+
+    if (!plan && stored) return schema;
+
+    try {
+        if (plan?.headers.length) {
+            const from = columnLetter(plan.startColumn);
+            const to   = columnLetter(plan.startColumn + plan.headers.length - 1);
+            await SheetsClient.put(
+                accessToken,
+                `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, `${from}1:${to}1`))}?valueInputOption=RAW`,
+                { values: [plan.headers] }
+            );
+        }
+        const migrated = plan?.schema ?? schema;
+        await _saveSchemaVersion(accessToken, spreadsheetId, stored, migrated.version);
+        return migrated;
+    } catch (err) {
+        console.warn('[SpenGo] Schema migration failed, using the sheet as-is:', err);
+        return schema;
+    }
+}
+
+function _saveSchemaVersion(accessToken, spreadsheetId, existing, version) {
+    const request = existing
+        ? {
+            updateDeveloperMetadata: {
+                dataFilters:       [{ developerMetadataLookup: { metadataId: existing.metadataId } }],
+                developerMetadata: { metadataValue: String(version) },
+                fields:            'metadataValue',
+            },
+        }
+        : { createDeveloperMetadata: { developerMetadata: _schemaMetadata(version) } };
+
+    return SheetsClient.post(
+        accessToken,
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}:batchUpdate`,
+        { requests: [request] }
+    );
+}
+
+function _schemaMetadata(version) {
     return {
-        id:       row[0] || uuid(),
-        date:     row[1] || '',
-        category: row[2] || 'other',
-        amount,
-        comment:  row[4] || '',
+        metadataKey:   SCHEMA_METADATA_KEY,
+        metadataValue: String(version),
+        location:      { spreadsheet: true },
+        visibility:    'DOCUMENT',
     };
 }
 
+/** A1 letter of the last column the schema knows about. */
+function _lastColumn(schema) {
+    return columnLetter(schema.columns.length - 1);
+}
+
 /**
- * Maps a 2D array of raw rows into valid expense objects, dropping invalid ones.
- * @param {Array<Array>} rows
- * @returns {Array}
+ * Builds an A1-notation range string.
+ * @param {string} sheetName
+ * @param {string} a1
+ * @returns {string}  e.g. "spends!A2:E"
  */
-export function rowsToExpenses(rows) {
-    return (rows || []).map(rowToExpense).filter(Boolean);
+export function range(sheetName, a1) {
+    return `${sheetName}!${a1}`;
 }
 
 /**
@@ -76,19 +191,6 @@ export function buildDeleteRowRequest(numericSheetId, zeroBasedIndex) {
     };
 }
 
-/**
- * Finds the 0-based sheet row index for an expense ID inside column-A values.
- * Returns -1 if not found. Adds +1 to account for the header row.
- * @param {Array<Array>} idColumn
- * @param {string}       expenseId
- * @returns {number}
- */
-export function findRowIndex(idColumn, expenseId) {
-    const offset = idColumn.findIndex(r => r[0] === expenseId);
-    if (offset === -1) return -1;
-    return offset + 1; // +1 because row 0 is the header in 0-based sheet coordinates
-}
-
 /**
  * Extracts the numeric sheet id from spreadsheet metadata.
  * @param {Object} metadata - Response from SheetsClient.get with ?fields=sheets.properties
@@ -114,40 +216,111 @@ export async function verifySpreadsheet(accessToken, spreadsheetId) {
 }
 
 /**
- * Creates a new spreadsheet and writes the header row.
+ * Creates a new spreadsheet, writes the header row for the current schema
+ * and stamps the schema version, so it never needs migrating on first use.
  * @param {string} accessToken
  * @param {{ title: string, sheetName: string }} options
  * @returns {Promise<string>} The new spreadsheet ID
  */
 export async function createSpreadsheet(accessToken, { title, sheetName }) {
     const data = await SheetsClient.post(accessToken, CONFIG.SHEETS_BASE, {
-        properties: { title },
-        sheets:     [{ properties: { title: sheetName } }],
+        properties:        { title },
+        sheets:            [{ properties: { title: sheetName } }],
+        developerMetadata: [_schemaMetadata(SCHEMA_VERSION)],
     });
 
+    const header = headerRow();
+    const last   = columnLetter(header[0].length - 1);
     await SheetsClient.put(
         accessToken,
-        `${CONFIG.SHEETS_BASE}/${data.spreadsheetId}/values/${encodeURIComponent(range(sheetName, 'A1:E1'))}?valueInputOption=RAW`,
-        { values: headerRow() }
+        `${CONFIG.SHEETS_BASE}/${data.spreadsheetId}/values/${encodeURIComponent(range(sheetName, `A1:${last}1`))}?valueInputOption=RAW`,
+        { values: header }
     );
 
     return data.spreadsheetId;
 }
 
 /**
- * Fetches all rows from the sheet with no row-count limit.
- * Open-ended range "A2:E" reads to the last populated row — no silent truncation.
+ * Fetches every expense in the sheet with no row-count limit.
+ * Open-ended range "A2:<last column>" reads to the last populated row — no
+ * silent truncation. Rows are mapped through the sheet's schema.
  * @param {string} accessToken
  * @param {string} spreadsheetId
  * @param {string} sheetName
- * @returns {Promise<Array<Array>>} raw 2-D array
+ * @returns {Promise<Array>}
  */
-async function _fetchAllRows(accessToken, spreadsheetId, sheetName) {
+async function _fetchAllExpenses(accessToken, spreadsheetId, sheetName) {
+    const schema     = await ensureSchema(accessToken, spreadsheetId, sheetName);
+    const generation = _indexGeneration;
     const data = await SheetsClient.get(
         accessToken,
-        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, 'A2:E'))}`
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, `A2:${_lastColumn(schema)}`))}`
     );
-    return data.values || [];
+    const rows  = data.values || [];
+    const idCol = schema.columns.indexOf('id');
+    if (generation === _indexGeneration) {
+        _rowIndexes.set(_indexKey(spreadsheetId, sheetName), buildRowIndex(rows.map(r => [r[idCol]])));
+    }
+    return rowsToExpenses(rows, schema);
+}
+
+/**
+ * Returns the 1-based sheet row holding the given expense ID, or -1.
+ * Served from the row index once its ID cell is confirmed; on a miss (no
+ * full read yet this session, the row was added from another device) or a
+ * mismatch (a row above it was deleted from another device) the index is
+ * rebuilt from the open-ended ID column (e.g. "A2:A") and looked up again.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @param {string} sheetName
+ * @param {string} expenseId
+ * @returns {Promise<number>}
+ */
+async function _locateRow(accessToken, spreadsheetId, sheetName, expenseId) {
+    const rows = await _locateRows(accessToken, spreadsheetId, sheetName, [expenseId]);
+    return rows.get(expenseId) ?? -1;
+}
+
+/**
+ * Sheet rows of many expense IDs at once, rebuilding the index at most once.
+ * IDs not found in the sheet are left out of the result. Beyond
+ * MAX_VERIFIED_CELLS IDs the ID column is scanned straight away.
+ *
+ * @param {string}   accessToken
+ * @param {string}   spreadsheetId
+ * @param {string}   sheetName
+ * @param {string[]} expenseIds
+ * @returns {Promise<Map<string, number>>}
+ */
+async function _locateRows(accessToken, spreadsheetId, sheetName, expenseIds) {
+    const key    = _indexKey(spreadsheetId, sheetName);
+    const cached = _rowIndexes.get(key);
+    const schema = await ensureSchema(accessToken, spreadsheetId, sheetName);
+    const idCol  = columnLetter(schema.columns.indexOf('id'));
+
+    if (cached && expenseIds.length <= MAX_VERIFIED_CELLS && expenseIds.every(id => cached.has(id))) {
+        const located = new Map(expenseIds.map(id => [id, cached.get(id)]));
+        const ranges  = [...located.values()]
+            .map(row => `ranges=${encodeURIComponent(range(sheetName, `${idCol}${row}`))}`)
+            .join('&');
+        const cells   = await SheetsClient.get(
+            accessToken,
+            `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values:batchGet?${ranges}`
+        );
+        if (rowsStillMatch(located, cells.valueRanges || [])) return located;
+        if (_rowIndexes.get(key) === cached) _rowIndexes.delete(key);
+    }
+
+    const generation = _indexGeneration;
+    const ids = await SheetsClient.get(
+        accessToken,
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, `${idCol}2:${idCol}`))}`
+    );
+    const index = buildRowIndex(ids.values || []);
+    if (generation === _indexGeneration) _rowIndexes.set(key, index);
+
+    return new Map(expenseIds.filter(id => index.has(id)).map(id => [id, index.get(id)]));
 }
 
 /**
@@ -159,9 +332,9 @@ async function _fetchAllRows(accessToken, spreadsheetId, sheetName) {
  * @returns {Promise<Array>}
  */
 export async function fetchRecentExpenses(accessToken, spreadsheetId, sheetName) {
-    const rows    = await _fetchAllRows(accessToken, spreadsheetId, sheetName);
-    const cutoff  = _prevMonthStart();
-    return rowsToExpenses(rows).filter(e => e.date >= cutoff);
+    const expenses = await _fetchAllExpenses(accessToken, spreadsheetId, sheetName);
+    const cutoff   = prevMonthStart();
+    return expenses.filter(e => e.date >= cutoff);
 }
 
 /**
@@ -174,50 +347,68 @@ export async function fetchRecentExpenses(accessToken, spreadsheetId, sheetName)
  * @returns {Promise<Array>}
  */
 export async function fetchExpensesByYear(accessToken, spreadsheetId, sheetName, year) {
-    const rows   = await _fetchAllRows(accessToken, spreadsheetId, sheetName);
-    const prefix = String(year);
-    return rowsToExpenses(rows).filter(e => e.date.startsWith(prefix));
+    const expenses = await _fetchAllExpenses(accessToken, spreadsheetId, sheetName);
+    const prefix   = String(year);
+    return expenses.filter(e => e.date.startsWith(prefix));
 }
 
 /**
  * @deprecated  Use fetchRecentExpenses for startup, fetchExpensesByYear for statistics.
  */
 export async function fetchExpenses(accessToken, spreadsheetId, sheetName) {
-    const rows = await _fetchAllRows(accessToken, spreadsheetId, sheetName);
-    return rowsToExpenses(rows);
+    return _fetchAllExpenses(accessToken, spreadsheetId, sheetName);
 }
 
 /**
- * Returns the ISO date string (YYYY-MM-DD) for the 1st of the previous month.
- * @returns {string}
+ * Appends a single expense row to the sheet and records its row in the index.
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @param {string} sheetName
+ * @param {Object} expense
+ * @returns {Promise<void>}
  */
-function _prevMonthStart() {
-    const d = new Date();
-    d.setDate(1);
-    d.setMonth(d.getMonth() - 1);
-    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`;
+export async function insertExpense(accessToken, spreadsheetId, sheetName, expense) {
+    await insertExpenses(accessToken, spreadsheetId, sheetName, [expense]);
 }
 
 /**
- * Appends a single expense row to the sheet.
+ * Appends expense rows in one request and records their rows in the index.
+ * The rows land contiguously, starting at the first row of the updated range.
+ *
+ * With `skipExisting`, expenses whose ID is already in the sheet are left
+ * out: generated IDs are deterministic, and another device may have
+ * appended the same recurring occurrence since this one last read the sheet.
+ *
  * @param {string} accessToken
  * @param {string} spreadsheetId
  * @param {string} sheetName
- * @param {Object} expense
+ * @param {Array<Object>} expenses
+ * @param {{ skipExisting?: boolean }} [options]
  * @returns {Promise<void>}
  */
-export async function insertExpense(accessToken, spreadsheetId, sheetName, expense) {
-    const targetRange = encodeURIComponent(range(sheetName, 'A:E'));
-    await SheetsClient.post(
+export async function insertExpenses(accessToken, spreadsheetId, sheetName, expenses, { skipExisting = false } = {}) {
+    const existing = skipExisting
+        ? await _locateRows(accessToken, spreadsheetId, sheetName, expenses.map(e => e.id))
+        : new Map();
+    const appended = expenses.filter(e => !existing.has(e.id));
+    if (!appended.length) return;
+
+    const schema      = await ensureSchema(accessToken, spreadsheetId, sheetName);
+    const targetRange = encodeURIComponent(range(sheetName, `A:${_lastColumn(schema)}`));
+    const data = await SheetsClient.post(
         accessToken,
         `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${targetRange}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
-        { values: [expenseToRow(expense)] }
+        { values: appended.map(e => expenseToRow(e, schema)) }
     );
+
+    const row   = rowFromRange(data.updates?.updatedRange);
+    const index = _rowIndexes.get(_indexKey(spreadsheetId, sheetName));
+    if (row !== -1 && index) appended.forEach((e, i) => index.set(e.id, row + i));
 }
 
 /**
  * Updates the row matching the given expense ID with new values.
- * Makes two API calls: one to locate the row, one to update it.
+ * Two small API calls when the row is already indexed: the ID check and the write.
  * @param {string} accessToken
  * @param {string} spreadsheetId
  * @param {string} sheetName
@@ -225,29 +416,24 @@ export async function insertExpense(accessToken, spreadsheetId, sheetName, expen
  * @returns {Promise<void>}
  */
 export async function updateExpenseRow(accessToken, spreadsheetId, sheetName, expense) {
-    const colA = await SheetsClient.get(
-        accessToken,
-        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, 'A2:A1000'))}`
-    );
-
-    const rowIndex = findRowIndex(colA.values || [], expense.id);
-    if (rowIndex === -1) throw new Error('Row not found in spreadsheet');
+    const schema   = await ensureSchema(accessToken, spreadsheetId, sheetName);
+    const sheetRow = await _locateRow(accessToken, spreadsheetId, sheetName, expense.id);
+    if (sheetRow === -1) throw new Error('Row not found in spreadsheet');
 
-    // findRowIndex returns offset+1 (0-based sheet coords, header=0).
-    // In 1-based A1 notation: header=row1, first data=row2, so sheetRow = rowIndex + 1
-    const sheetRow    = rowIndex + 1;
-    const targetRange = encodeURIComponent(range(sheetName, `A${sheetRow}:E${sheetRow}`));
+    const last        = _lastColumn(schema);
+    const targetRange = encodeURIComponent(range(sheetName, `A${sheetRow}:${last}${sheetRow}`));
 
     await SheetsClient.put(
         accessToken,
         `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${targetRange}?valueInputOption=RAW`,
-        { values: [expenseToRow(expense)] }
+        { values: [expenseToRow(expense, schema)] }
     );
 }
 
 /**
- * Deletes the row matching the given expense ID.
- * Makes two API calls: one to locate the row, one to delete it.
+ * Deletes the row matching the given expense ID and shifts the row index.
+ * Two small API calls when the row is indexed and the numeric sheet id
+ * cached: the ID check and the delete.
  * @param {string} accessToken
  * @param {string} spreadsheetId
  * @param {string} sheetName
@@ -255,33 +441,165 @@ export async function updateExpenseRow(accessToken, spreadsheetId, sheetName, ex
  * @returns {Promise<void>}
  */
 export async function removeExpenseRow(accessToken, spreadsheetId, sheetName, expenseId) {
-    const cachedNumericId = getNumericSheetId();
-
-    const [colA, meta] = await Promise.all([
-        SheetsClient.get(
-            accessToken,
-            `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(sheetName, 'A2:A1000'))}`
-        ),
-        cachedNumericId !== null
-            ? Promise.resolve(null)
-            : SheetsClient.get(
-                accessToken,
-                `${CONFIG.SHEETS_BASE}/${spreadsheetId}?fields=sheets.properties`
-            ),
+    const [sheetRow, numericSheetId] = await Promise.all([
+        _locateRow(accessToken, spreadsheetId, sheetName, expenseId),
+        _numericSheetId(accessToken, spreadsheetId),
     ]);
 
-    const rowIndex = findRowIndex(colA.values || [], expenseId);
-    if (rowIndex === -1) return;
+    if (sheetRow === -1) return;
 
-    const numericSheetId = cachedNumericId ?? extractNumericSheetId(meta);
+    await SheetsClient.post(
+        accessToken,
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}:batchUpdate`,
+        // deleteDimension takes 0-based indexes: sheet row N is index N - 1.
+        { requests: [buildDeleteRowRequest(numericSheetId, sheetRow - 1)] }
+    );
 
-    // Persist for future deletes
-    if (cachedNumericId === null) saveNumericSheetId(numericSheetId);
+    const key   = _indexKey(spreadsheetId, sheetName);
+    const index = _rowIndexes.get(key);
+    _indexGeneration++;
+    if (index) _rowIndexes.set(key, withRowDeleted(index, sheetRow));
+}
+
+/**
+ * Rewrites and deletes many expense rows in a single batchUpdate request:
+ * the rewrites first, then the deletes bottom-up, so no row moves before it
+ * is written. Expenses no longer in the sheet are skipped.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @param {string} sheetName
+ * @param {{ updates?: Array<Object>, removes?: string[] }} batch - full updated expenses, IDs to delete
+ * @returns {Promise<void>}
+ */
+export async function applyExpenseBatch(accessToken, spreadsheetId, sheetName, { updates = [], removes = [] }) {
+    const [schema, rows, numericSheetId] = await Promise.all([
+        ensureSchema(accessToken, spreadsheetId, sheetName),
+        _locateRows(accessToken, spreadsheetId, sheetName, [...updates.map(e => e.id), ...removes]),
+        _numericSheetId(accessToken, spreadsheetId),
+    ]);
+
+    const written  = updates.filter(e => rows.has(e.id) && !removes.includes(e.id));
+    const deleted  = removes.filter(id => rows.has(id)).map(id => rows.get(id));
+    const requests = [
+        ...written.flatMap(e => buildUpdateRowRequests(numericSheetId, rows.get(e.id), expenseToRow(e, schema))),
+        ...buildDeleteRowsRequests(numericSheetId, deleted),
+    ];
+    if (!requests.length) return;
 
     await SheetsClient.post(
         accessToken,
         `${CONFIG.SHEETS_BASE}/${spreadsheetId}:batchUpdate`,
-        { requests: [buildDeleteRowRequest(numericSheetId, rowIndex)] }
+        { requests }
+    );
+
+    if (!deleted.length) return;
+    const key   = _indexKey(spreadsheetId, sheetName);
+    const index = _rowIndexes.get(key);
+    _indexGeneration++;
+    if (index) _rowIndexes.set(key, withRowsDeleted(index, deleted));
+}
+
+/**
+ * Numeric id of the expenses tab, which row deletes address it by. Read
+ * from the spreadsheet once, then cached for future deletes.
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<number>}
+ */
+async function _numericSheetId(accessToken, spreadsheetId) {
+    const cached = getNumericSheetId();
+    if (cached !== null) return cached;
+
+    const meta = await SheetsClient.get(accessToken, `${CONFIG.SHEETS_BASE}/${spreadsheetId}?fields=sheets.properties`);
+    const id   = extractNumericSheetId(meta);
+    saveNumericSheetId(id);
+    return id;
+}
+
+// ---------------------------------------------------------------------------
+// Auxiliary tabs
+// ---------------------------------------------------------------------------
+
+/**
+ * Tab title → numeric sheet id per spreadsheet. Cached as a promise so the
+ * tab list is fetched once per session; writeTab adds the tabs it creates.
+ * @type {Map<string, Promise<Map<string, number>>>}
+ */
+const _tabs = new Map();
+
+function _listTabs(accessToken, spreadsheetId) {
+    if (!_tabs.has(spreadsheetId)) {
+        const promise = SheetsClient.get(
+            accessToken,
+            `${CONFIG.SHEETS_BASE}/${spreadsheetId}?fields=sheets.properties(sheetId,title)`
+        ).then(meta => new Map((meta.sheets || []).map(s => [s.properties.title, s.properties.sheetId])));
+        promise.catch(() => _tabs.delete(spreadsheetId));
+        _tabs.set(spreadsheetId, promise);
+    }
+    return _tabs.get(spreadsheetId);
+}
+
+/**
+ * Reads small key/value-style tabs (settings, rates, rules…) in one request.
+ * A tab that doesn't exist yet reads as no rows, so features work on
+ * spreadsheets created before the tab was introduced.
+ *
+ * @param {string}   accessToken
+ * @param {string}   spreadsheetId
+ * @param {string[]} titles
+ * @returns {Promise<Object<string, Array<Array>>>} rows per title, header row excluded
+ */
+export async function readTabs(accessToken, spreadsheetId, titles) {
+    const existing = await _listTabs(accessToken, spreadsheetId);
+    const present  = titles.filter(t => existing.has(t));
+    const result   = Object.fromEntries(titles.map(t => [t, []]));
+    if (!present.length) return result;
+
+    const ranges = present.map(t => `ranges=${encodeURIComponent(t)}`).join('&');
+    const data   = await SheetsClient.get(
+        accessToken,
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values:batchGet?${ranges}`
+    );
+    (data.valueRanges || []).forEach((vr, i) => {
+        result[present[i]] = (vr.values || []).slice(1);
+    });
+    return result;
+}
+
+/**
+ * Replaces the whole content of a tab with a header and rows, creating the
+ * tab first if needed. These tabs are small and always written in full, so
+ * the last write wins and replaying it twice is harmless.
+ *
+ * @param {string}       accessToken
+ * @param {string}       spreadsheetId
+ * @param {string}       title
+ * @param {string[]}     header
+ * @param {Array<Array>} rows
+ * @returns {Promise<void>}
+ */
+export async function writeTab(accessToken, spreadsheetId, title, header, rows) {
+    const existing = await _listTabs(accessToken, spreadsheetId);
+    if (!existing.has(title)) {
+        const data = await SheetsClient.post(
+            accessToken,
+            `${CONFIG.SHEETS_BASE}/${spreadsheetId}:batchUpdate`,
+            { requests: [{ addSheet: { properties: { title } } }] }
+        );
+        existing.set(title, data.replies?.[0]?.addSheet?.properties?.sheetId);
+    }
+
+    const tabRange = encodeURIComponent(title);
+    await SheetsClient.post(
+        accessToken,
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${tabRange}:clear`,
+        {}
+    );
+    await SheetsClient.put(
+        accessToken,
+        `${CONFIG.SHEETS_BASE}/${spreadsheetId}/values/${encodeURIComponent(range(title, 'A1'))}?valueInputOption=RAW`,
+        { values: [header, ...rows] }
     );
 }
 
@@ -0,0 +1,56 @@
+import { useRef } from 'react';
+
+/** Hold time (ms) that counts as a long press. */
+const HOLD_MS = 500;
+
+/** Finger travel (px) after which the press is a scroll instead. */
+const MOVE_TOLERANCE = 10;
+
+/**
+ * Pointer handlers that call `onLongPress` once the element is held down,
+ * and `onTap` for an ordinary tap. The click that ends a long press is
+ * swallowed, and moving the finger (scrolling the list) cancels the press.
+ *
+ * @param {() => void} onLongPress
+ * @param {() => void} [onTap]
+ * @returns {Object} props to spread on the element
+ */
+export function useLongPress(onLongPress, onTap) {
+    const timer = useRef(null);
+    const start = useRef(null);
+    const fired = useRef(false);
+
+    function cancel() {
+        clearTimeout(timer.current);
+        start.current = null;
+    }
+
+    return {
+        onPointerDown(e) {
+            fired.current = false;
+            start.current = { x: e.clientX, y: e.clientY };
+            timer.current = setTimeout(() => {
+                fired.current = true;
+                onLongPress();
+            }, HOLD_MS);
+        },
+        onPointerMove(e) {
+            if (!start.current) return;
+            if (Math.hypot(e.clientX - start.current.x, e.clientY - start.current.y) > MOVE_TOLERANCE) cancel();
+        },
+        onPointerUp:     cancel,
+        onPointerLeave:  cancel,
+        onPointerCancel: cancel,
+        // Mobile browsers open a context menu on a long press.
+        onContextMenu(e) {
+            if (fired.current) e.preventDefault();
+        },
+        onClick() {
+            if (fired.current) {
+                fired.current = false;
+                return;
+            }
+            onTap?.();
+        },
+    };
+}
\ No newline at end of file
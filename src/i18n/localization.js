@@ -1,5 +1,5 @@
 import { STORAGE } from '../constants/storage.js';
-import { CATEGORIES } from '../constants/categories.js';
+import { CATEGORIES, INCOME_CATEGORIES } from '../constants/categories.js';
 
 let TRANSLATIONS = {};
 export let LANG = localStorage.getItem(STORAGE.LANG) || 'en';
@@ -49,8 +49,13 @@ export function updateCategoryLabels() {
         eating:         'cat.eating_out',
         subscriptions:  'cat.subscriptions',
         other:          'cat.other',
+        salary:         'cat.salary',
+        side:           'cat.side',
+        gifts:          'cat.gifts',
+        investments:    'cat.investments',
+        other_income:   'cat.other_income',
     };
-    CATEGORIES.forEach(cat => {
+    [...CATEGORIES, ...INCOME_CATEGORIES].forEach(cat => {
         if (map[cat.id]) cat.label = getI18nValue(map[cat.id]);
     });
 }
\ No newline at end of file
@@ -80,10 +80,11 @@ let _callbacks = {
  * | 'restore'        | sheetId present but token is missing/expired — silent refresh needed, cached expenses available to show immediately |
  * | 'silent'         | sheetId present, no token, no cached expenses — silent refresh needed but nothing to show yet |
  *
+ * @param {Array} [expenses] - Expenses already restored from the local cache
  * @returns {SessionSnapshot}
  */
-export function resolveSessionType() {
-    const { accessToken, sheetId, expenses, tokenExpired } = Storage.getStoredSession();
+export function resolveSessionType(expenses = []) {
+    const { accessToken, sheetId, tokenExpired } = Storage.getStoredSession();
 
     if (!sheetId) {
         return { type: 'unauthenticated', accessToken: null, sheetId: null, expenses: [] };
@@ -0,0 +1,218 @@
+import { STORAGE, INDEXED_DB } from '../constants/storage.js';
+
+/**
+ * Local expense cache backed by IndexedDB.
+ *
+ * One record per expense, keyed by `id` and indexed by `date` and `category`,
+ * so edits touch a single record instead of re-serialising the whole list and
+ * the cache can hold years of history, not just the hot window.
+ *
+ * Every record carries a private `_seq` number that preserves the order rows
+ * were read from / written to the sheet. `sortExpenses` relies on list order
+ * to rank same-day expenses, and IndexedDB would otherwise return them by id.
+ *
+ * All functions degrade to no-ops / empty results when IndexedDB is not
+ * available (e.g. some private-browsing modes) — the sheet stays the source
+ * of truth, the cache is only an accelerator.
+ */
+
+/** @type {Promise<IDBDatabase>|null} */
+let _dbPromise = null;
+
+// ---------------------------------------------------------------------------
+// Read
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns cached expenses dated on or after `fromDate`, in sheet order.
+ * @param {string} fromDate - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+export function getSince(fromDate) {
+    return _readByDate(() => IDBKeyRange.lowerBound(fromDate));
+}
+
+/**
+ * Returns cached expenses dated within [fromDate, toDate], in sheet order.
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate   - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+export function getRange(fromDate, toDate) {
+    return _readByDate(() => IDBKeyRange.bound(fromDate, toDate));
+}
+
+// ---------------------------------------------------------------------------
+// Write
+// ---------------------------------------------------------------------------
+
+/**
+ * Inserts or overwrites the given expenses. An overwritten record keeps its
+ * position, so editing an expense does not reorder it among same-day ones.
+ * @param {Array<{ id: string }>} expenses
+ * @returns {Promise<void>}
+ */
+export async function put(expenses) {
+    if (!expenses.length) return;
+    await _write(store => {
+        const seq = _nextSeq();
+        expenses.forEach((e, i) => {
+            const req = store.get(e.id);
+            req.onsuccess = () => store.put({ ...e, _seq: req.result?._seq ?? seq + i });
+        });
+    });
+}
+
+/**
+ * Deletes the expenses with the given IDs.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function remove(ids) {
+    if (!ids.length) return;
+    await _write(store => ids.forEach(id => store.delete(id)));
+}
+
+/**
+ * Makes the cache mirror a fresh sheet read for a date window: every cached
+ * record inside [fromDate, toDate] is dropped and replaced by `expenses`.
+ * Records outside the window are left untouched.
+ *
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate   - YYYY-MM-DD, or null for an open-ended window
+ * @param {Array}  expenses - Everything the sheet holds for that window
+ * @returns {Promise<void>}
+ */
+export async function replaceRange(fromDate, toDate, expenses) {
+    await _write(store => {
+        const range = toDate ? IDBKeyRange.bound(fromDate, toDate) : IDBKeyRange.lowerBound(fromDate);
+        const cursorReq = store.index('date').openKeyCursor(range);
+        cursorReq.onsuccess = () => {
+            const cursor = cursorReq.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+                return;
+            }
+            // Deletes are queued first, so the puts below win for IDs
+            // that are both inside the window and in the fresh read.
+            const seq = _nextSeq();
+            expenses.forEach((e, i) => store.put({ ...e, _seq: seq + i }));
+        };
+    });
+}
+
+/**
+ * Removes every cached expense. Call on sign-out.
+ * @returns {Promise<void>}
+ */
+export async function clear() {
+    await _write(store => store.clear());
+}
+
+/**
+ * One-off migration from the legacy `spengo_expenses` localStorage blob.
+ * Copies its contents into IndexedDB and removes the key, so the quota it
+ * occupied is released. No-ops once the key is gone.
+ *
+ * @returns {Promise<void>}
+ */
+export async function migrateLegacyCache() {
+    const raw = localStorage.getItem(STORAGE.EXPENSES);
+    if (raw === null) return;
+
+    let legacy = [];
+    try {
+        legacy = JSON.parse(raw) || [];
+    } catch {}
+
+    try {
+        await _write(store => {
+            const seq = _nextSeq();
+            legacy.forEach((e, i) => { if (e?.id) store.put({ ...e, _seq: seq + i }); });
+        }, { rethrow: true });
+        localStorage.removeItem(STORAGE.EXPENSES);
+    } catch (err) {
+        // Keep the blob so the next start can retry.
+        console.warn('[SpenGo] Legacy expense cache migration failed:', err);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+function _open() {
+    if (_dbPromise) return _dbPromise;
+
+    _dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const req = indexedDB.open(INDEXED_DB.NAME, INDEXED_DB.VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(INDEXED_DB.EXPENSES)) {
+                const store = db.createObjectStore(INDEXED_DB.EXPENSES, { keyPath: 'id' });
+                store.createIndex('date',     'date');
+                store.createIndex('category', 'category');
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+    });
+
+    // Let a later call retry if opening failed (e.g. blocked upgrade).
+    _dbPromise.catch(() => { _dbPromise = null; });
+    return _dbPromise;
+}
+
+/**
+ * Runs `fn` inside a readwrite transaction and resolves once it commits.
+ * Failures are logged and swallowed unless `rethrow` is set.
+ */
+async function _write(fn, { rethrow = false } = {}) {
+    try {
+        const db = await _open();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(INDEXED_DB.EXPENSES, 'readwrite');
+            fn(tx.objectStore(INDEXED_DB.EXPENSES));
+            tx.oncomplete = () => resolve();
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error);
+        });
+    } catch (err) {
+        if (rethrow) throw err;
+        console.warn('[SpenGo] Expense cache write failed:', err);
+    }
+}
+
+async function _readByDate(makeRange) {
+    try {
+        const db    = await _open();
+        const range = makeRange();
+        const records = await new Promise((resolve, reject) => {
+            const req = db.transaction(INDEXED_DB.EXPENSES, 'readonly')
+                .objectStore(INDEXED_DB.EXPENSES)
+                .index('date')
+                .getAll(range);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror   = () => reject(req.error);
+        });
+        return records
+            .sort((a, b) => (a._seq ?? 0) - (b._seq ?? 0))
+            .map(({ _seq, ...expense }) => expense);
+    } catch (err) {
+        console.warn('[SpenGo] Expense cache read failed:', err);
+        return [];
+    }
+}
+
+/**
+ * Sequence base for a batch of writes. Millisecond clock × 1000 leaves room
+ * for 1000 rows per millisecond while staying well inside Number precision.
+ */
+function _nextSeq() {
+    return Date.now() * 1000;
+}
\ No newline at end of file
@@ -0,0 +1,278 @@
+import * as Storage from './storageService.js';
+import * as SheetsService from './sheetsService.js';
+import { uuid, isNetworkError, isAuthError } from '../utils/helpers.js';
+import { appendOp, applyOps, nextDue, dropHeld, isHeld, insertBatches } from '../utils/outbox.utils.js';
+
+/**
+ * Persistent queue of sheet writes.
+ *
+ * Every add / edit / delete is recorded here first and replayed against the
+ * sheet in queue order once a token and connectivity are available, so an
+ * expense entered offline survives reloads and reaches the sheet later.
+ */
+
+/**
+ * An op that keeps failing for reasons other than connectivity or auth is
+ * dropped after this many attempts so it cannot block the rest of the queue.
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * The queue, while localStorage can't hold it (quota exceeded). It is still
+ * replayed from here, but lost if the page closes before it is sent, so the
+ * user is told (see isUnsaved) instead of the writes vanishing unnoticed.
+ * @type {Array<Object>|null}
+ */
+let _unsaved = null;
+
+// ---------------------------------------------------------------------------
+// Enqueue
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @param {{ id: string }} expense
+ */
+export function enqueueInsert(spreadsheetId, expense) {
+    _enqueue({ type: 'insert', spreadsheetId, expenseId: expense.id, expense });
+}
+
+/**
+ * Queues many new expenses to be appended in batched requests of at most
+ * INSERT_BATCH_SIZE rows each.
+ * @param {string} spreadsheetId
+ * @param {Array<{ id: string }>} expenses
+ */
+export function enqueueInsertMany(spreadsheetId, expenses) {
+    if (!expenses.length) return;
+    let queue = _read();
+    for (const batch of insertBatches(expenses)) {
+        queue = appendOp(queue, _op({ type: 'insertMany', spreadsheetId, expenses: batch }));
+    }
+    _write(queue);
+}
+
+/**
+ * @param {string} spreadsheetId
+ * @param {{ id: string }} expense - Full updated expense object
+ */
+export function enqueueUpdate(spreadsheetId, expense) {
+    _enqueue({ type: 'update', spreadsheetId, expenseId: expense.id, expense });
+}
+
+/**
+ * @param {string} spreadsheetId
+ * @param {string} expenseId
+ * @param {number} [heldUntil] - epoch ms; the delete waits until then so it can still be undone
+ */
+export function enqueueRemove(spreadsheetId, expenseId, heldUntil) {
+    _enqueue(heldUntil
+        ? { type: 'remove', spreadsheetId, expenseId, heldUntil }
+        : { type: 'remove', spreadsheetId, expenseId });
+}
+
+/**
+ * Queues many updates and deletes to be sent as a single request (bulk
+ * actions on a selection).
+ * @param {string} spreadsheetId
+ * @param {{ updates?: Array<{ id: string }>, removes?: string[] }} batch
+ * @param {number} [heldUntil] - epoch ms; a batch of deletes waits until then so it can still be undone
+ */
+export function enqueueBatch(spreadsheetId, { updates = [], removes = [] }, heldUntil) {
+    if (!updates.length && !removes.length) return;
+    _enqueue(heldUntil
+        ? { type: 'batch', spreadsheetId, updates, removes, heldUntil }
+        : { type: 'batch', spreadsheetId, updates, removes });
+}
+
+/**
+ * Takes back a delete still in its undo window, or the whole batch of
+ * deletes the expense was held back in.
+ * @param {string} spreadsheetId
+ * @param {string} expenseId
+ * @returns {boolean} false when there was none — it has been sent already
+ */
+export function cancelHeldRemove(spreadsheetId, expenseId) {
+    const ops = dropHeld(_read(), spreadsheetId, expenseId);
+    if (!ops) return false;
+    _write(ops);
+    return true;
+}
+
+/**
+ * Queues a full rewrite of an auxiliary tab, superseding any earlier
+ * queued write of the same tab.
+ * @param {string}       spreadsheetId
+ * @param {string}       tab
+ * @param {string[]}     header
+ * @param {Array<Array>} rows - Header excluded
+ */
+export function enqueueTab(spreadsheetId, tab, header, rows) {
+    _enqueue({ type: 'tab', spreadsheetId, tab, header, rows });
+}
+
+// ---------------------------------------------------------------------------
+// Read
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @returns {number} Number of ops still waiting to reach the sheet, not
+ *   counting deletes still in their undo window.
+ */
+export function pendingCount(spreadsheetId) {
+    const now = Date.now();
+    return _read().filter(op => op.spreadsheetId === spreadsheetId && !isHeld(op, now)).length;
+}
+
+/**
+ * @returns {number} Every op still queued, for any sheet, deletes in their
+ *   undo window included — what signing out would throw away.
+ */
+export function queuedCount() {
+    return _read().length;
+}
+
+/**
+ * @returns {boolean} whether queued writes are held in memory only, because
+ *   this device's storage could not take them
+ */
+export function isUnsaved() {
+    return _unsaved !== null;
+}
+
+/**
+ * Drops every queued op, saved or not. Call on sign-out, once the user has
+ * agreed to lose whatever could not be sent.
+ */
+export function clear() {
+    _unsaved = null;
+    Storage.clearOutbox();
+}
+
+/**
+ * Re-applies ops that have not reached the sheet yet on top of a fresh read,
+ * so offline edits don't disappear when the list is reloaded from the sheet.
+ *
+ * @param {string} spreadsheetId
+ * @param {Array}  expenses
+ * @returns {Array}
+ */
+export function applyPending(spreadsheetId, expenses) {
+    const ops = _read().filter(op => op.spreadsheetId === spreadsheetId);
+    return applyOps(expenses, ops);
+}
+
+/**
+ * Rows of a tab write that hasn't reached the sheet yet, so a fresh read
+ * doesn't overwrite the local change. Null when nothing is queued.
+ *
+ * @param {string} spreadsheetId
+ * @param {string} tab
+ * @returns {Array<Array>|null}
+ */
+export function pendingTab(spreadsheetId, tab) {
+    const ops = _read().filter(op =>
+        op.type === 'tab' && op.spreadsheetId === spreadsheetId && op.tab === tab
+    );
+    return ops.length ? ops[ops.length - 1].rows : null;
+}
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Sends queued ops of one sheet to it one by one, oldest first. Deletes
+ * still in their undo window are skipped and stay queued, and so are ops of
+ * other sheets, which the signed-in token may not be allowed to write.
+ *
+ * Stops at the first connectivity or auth failure and leaves that op and
+ * everything after it queued for the next attempt. Any other failure counts
+ * against the op; after MAX_ATTEMPTS it is dropped and reported.
+ *
+ * The queue is re-read from storage after every op so writes enqueued while
+ * a replay is in flight are picked up by the same run.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<{ synced: number, dropped: Array<{ op: Object, error: Error }>, pending: number }>}
+ */
+export async function replay(accessToken, spreadsheetId) {
+    let synced    = 0;
+    const dropped = [];
+
+    // A previous run may have been cut off mid-request (tab closed, crash).
+    _write(_read().map(o => ({ ...o, inFlight: false })));
+
+    let op;
+    while ((op = nextDue(_read(), Date.now(), spreadsheetId))) {
+        _replace({ ...op, inFlight: true });
+        try {
+            await _send(accessToken, op);
+            synced++;
+        } catch (err) {
+            if (isNetworkError(err) || isAuthError(err)) {
+                _replace({ ...op, inFlight: false });
+                break;
+            }
+
+            const attempts = (op.attempts ?? 0) + 1;
+            if (attempts < MAX_ATTEMPTS) {
+                _replace({ ...op, attempts, inFlight: false });
+                break;
+            }
+            console.warn('[SpenGo] Dropping outbox op after repeated failures:', op, err);
+            dropped.push({ op, error: err });
+        }
+        _remove(op.id);
+    }
+
+    return { synced, dropped, pending: pendingCount(spreadsheetId) };
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+function _read() {
+    return _unsaved ?? Storage.getOutbox();
+}
+
+function _write(ops) {
+    try {
+        Storage.saveOutbox(ops);
+        _unsaved = null;
+    } catch (err) {
+        console.warn('[SpenGo] Outbox could not be stored; keeping it in memory:', err);
+        _unsaved = ops;
+    }
+}
+
+function _op(fields) {
+    return { id: uuid(), queuedAt: Date.now(), attempts: 0, ...fields };
+}
+
+function _enqueue(fields) {
+    _write(appendOp(_read(), _op(fields)));
+}
+
+function _send(accessToken, op) {
+    switch (op.type) {
+        case 'insert': return SheetsService.appendExpense(accessToken, op.spreadsheetId, op.expense);
+        case 'insertMany': return SheetsService.appendExpenses(accessToken, op.spreadsheetId, op.expenses);
+        case 'update': return SheetsService.editExpense(accessToken, op.spreadsheetId, op.expense);
+        case 'remove': return SheetsService.deleteExpense(accessToken, op.spreadsheetId, op.expenseId);
+        case 'batch':  return SheetsService.editExpenses(accessToken, op.spreadsheetId, op);
+        case 'tab':    return SheetsService.saveTab(accessToken, op.spreadsheetId, op.tab, op.header, op.rows);
+        default:       return Promise.reject(new Error(`Unknown outbox op: ${op.type}`));
+    }
+}
+
+function _replace(op) {
+    _write(_read().map(o => o.id === op.id ? op : o));
+}
+
+function _remove(opId) {
+    _write(_read().filter(o => o.id !== opId));
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { CONFIG } from '../constants/config.js';
+import {
+    findFolder,
+    createFolder,
+    uploadFile,
+    downloadFile,
+    addReader,
+} from '../api/client/driveClient.js';
+
+/**
+ * Receipts folder ID, looked up once per access token so switching accounts
+ * never uploads into another user's folder.
+ * @type {{ token: string, id: Promise<string> }|null}
+ */
+let _folder = null;
+
+function _receiptsFolder(accessToken) {
+    if (_folder?.token !== accessToken) {
+        const id = findFolder(accessToken, CONFIG.RECEIPTS_FOLDER)
+            .then(found => found ?? createFolder(accessToken, CONFIG.RECEIPTS_FOLDER));
+        id.catch(() => { _folder = null; });
+        _folder = { token: accessToken, id };
+    }
+    return _folder.id;
+}
+
+/**
+ * Uploads a receipt photo to the receipts folder of the signed-in user's
+ * Drive and lets the other ledger members view it. A member who can't be
+ * granted access doesn't fail the upload — they can still ask for access
+ * from the Drive link.
+ *
+ * @param {string} accessToken
+ * @param {Blob} photo
+ * @param {string} name
+ * @param {string[]} [readers] - emails of the other ledger members
+ * @returns {Promise<string>} Drive file ID
+ */
+export async function uploadReceipt(accessToken, photo, name, readers = []) {
+    const folderId = await _receiptsFolder(accessToken);
+    const fileId   = await uploadFile(accessToken, { name, parents: [folderId], mimeType: photo.type }, photo);
+    await Promise.all(readers.map(email =>
+        addReader(accessToken, fileId, email).catch(err =>
+            console.warn(`[SpenGo] Could not share receipt with ${email}:`, err)
+        )
+    ));
+    return fileId;
+}
+
+/**
+ * @param {string} accessToken
+ * @param {string} fileId
+ * @returns {Promise<Blob>}
+ */
+export function downloadReceipt(accessToken, fileId) {
+    return downloadFile(accessToken, fileId);
+}
\ No newline at end of file
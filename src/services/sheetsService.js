@@ -7,8 +7,12 @@ import {
     fetchRecentExpenses,
     fetchExpensesByYear,
     insertExpense,
+    insertExpenses,
     updateExpenseRow,
     removeExpenseRow,
+    applyExpenseBatch,
+    readTabs,
+    writeTab,
 } from '../helpers/sheetsHelpers.js';
 
 /**
@@ -99,6 +103,19 @@ export async function appendExpense(accessToken, spreadsheetId, expense) {
     await insertExpense(accessToken, spreadsheetId, CONFIG.SHEET_NAME, expense);
 }
 
+/**
+ * Appends many expense rows in one request (imports, recurring occurrences).
+ * Rows whose ID the sheet already holds are not appended again.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} expenses
+ * @returns {Promise<void>}
+ */
+export async function appendExpenses(accessToken, spreadsheetId, expenses) {
+    await insertExpenses(accessToken, spreadsheetId, CONFIG.SHEET_NAME, expenses, { skipExisting: true });
+}
+
 /**
  * Updates an existing expense row in the sheet.
  *
@@ -121,4 +138,102 @@ export async function editExpense(accessToken, spreadsheetId, expense) {
  */
 export async function deleteExpense(accessToken, spreadsheetId, expenseId) {
     await removeExpenseRow(accessToken, spreadsheetId, CONFIG.SHEET_NAME, expenseId);
+}
+
+/**
+ * Updates and deletes many expense rows in one request.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @param {{ updates?: Array<Object>, removes?: string[] }} batch
+ * @returns {Promise<void>}
+ */
+export async function editExpenses(accessToken, spreadsheetId, batch) {
+    await applyExpenseBatch(accessToken, spreadsheetId, CONFIG.SHEET_NAME, batch);
+}
+
+/**
+ * Reads the currency ledger tab.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<Array<Array>>} rows, header excluded — empty if the tab doesn't exist yet
+ */
+export async function loadLedgerRows(accessToken, spreadsheetId) {
+    const tabs = await readTabs(accessToken, spreadsheetId, [CONFIG.TABS.CURRENCIES]);
+    return tabs[CONFIG.TABS.CURRENCIES];
+}
+
+/**
+ * Reads the recurring expense rules tab.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<Array<Array>>} rows, header excluded — empty if the tab doesn't exist yet
+ */
+export async function loadRecurringRows(accessToken, spreadsheetId) {
+    const tabs = await readTabs(accessToken, spreadsheetId, [CONFIG.TABS.RECURRING]);
+    return tabs[CONFIG.TABS.RECURRING];
+}
+
+/**
+ * Reads the monthly budgets tab.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<Array<Array>>} rows, header excluded — empty if the tab doesn't exist yet
+ */
+export async function loadBudgetRows(accessToken, spreadsheetId) {
+    const tabs = await readTabs(accessToken, spreadsheetId, [CONFIG.TABS.BUDGETS]);
+    return tabs[CONFIG.TABS.BUDGETS];
+}
+
+/**
+ * Reads the categories tab.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<Array<Array>>} rows, header excluded — empty if the tab doesn't exist yet
+ */
+export async function loadCategoryRows(accessToken, spreadsheetId) {
+    const tabs = await readTabs(accessToken, spreadsheetId, [CONFIG.TABS.CATEGORIES]);
+    return tabs[CONFIG.TABS.CATEGORIES];
+}
+
+/**
+ * Reads the auto-categorization rules tab.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<Array<Array>>} rows, header excluded — empty if the tab doesn't exist yet
+ */
+export async function loadCategoryRuleRows(accessToken, spreadsheetId) {
+    const tabs = await readTabs(accessToken, spreadsheetId, [CONFIG.TABS.CATEGORY_RULES]);
+    return tabs[CONFIG.TABS.CATEGORY_RULES];
+}
+
+/**
+ * Reads the settle-up payments tab.
+ *
+ * @param {string} accessToken
+ * @param {string} spreadsheetId
+ * @returns {Promise<Array<Array>>} rows, header excluded — empty if the tab doesn't exist yet
+ */
+export async function loadSettlementRows(accessToken, spreadsheetId) {
+    const tabs = await readTabs(accessToken, spreadsheetId, [CONFIG.TABS.SETTLEMENTS]);
+    return tabs[CONFIG.TABS.SETTLEMENTS];
+}
+
+/**
+ * Overwrites an auxiliary tab (e.g. the currency ledger) with new content.
+ *
+ * @param {string}       accessToken
+ * @param {string}       spreadsheetId
+ * @param {string}       title
+ * @param {string[]}     header
+ * @param {Array<Array>} rows
+ * @returns {Promise<void>}
+ */
+export async function saveTab(accessToken, spreadsheetId, title, header, rows) {
+    await writeTab(accessToken, spreadsheetId, title, header, rows);
 }
\ No newline at end of file
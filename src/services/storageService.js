@@ -70,37 +70,16 @@ export function getSheetId() {
     return localStorage.getItem(STORAGE.SHEET_ID);
 }
 
-/**
- * Serialises and persists the expenses array.
- * @param {Array} expenses
- */
-export function saveExpenses(expenses) {
-    localStorage.setItem(STORAGE.EXPENSES, JSON.stringify(expenses));
-}
-
-/**
- * Deserialises and returns the cached expenses array.
- * Returns an empty array if nothing is cached or parsing fails.
- * @returns {Array}
- */
-export function getExpenses() {
-    try {
-        const raw = localStorage.getItem(STORAGE.EXPENSES);
-        return raw ? JSON.parse(raw) : [];
-    } catch {
-        return [];
-    }
-}
-
 /**
  * Returns everything needed to restore a session in one call.
- * @returns {{ accessToken: string|null, sheetId: string|null, expenses: Array, loginHint: string, tokenExpired: boolean }}
+ * Cached expenses live in IndexedDB (see expenseStore.js) and are read
+ * asynchronously on app start, so they are not part of this snapshot.
+ * @returns {{ accessToken: string|null, sheetId: string|null, loginHint: string, tokenExpired: boolean }}
  */
 export function getStoredSession() {
     return {
         accessToken:  getAccessToken(),
         sheetId:      getSheetId(),
-        expenses:     getExpenses(),
         loginHint:    getLoginHint(),
         tokenExpired: isTokenExpired(),
     };
@@ -126,7 +105,9 @@ export function getNumericSheetId() {
  * Wipes all app data from both storages.
  * Call on sign-out to prevent data leaking to the next user on the same device.
  * Note: theme preference ('spengo-theme') is intentionally NOT cleared —
- * it is a device-level UX preference, not user account data.
+ * it is a device-level UX preference, not user account data. The outbox
+ * goes too, unsent writes included: ask the user before calling this while
+ * it still holds any.
  */
 export function clearAll() {
     clearSession();
@@ -138,6 +119,13 @@ export function clearAll() {
     localStorage.removeItem(STORAGE.SHARED_USERS);
     localStorage.removeItem(STORAGE.SHEET_OWNER_EMAIL);
     localStorage.removeItem(STORAGE.GUEST_SHEET_ID);
+    localStorage.removeItem(STORAGE.OUTBOX);
+    localStorage.removeItem(STORAGE.LEDGER);
+    localStorage.removeItem(STORAGE.RECURRING);
+    localStorage.removeItem(STORAGE.BUDGETS);
+    localStorage.removeItem(STORAGE.CATEGORIES);
+    localStorage.removeItem(STORAGE.CATEGORY_RULES);
+    localStorage.removeItem(STORAGE.SETTLEMENTS);
 }
 
 /**
@@ -238,4 +226,242 @@ export function getGuestSheetId() {
  */
 export function clearGuestSheetId() {
     localStorage.removeItem(STORAGE.GUEST_SHEET_ID);
+}
+
+// ---------------------------------------------------------------------------
+// Outbox (sheet writes waiting for connectivity)
+// ---------------------------------------------------------------------------
+
+/**
+ * Persists the list of pending sheet operations. Unlike the caches above it
+ * throws when the list can't be stored (e.g. storage quota exceeded): these
+ * are writes, and the caller must keep them rather than lose them.
+ * @param {Array<Object>} ops
+ */
+export function saveOutbox(ops) {
+    localStorage.setItem(STORAGE.OUTBOX, JSON.stringify(ops));
+}
+
+/**
+ * Removes every pending sheet operation.
+ */
+export function clearOutbox() {
+    localStorage.removeItem(STORAGE.OUTBOX);
+}
+
+/**
+ * Returns the pending sheet operations in the order they were queued,
+ * or an empty array if nothing is queued or parsing fails.
+ * @returns {Array<Object>}
+ */
+export function getOutbox() {
+    try {
+        const raw = localStorage.getItem(STORAGE.OUTBOX);
+        return raw ? JSON.parse(raw) : [];
+    } catch {
+        return [];
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Currency ledger (base currency + rates of the active spreadsheet)
+// ---------------------------------------------------------------------------
+
+/**
+ * Persists the ledger together with the spreadsheet it belongs to, so it is
+ * available offline and never applied to a different spreadsheet.
+ * @param {string} spreadsheetId
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ */
+export function saveLedger(spreadsheetId, ledger) {
+    try {
+        localStorage.setItem(STORAGE.LEDGER, JSON.stringify({ spreadsheetId, ledger }));
+    } catch {}
+}
+
+/**
+ * Returns the cached ledger of the given spreadsheet, or null if none is
+ * cached for it or parsing fails.
+ * @param {string} spreadsheetId
+ * @returns {{ baseCurrency: string|null, rates: Object<string, number> }|null}
+ */
+export function getLedger(spreadsheetId) {
+    try {
+        const raw    = localStorage.getItem(STORAGE.LEDGER);
+        const cached = raw ? JSON.parse(raw) : null;
+        return cached?.spreadsheetId === spreadsheetId ? cached.ledger : null;
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Recurring expense rules of the active spreadsheet
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} rules
+ */
+export function saveRecurringRules(spreadsheetId, rules) {
+    try {
+        localStorage.setItem(STORAGE.RECURRING, JSON.stringify({ spreadsheetId, rules }));
+    } catch {}
+}
+
+/**
+ * Returns the cached rules of the given spreadsheet, or null if none are
+ * cached for it or parsing fails.
+ * @param {string} spreadsheetId
+ * @returns {Array<Object>|null}
+ */
+export function getRecurringRules(spreadsheetId) {
+    try {
+        const raw    = localStorage.getItem(STORAGE.RECURRING);
+        const cached = raw ? JSON.parse(raw) : null;
+        return cached?.spreadsheetId === spreadsheetId ? cached.rules : null;
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Monthly budgets of the active spreadsheet
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @param {Object<string, number>} budgets
+ */
+export function saveBudgets(spreadsheetId, budgets) {
+    try {
+        localStorage.setItem(STORAGE.BUDGETS, JSON.stringify({ spreadsheetId, budgets }));
+    } catch {}
+}
+
+/**
+ * Returns the cached budgets of the given spreadsheet, or null if none are
+ * cached for it or parsing fails.
+ * @param {string} spreadsheetId
+ * @returns {Object<string, number>|null}
+ */
+export function getBudgets(spreadsheetId) {
+    try {
+        const raw    = localStorage.getItem(STORAGE.BUDGETS);
+        const cached = raw ? JSON.parse(raw) : null;
+        return cached?.spreadsheetId === spreadsheetId ? cached.budgets : null;
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Category definitions of the active spreadsheet
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} categories
+ */
+export function saveCategories(spreadsheetId, categories) {
+    try {
+        localStorage.setItem(STORAGE.CATEGORIES, JSON.stringify({ spreadsheetId, categories }));
+    } catch {}
+}
+
+/**
+ * Returns the cached category definitions of the given spreadsheet, or null
+ * if none are cached for it or parsing fails.
+ * @param {string} spreadsheetId
+ * @returns {Array<Object>|null}
+ */
+export function getCategories(spreadsheetId) {
+    try {
+        const raw    = localStorage.getItem(STORAGE.CATEGORIES);
+        const cached = raw ? JSON.parse(raw) : null;
+        return cached?.spreadsheetId === spreadsheetId ? cached.categories : null;
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Auto-categorization rules of the active spreadsheet
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} rules
+ */
+export function saveCategoryRules(spreadsheetId, rules) {
+    try {
+        localStorage.setItem(STORAGE.CATEGORY_RULES, JSON.stringify({ spreadsheetId, rules }));
+    } catch {}
+}
+
+/**
+ * Returns the cached auto-categorization rules of the given spreadsheet, or
+ * null if none are cached for it or parsing fails.
+ * @param {string} spreadsheetId
+ * @returns {Array<Object>|null}
+ */
+export function getCategoryRules(spreadsheetId) {
+    try {
+        const raw    = localStorage.getItem(STORAGE.CATEGORY_RULES);
+        const cached = raw ? JSON.parse(raw) : null;
+        return cached?.spreadsheetId === spreadsheetId ? cached.rules : null;
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Settle-up payments of the active spreadsheet
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} settlements
+ */
+export function saveSettlements(spreadsheetId, settlements) {
+    try {
+        localStorage.setItem(STORAGE.SETTLEMENTS, JSON.stringify({ spreadsheetId, settlements }));
+    } catch {}
+}
+
+/**
+ * Returns the cached settlements of the given spreadsheet, or null if none
+ * are cached for it or parsing fails.
+ * @param {string} spreadsheetId
+ * @returns {Array<Object>|null}
+ */
+export function getSettlements(spreadsheetId) {
+    try {
+        const raw    = localStorage.getItem(STORAGE.SETTLEMENTS);
+        const cached = raw ? JSON.parse(raw) : null;
+        return cached?.spreadsheetId === spreadsheetId ? cached.settlements : null;
+    } catch {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Duplicate detection window (this device)
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {number} days
+ */
+export function saveDuplicateWindow(days) {
+    localStorage.setItem(STORAGE.DUPLICATE_WINDOW, String(days));
+}
+
+/**
+ * Returns the saved window in days, or null if none is saved.
+ * @returns {number|null}
+ */
+export function getDuplicateWindow() {
+    const raw  = localStorage.getItem(STORAGE.DUPLICATE_WINDOW);
+    const days = raw === null ? NaN : Number(raw);
+    return Number.isInteger(days) && days >= 0 ? days : null;
 }
\ No newline at end of file
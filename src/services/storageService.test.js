@@ -0,0 +1,59 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { saveOutbox, getOutbox, clearOutbox, clearAll, saveSheetId } from './storageService.js';
+
+const op = id => ({ id, type: 'insert', spreadsheetId: 'sheet-1', expenseId: id });
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// ─── Outbox ───────────────────────────────────────────
+
+describe('saveOutbox / getOutbox', () => {
+    test('given queued ops — when saved — then they are read back in order', () => {
+        // when
+        saveOutbox([op('a'), op('b')]);
+        // then
+        expect(getOutbox()).toEqual([op('a'), op('b')]);
+    });
+
+    test('given storage over quota — when saved — then the failure reaches the caller', () => {
+        // given
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        });
+        // when / then
+        expect(() => saveOutbox([op('a')])).toThrow('quota');
+    });
+
+    test('given queued ops — when cleared — then nothing is left', () => {
+        // given
+        saveOutbox([op('a')]);
+        // when
+        clearOutbox();
+        // then
+        expect(getOutbox()).toEqual([]);
+    });
+});
+
+// ─── Sign-out ─────────────────────────────────────────
+
+describe('clearAll', () => {
+    test('given writes still queued — when cleared on sign-out — then the outbox is gone with the account', () => {
+        // given
+        saveSheetId('sheet-1');
+        saveOutbox([op('a')]);
+        // when
+        clearAll();
+        // then
+        expect(getOutbox()).toEqual([]);
+        expect(localStorage.length).toBe(0);
+    });
+});
\ No newline at end of file
@@ -1,26 +1,51 @@
+import { EMPTY_FILTER } from './utils/filter.utils.js';
+
+/**
+ * @typedef {Object} SearchState
+ * @property {string}        query
+ * @property {Array<Object>} results     - matches, newest first
+ * @property {number|null}   searchedTo  - oldest year searched so far; null while only the loaded entries are
+ * @property {boolean}       loading     - an older year is being read
+ * @property {boolean}       reachedEnd  - no entries are older than searchedTo, so the whole history was searched
+ */
+
+/** @type {SearchState} */
+export const EMPTY_SEARCH = { query: '', results: [], searchedTo: null, loading: false, reachedEnd: false };
+
 export class AppState {
     constructor() {
-        /** @type {{ accessToken: string|null, userProfile: object|null, status: 'unknown'|'restoring'|'ready'|'unauthenticated' }} */
+        /** @type {{ accessToken: string|null, userProfile: object|null, status: 'unknown'|'restoring'|'ready'|'offline'|'unauthenticated' }} */
         this.auth = {
             accessToken:  null,
             userProfile:  null,
             status:       'unknown',
         };
 
-        /** @type {{ spreadsheetId: string|null, expenses: Array, guestSheetId: string|null, isGuestMode: boolean }} */
+        /** @type {{ spreadsheetId: string|null, expenses: Array, rangeEntries: Array, guestSheetId: string|null, isGuestMode: boolean, ledger: { baseCurrency: string|null, rates: Object<string, number> }, recurringRules: Array<Object>, budgets: Object<string, number>, categories: Array<import('./utils/categories.utils.js').CategoryDefinition>, categoryRules: Array<import('./utils/autocategory.utils.js').CategoryRule> }} */
         this.data = {
-            spreadsheetId: null,
-            expenses:      [],
-            guestSheetId:  null,
-            isGuestMode:   false,
+            spreadsheetId:  null,
+            expenses:       [],
+            rangeEntries:   [],
+            guestSheetId:   null,
+            isGuestMode:    false,
+            ledger:         { baseCurrency: null, rates: {} },
+            recurringRules: [],
+            budgets:        {},
+            categories:     [],
+            categoryRules:  [],
         };
 
-        /** @type {{ currentScreen: string, currentPeriod: string, categoryFilter: string, selectedCat: string|null }} */
+        /** @type {{ currentScreen: string, currentPeriod: string, categoryFilter: string, memberFilter: string, entryType: 'expense'|'income', selectedCat: string|null, search: SearchState, filter: import('./utils/filter.utils.js').Filter, selection: string[] }} */
         this.ui = {
             currentScreen:  'auth',
             currentPeriod:  'week',
             categoryFilter: 'all',
+            memberFilter:   'all',
+            entryType:      'expense',
             selectedCat:    null,
+            search:         EMPTY_SEARCH,
+            filter:         EMPTY_FILTER,
+            selection:      [],
         };
 
         /** @type {Object<string, Array<Function>>} */
@@ -79,6 +104,27 @@ export class AppState {
     get expenses()       { return this.data.expenses; }
     set expenses(v)      { this.data.expenses = v; this._notify('expenses'); }
 
+    /** @returns {Array} entries older than the hot window read for the filter's date range */
+    get rangeEntries()   { return this.data.rangeEntries; }
+    set rangeEntries(v)  { this.data.rangeEntries = v; this._notify('rangeEntries'); }
+
+    get ledger()         { return this.data.ledger; }
+    set ledger(v)        { this.data.ledger = v; this._notify('ledger'); }
+
+    get recurringRules()  { return this.data.recurringRules; }
+    set recurringRules(v) { this.data.recurringRules = v; this._notify('recurringRules'); }
+
+    get budgets()         { return this.data.budgets; }
+    set budgets(v)        { this.data.budgets = v; this._notify('budgets'); }
+
+    /** @returns {Array<import('./utils/categories.utils.js').CategoryDefinition>} rows of the "categories" tab */
+    get categories()      { return this.data.categories; }
+    set categories(v)     { this.data.categories = v; this._notify('categories'); }
+
+    /** @returns {Array<import('./utils/autocategory.utils.js').CategoryRule>} rows of the "category_rules" tab */
+    get categoryRules()   { return this.data.categoryRules; }
+    set categoryRules(v)  { this.data.categoryRules = v; this._notify('categoryRules'); }
+
     get currentScreen()  { return this.ui.currentScreen; }
     set currentScreen(v) { this.ui.currentScreen = v; this._notify('currentScreen'); }
 
@@ -88,12 +134,32 @@ export class AppState {
     get currentCategoryFilter()  { return this.ui.categoryFilter; }
     set currentCategoryFilter(v) { this.ui.categoryFilter = v; this._notify('currentCategoryFilter'); }
 
+    /** @returns {string} author email whose entries are listed, or 'all' */
+    get currentMemberFilter()  { return this.ui.memberFilter; }
+    set currentMemberFilter(v) { this.ui.memberFilter = v; this._notify('currentMemberFilter'); }
+
+    /** @returns {'expense'|'income'} which list the main screen shows */
+    get currentEntryType()  { return this.ui.entryType; }
+    set currentEntryType(v) { this.ui.entryType = v; this._notify('currentEntryType'); }
+
     get selectedCat()    { return this.ui.selectedCat; }
     set selectedCat(v)   { this.ui.selectedCat = v; this._notify('selectedCat'); }
 
+    /** @returns {SearchState} the main screen lists search results while `query` is set */
+    get search()         { return this.ui.search; }
+    set search(v)        { this.ui.search = v; this._notify('search'); }
+
+    /** @returns {import('./utils/filter.utils.js').Filter} advanced filter of the main screen and statistics */
+    get filter()         { return this.ui.filter; }
+    set filter(v)        { this.ui.filter = v; this._notify('filter'); }
+
+    /** @returns {string[]} IDs of the entries selected for a bulk action; empty outside selection mode */
+    get selection()      { return this.ui.selection; }
+    set selection(v)     { this.ui.selection = v; this._notify('selection'); }
+
     reset() {
         this.auth = { accessToken: null, userProfile: null, status: 'unauthenticated' };
-        this.data = { spreadsheetId: null, expenses: [], guestSheetId: null, isGuestMode: false };
+        this.data = { spreadsheetId: null, expenses: [], rangeEntries: [], guestSheetId: null, isGuestMode: false, ledger: { baseCurrency: null, rates: {} }, recurringRules: [], budgets: {}, categories: [], categoryRules: [] };
         // ui state is reset deliberately by the caller (onSignOut)
     }
 }
@@ -0,0 +1,84 @@
+/**
+ * SpenGo service worker.
+ *
+ * Precaches the built app shell, localization.json and the static files from
+ * public/ so the app opens from the home screen without a network round-trip
+ * and still renders the locally cached expenses when offline.
+ *
+ * This file is not bundled — the `spengo-service-worker` plugin in
+ * vite.config.js emits it as /sw.js at build time and substitutes the two
+ * placeholders below with the build's precache list and a content hash.
+ * Any change to the shell therefore changes sw.js, which is what makes the
+ * browser install the new worker and drop the previous cache.
+ */
+
+const VERSION      = __PRECACHE_VERSION__;
+const PRECACHE     = __PRECACHE_URLS__;
+const CACHE_PREFIX = 'spengo-shell-';
+const CACHE_NAME   = `${CACHE_PREFIX}${VERSION}`;
+const SHELL_URL    = '/';
+
+// ─── Lifecycle ─────────────────────────────────────────
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            // 'reload' bypasses the HTTP cache so a stale index.html
+            // can't end up pointing at bundles from another deploy.
+            .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ─── Fetch ─────────────────────────────────────────────
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // Google APIs, fonts and the GIS SDK go straight to the network.
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(_handleNavigation(request, url));
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request))
+    );
+});
+
+/**
+ * The app itself (/ and /index.html, with or without ?id=) is served from
+ * the precache so it opens instantly. Other pages (features, blog, …) prefer
+ * the network and fall back to their cached .html copy when offline.
+ */
+async function _handleNavigation(request, url) {
+    if (url.pathname === '/' || url.pathname === '/index.html') {
+        const shell = await caches.match(SHELL_URL);
+        return shell || fetch(request);
+    }
+
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const page = url.pathname.replace(/\/$/, '');
+        const cached = await caches.match(page.endsWith('.html') ? page : `${page}.html`);
+        if (cached) return cached;
+        throw err;
+    }
+}
\ No newline at end of file
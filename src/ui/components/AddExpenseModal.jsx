@@ -1,32 +1,118 @@
 import { useState } from 'react';
 import { CategorySelectGrid } from './CategorySelectGrid.jsx';
 import { DatePicker }         from './DatePicker.jsx';
+import { CurrencySelect }     from './CurrencySelect.jsx';
+import { SplitFields }        from './SplitFields.jsx';
+import { ReceiptField }       from './ReceiptField.jsx';
 import { getI18nValue }       from '../../i18n/localization.js';
-import { parseAmount, todayStr } from '../../utils/helpers.js';
+import { parseAmount, todayStr, formatCurrency, formatMoney } from '../../utils/helpers.js';
 import { useSwipeToClose }    from '../../hooks/useSwipeToClose.js';
+import { categoriesFor, findCategory } from '../../controllers/categoryController.js';
 
 function getMonthStart() {
     const now = new Date();
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
 }
 
-export function AddExpenseModal({ initialCat = 'food', onSubmit, onClose }) {
-    const [amount,   setAmount]   = useState('');
-    const [category, setCategory] = useState(initialCat);
-    const [comment,  setComment]  = useState('');
+/** Modes of the type toggle; a refund is an expense entered as a credit. */
+const MODES = ['expense', 'refund', 'income'];
+
+/**
+ * The currency picker appears once the ledger has a base currency; until
+ * then expenses are single-currency and stored without one. Switching
+ * between expense and income swaps the category grid.
+ *
+ * Given `refundOf` (an expense), the modal records a refund of it: category
+ * and currency are taken from the original and the amount defaults to what
+ * is left to refund. Without it, "Refund" records a standalone credit to the
+ * chosen category. Either way the amount is typed positive and submitted
+ * negative.
+ *
+ * In a shared ledger the expense also records who paid (the signed-in user
+ * by default) and who shares it; a refund starts with the original's.
+ *
+ * Receipt photos picked here are uploaded when the entry is added.
+ *
+ * Until a category is picked by hand, `suggest` picks one from the comment
+ * as it is typed, falling back to the initial one when it has nothing.
+ */
+export function AddExpenseModal({
+    initialCat = 'food', initialType = 'expense', baseCurrency = null,
+    refundOf = null, refunded = 0, members = [], myEmail = '', suggest = () => null, onSubmit, onClose,
+}) {
+    const remaining = refundOf ? Math.max(refundOf.amount - refunded, 0) : 0;
+
+    const [mode,     setMode]     = useState(refundOf ? 'refund' : initialType);
+    const [amount,   setAmount]   = useState(remaining ? String(Number(remaining.toFixed(2))) : '');
+    const [currency, setCurrency] = useState(refundOf?.currency || baseCurrency || '');
+    const [category, setCategory] = useState(refundOf?.category || initialCat);
+    const [subcategory, setSubcategory] = useState(refundOf?.subcategory || '');
+    const [comment,  setComment]  = useState(refundOf?.comment || '');
+    const [picked,   setPicked]   = useState(Boolean(refundOf));
+    const [suggested, setSuggested] = useState(false);
     const [date,     setDate]     = useState(todayStr());
+    const [sharing,  setSharing]  = useState({
+        paidBy: refundOf?.paidBy || myEmail,
+        split:  refundOf?.split  || {},
+    });
+    const [photos,   setPhotos]   = useState([]);
     const [loading,  setLoading]  = useState(false);
 
     const sheetRef     = useSwipeToClose(onClose);
     const parsedAmount = parseAmount(amount);
+    const type         = mode === 'income' ? 'income' : 'expense';
 
     async function handleSubmit() {
         if (!parsedAmount) return;
         setLoading(true);
-        await onSubmit({ amount: parsedAmount, category, comment, date });
+        await onSubmit({
+            amount:   mode === 'refund' ? -parsedAmount : parsedAmount,
+            category,
+            subcategory,
+            comment,
+            date,
+            currency,
+            type,
+            refundOf: refundOf?.id || '',
+            paidBy:   sharing.paidBy,
+            split:    type === 'income' ? {} : sharing.split,
+            photos,
+        });
         setLoading(false);
     }
 
+    function handleModeChange(next) {
+        if (next === mode) return;
+        const nextType = next === 'income' ? 'income' : 'expense';
+        setMode(next);
+        if (nextType === type) return;
+        setPicked(false);
+        autoPick(comment, nextType);
+    }
+
+    function pickCategory(catId, subId) {
+        setCategory(catId);
+        setSubcategory(subId);
+        setPicked(true);
+        setSuggested(false);
+    }
+
+    function handleComment(value) {
+        setComment(value);
+        if (!picked) autoPick(value, type);
+    }
+
+    function autoPick(text, entryType) {
+        const hit = suggest(text, entryType);
+        setCategory(hit?.category ?? (entryType === initialType ? initialCat : categoriesFor(entryType)[0].id));
+        setSubcategory(hit?.subcategory ?? '');
+        setSuggested(Boolean(hit));
+    }
+
+    const titleKey = mode === 'refund' ? 'modal.add_refund.title'
+        : mode === 'income' ? 'modal.add_income.title'
+        : 'modal.add.title';
+
     function handleOverlayClick(e) {
         const isOverlay = e.target.classList.contains('modal-overlay');
         const isCalendar = e.target.closest('.flatpickr-calendar');
@@ -40,11 +126,31 @@ export function AddExpenseModal({ initialCat = 'food', onSubmit, onClose }) {
         <div className="modal-overlay open" id="modal-add" onClick={handleOverlayClick}>
             <div className="modal-sheet" ref={sheetRef}>
                 <div className="modal-handle" />
-                <div className="modal-title">{getI18nValue('modal.add.title')}</div>
+                <div className="modal-title">{getI18nValue(titleKey)}</div>
+
+                {refundOf ? (
+                    <div className="refund-original">
+                        ↩ {refundOf.comment || findCategory(refundOf.category).label} · {refundOf.currency
+                            ? formatCurrency(refundOf.amount, refundOf.currency)
+                            : formatMoney(refundOf.amount)}
+                    </div>
+                ) : (
+                    <div className="period-toggle entry-type-toggle">
+                        {MODES.map(m => (
+                            <button
+                                key={m}
+                                className={`period-btn${mode === m ? ' active' : ''}`}
+                                onClick={() => handleModeChange(m)}
+                            >
+                                {getI18nValue(`entry.${m}`)}
+                            </button>
+                        ))}
+                    </div>
+                )}
 
                 <div className="form-group">
                     <label className="form-label">{getI18nValue('label.amount')}</label>
-                    <div className="amount-wrapper">
+                    <div className={`amount-wrapper${baseCurrency ? ' with-currency' : ''}`}>
                         <input
                             className="form-input"
                             type="text"
@@ -54,14 +160,25 @@ export function AddExpenseModal({ initialCat = 'food', onSubmit, onClose }) {
                             value={amount}
                             onChange={e => setAmount(e.target.value)}
                         />
+                        {baseCurrency && <CurrencySelect value={currency} onChange={setCurrency} />}
                     </div>
                 </div>
 
                 <div className="form-group">
                     <label className="form-label">{getI18nValue('label.category')}</label>
-                    <CategorySelectGrid selectedCat={category} onSelect={setCategory} />
+                    <CategorySelectGrid
+                        key={type}
+                        selectedCat={category}
+                        selectedSub={subcategory}
+                        onSelect={pickCategory}
+                        categories={categoriesFor(type)}
+                    />
                 </div>
 
+                {type === 'expense' && (
+                    <SplitFields members={members} paidBy={sharing.paidBy} split={sharing.split} onChange={setSharing} />
+                )}
+
                 <div className="form-group">
                     <label className="form-label">{getI18nValue('label.date')}</label>
                     <DatePicker
@@ -80,10 +197,13 @@ export function AddExpenseModal({ initialCat = 'food', onSubmit, onClose }) {
                         type="text"
                         maxLength={120}
                         value={comment}
-                        onChange={e => setComment(e.target.value)}
+                        onChange={e => handleComment(e.target.value)}
                     />
+                    {suggested && <div className="form-hint">✨ {getI18nValue('rules.suggested')}</div>}
                 </div>
 
+                <ReceiptField photos={photos} onChange={value => setPhotos(value.photos)} />
+
                 <button
                     className="btn-submit"
                     onClick={handleSubmit}
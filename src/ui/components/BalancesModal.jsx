@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { formatCurrency } from '../../utils/helpers.js';
+import { balances, settledBalances, settleUp } from '../../utils/split.utils.js';
+
+/**
+ * Who owes whom over the whole history of shared expenses, net of the
+ * payments already recorded, and the fewest transfers that settle it.
+ * Marking a transfer as paid records it as a settlement.
+ *
+ * @param {{
+ *   entries: Array,       // amounts in the base currency
+ *   settlements: Array,   // amounts in the base currency
+ *   loading: boolean,
+ *   complete: boolean,    // false when offline history came from the cache
+ *   members: Array<{ email: string, name: string }>,
+ *   currency: string|null,
+ *   onSettle: (transfer: { from: string, to: string, amount: number }) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function BalancesModal({ entries, settlements, loading, complete, members, currency = null, onSettle, onClose }) {
+    const [saving, setSaving] = useState(false);
+    const sheetRef = useSwipeToClose(onClose);
+
+    const balanceOf = settledBalances(balances(entries), settlements);
+    const transfers = settleUp(balanceOf);
+    const nameOf    = email => members.find(m => m.email === email)?.name || email;
+    const owing     = Object.entries(balanceOf)
+        .filter(([, value]) => value !== 0)
+        .sort(([, a], [, b]) => b - a);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    async function handleSettle(transfer) {
+        setSaving(true);
+        await onSettle(transfer);
+        setSaving(false);
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-balances" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('balances.title')}</div>
+
+                {!complete && !loading && (
+                    <p className="form-hint">{getI18nValue('balances.partial')}</p>
+                )}
+
+                {loading ? null : !owing.length ? (
+                    <p className="form-hint recurring-empty">{getI18nValue('balances.settled')}</p>
+                ) : (
+                    <>
+                        <div className="form-group">
+                            {owing.map(([email, value]) => (
+                                <div className="balance-row" key={email}>
+                                    <span className="budget-row-label">{nameOf(email)}</span>
+                                    <span className={`balance-value ${value > 0 ? 'owed' : 'owes'}`}>
+                                        {value > 0 ? '+' : '−'}{formatCurrency(Math.abs(value), currency)}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">{getI18nValue('balances.settle_up')}</label>
+                            {transfers.map(transfer => (
+                                <div className="balance-row" key={`${transfer.from}-${transfer.to}`}>
+                                    <span className="budget-row-label">{nameOf(transfer.from)} → {nameOf(transfer.to)}</span>
+                                    <span className="balance-value">{formatCurrency(transfer.amount, currency)}</span>
+                                    <button className="rate-add balance-settle" onClick={() => handleSettle(transfer)} disabled={saving}>
+                                        {getI18nValue('balances.record')}
+                                    </button>
+                                </div>
+                            ))}
+                            <div className="form-hint">{getI18nValue('balances.record_hint')}</div>
+                        </div>
+                    </>
+                )}
+
+                {(loading || saving) && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { formatCurrency } from '../../utils/helpers.js';
+import { getI18nValue } from '../../i18n/localization.js';
+import { findCategory } from '../../controllers/categoryController.js';
+import { OVERALL } from '../../utils/budget.utils.js';
+
+/**
+ * Progress of this month's spending against its budgets.
+ *
+ * @param {{
+ *   budgets: Array<{ id: string, limit: number, spent: number, ratio: number, level: string }>,
+ *   currency: string|null,
+ *   onOpen: () => void
+ * }} props
+ */
+export function BudgetBars({ budgets, currency = null, onOpen }) {
+    if (!budgets.length) return null;
+
+    return (
+        <div className="budget-bars" onClick={onOpen}>
+            {budgets.map(({ id, limit, spent, ratio, level }) => {
+                const cat   = findCategory(id);
+                const label = id === OVERALL
+                    ? getI18nValue('budget.overall')
+                    : `${cat.emoji} ${cat.label}`;
+                return (
+                    <div className={`budget-bar ${level}`} key={id}>
+                        <div className="budget-bar-top">
+                            <span className="budget-bar-label">{label}</span>
+                            <span className="budget-bar-value">
+                                {formatCurrency(spent, currency)} / {formatCurrency(limit, currency)}
+                            </span>
+                        </div>
+                        <div className="budget-bar-track">
+                            <div className="budget-bar-fill" style={{ width: `${Math.min(ratio, 1) * 100}%` }} />
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
\ No newline at end of file
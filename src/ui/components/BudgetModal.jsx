@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { categoriesFor }   from '../../controllers/categoryController.js';
+import { parseAmount }     from '../../utils/helpers.js';
+import { OVERALL }         from '../../utils/budget.utils.js';
+
+/**
+ * Monthly limit editor: one for all spending plus one per category.
+ * Empty fields mean "no budget".
+ *
+ * @param {{
+ *   budgets: Object<string, number>,
+ *   currency: string|null,
+ *   onSave: (budgets: Object<string, number>) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function BudgetModal({ budgets, currency = null, onSave, onClose }) {
+    const [limits,  setLimits]  = useState(() =>
+        Object.fromEntries(Object.entries(budgets).map(([id, limit]) => [id, String(limit)]))
+    );
+    const [loading, setLoading] = useState(false);
+
+    const sheetRef = useSwipeToClose(onClose);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    async function handleSave() {
+        const result = {};
+        for (const [id, raw] of Object.entries(limits)) {
+            const value = parseAmount(raw);
+            if (value > 0) result[id] = value;
+        }
+        setLoading(true);
+        await onSave(result);
+        setLoading(false);
+    }
+
+    function limitInput(id) {
+        return (
+            <input
+                className="form-input rate-input"
+                type="text"
+                inputMode="decimal"
+                placeholder="—"
+                maxLength={9}
+                value={limits[id] ?? ''}
+                onChange={e => setLimits({ ...limits, [id]: e.target.value })}
+            />
+        );
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-budgets" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('budget.title')}</div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('budget.overall')}</label>
+                    <div className="rate-row">
+                        {limitInput(OVERALL)}
+                        {currency && <span className="rate-prefix">{currency}</span>}
+                    </div>
+                    <div className="form-hint">{getI18nValue('budget.hint')}</div>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('budget.by_category')}</label>
+                    {categoriesFor('expense').map(cat => (
+                        <div className="rate-row" key={cat.id}>
+                            <span className="budget-row-label">{cat.emoji} {cat.label}</span>
+                            {limitInput(cat.id)}
+                            {currency && <span className="rate-prefix">{currency}</span>}
+                        </div>
+                    ))}
+                </div>
+
+                <button className="btn-submit" onClick={handleSave} disabled={loading}>
+                    {getI18nValue('btn.save')}
+                </button>
+
+                {loading && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
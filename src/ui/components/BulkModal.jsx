@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { EXPORT_FORMATS }  from '../../utils/export.utils.js';
+
+/** Shortcuts of the date shift, in days. */
+const SHIFTS = [-7, -1, 1, 7];
+
+/**
+ * Bottom sheet of a bulk action on the selected entries: a new category
+ * (applied on tap), a date shift in days, or the format of an export.
+ *
+ * @param {{
+ *   action: 'category'|'date'|'export',
+ *   count: number,
+ *   categories: Array<{ id: string, label: string, emoji: string }>,
+ *   onApply: (value: string|number) => void,
+ *   onClose: () => void
+ * }} props
+ */
+export function BulkModal({ action, count, categories, onApply, onClose }) {
+    const [raw, setRaw] = useState('1');
+    const days     = Math.trunc(Number(raw)) || 0;
+    const sheetRef = useSwipeToClose(onClose);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    function renderCategory() {
+        return (
+            <div className="category-row filter-categories">
+                {categories.map(cat => (
+                    <div key={cat.id} className="cat-pill" onClick={() => onApply(cat.id)}>
+                        {cat.emoji} {cat.label}
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    function renderDate() {
+        return (
+            <>
+                <div className="period-toggle entry-type-toggle">
+                    {SHIFTS.map(d => (
+                        <button
+                            key={d}
+                            className={`period-btn${days === d ? ' active' : ''}`}
+                            onClick={() => setRaw(String(d))}
+                        >
+                            {d > 0 ? `+${d}` : `−${-d}`}
+                        </button>
+                    ))}
+                </div>
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('bulk.days')}</label>
+                    <input
+                        className="form-input"
+                        type="number"
+                        inputMode="numeric"
+                        value={raw}
+                        onChange={e => setRaw(e.target.value)}
+                    />
+                </div>
+                <button className="btn-submit" onClick={() => onApply(days)} disabled={!days}>
+                    {getI18nValue('bulk.shift_submit')}
+                </button>
+            </>
+        );
+    }
+
+    function renderExport() {
+        return (
+            <div className="period-toggle entry-type-toggle">
+                {EXPORT_FORMATS.map(f => (
+                    <button key={f} className="period-btn" onClick={() => onApply(f)}>
+                        {f.toUpperCase()}
+                    </button>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-bulk" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">
+                    {getI18nValue(`bulk.title_${action}`).replace('{n}', count)}
+                </div>
+                {action === 'category' && renderCategory()}
+                {action === 'date'     && renderDate()}
+                {action === 'export'   && renderExport()}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
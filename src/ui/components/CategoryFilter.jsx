@@ -1,23 +1,27 @@
-import { CATEGORIES } from '../../constants/categories.js';
+import { findCategory } from '../../controllers/categoryController.js';
 import { getI18nValue } from '../../i18n/localization.js';
+import { entryType } from '../../utils/cashflow.utils.js';
 
 /**
  * @param {{
  *   expenses: Array,
+ *   budgetLevels: Object<string, 'ok'|'warn'|'over'>,  // this month's budget level per category
  *   activeCat: string,
  *   onSelect: (catId: string) => void
  * }} props
  */
-export function CategoryFilter({ expenses, activeCat, onSelect }) {
-    const cats = ['all', ...new Set(expenses.map(e => e.category))];
+export function CategoryFilter({ expenses, budgetLevels = {}, activeCat, onSelect }) {
+    const cats  = ['all', ...new Set(expenses.map(e => e.category))];
+    const types = new Map(expenses.map(e => [e.category, entryType(e)]));
 
     return (
         <div className="category-row">
             {cats.map(catId => {
-                const cat   = CATEGORIES.find(x => x.id === catId);
                 const isAll = catId === 'all';
-                const color = isAll ? '#c8f135' : cat?.color || '#888';
-                const label = isAll ? getI18nValue('cat.all') : (cat?.label || catId);
+                const cat   = isAll ? null : findCategory(catId, types.get(catId));
+                const color = isAll ? '#c8f135' : cat.color;
+                const label = isAll ? getI18nValue('cat.all') : cat.label;
+                const level = isAll ? null : budgetLevels[catId];
 
                 return (
                     <div
@@ -27,6 +31,7 @@ export function CategoryFilter({ expenses, activeCat, onSelect }) {
                     >
                         <div className="cat-dot" style={{ background: color }} />
                         {label}
+                        {level && level !== 'ok' && <span className={`cat-budget-badge ${level}`} />}
                     </div>
                 );
             })}
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { CATEGORIES, INCOME_CATEGORIES } from '../../constants/categories.js';
+import { categoriesFor, subcategoriesFor } from '../../controllers/categoryController.js';
+import { ENTRY_TYPES }     from '../../utils/cashflow.utils.js';
+import {
+    toDefinitions, toSubDefinitions, newCategoryId, DEFAULT_EMOJI, CATEGORY_COLORS,
+} from '../../utils/categories.utils.js';
+
+const BUILT_IN = { expense: CATEGORIES, income: INCOME_CATEGORIES };
+
+/**
+ * Category editor for both entry types: emoji, name and color of each,
+ * their order, and which are hidden from new entries. A category opens to
+ * its subcategories, edited the same way but taking shades of its color.
+ * A built-in category whose name is cleared goes back to its translated
+ * one; anything added and left without a name is dropped.
+ *
+ * @param {{
+ *   type: 'expense'|'income',
+ *   onSave: (categories: Array<import('../../utils/categories.utils.js').CategoryDefinition>) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function CategoryModal({ type: initialType = 'expense', onSave, onClose }) {
+    const [type,    setType]    = useState(initialType);
+    const [lists,   setLists]   = useState(() =>
+        Object.fromEntries(ENTRY_TYPES.map(t => [t, categoriesFor(t, { hidden: true })]))
+    );
+    const [subs,    setSubs]    = useState(() => Object.fromEntries(
+        ENTRY_TYPES.flatMap(t => categoriesFor(t, { hidden: true }))
+            .map(cat => [cat.id, subcategoriesFor(cat.id, { hidden: true })])
+    ));
+    const [open,    setOpen]    = useState(null);
+    const [added,   setAdded]   = useState(0);
+    const [loading, setLoading] = useState(false);
+
+    const sheetRef = useSwipeToClose(onClose);
+    const list     = lists[type];
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    // Added entries get their ID from the name once saved.
+    function blank(fields) {
+        setAdded(added + 1);
+        return { id: null, key: `new-${added}`, label: '', hidden: false, ...fields };
+    }
+
+    async function handleSave() {
+        const taken = [
+            ...ENTRY_TYPES.flatMap(t => lists[t].map(c => c.id)),
+            ...Object.values(subs).flat().map(s => s.id),
+        ].filter(Boolean);
+        const named = item => {
+            if (item.id || !item.label.trim()) return item;
+            const id = newCategoryId(item.label, taken);
+            taken.push(id);
+            return { ...item, id };
+        };
+        const definitions = ENTRY_TYPES.flatMap(t => {
+            const categories = lists[t].map(named);
+            return [
+                ...toDefinitions(categories, BUILT_IN[t], t),
+                ...categories.flatMap(cat => cat.id ? toSubDefinitions((subs[cat.id] ?? []).map(named), cat, t) : []),
+            ];
+        });
+        setLoading(true);
+        await onSave(definitions);
+        setLoading(false);
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-categories" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('categories.title')}</div>
+
+                <div className="period-toggle entry-type-toggle">
+                    {ENTRY_TYPES.map(t => (
+                        <button
+                            key={t}
+                            className={`period-btn${type === t ? ' active' : ''}`}
+                            onClick={() => setType(t)}
+                        >
+                            {getI18nValue(`entry.${t}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="form-group">
+                    <EditList
+                        items={list}
+                        placeholder={cat => BUILT_IN[type].find(c => c.id === cat.id)?.label}
+                        withColor
+                        keepOne
+                        onChange={next => setLists({ ...lists, [type]: next })}
+                        extra={cat => cat.id && (
+                            <button
+                                className={`rate-remove category-subs${open === cat.id ? ' open' : ''}`}
+                                onClick={() => setOpen(open === cat.id ? null : cat.id)}
+                                title={getI18nValue('sub.edit')}
+                            >
+                                ⋯{subs[cat.id]?.length > 0 && <span className="category-subs-count">{subs[cat.id].length}</span>}
+                            </button>
+                        )}
+                        below={cat => open === cat.id && (
+                            <div className="category-sub-list">
+                                <EditList
+                                    items={subs[cat.id] ?? []}
+                                    placeholder={() => null}
+                                    onChange={next => setSubs({ ...subs, [cat.id]: next })}
+                                />
+                                <button
+                                    className="rate-add"
+                                    onClick={() => setSubs({ ...subs, [cat.id]: [...(subs[cat.id] ?? []), blank({ emoji: cat.emoji })] })}
+                                >
+                                    + {getI18nValue('sub.add')}
+                                </button>
+                            </div>
+                        )}
+                    />
+                    <button
+                        className="rate-add"
+                        onClick={() => setLists({
+                            ...lists,
+                            [type]: [...list, blank({ emoji: DEFAULT_EMOJI, color: CATEGORY_COLORS[added % CATEGORY_COLORS.length] })],
+                        })}
+                    >
+                        + {getI18nValue('categories.add')}
+                    </button>
+                    <div className="form-hint">{getI18nValue('categories.hint')}</div>
+                </div>
+
+                <button className="btn-submit" onClick={handleSave} disabled={loading}>
+                    {getI18nValue('btn.save')}
+                </button>
+
+                {loading && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// ─── Rows ─────────────────────────────────────────────
+
+/**
+ * Editable rows of categories or subcategories. `withColor` adds a color
+ * input; `keepOne` stops the last shown item from being hidden.
+ */
+function EditList({ items, placeholder, withColor = false, keepOne = false, onChange, extra = () => null, below = () => null }) {
+    const visible = items.filter(c => !c.hidden).length;
+
+    function change(index, fields) {
+        onChange(items.map((item, i) => i === index ? { ...item, ...fields } : item));
+    }
+
+    function move(index, step) {
+        const next = [...items];
+        [next[index], next[index + step]] = [next[index + step], next[index]];
+        onChange(next);
+    }
+
+    return items.map((item, i) => (
+        <div key={item.id ?? item.key}>
+            <div className={`rate-row category-edit-row${item.hidden ? ' hidden' : ''}`}>
+                <input
+                    className="form-input category-emoji"
+                    value={item.emoji}
+                    maxLength={8}
+                    onChange={e => change(i, { emoji: e.target.value })}
+                    aria-label={getI18nValue('categories.emoji')}
+                />
+                <input
+                    className="form-input rate-input"
+                    value={item.label}
+                    maxLength={32}
+                    placeholder={placeholder(item) ?? getI18nValue('categories.name')}
+                    onChange={e => change(i, { label: e.target.value })}
+                />
+                {withColor && (
+                    <input
+                        className="category-color"
+                        type="color"
+                        value={item.color}
+                        onChange={e => change(i, { color: e.target.value })}
+                        aria-label={getI18nValue('categories.color')}
+                    />
+                )}
+                {extra(item)}
+                <button className="rate-remove category-move" disabled={i === 0} onClick={() => move(i, -1)}>
+                    ↑
+                </button>
+                <button className="rate-remove category-move" disabled={i === items.length - 1} onClick={() => move(i, 1)}>
+                    ↓
+                </button>
+                <button
+                    className="rate-remove category-hide"
+                    disabled={keepOne && !item.hidden && visible === 1}
+                    onClick={() => change(i, { hidden: !item.hidden })}
+                    title={getI18nValue(item.hidden ? 'categories.show' : 'categories.hide')}
+                >
+                    {item.hidden ? '🙈' : '👁'}
+                </button>
+            </div>
+            {below(item)}
+        </div>
+    ));
+}
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { categoriesFor, subcategoriesFor } from '../../controllers/categoryController.js';
+import { ENTRY_TYPES }     from '../../utils/cashflow.utils.js';
+
+/**
+ * Keyword rules of the automatic categorization: a comment containing a
+ * keyword gets its category, and its subcategory when one is picked.
+ * Hidden categories stay on offer so existing rules keep showing theirs;
+ * rules left without a keyword are dropped on save.
+ *
+ * @param {{
+ *   rules: Array<import('../../utils/autocategory.utils.js').CategoryRule>,
+ *   onSave: (rules: Array<import('../../utils/autocategory.utils.js').CategoryRule>) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function CategoryRulesModal({ rules: initialRules = [], onSave, onClose }) {
+    const [rules,   setRules]   = useState(initialRules);
+    const [loading, setLoading] = useState(false);
+
+    const sheetRef = useSwipeToClose(onClose);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    function updateRule(index, fields) {
+        setRules(rules.map((rule, i) => i === index ? { ...rule, ...fields } : rule));
+    }
+
+    function addRule() {
+        setRules([...rules, { keyword: '', category: categoriesFor('expense')[0].id, subcategory: '' }]);
+    }
+
+    async function handleSave() {
+        setLoading(true);
+        await onSave(rules);
+        setLoading(false);
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-category-rules" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('rules.title')}</div>
+
+                <div className="form-group">
+                    {rules.map((rule, i) => {
+                        const subs = subcategoriesFor(rule.category, { hidden: true });
+                        return (
+                            <div className="rule-row" key={i}>
+                                <div className="rate-row">
+                                    <input
+                                        className="form-input rate-input"
+                                        value={rule.keyword}
+                                        maxLength={40}
+                                        placeholder={getI18nValue('rules.keyword')}
+                                        onChange={e => updateRule(i, { keyword: e.target.value })}
+                                    />
+                                    <button
+                                        className="rate-remove"
+                                        onClick={() => setRules(rules.filter((_, j) => j !== i))}
+                                        aria-label={getI18nValue('rules.remove')}
+                                    >
+                                        ×
+                                    </button>
+                                </div>
+                                <div className="rate-row">
+                                    <select
+                                        className="form-input rule-select"
+                                        value={rule.category}
+                                        onChange={e => updateRule(i, { category: e.target.value, subcategory: '' })}
+                                    >
+                                        {ENTRY_TYPES.map(type => (
+                                            <optgroup key={type} label={getI18nValue(`entry.${type}`)}>
+                                                {categoriesFor(type, { hidden: true }).map(cat => (
+                                                    <option key={cat.id} value={cat.id}>{cat.emoji} {cat.label}</option>
+                                                ))}
+                                            </optgroup>
+                                        ))}
+                                    </select>
+                                    {subs.length > 0 && (
+                                        <select
+                                            className="form-input rule-select"
+                                            value={rule.subcategory}
+                                            onChange={e => updateRule(i, { subcategory: e.target.value })}
+                                        >
+                                            <option value="">{getI18nValue('sub.none')}</option>
+                                            {subs.map(sub => (
+                                                <option key={sub.id} value={sub.id}>{sub.emoji} {sub.label}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                    <button className="rate-add" onClick={addRule}>
+                        + {getI18nValue('rules.add')}
+                    </button>
+                    <div className="form-hint">{getI18nValue('rules.hint')}</div>
+                </div>
+
+                <button className="btn-submit" onClick={handleSave} disabled={loading}>
+                    {getI18nValue('btn.save')}
+                </button>
+
+                {loading && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
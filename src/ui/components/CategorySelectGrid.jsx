@@ -1,25 +1,85 @@
-import { CATEGORIES } from '../../constants/categories.js';
+import { useState } from 'react';
+import { categoriesFor, subcategoriesFor, findSubcategory } from '../../controllers/categoryController.js';
+import { getI18nValue } from '../../i18n/localization.js';
 
 /**
+ * Category picker. Given `selectedSub`, it picks in two steps: a category
+ * with subcategories opens them, with a back tile and a tile for the
+ * category as a whole. Without it only categories are offered.
+ *
  * @param {{
  *   selectedCat: string|null,
- *   onSelect: (catId: string) => void
+ *   selectedSub?: string,
+ *   onSelect: (catId: string, subId: string) => void,
+ *   categories?: Array   // defaults to the expense categories
  * }} props
  */
-export function CategorySelectGrid({ selectedCat, onSelect }) {
+export function CategorySelectGrid({ selectedCat, selectedSub, onSelect, categories = categoriesFor('expense') }) {
+    const picksSub = selectedSub !== undefined;
+    const [openCat, setOpenCat] = useState(() => picksSub && selectedSub ? selectedCat : null);
+
+    const parent = picksSub && openCat ? categories.find(c => c.id === openCat) : null;
+
+    function handleCategory(cat) {
+        onSelect(cat.id, '');
+        if (picksSub && subcategoriesFor(cat.id).length) setOpenCat(cat.id);
+    }
+
+    if (!parent) {
+        return (
+            <div className="cat-grid">
+                {categories.map(cat => (
+                    <Option
+                        key={cat.id}
+                        item={cat}
+                        selected={selectedCat === cat.id}
+                        more={picksSub && subcategoriesFor(cat.id).length > 0}
+                        onClick={() => handleCategory(cat)}
+                    />
+                ))}
+            </div>
+        );
+    }
+
+    // An entry keeps a subcategory hidden since it was recorded.
+    const subs   = subcategoriesFor(parent.id);
+    const hidden = selectedCat === parent.id && !subs.some(s => s.id === selectedSub)
+        ? findSubcategory(parent.id, selectedSub)
+        : null;
+
     return (
         <div className="cat-grid">
-            {CATEGORIES.map(cat => (
-                <div
-                    key={cat.id}
-                    className={`cat-option${selectedCat === cat.id ? ' selected' : ''}`}
-                    onMouseDown={e => e.preventDefault()}
-                    onClick={() => onSelect(cat.id)}
-                >
-                    <div className="cat-emoji">{cat.emoji}</div>
-                    <div>{cat.label}</div>
-                </div>
+            <Option
+                item={{ emoji: '‹', label: getI18nValue('sub.back') }}
+                selected={false}
+                onClick={() => setOpenCat(null)}
+            />
+            <Option
+                item={{ emoji: parent.emoji, label: getI18nValue('sub.none') }}
+                selected={selectedCat === parent.id && !selectedSub}
+                onClick={() => onSelect(parent.id, '')}
+            />
+            {[...subs, ...(hidden ? [hidden] : [])].map(sub => (
+                <Option
+                    key={sub.id}
+                    item={sub}
+                    selected={selectedCat === parent.id && selectedSub === sub.id}
+                    onClick={() => onSelect(parent.id, sub.id)}
+                />
             ))}
         </div>
     );
+}
+
+function Option({ item, selected, more = false, onClick }) {
+    return (
+        <div
+            className={`cat-option${selected ? ' selected' : ''}${more ? ' has-subs' : ''}`}
+            onMouseDown={e => e.preventDefault()}
+            onClick={onClick}
+        >
+            <div className="cat-emoji">{item.emoji}</div>
+            <div>{item.label}</div>
+        </div>
+    );
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { CurrencySelect }  from './CurrencySelect.jsx';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { CURRENCIES, parseRate, rebaseLedger } from '../../utils/currency.utils.js';
+
+function _rowsFromLedger(ledger) {
+    return Object.keys(ledger.rates).sort().map(code => ({ code, rate: String(ledger.rates[code]) }));
+}
+
+function _ratesFromRows(rows, base) {
+    const rates = {};
+    for (const { code, rate } of rows) {
+        const value = parseRate(rate);
+        if (code && value && code !== base) rates[code] = value;
+    }
+    return rates;
+}
+
+/**
+ * Base currency + exchange rates editor. Rates are entered as
+ * "1 <currency> = <rate> <base>"; rows without a valid rate are dropped on save.
+ * Picking another base re-quotes the rates against it. Entries without a
+ * currency follow the base, so replacing a base that was already set
+ * takes a second tap on Save after a warning.
+ *
+ * @param {{
+ *   ledger: { baseCurrency: string|null, rates: Object<string, number> },
+ *   onSave: (ledger: object) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function CurrencyModal({ ledger, onSave, onClose }) {
+    const [base,    setBase]    = useState(ledger.baseCurrency || '');
+    const [rows,    setRows]    = useState(() => _rowsFromLedger(ledger));
+    const [loading, setLoading] = useState(false);
+    const [warned,  setWarned]  = useState(false);
+
+    const replacesBase = Boolean(ledger.baseCurrency) && base !== ledger.baseCurrency;
+
+    const sheetRef = useSwipeToClose(onClose);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    function updateRow(index, patch) {
+        setRows(rows.map((r, i) => i === index ? { ...r, ...patch } : r));
+    }
+
+    function changeBase(code) {
+        const rebased = rebaseLedger({ baseCurrency: base || null, rates: _ratesFromRows(rows, base) }, code);
+        setBase(code);
+        setRows(_rowsFromLedger(rebased));
+        setWarned(false);
+    }
+
+    function addRow() {
+        const used = new Set([base, ...rows.map(r => r.code)]);
+        const code = CURRENCIES.find(c => !used.has(c)) || CURRENCIES[0];
+        setRows([...rows, { code, rate: '' }]);
+    }
+
+    async function handleSave() {
+        if (replacesBase && !warned) {
+            setWarned(true);
+            return;
+        }
+        setLoading(true);
+        await onSave({ baseCurrency: base || null, rates: _ratesFromRows(rows, base) });
+        setLoading(false);
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-currency" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('currency.title')}</div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('currency.base')}</label>
+                    <CurrencySelect
+                        value={base}
+                        onChange={changeBase}
+                        emptyLabel={getI18nValue('currency.none')}
+                        className="form-input"
+                    />
+                    <div className="form-hint">{getI18nValue('currency.hint')}</div>
+                </div>
+
+                {base && (
+                    <div className="form-group">
+                        <label className="form-label">{getI18nValue('currency.rates')}</label>
+                        {rows.map((row, i) => (
+                            <div className="rate-row" key={i}>
+                                <span className="rate-prefix">1</span>
+                                <CurrencySelect value={row.code} onChange={code => updateRow(i, { code })} />
+                                <span className="rate-prefix">=</span>
+                                <input
+                                    className="form-input rate-input"
+                                    type="text"
+                                    inputMode="decimal"
+                                    placeholder="0"
+                                    value={row.rate}
+                                    onChange={e => updateRow(i, { rate: e.target.value })}
+                                />
+                                <span className="rate-prefix">{base}</span>
+                                <button
+                                    className="rate-remove"
+                                    onClick={() => setRows(rows.filter((_, j) => j !== i))}
+                                    aria-label={getI18nValue('currency.remove')}
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+                        <button className="rate-add" onClick={addRow}>
+                            + {getI18nValue('currency.add_rate')}
+                        </button>
+                    </div>
+                )}
+
+                {warned && (
+                    <p className="form-hint">
+                        {base
+                            ? getI18nValue('currency.base_change_warning').replace('{old}', ledger.baseCurrency).replace('{new}', base)
+                            : getI18nValue('currency.base_clear_warning')}
+                    </p>
+                )}
+
+                <button className="btn-submit" onClick={handleSave} disabled={loading}>
+                    {getI18nValue(warned ? 'currency.base_change_confirm' : 'btn.save')}
+                </button>
+
+                {loading && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
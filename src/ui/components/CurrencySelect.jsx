@@ -0,0 +1,25 @@
+import { CURRENCIES } from '../../utils/currency.utils.js';
+
+/**
+ * Native currency picker. A value outside the common list (e.g. typed into
+ * the sheet by hand) is kept as the first option so it isn't lost on edit.
+ *
+ * @param {{
+ *   value: string,
+ *   onChange: (code: string) => void,
+ *   emptyLabel?: string,   // when set, offers a "no currency" option with this label
+ *   className?: string
+ * }} props
+ */
+export function CurrencySelect({ value, onChange, emptyLabel = null, className = 'form-input currency-select' }) {
+    const codes = !value || CURRENCIES.includes(value) ? CURRENCIES : [value, ...CURRENCIES];
+
+    return (
+        <select className={className} value={value || ''} onChange={e => onChange(e.target.value)}>
+            {emptyLabel !== null && <option value="">{emptyLabel}</option>}
+            {codes.map(code => (
+                <option key={code} value={code}>{code}</option>
+            ))}
+        </select>
+    );
+}
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { WINDOW_CHOICES }  from '../../utils/duplicates.utils.js';
+import { ExpenseItem }     from './ExpenseItem.jsx';
+
+/**
+ * Asks before adding an entry that looks recorded already. The existing
+ * entry can be opened from the dialog instead.
+ *
+ * @param {{
+ *   existing: object,
+ *   ledger: object,
+ *   onConfirm: () => void,
+ *   onCancel: () => void,
+ *   onShow: () => void
+ * }} props
+ */
+export function DuplicateDialog({ existing, ledger, onConfirm, onCancel, onShow }) {
+    const sheetRef = useSwipeToClose(onCancel);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onCancel();
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-duplicate" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('duplicates.confirm_title')}</div>
+                <p className="form-hint">{getI18nValue('duplicates.confirm_text')}</p>
+
+                <div className="duplicate-pair" onClick={onShow}>
+                    <ExpenseItem item={existing} ledger={ledger} onEdit={onShow} />
+                </div>
+
+                <div className="edit-modal-actions">
+                    <button className="btn-submit btn-edit-back" onClick={onCancel}>
+                        {getI18nValue('btn.cancel')}
+                    </button>
+                    <button className="btn-submit" onClick={onConfirm}>
+                        {getI18nValue('duplicates.add_anyway')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Suspicious pairs among the loaded entries, newest first, with the day
+ * window used to match them. Tapping an entry opens it for editing.
+ *
+ * @param {{
+ *   pairs: Array<[object, object]>,
+ *   windowDays: number,
+ *   ledger: object,
+ *   onWindowChange: (days: number) => void,
+ *   onOpen: (id: string) => void,
+ *   onClose: () => void
+ * }} props
+ */
+export function DuplicatesModal({ pairs, windowDays, ledger, onWindowChange, onOpen, onClose }) {
+    const sheetRef = useSwipeToClose(onClose);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    function windowLabel(days) {
+        return days === 0 ? getI18nValue('duplicates.same_day') : getI18nValue('duplicates.days').replace('{n}', days);
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-duplicates" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('duplicates.title')}</div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('duplicates.window')}</label>
+                    <select className="form-input" value={windowDays} onChange={e => onWindowChange(Number(e.target.value))}>
+                        {WINDOW_CHOICES.map(days => <option key={days} value={days}>{windowLabel(days)}</option>)}
+                    </select>
+                    <div className="form-hint">{getI18nValue('duplicates.hint')}</div>
+                </div>
+
+                {!pairs.length ? (
+                    <p className="form-hint recurring-empty">{getI18nValue('duplicates.none')}</p>
+                ) : (
+                    pairs.map(([a, b]) => (
+                        <div className="duplicate-pair" key={`${a.id}-${b.id}`}>
+                            {[a, b].map(item => (
+                                <div key={item.id} onClick={() => onOpen(item.id)}>
+                                    <ExpenseItem item={item} ledger={ledger} onEdit={onOpen} />
+                                </div>
+                            ))}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
@@ -1,47 +1,85 @@
 import { useState, useEffect } from 'react';
 import { CategorySelectGrid } from './CategorySelectGrid.jsx';
 import { DatePicker }         from './DatePicker.jsx';
+import { CurrencySelect }     from './CurrencySelect.jsx';
+import { SplitFields }        from './SplitFields.jsx';
+import { ReceiptField }       from './ReceiptField.jsx';
 import { getI18nValue }       from '../../i18n/localization.js';
 import { parseAmount, todayStr } from '../../utils/helpers.js';
 import { useSwipeToClose }    from '../../hooks/useSwipeToClose.js';
+import { categoriesFor }      from '../../controllers/categoryController.js';
+import { entryType, isRefund } from '../../utils/cashflow.utils.js';
+import { splitToCell }        from '../../utils/split.utils.js';
 
 function getMonthStart() {
     const now = new Date();
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
 }
 
-export function EditExpenseModal({ expense, onUpdate, onDelete, onClose }) {
+/**
+ * A refund is edited like any other entry: its amount is shown positive and
+ * saved negative. Positive expenses offer a "Refund" action.
+ *
+ * Receipt photos can be removed or added; new ones are uploaded on update.
+ * An entry older than this month (a search result) can be moved within
+ * its own month onwards.
+ */
+export function EditExpenseModal({
+    expense, baseCurrency = null, members = [], myEmail = '', onUpdate, onDelete, onRefund, onLoadReceipt, onClose,
+}) {
     const [amount,   setAmount]   = useState('');
+    const [currency, setCurrency] = useState('');
     const [category, setCategory] = useState('food');
+    const [subcategory, setSubcategory] = useState('');
     const [comment,  setComment]  = useState('');
     const [date,     setDate]     = useState(todayStr());
+    const [sharing,  setSharing]  = useState({ paidBy: '', split: {} });
+    const [attached, setAttached] = useState({ receipts: [], photos: [] });
     const [loading,  setLoading]  = useState(false);
 
     const sheetRef = useSwipeToClose(onClose);
 
     useEffect(() => {
         if (!expense) return;
-        setAmount(String(expense.amount));
+        setAmount(String(Math.abs(expense.amount)));
+        setCurrency(expense.currency || baseCurrency || '');
         setCategory(expense.category);
+        setSubcategory(expense.subcategory || '');
         setComment(expense.comment || '');
         setDate(expense.date || todayStr());
+        setSharing({ paidBy: expense.paidBy || myEmail, split: expense.split || {} });
+        setAttached({ receipts: expense.receipts || [], photos: [] });
         setLoading(false);
     }, [expense?.id]);
 
     if (!expense) return null;
 
+    const type         = entryType(expense);
+    const refund       = isRefund(expense);
     const parsedAmount = parseAmount(amount);
+    const signedAmount = refund ? -parsedAmount : parsedAmount;
+    const showCurrency = Boolean(baseCurrency || expense.currency);
+    const minDate      = expense.date < getMonthStart() ? `${expense.date.slice(0, 7)}-01` : getMonthStart();
+    // A category hidden since the entry was recorded stays on offer for it.
+    const hiddenCat    = categoriesFor(type, { hidden: true }).find(c => c.hidden && c.id === expense.category);
+    const categories   = hiddenCat ? [...categoriesFor(type), hiddenCat] : categoriesFor(type);
 
     const isDirty =
-        parsedAmount !== expense.amount          ||
-        category     !== expense.category        ||
-        comment      !== (expense.comment || '') ||
-        date         !== expense.date;
+        signedAmount   !== expense.amount                             ||
+        category       !== expense.category                           ||
+        subcategory    !== (expense.subcategory || '')                ||
+        comment        !== (expense.comment || '')                    ||
+        date           !== expense.date                               ||
+        currency       !== (expense.currency || baseCurrency || '')   ||
+        sharing.paidBy !== (expense.paidBy || myEmail)                ||
+        splitToCell(sharing.split) !== splitToCell(expense.split)      ||
+        attached.receipts.join() !== (expense.receipts || []).join()  ||
+        attached.photos.length > 0;
 
     async function handleUpdate() {
         if (!parsedAmount) return;
         setLoading(true);
-        await onUpdate(expense.id, parsedAmount, category, comment, date);
+        await onUpdate(expense.id, signedAmount, category, comment, date, currency, sharing, attached, subcategory);
         setLoading(false);
     }
 
@@ -65,12 +103,23 @@ export function EditExpenseModal({ expense, onUpdate, onDelete, onClose }) {
             <div className="modal-sheet" ref={sheetRef}>
                 <div className="modal-handle" />
                 <div className="modal-edit-header">
-                    <div className="modal-title">{getI18nValue('modal.edit.title')}</div>
+                    <div className="modal-title">
+                        {getI18nValue(
+                            refund ? 'modal.edit_refund.title'
+                                : type === 'income' ? 'modal.edit_income.title'
+                                : 'modal.edit.title'
+                        )}
+                    </div>
+                    {onRefund && type === 'expense' && !refund && (
+                        <button className="btn-refund" onClick={() => onRefund(expense)} disabled={loading}>
+                            ↩ {getI18nValue('btn.refund')}
+                        </button>
+                    )}
                 </div>
 
                 <div className="form-group">
                     <label className="form-label">{getI18nValue('label.amount')}</label>
-                    <div className="amount-wrapper">
+                    <div className={`amount-wrapper${showCurrency ? ' with-currency' : ''}`}>
                         <input
                             className="form-input"
                             type="text"
@@ -80,20 +129,37 @@ export function EditExpenseModal({ expense, onUpdate, onDelete, onClose }) {
                             value={amount}
                             onChange={e => setAmount(e.target.value)}
                         />
+                        {showCurrency && <CurrencySelect value={currency} onChange={setCurrency} />}
                     </div>
                 </div>
 
                 <div className="form-group">
                     <label className="form-label">{getI18nValue('label.category')}</label>
-                    <CategorySelectGrid selectedCat={category} onSelect={setCategory} />
+                    <CategorySelectGrid
+                        key={expense.id}
+                        selectedCat={category}
+                        selectedSub={subcategory}
+                        onSelect={(catId, subId) => { setCategory(catId); setSubcategory(subId); }}
+                        categories={categories}
+                    />
                 </div>
 
+                {type === 'expense' && (
+                    <SplitFields
+                        key={expense.id}
+                        members={members}
+                        paidBy={sharing.paidBy}
+                        split={sharing.split}
+                        onChange={setSharing}
+                    />
+                )}
+
                 <div className="form-group">
                     <label className="form-label">{getI18nValue('label.date')}</label>
                     <DatePicker
                         value={date}
                         onChange={setDate}
-                        minDate={getMonthStart()}
+                        minDate={minDate}
                         maxDate={todayStr()}
                     />
                 </div>
@@ -109,6 +175,13 @@ export function EditExpenseModal({ expense, onUpdate, onDelete, onClose }) {
                     />
                 </div>
 
+                <ReceiptField
+                    receipts={attached.receipts}
+                    photos={attached.photos}
+                    loadThumbnail={onLoadReceipt}
+                    onChange={setAttached}
+                />
+
                 <div className="edit-modal-actions">
                     <button
                         className="btn-submit btn-edit-delete"
@@ -1,37 +1,117 @@
-import { CATEGORIES } from '../../constants/categories.js';
-import { formatMoney, formatDate } from '../../utils/helpers.js';
+import { findCategory, findSubcategory } from '../../controllers/categoryController.js';
+import { formatMoney, formatCurrency, formatDate } from '../../utils/helpers.js';
+import { toBase } from '../../utils/currency.utils.js';
+import { entryType, isRefund } from '../../utils/cashflow.utils.js';
+import { highlightParts, amountMatches } from '../../utils/search.utils.js';
+import { getI18nValue } from '../../i18n/localization.js';
+import { MemberAvatar } from './MemberAvatar.jsx';
+import { useLongPress } from '../../hooks/useLongPress.js';
+
+/** Text with the runs matching the search terms marked. */
+function Highlighted({ text, terms }) {
+    if (!terms.length) return text;
+    return highlightParts(text, terms).map((part, i) =>
+        part.match ? <mark key={i} className="search-mark">{part.text}</mark> : part.text
+    );
+}
 
 /**
- * @param {{ item: object, onEdit: (id: string) => void, style: object }} props
+ * A foreign-currency expense shows its original amount, with the converted
+ * base amount underneath when a rate is known. Income is marked with a "+".
+ * A refund shows a "−" and what it refunds; an expense that has been
+ * (partly) refunded shows how much came back. In a shared spreadsheet the
+ * author's avatar sits on the category icon. Given search terms, the words
+ * they match in the name and category and a matching amount are highlighted.
+ *
+ * Given `onSelect`, a long press selects the entry; while `selecting`, a tap
+ * toggles it and a check box takes the place of the edit button.
+ *
+ * @param {{
+ *   item: object,
+ *   ledger: object,
+ *   original?: object|null,
+ *   refunded?: number,
+ *   author?: { email: string, name: string, letter: string, picture: string|null }|null,
+ *   highlight?: string[],
+ *   selecting?: boolean,
+ *   selected?: boolean,
+ *   onSelect?: (id: string) => void,
+ *   onEdit: (id: string) => void,
+ *   style: object
+ * }} props
  */
-export function ExpenseItem({ item, onEdit, style }) {
-    const cat = CATEGORIES.find(c => c.id === item.category) || CATEGORIES[5];
+export function ExpenseItem({
+    item, ledger, original = null, refunded = 0, author = null, highlight = [],
+    selecting = false, selected = false, onSelect, onEdit, style,
+}) {
+    const press     = useLongPress(() => onSelect?.(item.id), () => selecting && onSelect?.(item.id));
+    const type      = entryType(item);
+    const cat       = findCategory(item.category, type);
+    const sub       = findSubcategory(cat.id, item.subcategory);
+    const catLabel  = sub ? `${cat.label} · ${sub.label}` : cat.label;
+    const refund    = isRefund(item);
+    const kind      = refund ? 'refund' : type;
+    const sign      = refund ? '−' : type === 'income' ? '+' : '';
+    const amount    = Math.abs(item.amount);
+    const isForeign = Boolean(item.currency && item.currency !== ledger?.baseCurrency);
+    const inBase    = isForeign && ledger?.baseCurrency ? toBase({ ...item, amount }, ledger) : null;
+    const format    = value => isForeign ? formatCurrency(value, item.currency) : formatMoney(value);
+    const matched   = highlight.some(term => amountMatches(item.amount, term)) ? ' search-match' : '';
+
+    let refundNote = null;
+    if (refund) {
+        refundNote = `↩ ${original ? original.comment || findCategory(original.category).label : getI18nValue('entry.refund')}`;
+    } else if (refunded > 0) {
+        refundNote = `↩ ${getI18nValue('refund.refunded').replace('{a}', format(refunded))}`;
+    }
 
     return (
-        <div className="expense-item" data-id={item.id} style={style}>
+        <div
+            className={`expense-item${selected ? ' selected' : ''}`}
+            data-id={item.id}
+            style={style}
+            {...(onSelect ? press : {})}
+        >
             <div className="expense-icon" style={{ background: `${cat.color}22` }}>
-                {cat.emoji}
+                {(sub ?? cat).emoji}
+                {author && <MemberAvatar member={author} className="expense-author" />}
             </div>
             <div className="expense-info">
-                <div className="expense-name">{item.comment || cat.label}</div>
+                <div className="expense-name"><Highlighted text={item.comment || sub?.label || cat.label} terms={highlight} /></div>
                 <div className="expense-meta">
-                    <span className="expense-cat">{cat.label}</span>
+                    <span className="expense-cat"><Highlighted text={catLabel} terms={highlight} /></span>
                     <span className="expense-date">{formatDate(item.date)}</span>
+                    {refundNote && <span className="expense-refund">{refundNote}</span>}
                 </div>
             </div>
-            <div className="expense-amount">{formatMoney(item.amount)}</div>
-            <div
-                className="expense-edit"
-                title="Edit"
-                onClick={e => { e.stopPropagation(); onEdit(item.id); }}
-            >
-                <svg width="14" height="14" viewBox="0 0 24 24" fill="none"
-                     stroke="currentColor" strokeWidth="2"
-                     strokeLinecap="round" strokeLinejoin="round">
-                    <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
-                    <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
-                </svg>
-            </div>
+            {isForeign ? (
+                <div className={`expense-amount ${kind}${matched}`}>
+                    {sign}{formatCurrency(amount, item.currency)}
+                    {inBase !== null && (
+                        <div className="expense-amount-base">≈ {formatCurrency(inBase, ledger.baseCurrency)}</div>
+                    )}
+                </div>
+            ) : (
+                <div className={`expense-amount ${kind}${matched}`}>{sign}{formatMoney(amount)}</div>
+            )}
+            {selecting ? (
+                <div className={`expense-check${selected ? ' checked' : ''}`} aria-checked={selected} role="checkbox">
+                    {selected && '✓'}
+                </div>
+            ) : (
+                <div
+                    className="expense-edit"
+                    title="Edit"
+                    onClick={e => { e.stopPropagation(); onEdit(item.id); }}
+                >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none"
+                         stroke="currentColor" strokeWidth="2"
+                         strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                    </svg>
+                </div>
+            )}
         </div>
     );
 }
\ No newline at end of file
@@ -1,26 +1,43 @@
 import { ExpenseItem } from './ExpenseItem.jsx';
 import { getFilteredExpenses, sortExpenses } from '../../utils/helpers.js';
 import { getI18nValue } from '../../i18n/localization.js';
+import { refundedAmounts } from '../../utils/cashflow.utils.js';
+import { activeCriteria } from '../../utils/filter.utils.js';
 
 /**
  * @param {{
  *   expenses: Array,
  *   currentPeriod: string,
  *   currentCategoryFilter: string,
+ *   currentEntryType: 'expense'|'income',
+ *   currentMemberFilter?: string,   // author email or 'all'
  *   sortField: 'date' | 'amount',
  *   sortDir: 'asc' | 'desc',
+ *   ledger: { baseCurrency: string|null, rates: Object<string, number> },
+ *   filter?: import('../../utils/filter.utils.js').Filter,
+ *   members?: Array<{ email: string, name: string, letter: string, picture: string|null }>,
+ *   selection?: string[],           // IDs selected for a bulk action
+ *   onSelect?: (id: string) => void,
  *   onEdit: (id: string) => void
  * }} props
  */
-export function ExpenseList({ expenses, currentPeriod, currentCategoryFilter, sortField, sortDir, onEdit }) {
-    const filtered = getFilteredExpenses({ expenses, currentPeriod, currentCategoryFilter });
+export function ExpenseList({
+    expenses, currentPeriod, currentCategoryFilter, currentEntryType = 'expense', currentMemberFilter = 'all',
+    sortField, sortDir, ledger, filter, members = [], selection = [], onSelect, onEdit,
+}) {
+    const filtered = getFilteredExpenses({ expenses, currentPeriod, currentCategoryFilter, currentEntryType, currentMemberFilter, filter, ledger });
     const sorted   = sortExpenses(filtered, sortField, sortDir);
+    const refunded = refundedAmounts(expenses);
+    const byId     = new Map(expenses.map(e => [e.id, e]));
+    const authorOf = item => members.length > 1 && item.author
+        ? members.find(m => m.email === item.author) ?? null
+        : null;
 
     if (!sorted.length) {
         return (
             <div className="empty-state">
                 <div className="empty-icon">🌱</div>
-                <p>{getI18nValue('empty.no_period')}</p>
+                <p>{getI18nValue(activeCriteria(filter) ? 'filter.none' : currentEntryType === 'income' ? 'empty.no_income' : 'empty.no_period')}</p>
             </div>
         );
     }
@@ -31,6 +48,13 @@ export function ExpenseList({ expenses, currentPeriod, currentCategoryFilter, so
                 <ExpenseItem
                     key={item.id}
                     item={item}
+                    ledger={ledger}
+                    original={item.refundOf ? byId.get(item.refundOf) ?? null : null}
+                    refunded={refunded.get(item.id) ?? 0}
+                    author={authorOf(item)}
+                    selecting={selection.length > 0}
+                    selected={selection.includes(item.id)}
+                    onSelect={onSelect}
                     onEdit={onEdit}
                     style={{ animationDelay: `${i * 30}ms` }}
                 />
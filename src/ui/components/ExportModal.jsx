@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { todayStr }        from '../../utils/helpers.js';
+import { EXPORT_FORMATS, RANGE_PRESETS, presetRange } from '../../utils/export.utils.js';
+import { DatePicker }      from './DatePicker.jsx';
+
+/**
+ * Export settings: a date range (with this month / last month / this year
+ * shortcuts), one category or all, and the file format.
+ *
+ * @param {{
+ *   categories: Array<{ id: string, label: string, emoji: string }>,
+ *   onExport: (request: { from: string, to: string, category: string, format: string }) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function ExportModal({ categories, onExport, onClose }) {
+    const [range,    setRange]    = useState(() => presetRange('this_month', todayStr()));
+    const [category, setCategory] = useState('all');
+    const [format,   setFormat]   = useState('csv');
+    const [loading,  setLoading]  = useState(false);
+
+    const sheetRef = useSwipeToClose(onClose);
+    const preset   = RANGE_PRESETS.find(p => {
+        const r = presetRange(p, todayStr());
+        return r.from === range.from && r.to === range.to;
+    });
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    async function handleExport() {
+        setLoading(true);
+        await onExport({ ...range, category, format });
+        setLoading(false);
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-export" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('export.title')}</div>
+
+                <div className="period-toggle entry-type-toggle">
+                    {RANGE_PRESETS.map(p => (
+                        <button
+                            key={p}
+                            className={`period-btn${preset === p ? ' active' : ''}`}
+                            onClick={() => setRange(presetRange(p, todayStr()))}
+                        >
+                            {getI18nValue(`export.${p}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="form-group recurring-dates">
+                    <div>
+                        <label className="form-label">{getI18nValue('export.from')}</label>
+                        <DatePicker value={range.from} onChange={from => setRange({ ...range, from })} maxDate={range.to} />
+                    </div>
+                    <div>
+                        <label className="form-label">{getI18nValue('export.to')}</label>
+                        <DatePicker value={range.to} onChange={to => setRange({ ...range, to })} minDate={range.from} />
+                    </div>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('label.category')}</label>
+                    <select className="form-input" value={category} onChange={e => setCategory(e.target.value)}>
+                        <option value="all">{getI18nValue('cat.all')}</option>
+                        {categories.map(cat => (
+                            <option key={cat.id} value={cat.id}>{cat.emoji} {cat.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('export.format')}</label>
+                    <div className="period-toggle entry-type-toggle">
+                        {EXPORT_FORMATS.map(f => (
+                            <button
+                                key={f}
+                                className={`period-btn${format === f ? ' active' : ''}`}
+                                onClick={() => setFormat(f)}
+                            >
+                                {f.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <button className="btn-submit" onClick={handleExport} disabled={loading}>
+                    {getI18nValue('export.submit')}
+                </button>
+
+                {loading && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
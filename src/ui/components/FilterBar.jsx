@@ -0,0 +1,85 @@
+import { getI18nValue } from '../../i18n/localization.js';
+import { formatDate, formatMoney } from '../../utils/helpers.js';
+import { activeCriteria } from '../../utils/filter.utils.js';
+
+/**
+ * Filter button under the search field and, once a filter is applied, a
+ * chip per criterion. Tapping a chip's × drops that criterion.
+ *
+ * @param {{
+ *   filter: import('../../utils/filter.utils.js').Filter,
+ *   categories: Array<{ id: string, label: string, emoji: string }>,
+ *   members: Array<{ email: string, name: string }>,
+ *   onOpen: () => void,
+ *   onChange: (filter: import('../../utils/filter.utils.js').Filter) => void,
+ *   onClear: () => void
+ * }} props
+ */
+export function FilterBar({ filter, categories, members, onOpen, onChange, onClear }) {
+    const count = activeCriteria(filter);
+    const chips = [];
+
+    if (filter.from || filter.to) {
+        chips.push({ key: 'dates', label: `📅 ${rangeLabel(filter)}`, drop: { from: '', to: '' } });
+    }
+    if (filter.min !== null || filter.max !== null) {
+        chips.push({ key: 'amount', label: amountLabel(filter), drop: { min: null, max: null } });
+    }
+    if (filter.categories.length) {
+        const names = filter.categories.map(id => {
+            const cat = categories.find(c => c.id === id);
+            return cat ? `${cat.emoji} ${cat.label}` : id;
+        });
+        chips.push({ key: 'categories', label: names.join(', '), drop: { categories: [] } });
+    }
+    if (filter.hasComment) {
+        chips.push({ key: 'comment', label: `💬 ${getI18nValue('filter.has_comment')}`, drop: { hasComment: false } });
+    }
+    if (filter.authors.length) {
+        const names = filter.authors.map(email => members.find(m => m.email === email)?.name ?? email);
+        chips.push({ key: 'authors', label: `👤 ${names.join(', ')}`, drop: { authors: [] } });
+    }
+
+    return (
+        <div className="category-row filter-row">
+            <button className={`cat-pill filter-open${count ? ' active' : ''}`} onClick={onOpen}>
+                ⚙️ {getI18nValue('filter.button')}
+                {count > 0 && <span className="filter-count">{count}</span>}
+            </button>
+            {chips.map(chip => (
+                <div key={chip.key} className="cat-pill filter-chip">
+                    <span className="filter-chip-label">{chip.label}</span>
+                    <button
+                        className="filter-chip-remove"
+                        onClick={() => onChange({ ...filter, ...chip.drop })}
+                        aria-label={getI18nValue('filter.remove')}
+                    >
+                        ×
+                    </button>
+                </div>
+            ))}
+            {count > 1 && (
+                <button className="cat-pill filter-clear" onClick={onClear}>
+                    {getI18nValue('filter.clear')}
+                </button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * "3 Mar – 17 Apr", with the year added to a bound outside the current one.
+ * @param {{ from: string, to: string }} range
+ * @returns {string}
+ */
+export function rangeLabel({ from, to }) {
+    const thisYear = String(new Date().getFullYear());
+    const label    = iso => iso.startsWith(thisYear) ? formatDate(iso) : `${formatDate(iso)} ${iso.slice(0, 4)}`;
+    if (from === to) return label(from);
+    return `${label(from)} – ${label(to)}`;
+}
+
+function amountLabel({ min, max }) {
+    if (min !== null && max !== null) return `${formatMoney(min)} – ${formatMoney(max)}`;
+    return min !== null ? `≥ ${formatMoney(min)}` : `≤ ${formatMoney(max)}`;
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { todayStr, parseAmount } from '../../utils/helpers.js';
+import { RANGE_PRESETS, presetRange } from '../../utils/export.utils.js';
+import { EMPTY_FILTER }    from '../../utils/filter.utils.js';
+import { DatePicker }      from './DatePicker.jsx';
+import { MemberAvatar }    from './MemberAvatar.jsx';
+
+/**
+ * Advanced filter panel: a date range in place of the period (with this
+ * month / last month / this year shortcuts), amount bounds, any number of
+ * categories, entries with a comment only, and authors.
+ *
+ * @param {{
+ *   filter: import('../../utils/filter.utils.js').Filter,
+ *   categories: Array<{ id: string, label: string, emoji: string, color: string }>,
+ *   members: Array<{ email: string, name: string, letter: string, picture: string|null }>,
+ *   onApply: (filter: import('../../utils/filter.utils.js').Filter) => void,
+ *   onClose: () => void
+ * }} props
+ */
+export function FilterModal({ filter, categories, members, onApply, onClose }) {
+    const [range,      setRange]      = useState({ from: filter.from, to: filter.to });
+    const [min,        setMin]        = useState(filter.min === null ? '' : String(filter.min));
+    const [max,        setMax]        = useState(filter.max === null ? '' : String(filter.max));
+    const [picked,     setPicked]     = useState(filter.categories);
+    const [hasComment, setHasComment] = useState(filter.hasComment);
+    const [authors,    setAuthors]    = useState(filter.authors);
+
+    const sheetRef = useSwipeToClose(onClose);
+    const anyDate  = !range.from && !range.to;
+    const preset   = RANGE_PRESETS.find(p => {
+        const r = presetRange(p, todayStr());
+        return r.from === range.from && r.to === range.to;
+    });
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    // A range always has both ends: the first one picked brings a default for the other.
+    function pickFrom(from) {
+        setRange({ from, to: range.to || todayStr() });
+    }
+
+    function pickTo(to) {
+        setRange({ from: range.from || `${to.slice(0, 8)}01`, to });
+    }
+
+    function toggle(list, setList, value) {
+        setList(list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+    }
+
+    function handleReset() {
+        setRange({ from: '', to: '' });
+        setMin('');
+        setMax('');
+        setPicked([]);
+        setHasComment(false);
+        setAuthors([]);
+    }
+
+    function handleApply() {
+        // Blank or unreadable bounds are no bounds; reversed ones are swapped.
+        const bounds = [parseAmount(min) || null, parseAmount(max) || null];
+        if (bounds[0] !== null && bounds[1] !== null && bounds[0] > bounds[1]) bounds.reverse();
+        onApply({
+            ...EMPTY_FILTER,
+            ...range,
+            min:        bounds[0],
+            max:        bounds[1],
+            categories: picked,
+            hasComment,
+            authors,
+        });
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-filter" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('filter.title')}</div>
+
+                <div className="period-toggle entry-type-toggle">
+                    <button
+                        className={`period-btn${anyDate ? ' active' : ''}`}
+                        onClick={() => setRange({ from: '', to: '' })}
+                    >
+                        {getI18nValue('filter.any_date')}
+                    </button>
+                    {RANGE_PRESETS.map(p => (
+                        <button
+                            key={p}
+                            className={`period-btn${preset === p ? ' active' : ''}`}
+                            onClick={() => setRange(presetRange(p, todayStr()))}
+                        >
+                            {getI18nValue(`export.${p}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="form-group recurring-dates">
+                    <div>
+                        <label className="form-label">{getI18nValue('export.from')}</label>
+                        <DatePicker value={range.from} onChange={pickFrom} maxDate={range.to || todayStr()} />
+                    </div>
+                    <div>
+                        <label className="form-label">{getI18nValue('export.to')}</label>
+                        <DatePicker value={range.to} onChange={pickTo} minDate={range.from} />
+                    </div>
+                </div>
+
+                <div className="form-group recurring-dates">
+                    <div>
+                        <label className="form-label">{getI18nValue('filter.min')}</label>
+                        <input className="form-input" inputMode="decimal" placeholder="0" value={min} onChange={e => setMin(e.target.value)} />
+                    </div>
+                    <div>
+                        <label className="form-label">{getI18nValue('filter.max')}</label>
+                        <input className="form-input" inputMode="decimal" placeholder="∞" value={max} onChange={e => setMax(e.target.value)} />
+                    </div>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('filter.categories')}</label>
+                    <div className="category-row filter-categories">
+                        {categories.map(cat => (
+                            <div
+                                key={cat.id}
+                                className={`cat-pill${picked.includes(cat.id) ? ' active' : ''}`}
+                                onClick={() => toggle(picked, setPicked, cat.id)}
+                            >
+                                {cat.emoji} {cat.label}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {members.length > 1 && (
+                    <div className="form-group">
+                        <label className="form-label">{getI18nValue('filter.authors')}</label>
+                        <div className="category-row filter-categories">
+                            {members.map(member => (
+                                <div
+                                    key={member.email}
+                                    className={`cat-pill${authors.includes(member.email) ? ' active' : ''}`}
+                                    onClick={() => toggle(authors, setAuthors, member.email)}
+                                >
+                                    <MemberAvatar member={member} />
+                                    {member.name}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <label className="budget-row-label split-member import-check">
+                    <input type="checkbox" checked={hasComment} onChange={e => setHasComment(e.target.checked)} />
+                    {getI18nValue('filter.has_comment')}
+                </label>
+
+                <div className="edit-modal-actions">
+                    <button className="btn-submit btn-edit-back" onClick={handleReset}>
+                        {getI18nValue('filter.reset')}
+                    </button>
+                    <button className="btn-submit" onClick={handleApply}>
+                        {getI18nValue('filter.apply')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
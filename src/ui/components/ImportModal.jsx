@@ -0,0 +1,339 @@
+import { useState } from 'react';
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+import { formatCurrency }  from '../../utils/helpers.js';
+import { parseCsv }        from '../../utils/csv.utils.js';
+import {
+    detectStatementFormat,
+    parseStatement,
+    statementExpenses,
+    statementPayees,
+} from '../../utils/statement.utils.js';
+import {
+    IMPORT_FIELDS,
+    REQUIRED_FIELDS,
+    guessMapping,
+    isMappingComplete,
+    detectDateOrder,
+    categoryNames,
+    guessCategoryMap,
+    buildImport,
+} from '../../utils/import.utils.js';
+
+/** Rows shown in the preview step. */
+const PREVIEW_ROWS = 5;
+
+/** Row errors listed before "and N more". */
+const MAX_ERRORS = 10;
+
+const NO_MATCHES = { imported: new Set(), duplicates: new Set() };
+
+/**
+ * Import wizard: pick a file, say which column holds what, match the
+ * file's category names to ours, then check a preview before importing.
+ * The category step is skipped when no column is mapped to categories.
+ *
+ * Bank statements (OFX, QIF, CAMT.053) need no column mapping; their
+ * payees take the place of category names, and transactions imported
+ * before are left out of the preview. Rows that look like entries already
+ * recorded are skipped unless the user keeps them.
+ *
+ * Names and rows without a category of ours take the one `suggest` finds
+ * for them, as entries typed in by hand do.
+ *
+ * @param {{
+ *   categories: Array<{ id: string, label: string, emoji: string }>,
+ *   baseCurrency: string|null,
+ *   suggest?: (text: string) => { category: string, subcategory: string }|null,
+ *   checkExisting: (expenses: Array) => Promise<{ imported: Set<string>, duplicates: Set<string> }>,
+ *   onImport: (expenses: Array) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function ImportModal({ categories, baseCurrency = null, suggest = () => null, checkExisting, onImport, onClose }) {
+    const [step,        setStep]        = useState('file');
+    const [fileName,    setFileName]    = useState('');
+    const [rows,        setRows]        = useState([]);
+    const [statement,   setStatement]   = useState(null);
+    const [hasHeader,   setHasHeader]   = useState(true);
+    const [mapping,     setMapping]     = useState(null);
+    const [dateOrder,   setDateOrder]   = useState(null);
+    const [flipSign,    setFlipSign]    = useState(false);
+    const [categoryMap, setCategoryMap] = useState({});
+    const [built,       setBuilt]       = useState(null);
+    const [existing,    setExisting]    = useState(NO_MATCHES);
+    const [keepDoubts,  setKeepDoubts]  = useState(false);
+    const [error,       setError]       = useState('');
+    const [loading,     setLoading]     = useState(false);
+
+    const sheetRef = useSwipeToClose(onClose);
+
+    const header   = hasHeader
+        ? rows[0] ?? []
+        : (rows[0] ?? []).map((_, i) => getI18nValue('import.column').replace('{n}', i + 1));
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const order    = dateOrder ?? detectDateOrder(dataRows.map(r => r[mapping?.date] ?? ''));
+    const names    = statement ? statementPayees(statement) : mapping ? categoryNames(dataRows, mapping) : [];
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onClose();
+    }
+
+    async function handleFile(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        const text   = await file.text();
+        const format = detectStatementFormat(text);
+        setFileName(file.name);
+        setCategoryMap({});
+        if (format) {
+            const parsed = parseStatement(text, format);
+            setStatement(parsed);
+            setRows([]);
+            setError(parsed.transactions.length ? '' : getI18nValue('import.empty'));
+            return;
+        }
+        const parsed = parseCsv(text);
+        setStatement(null);
+        setRows(parsed);
+        setMapping(guessMapping(parsed[0]));
+        setDateOrder(null);
+        setError(parsed.length ? '' : getI18nValue('import.empty'));
+    }
+
+    function goToCategories() {
+        if (!names.length) { goToPreview(); return; }
+        setCategoryMap({ ...guessCategoryMap(names, categories, suggest), ...categoryMap });
+        setStep('categories');
+    }
+
+    async function goToPreview() {
+        const result = statement
+            ? statementExpenses(statement, { categoryMap, baseCurrency })
+            : buildImport(dataRows, { mapping, dateOrder: order, categoryMap, flipSign, firstRow: hasHeader ? 2 : 1, suggest });
+        setBuilt(result);
+        setExisting(NO_MATCHES);
+        setStep('preview');
+        setLoading(true);
+        setExisting(await checkExisting(result.expenses));
+        setLoading(false);
+    }
+
+    async function handleImport(expenses) {
+        setLoading(true);
+        await onImport(expenses);
+        setLoading(false);
+    }
+
+    function columnSelect(field) {
+        return (
+            <div className="form-group" key={field}>
+                <label className="form-label">
+                    {getI18nValue(`import.field_${field}`)}
+                    {REQUIRED_FIELDS.includes(field) && ' *'}
+                </label>
+                <select
+                    className="form-input"
+                    value={mapping[field]}
+                    onChange={e => setMapping({ ...mapping, [field]: Number(e.target.value) })}
+                >
+                    <option value={-1}>—</option>
+                    {header.map((label, i) => (
+                        <option key={i} value={i}>
+                            {label}{dataRows[0]?.[i] ? ` · ${dataRows[0][i]}` : ''}
+                        </option>
+                    ))}
+                </select>
+            </div>
+        );
+    }
+
+    function actions(onBack, next) {
+        return (
+            <div className="edit-modal-actions">
+                <button className="btn-submit btn-edit-back" onClick={onBack} disabled={loading}>
+                    {getI18nValue('btn.back')}
+                </button>
+                {next}
+            </div>
+        );
+    }
+
+    function renderFileStep() {
+        return (
+            <>
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('import.file')}</label>
+                    <input className="form-input import-file" type="file" accept=".csv,.ofx,.qfx,.qif,.xml,text/csv" onChange={handleFile} />
+                    <div className="form-hint">
+                        {!fileName
+                            ? getI18nValue('import.hint')
+                            : statement
+                                ? getI18nValue('import.transactions').replace('{n}', statement.transactions.length)
+                                : getI18nValue('import.rows').replace('{n}', dataRows.length)}
+                    </div>
+                    {error && <div className="form-hint import-error">{error}</div>}
+                </div>
+
+                {!statement && (
+                    <label className="budget-row-label split-member import-check">
+                        <input type="checkbox" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} />
+                        {getI18nValue('import.has_header')}
+                    </label>
+                )}
+
+                <button
+                    className="btn-submit"
+                    onClick={() => statement ? goToCategories() : setStep('map')}
+                    disabled={statement ? !statement.transactions.length : !rows.length}
+                >
+                    {getI18nValue('btn.next')}
+                </button>
+            </>
+        );
+    }
+
+    function renderMapStep() {
+        return (
+            <>
+                {IMPORT_FIELDS.map(columnSelect)}
+
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('import.date_order')}</label>
+                    <select className="form-input" value={order} onChange={e => setDateOrder(e.target.value)}>
+                        <option value="dmy">{getI18nValue('import.date_dmy')}</option>
+                        <option value="mdy">{getI18nValue('import.date_mdy')}</option>
+                    </select>
+                </div>
+
+                <label className="budget-row-label split-member import-check">
+                    <input type="checkbox" checked={flipSign} onChange={e => setFlipSign(e.target.checked)} />
+                    {getI18nValue('import.flip_sign')}
+                </label>
+
+                {actions(() => setStep('file'), (
+                    <button className="btn-submit" onClick={goToCategories} disabled={!isMappingComplete(mapping)}>
+                        {getI18nValue('btn.next')}
+                    </button>
+                ))}
+            </>
+        );
+    }
+
+    function renderCategoriesStep() {
+        return (
+            <>
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('import.categories')}</label>
+                    {names.map(name => (
+                        <div className="rate-row" key={name}>
+                            <span className="budget-row-label">{name}</span>
+                            <select
+                                className="form-input import-category"
+                                value={categoryMap[name]}
+                                onChange={e => setCategoryMap({ ...categoryMap, [name]: e.target.value })}
+                            >
+                                {categories.map(cat => (
+                                    <option key={cat.id} value={cat.id}>{cat.emoji} {cat.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                </div>
+
+                {actions(() => setStep(statement ? 'file' : 'map'), (
+                    <button className="btn-submit" onClick={goToPreview}>
+                        {getI18nValue('btn.next')}
+                    </button>
+                ))}
+            </>
+        );
+    }
+
+    function renderPreviewStep() {
+        const { imported, duplicates } = existing;
+        const { errors } = built;
+        const fresh      = built.expenses.filter(e => !imported.has(e.id));
+        const doubtful   = fresh.filter(e => duplicates.has(e.id)).length;
+        const expenses   = keepDoubts ? fresh : fresh.filter(e => !duplicates.has(e.id));
+        const skipped    = built.expenses.length - fresh.length;
+        const categoryOf = id => categories.find(c => c.id === id);
+
+        return (
+            <>
+                <div className="form-group">
+                    <label className="form-label">{getI18nValue('import.preview')}</label>
+                    {expenses.slice(0, PREVIEW_ROWS).map(e => (
+                        <div className="balance-row import-row" key={e.id}>
+                            <span className="import-date">{duplicates.has(e.id) && '⚠ '}{e.date}</span>
+                            <span className="budget-row-label">{categoryOf(e.category)?.emoji} {e.comment || categoryOf(e.category)?.label}</span>
+                            <span className={`balance-value${e.amount < 0 ? ' owed' : ''}`}>
+                                {e.amount < 0 ? '−' : ''}{formatCurrency(Math.abs(e.amount))}
+                            </span>
+                        </div>
+                    ))}
+                    {expenses.length > PREVIEW_ROWS && (
+                        <div className="form-hint">{getI18nValue('import.more').replace('{n}', expenses.length - PREVIEW_ROWS)}</div>
+                    )}
+                    {skipped > 0 && (
+                        <div className="form-hint">{getI18nValue('import.already_imported').replace('{n}', skipped)}</div>
+                    )}
+                    {built.credits > 0 && (
+                        <div className="form-hint">{getI18nValue('import.credits').replace('{n}', built.credits)}</div>
+                    )}
+                </div>
+
+                {doubtful > 0 && (
+                    <label className="budget-row-label split-member import-check">
+                        <input type="checkbox" checked={!keepDoubts} onChange={e => setKeepDoubts(!e.target.checked)} />
+                        {getI18nValue('import.skip_duplicates').replace('{n}', doubtful)}
+                    </label>
+                )}
+
+                {errors.length > 0 && (
+                    <div className="form-group">
+                        <label className="form-label">{getI18nValue('import.skipped').replace('{n}', errors.length)}</label>
+                        {errors.slice(0, MAX_ERRORS).map(({ row, errors: issues }) => (
+                            <div className="form-hint import-error" key={row}>
+                                {getI18nValue('import.row').replace('{n}', row)}: {issues.map(i => getI18nValue(`import.err_${i}`)).join(', ')}
+                            </div>
+                        ))}
+                        {errors.length > MAX_ERRORS && (
+                            <div className="form-hint">{getI18nValue('import.more').replace('{n}', errors.length - MAX_ERRORS)}</div>
+                        )}
+                    </div>
+                )}
+
+                {actions(() => setStep(names.length ? 'categories' : statement ? 'file' : 'map'), (
+                    <button className="btn-submit" onClick={() => handleImport(expenses)} disabled={!expenses.length || loading}>
+                        {getI18nValue('import.submit').replace('{n}', expenses.length)}
+                    </button>
+                ))}
+            </>
+        );
+    }
+
+    const renderStep = {
+        file:       renderFileStep,
+        map:        renderMapStep,
+        categories: renderCategoriesStep,
+        preview:    renderPreviewStep,
+    };
+
+    return (
+        <div className="modal-overlay open" id="modal-import" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('import.title')}</div>
+
+                {renderStep[step]()}
+
+                {loading && (
+                    <div className="modal-loading-overlay visible">
+                        <div className="modal-spinner" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Small round avatar of a ledger member: their picture when known,
+ * otherwise their initial.
+ *
+ * @param {{ member: { email: string, name: string, letter: string, picture: string|null }, className?: string }} props
+ */
+export function MemberAvatar({ member, className = '' }) {
+    return (
+        <span className={`member-avatar ${className}`} title={member.email}>
+            {member.picture ? <img src={member.picture} alt="" /> : member.letter}
+        </span>
+    );
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { getI18nValue } from '../../i18n/localization.js';
+import { MemberAvatar } from './MemberAvatar.jsx';
+import { authorsOf } from '../../utils/attribution.utils.js';
+import { memberLetter } from '../../utils/split.utils.js';
+
+/**
+ * "By member" pills under the category filter, for spreadsheets with more
+ * than one member. Lists the authors of the given entries.
+ *
+ * @param {{
+ *   expenses: Array,
+ *   members: Array<{ email: string, name: string, letter: string, picture: string|null }>,
+ *   activeMember: string,
+ *   onSelect: (email: string) => void
+ * }} props
+ */
+export function MemberFilter({ expenses, members, activeMember, onSelect }) {
+    if (members.length < 2) return null;
+
+    const authors = authorsOf(expenses);
+    if (activeMember !== 'all' && !authors.includes(activeMember)) authors.push(activeMember);
+    if (!authors.length) return null;
+
+    return (
+        <div className="category-row member-row">
+            <div
+                className={`cat-pill${activeMember === 'all' ? ' active' : ''}`}
+                onClick={() => onSelect('all')}
+            >
+                {getI18nValue('member.everyone')}
+            </div>
+            {authors.map(email => {
+                const member = members.find(m => m.email === email)
+                    ?? { email, name: email, letter: memberLetter(email), picture: null };
+                return (
+                    <div
+                        key={email}
+                        className={`cat-pill${activeMember === email ? ' active' : ''}`}
+                        onClick={() => onSelect(email)}
+                    >
+                        <MemberAvatar member={member} />
+                        {member.name}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
\ No newline at end of file
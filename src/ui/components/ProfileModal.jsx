@@ -46,6 +46,16 @@ export function ProfileModal({
     onSignOut,
     onClose,
     onFeedback,           // ← NEW
+    onCurrencies,
+    onRecurring,
+    onBudgets,
+    onCategories,
+    onCategoryRules,
+    onBalances,
+    onImport,
+    onExport,
+    onDuplicates,
+    baseCurrency  = null,
     sharedUsers   = [],
     isOwner       = true,
     currentTheme  = 'dark',
@@ -134,6 +144,94 @@ export function ProfileModal({
                     )}
                 </div>
 
+                {/* ── Categories ────────────────────────────────────── */}
+                <div className="profile-row" onClick={onCategories}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M20.6 13.4l-7.2 7.2a2 2 0 01-2.8 0L3 13V3h10l7.6 7.6a2 2 0 010 2.8z"/>
+                        <circle cx="7.5" cy="7.5" r="1.5"/>
+                    </svg>
+                    <span>{getI18nValue('profile.categories')}</span>
+                </div>
+
+                {/* ── Auto-categorization ───────────────────────────── */}
+                <div className="profile-row" onClick={onCategoryRules}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M12 3l1.9 4.6L18.5 9.5l-4.6 1.9L12 16l-1.9-4.6L5.5 9.5l4.6-1.9z"/>
+                        <path d="M19 15l.8 2.2L22 18l-2.2.8L19 21l-.8-2.2L16 18l2.2-.8z"/>
+                    </svg>
+                    <span>{getI18nValue('profile.category_rules')}</span>
+                </div>
+
+                {/* ── Budgets ───────────────────────────────────────── */}
+                <div className="profile-row" onClick={onBudgets}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <circle cx="12" cy="12" r="9"/>
+                        <path d="M12 3v9l6.4 6.4"/>
+                    </svg>
+                    <span>{getI18nValue('profile.budgets')}</span>
+                </div>
+
+                {/* ── Balances (shared sheets only) ────────────────── */}
+                {(sharedCount > 0 || !isOwner) && (
+                    <div className="profile-row" onClick={onBalances}>
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M12 3v18M5 21h14"/>
+                            <path d="M5 7h14M5 7l-3 7a3 3 0 006 0zM19 7l-3 7a3 3 0 006 0z"/>
+                        </svg>
+                        <span>{getI18nValue('profile.balances')}</span>
+                    </div>
+                )}
+
+                {/* ── Recurring ─────────────────────────────────────── */}
+                <div className="profile-row" onClick={onRecurring}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M17 2l4 4-4 4"/>
+                        <path d="M3 11v-1a4 4 0 014-4h14"/>
+                        <path d="M7 22l-4-4 4-4"/>
+                        <path d="M21 13v1a4 4 0 01-4 4H3"/>
+                    </svg>
+                    <span>{getI18nValue('profile.recurring')}</span>
+                </div>
+
+                {/* ── CSV import ────────────────────────────────────── */}
+                <div className="profile-row" onClick={onImport}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
+                        <path d="M7 10l5 5 5-5"/>
+                        <path d="M12 15V3"/>
+                    </svg>
+                    <span>{getI18nValue('profile.import')}</span>
+                </div>
+
+                {/* ── Export ────────────────────────────────────────── */}
+                <div className="profile-row" onClick={onExport}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
+                        <path d="M17 8l-5-5-5 5"/>
+                        <path d="M12 3v12"/>
+                    </svg>
+                    <span>{getI18nValue('profile.export')}</span>
+                </div>
+
+                {/* ── Duplicates ────────────────────────────────────── */}
+                <div className="profile-row" onClick={onDuplicates}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <rect x="8" y="8" width="13" height="13" rx="2"/>
+                        <path d="M16 8V5a2 2 0 00-2-2H5a2 2 0 00-2 2v9a2 2 0 002 2h3"/>
+                    </svg>
+                    <span>{getI18nValue('profile.duplicates')}</span>
+                </div>
+
+                {/* ── Currencies ────────────────────────────────────── */}
+                <div className="profile-row" onClick={onCurrencies}>
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                        <circle cx="12" cy="12" r="10"/>
+                        <path d="M15 8.5a3.5 3.5 0 00-3-1.5c-1.7 0-3 .9-3 2.3 0 3.2 6 1.8 6 5 0 1.4-1.3 2.2-3 2.2a3.6 3.6 0 01-3-1.5M12 5.5v1.5M12 17v1.5"/>
+                    </svg>
+                    <span style={{ flex: 1 }}>{getI18nValue('profile.currencies')}</span>
+                    {baseCurrency && <span className="profile-row-value">{baseCurrency}</span>}
+                </div>
+
                 {/* ── Language ──────────────────────────────────────── */}
                 <div className="profile-row" style={{ cursor: 'default' }}>
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
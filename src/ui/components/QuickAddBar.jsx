@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { getI18nValue } from '../../i18n/localization.js';
+import { formatCurrency, formatMoney, formatDate, todayStr } from '../../utils/helpers.js';
+import { findCategory, findSubcategory } from '../../controllers/categoryController.js';
+
+/**
+ * One-line quick add above the search field. While the line holds an
+ * amount, a chip under it shows the entry it reads as; tapping the chip or
+ * pressing Enter adds it, and the line is cleared once it is added.
+ *
+ * @param {{
+ *   baseCurrency: string|null,
+ *   parse: (text: string) => import('../../utils/quickadd.utils.js').QuickEntry|null,
+ *   onAdd: (entry: import('../../utils/quickadd.utils.js').QuickEntry) => Promise<boolean>
+ * }} props
+ */
+export function QuickAddBar({ baseCurrency = null, parse, onAdd }) {
+    const [text,    setText]    = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const entry = parse(text);
+
+    async function handleAdd() {
+        if (!entry || loading) return;
+        setLoading(true);
+        const added = await onAdd(entry);
+        setLoading(false);
+        if (added) setText('');
+    }
+
+    function handleKeyDown(e) {
+        if (e.key === 'Enter') handleAdd();
+        if (e.key === 'Escape') setText('');
+    }
+
+    return (
+        <div className="quick-add">
+            <div className="search-bar">
+                <span className="search-icon" aria-hidden="true">⚡</span>
+                <input
+                    className="search-input"
+                    type="text"
+                    enterKeyHint="done"
+                    placeholder={getI18nValue('quick.placeholder')}
+                    value={text}
+                    disabled={loading}
+                    onChange={e => setText(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                />
+                {text && (
+                    <button className="search-clear" onClick={() => setText('')} aria-label={getI18nValue('search.clear')}>×</button>
+                )}
+            </div>
+            {entry && <Preview entry={entry} baseCurrency={baseCurrency} disabled={loading} onClick={handleAdd} />}
+        </div>
+    );
+}
+
+function Preview({ entry, baseCurrency, disabled, onClick }) {
+    const cat   = findCategory(entry.category, entry.type);
+    const sub   = findSubcategory(entry.category, entry.subcategory);
+    const today = todayStr();
+    const date  = entry.date === today ? getI18nValue('quick.today')
+        : entry.date.slice(0, 4) === today.slice(0, 4) ? formatDate(entry.date)
+        : `${formatDate(entry.date)} ${entry.date.slice(0, 4)}`;
+
+    return (
+        <button className="quick-add-chip" onClick={onClick} disabled={disabled} title={getI18nValue('quick.confirm')}>
+            <span className="quick-add-emoji">{sub?.emoji ?? cat.emoji}</span>
+            <span className="quick-add-text">
+                {sub ? `${cat.label} · ${sub.label}` : cat.label}
+                {' · '}
+                <b className={entry.type === 'income' ? 'income' : ''}>
+                    {baseCurrency ? formatCurrency(entry.amount, baseCurrency) : formatMoney(entry.amount)}
+                </b>
+                {' · '}{date}
+                {entry.comment && ` · ${entry.comment}`}
+            </span>
+            <span className="quick-add-go" aria-hidden="true">↵</span>
+        </button>
+    );
+}
\ No newline at end of file
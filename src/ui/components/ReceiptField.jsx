@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import { getI18nValue } from '../../i18n/localization.js';
+import { receiptUrl }   from '../../utils/receipt.utils.js';
+
+/**
+ * A stored photo opens in Drive. Its thumbnail is downloaded by the app;
+ * while loading — or when the app can't read it — a receipt icon stands in.
+ */
+function StoredReceipt({ fileId, loadThumbnail, onRemove }) {
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        let live = true;
+        loadThumbnail?.(fileId).then(url => { if (live) setSrc(url); });
+        return () => { live = false; };
+    }, [fileId]);
+
+    return (
+        <div className="receipt-thumb">
+            <a href={receiptUrl(fileId)} target="_blank" rel="noopener noreferrer" title={getI18nValue('receipt.open')}>
+                {src ? <img src={src} alt="" /> : <span className="receipt-placeholder">🧾</span>}
+            </a>
+            <button className="receipt-remove" onClick={onRemove} aria-label={getI18nValue('receipt.remove')}>×</button>
+        </div>
+    );
+}
+
+/** A photo picked but not uploaded yet. */
+function PendingPhoto({ file, onRemove }) {
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        const url = URL.createObjectURL(file);
+        setSrc(url);
+        return () => URL.revokeObjectURL(url);
+    }, [file]);
+
+    return (
+        <div className="receipt-thumb pending">
+            {src && <img src={src} alt="" />}
+            <button className="receipt-remove" onClick={onRemove} aria-label={getI18nValue('receipt.remove')}>×</button>
+        </div>
+    );
+}
+
+/**
+ * Receipt photos of an entry: thumbnails of the stored ones, the ones picked
+ * from the camera or gallery, and a button to add more. Picked photos are
+ * uploaded when the entry is saved.
+ *
+ * @param {{
+ *   receipts?: string[],
+ *   photos: File[],
+ *   loadThumbnail?: (fileId: string) => Promise<string|null>,
+ *   onChange: (value: { receipts: string[], photos: File[] }) => void
+ * }} props
+ */
+export function ReceiptField({ receipts = [], photos, loadThumbnail, onChange }) {
+    function handlePick(e) {
+        const picked = [...e.target.files].filter(f => f.type.startsWith('image/'));
+        e.target.value = '';
+        if (picked.length) onChange({ receipts, photos: [...photos, ...picked] });
+    }
+
+    return (
+        <div className="form-group">
+            <label className="form-label">{getI18nValue('label.receipts')}</label>
+            <div className="receipt-list">
+                {receipts.map(id => (
+                    <StoredReceipt
+                        key={id}
+                        fileId={id}
+                        loadThumbnail={loadThumbnail}
+                        onRemove={() => onChange({ receipts: receipts.filter(r => r !== id), photos })}
+                    />
+                ))}
+                {photos.map((file, i) => (
+                    <PendingPhoto
+                        key={`${file.name}-${file.lastModified}-${i}`}
+                        file={file}
+                        onRemove={() => onChange({ receipts, photos: photos.filter(p => p !== file) })}
+                    />
+                ))}
+                <label className="receipt-add" title={getI18nValue('receipt.add')}>
+                    📷
+                    <input type="file" accept="image/*" multiple hidden onChange={handlePick} />
+                </label>
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
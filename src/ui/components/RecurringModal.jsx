@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import { CategorySelectGrid } from './CategorySelectGrid.jsx';
+import { CurrencySelect }     from './CurrencySelect.jsx';
+import { DatePicker }         from './DatePicker.jsx';
+import { getI18nValue }       from '../../i18n/localization.js';
+import { useSwipeToClose }    from '../../hooks/useSwipeToClose.js';
+import { findCategory }       from '../../controllers/categoryController.js';
+import { parseAmount, todayStr, formatDate, formatMoney, formatCurrency } from '../../utils/helpers.js';
+import { FREQUENCIES, nextOccurrence } from '../../utils/recurrence.utils.js';
+
+/**
+ * Lists recurring rules and edits one at a time. `draft` is null on the
+ * list view, or the rule being edited ({} for a new one).
+ *
+ * @param {{
+ *   rules: Array<Object>,
+ *   baseCurrency: string|null,
+ *   onSave: (rule: Object) => Promise<void>,
+ *   onDelete: (id: string) => Promise<void>,
+ *   onClose: () => void
+ * }} props
+ */
+export function RecurringModal({ rules, baseCurrency, onSave, onDelete, onClose }) {
+    const [draft, setDraft] = useState(null);
+    const sheetRef = useSwipeToClose(onClose);
+
+    function handleOverlayClick(e) {
+        const isOverlay  = e.target.classList.contains('modal-overlay');
+        const isCalendar = e.target.closest('.pika-single');
+        if (isOverlay && !isCalendar) onClose();
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-recurring" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('recurring.title')}</div>
+
+                {draft
+                    ? (
+                        <RuleForm
+                            rule={draft}
+                            baseCurrency={baseCurrency}
+                            onSave={async rule => { await onSave(rule); setDraft(null); }}
+                            onDelete={async id => { await onDelete(id); setDraft(null); }}
+                            onBack={() => setDraft(null)}
+                        />
+                    )
+                    : (
+                        <RuleList
+                            rules={rules}
+                            baseCurrency={baseCurrency}
+                            onEdit={setDraft}
+                            onAdd={() => setDraft({})}
+                        />
+                    )}
+            </div>
+        </div>
+    );
+}
+
+// ─── List ─────────────────────────────────────────────
+
+function RuleList({ rules, baseCurrency, onEdit, onAdd }) {
+    const today = todayStr();
+
+    return (
+        <>
+            {!rules.length && (
+                <div className="form-hint recurring-empty">{getI18nValue('recurring.empty')}</div>
+            )}
+            {rules.map(rule => {
+                const cat  = findCategory(rule.category);
+                const next = nextOccurrence(rule, today);
+                const amount = rule.currency && rule.currency !== baseCurrency
+                    ? formatCurrency(rule.amount, rule.currency)
+                    : formatMoney(rule.amount);
+                return (
+                    <div className="recurring-row" key={rule.id} onClick={() => onEdit(rule)}>
+                        <div className="expense-icon" style={{ background: `${cat.color}22` }}>{cat.emoji}</div>
+                        <div className="expense-info">
+                            <div className="expense-name">{rule.comment || cat.label}</div>
+                            <div className="expense-meta">
+                                <span className="expense-cat">{getI18nValue(`recurring.freq.${rule.frequency}`)}</span>
+                                <span className="expense-date">
+                                    {next
+                                        ? getI18nValue('recurring.next').replace('{d}', formatDate(next))
+                                        : getI18nValue('recurring.ended')}
+                                </span>
+                            </div>
+                        </div>
+                        <div className="expense-amount">{amount}</div>
+                    </div>
+                );
+            })}
+            <button className="btn-submit" onClick={onAdd}>
+                {getI18nValue('recurring.add')}
+            </button>
+        </>
+    );
+}
+
+// ─── Form ─────────────────────────────────────────────
+
+function RuleForm({ rule, baseCurrency, onSave, onDelete, onBack }) {
+    const [amount,    setAmount]    = useState(rule.amount ? String(rule.amount) : '');
+    const [currency,  setCurrency]  = useState(rule.currency || baseCurrency || '');
+    const [category,  setCategory]  = useState(rule.category || 'subscriptions');
+    const [comment,   setComment]   = useState(rule.comment || '');
+    const [frequency, setFrequency] = useState(rule.frequency || 'monthly');
+    const [startDate, setStartDate] = useState(rule.startDate || todayStr());
+    const [endDate,   setEndDate]   = useState(rule.endDate || '');
+    const [loading,   setLoading]   = useState(false);
+
+    const parsedAmount = parseAmount(amount);
+    const showCurrency = Boolean(baseCurrency || rule.currency);
+    const isValid      = parsedAmount > 0 && (!endDate || endDate >= startDate);
+
+    async function handleSave() {
+        if (!isValid) return;
+        setLoading(true);
+        await onSave({
+            ...(rule.id ? { id: rule.id } : {}),
+            amount: parsedAmount,
+            currency: showCurrency ? currency : '',
+            category,
+            comment,
+            frequency,
+            startDate,
+            endDate,
+        });
+        setLoading(false);
+    }
+
+    async function handleDelete() {
+        setLoading(true);
+        await onDelete(rule.id);
+        setLoading(false);
+    }
+
+    return (
+        <>
+            <div className="form-group">
+                <label className="form-label">{getI18nValue('label.amount')}</label>
+                <div className={`amount-wrapper${showCurrency ? ' with-currency' : ''}`}>
+                    <input
+                        className="form-input"
+                        type="text"
+                        inputMode="decimal"
+                        placeholder="0"
+                        maxLength={9}
+                        value={amount}
+                        onChange={e => setAmount(e.target.value)}
+                    />
+                    {showCurrency && <CurrencySelect value={currency} onChange={setCurrency} />}
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{getI18nValue('label.category')}</label>
+                <CategorySelectGrid selectedCat={category} onSelect={setCategory} />
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{getI18nValue('label.comment')}</label>
+                <input
+                    className="form-input"
+                    placeholder={getI18nValue('recurring.placeholder')}
+                    type="text"
+                    maxLength={120}
+                    value={comment}
+                    onChange={e => setComment(e.target.value)}
+                />
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{getI18nValue('recurring.frequency')}</label>
+                <select className="form-input" value={frequency} onChange={e => setFrequency(e.target.value)}>
+                    {FREQUENCIES.map(f => (
+                        <option key={f} value={f}>{getI18nValue(`recurring.freq.${f}`)}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="form-group recurring-dates">
+                <div>
+                    <label className="form-label">{getI18nValue('recurring.start')}</label>
+                    <DatePicker value={startDate} onChange={setStartDate} />
+                </div>
+                <div>
+                    <label className="form-label">{getI18nValue('recurring.end')}</label>
+                    <DatePicker value={endDate} onChange={setEndDate} minDate={startDate} />
+                    {endDate && (
+                        <button className="rate-add" onClick={() => setEndDate('')}>
+                            {getI18nValue('recurring.no_end')}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="edit-modal-actions">
+                {rule.id
+                    ? (
+                        <button className="btn-submit btn-edit-delete" onClick={handleDelete} disabled={loading}>
+                            {getI18nValue('btn.delete')}
+                        </button>
+                    )
+                    : (
+                        <button className="btn-submit btn-edit-back" onClick={onBack} disabled={loading}>
+                            {getI18nValue('btn.cancel')}
+                        </button>
+                    )}
+                <button className="btn-submit btn-edit-update" onClick={handleSave} disabled={!isValid || loading}>
+                    {getI18nValue('btn.save')}
+                </button>
+            </div>
+
+            {loading && (
+                <div className="modal-loading-overlay visible">
+                    <div className="modal-spinner" />
+                </div>
+            )}
+        </>
+    );
+}
\ No newline at end of file
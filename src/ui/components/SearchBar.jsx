@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { getI18nValue } from '../../i18n/localization.js';
+
+/** Typing pauses this long (ms) before a search runs. */
+const DEBOUNCE_MS = 250;
+
+/**
+ * Search field above the category filter. Runs the search once typing
+ * pauses; clearing it returns to the period view.
+ *
+ * @param {{
+ *   query: string,
+ *   onSearch: (query: string) => void,
+ *   onClose: () => void
+ * }} props
+ */
+export function SearchBar({ query, onSearch, onClose }) {
+    const [text, setText] = useState(query);
+
+    useEffect(() => {
+        if (!query) setText('');
+    }, [query]);
+
+    useEffect(() => {
+        if (text === query) return;
+        const timer = setTimeout(() => onSearch(text), DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [text]);
+
+    function handleClear() {
+        setText('');
+        onClose();
+    }
+
+    return (
+        <div className="search-bar">
+            <span className="search-icon" aria-hidden="true">🔍</span>
+            <input
+                className="search-input"
+                type="search"
+                placeholder={getI18nValue('search.placeholder')}
+                value={text}
+                onChange={e => setText(e.target.value)}
+                onKeyDown={e => e.key === 'Escape' && handleClear()}
+            />
+            {text && (
+                <button className="search-clear" onClick={handleClear} aria-label={getI18nValue('search.clear')}>×</button>
+            )}
+        </div>
+    );
+}
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { ExpenseItem } from './ExpenseItem.jsx';
+import { getI18nValue } from '../../i18n/localization.js';
+import { refundedAmounts } from '../../utils/cashflow.utils.js';
+import { searchTerms } from '../../utils/search.utils.js';
+
+/**
+ * Search matches in place of the expense list, expenses and income
+ * together, with the matching words highlighted. Below them: how far back
+ * the search went, and a button to go a year further while older entries
+ * are left.
+ *
+ * @param {{
+ *   search: import('../../state.js').SearchState,
+ *   ledger: { baseCurrency: string|null, rates: Object<string, number> },
+ *   members?: Array<{ email: string, name: string, letter: string, picture: string|null }>,
+ *   onEdit: (id: string) => void,
+ *   onEarlier: () => void
+ * }} props
+ */
+export function SearchResults({ search, ledger, members = [], onEdit, onEarlier }) {
+    const { results, searchedTo, loading, reachedEnd } = search;
+    const terms    = searchTerms(search.query);
+    const refunded = refundedAmounts(results);
+    const byId     = new Map(results.map(e => [e.id, e]));
+    const authorOf = item => members.length > 1 && item.author
+        ? members.find(m => m.email === item.author) ?? null
+        : null;
+
+    const scope = searchedTo === null ? getI18nValue('search.recent')
+        : reachedEnd ? getI18nValue('search.everything')
+        : getI18nValue('search.since').replace('{y}', searchedTo);
+
+    return (
+        <>
+            <div className="search-summary">
+                {getI18nValue('search.found').replace('{n}', results.length)} · {scope}
+            </div>
+
+            {!results.length && !loading && (
+                <div className="empty-state">
+                    <div className="empty-icon">🔍</div>
+                    <p>{getI18nValue('search.none')}</p>
+                </div>
+            )}
+
+            {results.map(item => (
+                <ExpenseItem
+                    key={item.id}
+                    item={item}
+                    ledger={ledger}
+                    original={item.refundOf ? byId.get(item.refundOf) ?? null : null}
+                    refunded={refunded.get(item.id) ?? 0}
+                    author={authorOf(item)}
+                    highlight={terms}
+                    onEdit={onEdit}
+                />
+            ))}
+
+            <div className="search-more">
+                {loading && <div className="modal-spinner" />}
+                {!loading && searchedTo !== null && !reachedEnd && (
+                    <button className="search-earlier" onClick={onEarlier}>
+                        {getI18nValue('search.earlier').replace('{y}', searchedTo - 1)}
+                    </button>
+                )}
+            </div>
+        </>
+    );
+}
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { getI18nValue } from '../../i18n/localization.js';
+
+/**
+ * Takes the place of the section header while entries are selected: how
+ * many, and the bulk actions on them.
+ *
+ * @param {{
+ *   count: number,
+ *   onSelectAll: () => void,
+ *   onCategory: () => void,
+ *   onDate: () => void,
+ *   onExport: () => void,
+ *   onDelete: () => void,
+ *   onCancel: () => void
+ * }} props
+ */
+export function SelectionBar({ count, onSelectAll, onCategory, onDate, onExport, onDelete, onCancel }) {
+    return (
+        <div className="section-header selection-bar">
+            <div className="selection-count">
+                <button className="selection-cancel" onClick={onCancel} aria-label={getI18nValue('btn.cancel')}>×</button>
+                {getI18nValue('bulk.selected').replace('{n}', count)}
+                <button className="selection-all" onClick={onSelectAll}>{getI18nValue('bulk.select_all')}</button>
+            </div>
+            <div className="selection-actions">
+                <button className="selection-action" onClick={onCategory} title={getI18nValue('bulk.category')}>🏷️</button>
+                <button className="selection-action" onClick={onDate} title={getI18nValue('bulk.date')}>📅</button>
+                <button className="selection-action" onClick={onExport} title={getI18nValue('bulk.export')}>⬇️</button>
+                <button className="selection-action danger" onClick={onDelete} title={getI18nValue('bulk.delete')}>🗑️</button>
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
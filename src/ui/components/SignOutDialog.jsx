@@ -0,0 +1,35 @@
+import { getI18nValue }    from '../../i18n/localization.js';
+import { useSwipeToClose } from '../../hooks/useSwipeToClose.js';
+
+/**
+ * Asks before signing out while writes are still waiting to reach the
+ * sheet: signing out removes them from this device.
+ *
+ * @param {{ count: number, onConfirm: () => void, onCancel: () => void }} props
+ */
+export function SignOutDialog({ count, onConfirm, onCancel }) {
+    const sheetRef = useSwipeToClose(onCancel);
+
+    function handleOverlayClick(e) {
+        if (e.target.classList.contains('modal-overlay')) onCancel();
+    }
+
+    return (
+        <div className="modal-overlay open" id="modal-sign-out" onClick={handleOverlayClick}>
+            <div className="modal-sheet" ref={sheetRef}>
+                <div className="modal-handle" />
+                <div className="modal-title">{getI18nValue('signout.unsynced_title')}</div>
+                <p className="form-hint">{getI18nValue('signout.unsynced_text').replace('{n}', count)}</p>
+
+                <div className="edit-modal-actions">
+                    <button className="btn-submit btn-edit-back" onClick={onCancel}>
+                        {getI18nValue('btn.cancel')}
+                    </button>
+                    <button className="btn-submit" onClick={onConfirm}>
+                        {getI18nValue('signout.discard')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
\ No newline at end of file
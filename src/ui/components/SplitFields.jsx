@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { getI18nValue } from '../../i18n/localization.js';
+import { parseAmount } from '../../utils/helpers.js';
+
+/**
+ * "Paid by" and "Split between" fields of the add and edit modals. Hidden
+ * until the ledger has a second member. Ticked members share the amount by
+ * their shares (1 each unless changed); with nobody ticked the expense is
+ * personal and stays out of balances.
+ *
+ * @param {{
+ *   members: Array<{ email: string, name: string }>,
+ *   paidBy: string,
+ *   split: Object<string, number>,
+ *   onChange: (sharing: { paidBy: string, split: Object<string, number> }) => void
+ * }} props
+ */
+export function SplitFields({ members, paidBy, split, onChange }) {
+    const [shares, setShares] = useState(() =>
+        Object.fromEntries(Object.entries(split).map(([email, share]) => [email, String(share)]))
+    );
+
+    if (members.length < 2) return null;
+
+    const known = members.some(m => m.email === paidBy);
+    const payers = known || !paidBy ? members : [{ email: paidBy, name: paidBy }, ...members];
+
+    function handleToggle(email) {
+        const next = { ...split };
+        if (email in next) delete next[email];
+        else next[email] = parseAmount(shares[email]) || 1;
+        onChange({ paidBy, split: next });
+    }
+
+    function handleShare(email, raw) {
+        setShares({ ...shares, [email]: raw });
+        const share = parseAmount(raw);
+        if (share > 0) onChange({ paidBy, split: { ...split, [email]: share } });
+    }
+
+    return (
+        <>
+            <div className="form-group">
+                <label className="form-label">{getI18nValue('split.paid_by')}</label>
+                <select
+                    className="form-input"
+                    value={paidBy}
+                    onChange={e => onChange({ paidBy: e.target.value, split })}
+                >
+                    {payers.map(m => <option key={m.email} value={m.email}>{m.name}</option>)}
+                </select>
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{getI18nValue('split.between')}</label>
+                {members.map(m => {
+                    const ticked = m.email in split;
+                    return (
+                        <div className="rate-row split-row" key={m.email}>
+                            <label className="budget-row-label split-member">
+                                <input type="checkbox" checked={ticked} onChange={() => handleToggle(m.email)} />
+                                {m.name}
+                            </label>
+                            {ticked && (
+                                <input
+                                    className="form-input rate-input split-share"
+                                    type="text"
+                                    inputMode="decimal"
+                                    maxLength={4}
+                                    value={shares[m.email] ?? String(split[m.email])}
+                                    onChange={e => handleShare(m.email, e.target.value)}
+                                />
+                            )}
+                        </div>
+                    );
+                })}
+                <div className="form-hint">{getI18nValue('split.hint')}</div>
+            </div>
+        </>
+    );
+}
\ No newline at end of file
@@ -7,6 +7,7 @@ export function StatsScreen() {
                         <div className="stats-total-label" id="stats-total-label"></div>
                         <div className="stats-total-amount" id="stats-total"></div>
                         <div className="stats-total-sub" id="stats-sub"></div>
+                        <div className="stats-total-sub stats-cashflow" id="stats-cashflow"></div>
                     </div>
                 </div>
                 <div className="stats-chart-wrap">
@@ -25,6 +26,7 @@ export function StatsScreen() {
 
             <div className="stats-donut-card">
                 <div className="stats-bar-title" id="stats-by-cat-title"></div>
+                <button className="stats-donut-back" id="stats-donut-back" style={{ display: 'none' }} />
                 <div className="stats-donut-wrap">
                     <canvas id="stats-donut"></canvas>
                     <div className="stats-donut-empty" style={{ display: 'none' }}>
@@ -36,6 +38,11 @@ export function StatsScreen() {
                 </div>
                 <div id="stats-donut-legend" className="stats-donut-legend"></div>
             </div>
+
+            <div className="stats-donut-card stats-budgets-card" id="stats-budgets-card" style={{ display: 'none' }}>
+                <div className="stats-bar-title" id="stats-budgets-title"></div>
+                <div id="stats-budgets"></div>
+            </div>
         </div>
     );
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { formatMoney } from '../../utils/helpers.js';
+import { formatCurrency } from '../../utils/helpers.js';
 import { getI18nValue } from '../../i18n/localization.js';
 
 const PERIODS = ['day', 'week', 'month'];
@@ -6,15 +6,20 @@ const PERIODS = ['day', 'week', 'month'];
 /**
  * @param {{
  *   total: number,
+ *   type: 'expense'|'income',    // which list the total is of
+ *   flow: { income: number, net: number, savingsRate: number|null }|null,  // period cash flow, null without income
+ *   currency: string|null,       // base currency, null for single-currency ledgers
+ *   missingRates: string[],      // currencies left out of the total for lack of a rate
  *   currentPeriod: string,
+ *   rangeLabel?: string|null,     // date range of the advanced filter, in place of the period
  *   onPeriodChange: (period: string) => void
  * }} props
  */
-export function SummaryCard({ total, currentPeriod, onPeriodChange }) {
+export function SummaryCard({ total, type = 'expense', flow = null, currency = null, missingRates = [], currentPeriod, rangeLabel = null, onPeriodChange }) {
     return (
         <div className="summary-card">
             <div className="summary-period">
-                {PERIODS.map(p => (
+                {!rangeLabel && PERIODS.map(p => (
                     <button
                         key={p}
                         className={`period-btn${currentPeriod === p ? ' active' : ''}`}
@@ -25,11 +30,32 @@ export function SummaryCard({ total, currentPeriod, onPeriodChange }) {
                 ))}
             </div>
             <div className="summary-amount">
-                <span>{formatMoney(total)}</span>
+                <span>{formatCurrency(total, currency)}</span>
             </div>
             <div className="summary-label">
-                {getI18nValue(`period.label.${currentPeriod}`)}
+                {type === 'income' && `${getI18nValue('entry.income')} · `}
+                {rangeLabel ?? getI18nValue(`period.label.${currentPeriod}`)}
             </div>
+            {flow && (
+                <div className="summary-flow">
+                    <span>
+                        {getI18nValue('summary.net')}{' '}
+                        <b className={flow.net < 0 ? 'negative' : 'positive'}>
+                            {flow.net > 0 ? '+' : ''}{formatCurrency(flow.net, currency)}
+                        </b>
+                    </span>
+                    {flow.savingsRate !== null && (
+                        <span>
+                            {getI18nValue('summary.savings_rate')} <b>{flow.savingsRate}%</b>
+                        </span>
+                    )}
+                </div>
+            )}
+            {missingRates.length > 0 && (
+                <div className="summary-hint">
+                    {getI18nValue('summary.missing_rates').replace('{s}', missingRates.join(', '))}
+                </div>
+            )}
         </div>
     );
 }
\ No newline at end of file
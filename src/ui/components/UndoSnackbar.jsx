@@ -0,0 +1,21 @@
+import { getI18nValue } from '../../i18n/localization.js';
+
+/**
+ * Bar above the bottom navigation after a delete or an edit, offering to
+ * take it back. The controller closes it when the undo window has passed.
+ *
+ * @param {{
+ *   message: string,
+ *   onUndo: () => void
+ * }} props
+ */
+export function UndoSnackbar({ message, onUndo }) {
+    return (
+        <div className="snackbar" role="status">
+            <span className="snackbar-message">{message}</span>
+            <button className="snackbar-action" onClick={onUndo}>
+                {getI18nValue('btn.undo')}
+            </button>
+        </div>
+    );
+}
\ No newline at end of file
@@ -1,17 +1,43 @@
 import { STATE } from '../state.js';
-import { getFilteredExpenses, sumAmounts } from '../utils/helpers.js';
+import { getFilteredExpenses, sumAmounts, todayStr, isInPeriod, sortExpenses } from '../utils/helpers.js';
 import { LANG, setLang, getI18nValue } from '../i18n/localization.js';
-import { openEditModal, openAddModal } from '../controllers/expenseController.js';
+import { openAddModal } from '../controllers/expenseController.js';
 import { openShareModal } from '../controllers/sharingController.js';
 import { openProfileModal } from '../controllers/authController.js';
+import { openCurrencyModal } from '../controllers/ledgerController.js';
+import { openRecurringModal } from '../controllers/recurringController.js';
+import { openBudgetModal } from '../controllers/budgetController.js';
+import { openCategoryModal } from '../controllers/categoryController.js';
+import { openCategoryRulesModal } from '../controllers/autocategoryController.js';
+import { parseQuickAdd, submitQuickAdd } from '../controllers/quickAddController.js';
+import { openBalancesModal, ledgerMemberList } from '../controllers/splitController.js';
+import { openImportModal } from '../controllers/importController.js';
+import { openExportModal } from '../controllers/exportController.js';
+import { openDuplicatesModal } from '../controllers/duplicateController.js';
+import { searchExpenses, searchEarlier, closeSearch, openSearchResult } from '../controllers/searchController.js';
+import { openFilterModal, setFilter, clearFilter, filterSource, openFilteredEntry } from '../controllers/filterController.js';
+import { toggleSelected, selectAll, clearSelection, openBulkModal, deleteSelected } from '../controllers/selectionController.js';
+import { activeCriteria, hasDateRange } from '../utils/filter.utils.js';
+import { allCategories } from '../controllers/categoryController.js';
+import { inBaseCurrency } from '../utils/currency.utils.js';
+import { monthSpending, budgetProgress, budgetsForFilter } from '../utils/budget.utils.js';
+import { cashFlow, ofType, ENTRY_TYPES } from '../utils/cashflow.utils.js';
 import { renderChart } from './statistics/statistics-chart.js';
 import { renderDonutChart } from './statistics/statistics-donut.js';
+import { renderStatsBudgets } from './statistics/statistics-budgets.js';
 import { getSelectedMonth, setSelectedMonth } from './statistics/statistics-state.js';
 import { createRoot } from 'react-dom/client';
 import { ExpenseList }        from './components/ExpenseList.jsx';
+import { QuickAddBar }        from './components/QuickAddBar.jsx';
+import { SearchBar }          from './components/SearchBar.jsx';
+import { SearchResults }      from './components/SearchResults.jsx';
+import { FilterBar, rangeLabel } from './components/FilterBar.jsx';
+import { FilterModal }        from './components/FilterModal.jsx';
 import { CategoryFilter }     from './components/CategoryFilter.jsx';
+import { MemberFilter }       from './components/MemberFilter.jsx';
 import { CategorySelectGrid } from './components/CategorySelectGrid.jsx';
 import { SummaryCard }        from './components/SummaryCard.jsx';
+import { BudgetBars }         from './components/BudgetBars.jsx';
 import { AddExpenseModal }    from './components/AddExpenseModal.jsx';
 import { EditExpenseModal }   from './components/EditExpenseModal.jsx';
 import { ProfileModal }       from './components/ProfileModal.jsx';
@@ -24,6 +50,19 @@ import { SetupScreen }        from './components/SetupScreen.jsx';
 import { StatsScreen }               from './components/StatsScreen.jsx';
 import { AvatarOnboardingPopover }   from './components/AvatarOnboardingPopover.jsx';
 import { FeedbackModal } from './components/FeedbackModal.jsx';
+import { CurrencyModal } from './components/CurrencyModal.jsx';
+import { RecurringModal } from './components/RecurringModal.jsx';
+import { BudgetModal } from './components/BudgetModal.jsx';
+import { CategoryModal } from './components/CategoryModal.jsx';
+import { CategoryRulesModal } from './components/CategoryRulesModal.jsx';
+import { BalancesModal } from './components/BalancesModal.jsx';
+import { ImportModal } from './components/ImportModal.jsx';
+import { ExportModal } from './components/ExportModal.jsx';
+import { DuplicateDialog, DuplicatesModal } from './components/DuplicatesModal.jsx';
+import { SignOutDialog } from './components/SignOutDialog.jsx';
+import { UndoSnackbar } from './components/UndoSnackbar.jsx';
+import { SelectionBar } from './components/SelectionBar.jsx';
+import { BulkModal } from './components/BulkModal.jsx';
 import { getTheme, toggleTheme, onThemeChange } from './theme.js';
 import {
     nextSortDir,
@@ -53,7 +92,12 @@ let _sortDir   = 'desc';
 export function renderUI() {
     renderMainHeader();
     renderSummary();
+    renderBudgets();
+    renderQuickAddBar();
+    renderSearchBar();
+    renderFilterBar();
     renderCategoryFilter();
+    renderMemberFilter();
     renderSectionHeader();
     renderExpenseList();
     renderStatistics();
@@ -183,15 +227,58 @@ export function renderSummary() {
     if (!container) return;
     if (!_summaryRoot) _summaryRoot = createRoot(container);
 
+    const state = _listState();
+    const { expenses, missing } = inBaseCurrency(getFilteredExpenses(state), STATE.ledger);
+    // With a filter the cash flow is of the filtered entries of both types.
+    const inPeriod = _isFiltered()
+        ? ENTRY_TYPES.flatMap(type => getFilteredExpenses({ ...state, currentEntryType: type }))
+        : STATE.expenses.filter(e => isInPeriod(e.date, STATE.currentPeriod));
+    const flow     = cashFlow(inBaseCurrency(inPeriod, STATE.ledger).expenses);
+
     _summaryRoot.render(
         <SummaryCard
-            total={sumAmounts(getFilteredExpenses(STATE))}
+            total={sumAmounts(expenses)}
+            type={STATE.currentEntryType}
+            flow={flow.income > 0 ? flow : null}
+            currency={STATE.ledger.baseCurrency}
+            missingRates={missing}
             currentPeriod={STATE.currentPeriod}
+            rangeLabel={hasDateRange(STATE.filter) ? rangeLabel(STATE.filter) : null}
             onPeriodChange={period => { STATE.currentPeriod = period; }}
         />
     );
 }
 
+// ─── Budgets ──────────────────────────────────────────
+
+/**
+ * This month's progress against every budget, in the base currency.
+ * @returns {Array<{ id: string, limit: number, spent: number, ratio: number, level: string }>}
+ */
+function _currentBudgetProgress() {
+    const month    = todayStr().slice(0, 7);
+    const expenses = inBaseCurrency(STATE.expenses, STATE.ledger).expenses;
+    return budgetProgress(STATE.budgets, monthSpending(expenses, month));
+}
+
+let _budgetsRoot = null;
+
+export function renderBudgets() {
+    const container = document.getElementById('budget-root');
+    if (!container) return;
+    if (!_budgetsRoot) _budgetsRoot = createRoot(container);
+
+    _budgetsRoot.render(
+        <BudgetBars
+            budgets={STATE.currentEntryType === 'expense'
+                ? budgetsForFilter(_currentBudgetProgress(), STATE.currentCategoryFilter)
+                : []}
+            currency={STATE.ledger.baseCurrency}
+            onOpen={openBudgetModal}
+        />
+    );
+}
+
 // ─── SectionHeader (title + sort controls) ────────────
 
 let _sectionHeaderRoot = null;
@@ -214,11 +301,36 @@ export function renderSectionHeader() {
         renderExpenseList();
     }
 
+    if (STATE.selection.length) {
+        _sectionHeaderRoot.render(
+            <SelectionBar
+                count={STATE.selection.length}
+                onSelectAll={() => selectAll(getFilteredExpenses(_listState()).map(e => e.id))}
+                onCategory={() => openBulkModal('category')}
+                onDate={() => openBulkModal('date')}
+                onExport={() => openBulkModal('export')}
+                onDelete={deleteSelected}
+                onCancel={clearSelection}
+            />
+        );
+        return;
+    }
+
     const fieldLabel = getSortFieldLabel(_sortField, getI18nValue);
 
     _sectionHeaderRoot.render(
         <div className="section-header">
-            <span className="section-title">{getI18nValue('section.expenses')}</span>
+            <div className="section-tabs">
+                {ENTRY_TYPES.map(type => (
+                    <button
+                        key={type}
+                        className={`section-title section-tab${STATE.currentEntryType === type ? ' active' : ''}`}
+                        onClick={() => { STATE.currentEntryType = type; }}
+                    >
+                        {getI18nValue(type === 'income' ? 'section.income' : 'section.expenses')}
+                    </button>
+                ))}
+            </div>
             <div className="sort-controls">
                 <button className="sort-dir-btn" onClick={handleDirToggle} title="Toggle sort direction">
                     <SortLinesIcon dir={_sortDir} />
@@ -253,14 +365,133 @@ export function renderExpenseList() {
     if (!container) return;
     if (!_expenseListRoot) _expenseListRoot = createRoot(container);
 
+    if (_isSearching()) {
+        _expenseListRoot.render(
+            <SearchResults
+                search={{ ...STATE.search, results: sortExpenses(STATE.search.results, _sortField, _sortDir) }}
+                ledger={STATE.ledger}
+                members={ledgerMemberList()}
+                onEdit={openSearchResult}
+                onEarlier={searchEarlier}
+            />
+        );
+        return;
+    }
+
     _expenseListRoot.render(
         <ExpenseList
-            expenses={STATE.expenses}
-            currentPeriod={STATE.currentPeriod}
-            currentCategoryFilter={STATE.currentCategoryFilter}
+            {..._listState()}
             sortField={_sortField}
             sortDir={_sortDir}
-            onEdit={openEditModal}
+            members={ledgerMemberList()}
+            selection={STATE.selection}
+            onSelect={toggleSelected}
+            onEdit={openFilteredEntry}
+        />
+    );
+}
+
+// ─── QuickAddBar ──────────────────────────────────────
+
+let _quickAddRoot = null;
+
+export function renderQuickAddBar() {
+    const container = document.getElementById('quick-add-root');
+    if (!container) return;
+    if (!_quickAddRoot) _quickAddRoot = createRoot(container);
+
+    _quickAddRoot.render(
+        <QuickAddBar baseCurrency={STATE.ledger.baseCurrency} parse={parseQuickAdd} onAdd={submitQuickAdd} />
+    );
+}
+
+// ─── Search ───────────────────────────────────────────
+//
+// While a query is typed the list shows matches from the whole history and
+// the period, category and member filters step aside.
+
+let _searchBarRoot = null;
+
+function _isSearching() {
+    return STATE.search.query.trim() !== '';
+}
+
+export function renderSearchBar() {
+    const container = document.getElementById('search-root');
+    if (!container) return;
+    if (!_searchBarRoot) _searchBarRoot = createRoot(container);
+
+    _searchBarRoot.render(
+        <SearchBar query={STATE.search.query} onSearch={searchExpenses} onClose={closeSearch} />
+    );
+}
+
+// ─── Filter ───────────────────────────────────────────
+//
+// An applied filter drives the list, the summary and the statistics alike;
+// it stands in for the category and member pills, and a date range in it
+// for the period buttons.
+
+let _filterBarRoot   = null;
+let _filterModalRoot = null;
+
+function _isFiltered() {
+    return activeCriteria(STATE.filter) > 0;
+}
+
+/**
+ * What the list and the summary filter, spelled out: spreading STATE would
+ * leave its getters behind.
+ */
+function _listState() {
+    return {
+        expenses:              filterSource(),
+        currentPeriod:         STATE.currentPeriod,
+        currentCategoryFilter: STATE.currentCategoryFilter,
+        currentEntryType:      STATE.currentEntryType,
+        currentMemberFilter:   STATE.currentMemberFilter,
+        filter:                STATE.filter,
+        ledger:                STATE.ledger,
+    };
+}
+
+// Hidden categories too: a filter may still hold one hidden since.
+function _filterCategories() {
+    return allCategories();
+}
+
+export function renderFilterBar() {
+    const container = document.getElementById('filter-root');
+    if (!container) return;
+    if (!_filterBarRoot) _filterBarRoot = createRoot(container);
+    if (_isSearching()) { _filterBarRoot.render(null); return; }
+
+    _filterBarRoot.render(
+        <FilterBar
+            filter={STATE.filter}
+            categories={_filterCategories()}
+            members={ledgerMemberList()}
+            onOpen={openFilterModal}
+            onChange={setFilter}
+            onClear={clearFilter}
+        />
+    );
+}
+
+export function renderFilterModal({ open = false, filter = null, categories = [], members = [], onApply, onClose } = {}) {
+    const container = document.getElementById('modal-filter-root');
+    if (!container) return;
+    if (!_filterModalRoot) _filterModalRoot = createRoot(container);
+
+    if (!open) { _filterModalRoot.render(null); return; }
+
+    _filterModalRoot.render(
+        <FilterModal
+            filter={filter}
+            categories={categories}
+            members={members}
+            onApply={onApply}
+            onClose={onClose}
         />
     );
 }
@@ -273,16 +504,40 @@ export function renderCategoryFilter() {
     const container = document.getElementById('cat-filter-row');
     if (!container) return;
     if (!_categoryFilterRoot) _categoryFilterRoot = createRoot(container);
+    if (_isSearching() || _isFiltered()) { _categoryFilterRoot.render(null); return; }
 
     _categoryFilterRoot.render(
         <CategoryFilter
-            expenses={STATE.expenses}
+            expenses={ofType(STATE.expenses, STATE.currentEntryType)}
+            budgetLevels={STATE.currentEntryType === 'expense'
+                ? Object.fromEntries(_currentBudgetProgress().map(b => [b.id, b.level]))
+                : {}}
             activeCat={STATE.currentCategoryFilter}
             onSelect={catId => { STATE.currentCategoryFilter = catId; }}
         />
     );
 }
 
+// ─── MemberFilter ─────────────────────────────────────
+
+let _memberFilterRoot = null;
+
+export function renderMemberFilter() {
+    const container = document.getElementById('member-filter-row');
+    if (!container) return;
+    if (!_memberFilterRoot) _memberFilterRoot = createRoot(container);
+    if (_isSearching() || _isFiltered()) { _memberFilterRoot.render(null); return; }
+
+    _memberFilterRoot.render(
+        <MemberFilter
+            expenses={ofType(STATE.expenses, STATE.currentEntryType)}
+            members={ledgerMemberList()}
+            activeMember={STATE.currentMemberFilter}
+            onSelect={email => { STATE.currentMemberFilter = email; }}
+        />
+    );
+}
+
 // ─── CategorySelectGrid (add form) ────────────────────
 
 let _catSelectRoot = null;
@@ -321,7 +576,9 @@ export function renderCategoryEditGrid() {
 
 let _addModalRoot = null;
 
-export function renderAddModal({ open = false, loading = false, onSubmit, onClose }) {
+export function renderAddModal({
+    open = false, loading = false, refundOf = null, refunded = 0, members = [], myEmail = '', suggest, onSubmit, onClose,
+}) {
     const container = document.getElementById('modal-add-root');
     if (!container) return;
     if (!_addModalRoot) _addModalRoot = createRoot(container);
@@ -331,7 +588,14 @@ export function renderAddModal({ open = false, loading = false, onSubmit, onClos
     _addModalRoot.render(
         <AddExpenseModal
             initialCat={STATE.selectedCat || 'food'}
+            initialType={STATE.currentEntryType}
+            baseCurrency={STATE.ledger.baseCurrency}
+            refundOf={refundOf}
+            refunded={refunded}
+            members={members}
+            myEmail={myEmail}
             loading={loading}
+            suggest={suggest}
             onSubmit={onSubmit}
             onClose={onClose}
         />
@@ -342,7 +606,9 @@ export function renderAddModal({ open = false, loading = false, onSubmit, onClos
 
 let _editModalRoot = null;
 
-export function renderEditModal({ expense = null, loading = false, onUpdate, onDelete, onClose }) {
+export function renderEditModal({
+    expense = null, loading = false, members = [], myEmail = '', onUpdate, onDelete, onRefund, onLoadReceipt, onClose,
+}) {
     const container = document.getElementById('modal-edit-root');
     if (!container) return;
     if (!_editModalRoot) _editModalRoot = createRoot(container);
@@ -350,9 +616,14 @@ export function renderEditModal({ expense = null, loading = false, onUpdate, onD
     _editModalRoot.render(
         <EditExpenseModal
             expense={expense}
+            baseCurrency={STATE.ledger.baseCurrency}
+            members={members}
+            myEmail={myEmail}
             loading={loading}
             onUpdate={onUpdate}
             onDelete={onDelete}
+            onRefund={onRefund}
+            onLoadReceipt={onLoadReceipt}
             onClose={onClose}
         />
     );
@@ -412,6 +683,43 @@ export function renderProfileModal({
                 renderProfileModal({ open: false });
                 openShareModal();
             }}
+            baseCurrency={STATE.ledger.baseCurrency}
+            onCurrencies={() => {
+                renderProfileModal({ open: false });
+                openCurrencyModal();
+            }}
+            onRecurring={() => {
+                renderProfileModal({ open: false });
+                openRecurringModal();
+            }}
+            onBudgets={() => {
+                renderProfileModal({ open: false });
+                openBudgetModal();
+            }}
+            onCategories={() => {
+                renderProfileModal({ open: false });
+                openCategoryModal();
+            }}
+            onCategoryRules={() => {
+                renderProfileModal({ open: false });
+                openCategoryRulesModal();
+            }}
+            onBalances={() => {
+                renderProfileModal({ open: false });
+                openBalancesModal();
+            }}
+            onImport={() => {
+                renderProfileModal({ open: false });
+                openImportModal();
+            }}
+            onExport={() => {
+                renderProfileModal({ open: false });
+                openExportModal();
+            }}
+            onDuplicates={() => {
+                renderProfileModal({ open: false });
+                openDuplicatesModal();
+            }}
             onFeedback={() => {                                          // ← NEW
                 renderProfileModal({ open: false });
                 renderFeedbackModal({ open: true, profile });
@@ -455,6 +763,303 @@ export function renderShareModal({
     );
 }
 
+// ─── CurrencyModal ────────────────────────────────────
+
+let _currencyModalRoot = null;
+
+export function renderCurrencyModal({ open = false, ledger = null, onSave, onClose } = {}) {
+    const container = document.getElementById('modal-currency-root');
+    if (!container) return;
+    if (!_currencyModalRoot) _currencyModalRoot = createRoot(container);
+
+    if (!open) { _currencyModalRoot.render(null); return; }
+
+    _currencyModalRoot.render(
+        <CurrencyModal
+            ledger={ledger}
+            onSave={onSave}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── RecurringModal ───────────────────────────────────
+
+let _recurringModalRoot = null;
+
+export function renderRecurringModal({
+    open         = false,
+    rules        = [],
+    baseCurrency = null,
+    onSave,
+    onDelete,
+    onClose,
+} = {}) {
+    const container = document.getElementById('modal-recurring-root');
+    if (!container) return;
+    if (!_recurringModalRoot) _recurringModalRoot = createRoot(container);
+
+    if (!open) { _recurringModalRoot.render(null); return; }
+
+    _recurringModalRoot.render(
+        <RecurringModal
+            rules={rules}
+            baseCurrency={baseCurrency}
+            onSave={onSave}
+            onDelete={onDelete}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── BudgetModal ──────────────────────────────────────
+
+let _budgetModalRoot = null;
+
+export function renderBudgetModal({ open = false, budgets = {}, currency = null, onSave, onClose } = {}) {
+    const container = document.getElementById('modal-budgets-root');
+    if (!container) return;
+    if (!_budgetModalRoot) _budgetModalRoot = createRoot(container);
+
+    if (!open) { _budgetModalRoot.render(null); return; }
+
+    _budgetModalRoot.render(
+        <BudgetModal
+            budgets={budgets}
+            currency={currency}
+            onSave={onSave}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── CategoryModal ────────────────────────────────────
+
+let _categoryModalRoot = null;
+
+export function renderCategoryModal({ open = false, type = 'expense', onSave, onClose } = {}) {
+    const container = document.getElementById('modal-categories-root');
+    if (!container) return;
+    if (!_categoryModalRoot) _categoryModalRoot = createRoot(container);
+
+    if (!open) { _categoryModalRoot.render(null); return; }
+
+    _categoryModalRoot.render(
+        <CategoryModal
+            type={type}
+            onSave={onSave}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── CategoryRulesModal ───────────────────────────────
+
+let _categoryRulesModalRoot = null;
+
+export function renderCategoryRulesModal({ open = false, rules = [], onSave, onClose } = {}) {
+    const container = document.getElementById('modal-category-rules-root');
+    if (!container) return;
+    if (!_categoryRulesModalRoot) _categoryRulesModalRoot = createRoot(container);
+
+    if (!open) { _categoryRulesModalRoot.render(null); return; }
+
+    _categoryRulesModalRoot.render(
+        <CategoryRulesModal
+            rules={rules}
+            onSave={onSave}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── BalancesModal ────────────────────────────────────
+
+let _balancesModalRoot = null;
+
+export function renderBalancesModal({
+    open = false, entries = [], settlements = [], loading = false, complete = true,
+    members = [], currency = null, onSettle, onClose,
+} = {}) {
+    const container = document.getElementById('modal-balances-root');
+    if (!container) return;
+    if (!_balancesModalRoot) _balancesModalRoot = createRoot(container);
+
+    if (!open) { _balancesModalRoot.render(null); return; }
+
+    _balancesModalRoot.render(
+        <BalancesModal
+            entries={entries}
+            settlements={settlements}
+            loading={loading}
+            complete={complete}
+            members={members}
+            currency={currency}
+            onSettle={onSettle}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── ImportModal ──────────────────────────────────────
+
+let _importModalRoot = null;
+
+export function renderImportModal({
+    open         = false,
+    categories   = [],
+    baseCurrency = null,
+    suggest,
+    checkExisting,
+    onImport,
+    onClose,
+} = {}) {
+    const container = document.getElementById('modal-import-root');
+    if (!container) return;
+    if (!_importModalRoot) _importModalRoot = createRoot(container);
+
+    if (!open) { _importModalRoot.render(null); return; }
+
+    _importModalRoot.render(
+        <ImportModal
+            categories={categories}
+            baseCurrency={baseCurrency}
+            suggest={suggest}
+            checkExisting={checkExisting}
+            onImport={onImport}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── ExportModal ──────────────────────────────────────
+
+let _exportModalRoot = null;
+
+export function renderExportModal({ open = false, categories = [], onExport, onClose } = {}) {
+    const container = document.getElementById('modal-export-root');
+    if (!container) return;
+    if (!_exportModalRoot) _exportModalRoot = createRoot(container);
+
+    if (!open) { _exportModalRoot.render(null); return; }
+
+    _exportModalRoot.render(
+        <ExportModal
+            categories={categories}
+            onExport={onExport}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── Sign-out ─────────────────────────────────────────
+
+let _signOutDialogRoot = null;
+
+export function renderSignOutDialog({ open = false, count = 0, onConfirm, onCancel } = {}) {
+    const container = document.getElementById('modal-sign-out-root');
+    if (!container) return;
+    if (!_signOutDialogRoot) _signOutDialogRoot = createRoot(container);
+
+    if (!open) { _signOutDialogRoot.render(null); return; }
+
+    _signOutDialogRoot.render(
+        <SignOutDialog
+            count={count}
+            onConfirm={onConfirm}
+            onCancel={onCancel}
+        />
+    );
+}
+
+// ─── Duplicates ───────────────────────────────────────
+
+let _duplicateDialogRoot = null;
+
+export function renderDuplicateDialog({ open = false, existing = null, ledger = null, onConfirm, onCancel, onShow } = {}) {
+    const container = document.getElementById('modal-duplicate-root');
+    if (!container) return;
+    if (!_duplicateDialogRoot) _duplicateDialogRoot = createRoot(container);
+
+    if (!open) { _duplicateDialogRoot.render(null); return; }
+
+    _duplicateDialogRoot.render(
+        <DuplicateDialog
+            existing={existing}
+            ledger={ledger}
+            onConfirm={onConfirm}
+            onCancel={onCancel}
+            onShow={onShow}
+        />
+    );
+}
+
+let _duplicatesModalRoot = null;
+
+export function renderDuplicatesModal({
+    open       = false,
+    pairs      = [],
+    windowDays = 0,
+    ledger     = null,
+    onWindowChange,
+    onOpen,
+    onClose,
+} = {}) {
+    const container = document.getElementById('modal-duplicates-root');
+    if (!container) return;
+    if (!_duplicatesModalRoot) _duplicatesModalRoot = createRoot(container);
+
+    if (!open) { _duplicatesModalRoot.render(null); return; }
+
+    _duplicatesModalRoot.render(
+        <DuplicatesModal
+            pairs={pairs}
+            windowDays={windowDays}
+            ledger={ledger}
+            onWindowChange={onWindowChange}
+            onOpen={onOpen}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── BulkModal ────────────────────────────────────────
+
+let _bulkModalRoot = null;
+
+export function renderBulkModal({ open = false, action = 'category', count = 0, categories = [], onApply, onClose } = {}) {
+    const container = document.getElementById('modal-bulk-root');
+    if (!container) return;
+    if (!_bulkModalRoot) _bulkModalRoot = createRoot(container);
+
+    if (!open) { _bulkModalRoot.render(null); return; }
+
+    _bulkModalRoot.render(
+        <BulkModal
+            action={action}
+            count={count}
+            categories={categories}
+            onApply={onApply}
+            onClose={onClose}
+        />
+    );
+}
+
+// ─── UndoSnackbar ─────────────────────────────────────
+
+let _snackbarRoot = null;
+
+export function renderUndoSnackbar({ open = false, id = 0, message = '', onUndo } = {}) {
+    const container = document.getElementById('snackbar-root');
+    if (!container) return;
+    if (!_snackbarRoot) _snackbarRoot = createRoot(container);
+
+    if (!open) { _snackbarRoot.render(null); return; }
+
+    // A new id remounts the bar, so its entry animation plays again.
+    _snackbarRoot.render(<UndoSnackbar key={id} message={message} onUndo={onUndo} />);
+}
+
 // ─── Statistics ───────────────────────────────────────
 
 export function renderStatistics() {
@@ -462,6 +1067,7 @@ export function renderStatistics() {
     renderChart();
     const { year, month } = getSelectedMonth();
     renderDonutChart(year, month);
+    renderStatsBudgets(year, month);
     // Center the carousel after React has flushed the render and the
     // stats screen is visible. setTimeout(0) runs after the current
     // call stack + paint, so scrollIntoView measures real layout.
@@ -529,9 +1135,42 @@ export function initReactiveBindings() {
     STATE.subscribe('expenses', () => {
         renderExpenseList();
         renderCategoryFilter();
+        renderMemberFilter();
+        renderSummary();
+        renderBudgets();
+    });
+
+    STATE.subscribe('search', () => {
+        renderSearchBar();
+        renderFilterBar();
+        renderCategoryFilter();
+        renderMemberFilter();
+        renderExpenseList();
+    });
+
+    STATE.subscribe('filter', () => {
+        renderFilterBar();
+        renderCategoryFilter();
+        renderMemberFilter();
+        renderExpenseList();
         renderSummary();
+        renderStatistics();
     });
 
+    STATE.subscribe('rangeEntries', () => {
+        renderExpenseList();
+        renderSummary();
+    });
+
+    STATE.subscribe('selection', () => {
+        renderSectionHeader();
+        renderExpenseList();
+    });
+
+    // A selection is of the entries on screen; changing what is shown ends it.
+    ['search', 'filter', 'currentPeriod', 'currentCategoryFilter', 'currentMemberFilter', 'currentEntryType']
+        .forEach(key => STATE.subscribe(key, clearSelection));
+
     STATE.subscribe('currentPeriod', () => {
         renderSummary();
         renderExpenseList();
@@ -541,6 +1180,19 @@ export function initReactiveBindings() {
         renderCategoryFilter();
         renderExpenseList();
         renderSummary();
+        renderBudgets();
+    });
+
+    STATE.subscribe('currentMemberFilter', () => {
+        renderMemberFilter();
+        renderExpenseList();
+        renderSummary();
+    });
+
+    STATE.subscribe('currentEntryType', () => {
+        STATE.currentCategoryFilter = 'all';
+        renderMemberFilter();
+        renderSectionHeader();
     });
 
     STATE.subscribe('currentScreen', () => {
@@ -553,9 +1205,36 @@ export function initReactiveBindings() {
         renderCategoryEditGrid();
     });
 
+    STATE.subscribe('ledger', () => {
+        const { year, month } = getSelectedMonth();
+        renderQuickAddBar();
+        renderSummary();
+        renderBudgets();
+        renderCategoryFilter();
+        renderExpenseList();
+        renderChart();
+        renderDonutChart(year, month);
+        renderStatsBudgets(year, month);
+    });
+
+    STATE.subscribe('budgets', () => {
+        const { year, month } = getSelectedMonth();
+        renderBudgets();
+        renderCategoryFilter();
+        renderStatsBudgets(year, month);
+    });
+
+    STATE.subscribe('categories', () => {
+        renderUI();
+        renderCategorySelectGrid();
+        renderCategoryEditGrid();
+    });
+
     STATE.subscribe('userProfile', () => {
         renderMainHeader();
         renderStatsHeader();
+        renderMemberFilter();
+        renderExpenseList();
     });
 
     // Re-render charts and profile modal when theme changes
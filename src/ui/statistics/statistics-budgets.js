@@ -0,0 +1,59 @@
+import { formatCurrency, escapeHtml } from '../../utils/helpers.js';
+import { inBaseCurrency } from '../../utils/currency.utils.js';
+import { monthSpending, budgetProgress, OVERALL } from '../../utils/budget.utils.js';
+import { STATE } from '../../state.js';
+import { getI18nValue } from '../../i18n/localization.js';
+import { findCategory } from '../../controllers/categoryController.js';
+import { onMonthChange } from './statistics-state.js';
+import { getMonthExpenses } from './statistics-chart.js';
+
+// ─── Public API ───────────────────────────────────────
+
+/**
+ * Fills the budgets card with one progress bar per budget for the given
+ * month. The card is hidden while no budgets are set.
+ * @param {number} year
+ * @param {number} month  0-based
+ */
+export async function renderStatsBudgets(year, month) {
+    const card = document.getElementById('stats-budgets-card');
+    const list = document.getElementById('stats-budgets');
+    if (!card || !list) return;
+
+    if (!Object.keys(STATE.budgets).length) {
+        card.style.display = 'none';
+        list.innerHTML = '';
+        return;
+    }
+
+    const key      = `${year}-${String(month + 1).padStart(2, '0')}`;
+    const expenses = inBaseCurrency(await getMonthExpenses(year, month), STATE.ledger).expenses;
+    const progress = budgetProgress(STATE.budgets, monthSpending(expenses, key));
+
+    const titleEl = document.getElementById('stats-budgets-title');
+    if (titleEl) titleEl.textContent = getI18nValue('budget.title');
+
+    card.style.display = '';
+    list.innerHTML = progress.map(_barHtml).join('');
+}
+
+// Subscribe once at module load — re-render whenever month changes
+onMonthChange(async ({ year, month }) => renderStatsBudgets(year, month));
+
+// ─── Markup ───────────────────────────────────────────
+
+function _barHtml({ id, limit, spent, ratio, level }) {
+    const cat   = findCategory(id);
+    const label = id === OVERALL
+        ? getI18nValue('budget.overall')
+        : escapeHtml(`${cat.emoji} ${cat.label}`);
+    const width = Math.min(ratio, 1) * 100;
+    return `
+        <div class="budget-bar ${level}">
+            <div class="budget-bar-top">
+                <span class="budget-bar-label">${label}</span>
+                <span class="budget-bar-value">${formatCurrency(spent, STATE.ledger.baseCurrency)} / ${formatCurrency(limit, STATE.ledger.baseCurrency)}</span>
+            </div>
+            <div class="budget-bar-track"><div class="budget-bar-fill" style="width:${width}%"></div></div>
+        </div>`;
+}
\ No newline at end of file
@@ -1,10 +1,12 @@
 import { Chart, BarController, BarElement, CategoryScale, LinearScale, Tooltip } from 'chart.js';
-import { formatMoney, sumAmounts } from '../../utils/helpers.js';
+import { formatMoney, formatCurrency, sumAmounts } from '../../utils/helpers.js';
+import { inBaseCurrency } from '../../utils/currency.utils.js';
+import { cashFlow, ofType } from '../../utils/cashflow.utils.js';
+import { applyFilter, activeCriteria } from '../../utils/filter.utils.js';
 import { STATE } from '../../state.js';
 import { getI18nValue } from '../../i18n/localization.js';
 import { getSelectedMonth, onMonthChange } from './statistics-state.js';
-import * as SheetsService from '../../services/sheetsService.js';
-import { withToken } from '../../services/authService.js';
+import { loadYearExpenses } from '../../controllers/expenseController.js';
 import {
     toIso,
     getShortDay,
@@ -40,7 +42,7 @@ const _monthCache = {};
  * @param {number} month  0-based
  * @returns {Promise<Array>}
  */
-async function _getMonthExpenses(year, month) {
+export async function getMonthExpenses(year, month) {
     const key    = `${year}-${String(month + 1).padStart(2, '0')}`;
     const now    = new Date();
     const isCurrentMonth = year === now.getFullYear() && month === now.getMonth();
@@ -50,9 +52,7 @@ async function _getMonthExpenses(year, month) {
             // Current month: use hot STATE.expenses directly — no extra fetch needed
             _monthCache[key] = [];
         } else {
-            _monthCache[key] = await withToken(token =>
-                SheetsService.loadExpensesByYear(token, STATE.spreadsheetId, year)
-            ).then(all => all.filter(e => {
+            _monthCache[key] = await loadYearExpenses(year).then(all => all.filter(e => {
                 const d = new Date(e.date);
                 return d.getFullYear() === year && d.getMonth() === month;
             }));
@@ -152,7 +152,9 @@ export async function renderChart() {
 }
 
 export async function updateStatsTotals(year, month) {
-    const expenses = await _getMonthExpenses(year, month);
+    const entries  = applyFilter(await getMonthExpenses(year, month), STATE.filter, STATE.ledger);
+    const expenses = ofType(entries, 'expense');
+    const flow     = cashFlow(inBaseCurrency(entries, STATE.ledger).expenses);
 
     const now      = new Date();
     const isCurrentMonth = year === now.getFullYear() && month === now.getMonth();
@@ -160,14 +162,27 @@ export async function updateStatsTotals(year, month) {
     const labelEl = document.getElementById('stats-total-label');
     const totalEl = document.getElementById('stats-total');
     const subEl   = document.getElementById('stats-sub');
+    const flowEl  = document.getElementById('stats-cashflow');
 
     if (labelEl) {
         labelEl.textContent = isCurrentMonth
             ? getI18nValue('stats.total_label.month')
             : new Date(year, month, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
     }
-    if (totalEl) totalEl.textContent = formatMoney(sumAmounts(expenses));
-    if (subEl)   subEl.textContent   = `${expenses.length} ${getI18nValue('stats.ops')}`;
+    if (totalEl) totalEl.textContent = formatCurrency(flow.spent, STATE.ledger.baseCurrency);
+    if (subEl)   subEl.textContent   = `${expenses.length} ${getI18nValue('stats.ops')}`
+        + (activeCriteria(STATE.filter) ? ` · ${getI18nValue('filter.applied')}` : '');
+    if (flowEl)  flowEl.textContent  = flow.income > 0 ? _cashFlowText(flow) : '';
+}
+
+/** "Income 3,000.00 · Net +1,250.00 · Saved 42%" */
+function _cashFlowText({ income, net, savingsRate }) {
+    const currency = STATE.ledger.baseCurrency;
+    return [
+        `${getI18nValue('entry.income')} ${formatCurrency(income, currency)}`,
+        `${getI18nValue('summary.net')} ${net > 0 ? '+' : ''}${formatCurrency(net, currency)}`,
+        `${getI18nValue('summary.savings_rate')} ${savingsRate}%`,
+    ].join('  ·  ');
 }
 
 // ─── Chart rendering ──────────────────────────────────
@@ -218,7 +233,7 @@ async function _renderChartForMonth(year, month) {
                     padding: 10,
                     cornerRadius: 10,
                     displayColors: false,
-                    callbacks: { label: ctx => formatMoney(ctx.parsed.y) },
+                    callbacks: { label: ctx => formatCurrency(ctx.parsed.y, STATE.ledger.baseCurrency) },
                 },
             },
             scales: {
@@ -260,11 +275,12 @@ onMonthChange(async ({ year, month }) => {
 // ─── Data builder ─────────────────────────────────────
 
 /**
- * Splits the given calendar month into 4 fixed week-bands and sums expenses.
- * W1: 1–7 · W2: 8–14 · W3: 15–21 · W4: 22–end
+ * Splits the given calendar month into 4 fixed week-bands and sums expenses
+ * in the base currency. W1: 1–7 · W2: 8–14 · W3: 15–21 · W4: 22–end
  */
 async function _buildMonthData(year, month) {
-    const expenses    = await _getMonthExpenses(year, month);
+    const entries     = applyFilter(await getMonthExpenses(year, month), STATE.filter, STATE.ledger);
+    const expenses    = ofType(inBaseCurrency(entries, STATE.ledger).expenses, 'expense');
     const daysInMonth = new Date(year, month + 1, 0).getDate();
     const bands       = [[1, 7], [8, 14], [15, 21], [22, daysInMonth]];
 
@@ -1,13 +1,16 @@
 import { Chart, DoughnutController, ArcElement, Tooltip } from 'chart.js';
-import { formatMoney, sumAmounts } from '../../utils/helpers.js';
+import { formatCurrency, sumAmounts, escapeHtml } from '../../utils/helpers.js';
+import { inBaseCurrency } from '../../utils/currency.utils.js';
+import { ofType } from '../../utils/cashflow.utils.js';
+import { applyFilter } from '../../utils/filter.utils.js';
 import { STATE } from '../../state.js';
 import { getI18nValue } from '../../i18n/localization.js';
-import { CATEGORIES } from '../../constants/categories.js';
-import { onMonthChange } from './statistics-state.js';
-import * as SheetsService from '../../services/sheetsService.js';
-import { withToken } from '../../services/authService.js';
+import { findCategory, findSubcategory, subcategoriesFor } from '../../controllers/categoryController.js';
+import { onMonthChange, getSelectedMonth } from './statistics-state.js';
+import { loadYearExpenses } from '../../controllers/expenseController.js';
 import {
     groupExpensesByCategory,
+    groupExpensesBySubcategory,
     calcPercentage,
 } from './statistics-utils.js';
 
@@ -23,6 +26,9 @@ function _css(varName) {
 
 let _donutInstance = null;
 
+/** Category whose subcategories the donut shows, or null for all categories. */
+let _drill = null;
+
 // ─── Per-canvas loading overlay ───────────────────────
 
 function _showLoading() {
@@ -68,6 +74,7 @@ export async function renderDonutChart(year, month) {
         const { sorted, total } = await buildDonutDataByPeriod(year, month);
 
         destroyInstanceHelper();
+        renderDrillBack();
 
         if (!sorted.length) {
             showDonutEmpty(canvas);
@@ -98,9 +105,7 @@ async function buildDonutDataByPeriod(year, month) {
             return d.getFullYear() === year && d.getMonth() === month;
         });
     } else {
-        const all = await withToken(token =>
-            SheetsService.loadExpensesByYear(token, STATE.spreadsheetId, year)
-        );
+        const all = await loadYearExpenses(year);
         // Merge with hot-layer edits for this month
         const hot    = STATE.expenses.filter(e => {
             const d = new Date(e.date);
@@ -116,8 +121,17 @@ async function buildDonutDataByPeriod(year, month) {
         ];
     }
 
-    const sorted = groupExpensesByCategory(expenses);
-    const total  = sumAmounts(expenses);
+    const filtered = applyFilter(ofType(expenses, 'expense'), STATE.filter, STATE.ledger);
+    // Amounts without a rate are left out rather than summed as if 1:1.
+    const inBase   = inBaseCurrency(filtered, STATE.ledger).expenses;
+    // A category with nothing left in this month goes back to all categories.
+    if (_drill && !inBase.some(e => e.category === _drill)) _drill = null;
+    const grouped  = _drill
+        ? groupExpensesBySubcategory(inBase, _drill, subcategoriesFor(_drill, { hidden: true }).map(s => s.id))
+        : groupExpensesByCategory(inBase);
+    // A category refunded in full (or beyond) has no slice to draw.
+    const sorted   = grouped.filter(([, amount]) => amount > 0);
+    const total    = sumAmounts(sorted.map(([, amount]) => ({ amount })));
 
     return { sorted, total };
 }
@@ -126,11 +140,11 @@ async function buildDonutDataByPeriod(year, month) {
 
 function drawDonutChart(canvas, sorted, total) {
     const labels = sorted.map(([id]) => {
-        const cat = CATEGORIES.find(c => c.id === id);
-        return cat ? `${cat.emoji} ${cat.label}` : id;
+        const slice = sliceInfo(id);
+        return `${slice.emoji} ${slice.label}`;
     });
     const data   = sorted.map(([, v]) => v);
-    const colors = sorted.map(([id]) => CATEGORIES.find(c => c.id === id)?.color || '#888');
+    const colors = sorted.map(([id]) => sliceInfo(id).color);
 
     _donutInstance = new Chart(canvas.getContext('2d'), {
         type: 'doughnut',
@@ -150,6 +164,13 @@ function drawDonutChart(canvas, sorted, total) {
             maintainAspectRatio: false,
             cutout: '68%',
             animation: { duration: 500, easing: 'easeOutQuart' },
+            onClick: (_, elements) => {
+                if (elements.length) drillInto(sorted[elements[0].index][0]);
+            },
+            onHover: (e, elements) => {
+                const drillable = elements.length > 0 && canDrill(sorted[elements[0].index][0]);
+                e.native.target.style.cursor = drillable ? 'pointer' : 'default';
+            },
             plugins: {
                 legend: { display: false },
                 tooltip: {
@@ -166,7 +187,7 @@ function drawDonutChart(canvas, sorted, total) {
                     callbacks: {
                         label: ctx => {
                             const pct = calcPercentage(ctx.parsed, total);
-                            return `${formatMoney(ctx.parsed)}  ·  ${pct}%`;
+                            return `${formatCurrency(ctx.parsed, STATE.ledger.baseCurrency)}  ·  ${pct}%`;
                         },
                     },
                 },
@@ -182,16 +203,62 @@ function drawDonutLegend(sorted, total) {
     if (!el) return;
 
     el.innerHTML = sorted.map(([id, amount]) => {
-        const cat = CATEGORIES.find(c => c.id === id);
-        const pct = calcPercentage(amount, total);
+        const slice = sliceInfo(id);
+        const pct   = calcPercentage(amount, total);
+        const more  = canDrill(id) ? ' drillable' : '';
         return `
-            <div class="donut-legend-item">
-                <span class="donut-legend-dot" style="background:${cat?.color || '#888'}"></span>
-                <span class="donut-legend-emoji">${cat?.emoji || ''}</span>
-                <span class="donut-legend-label">${cat?.label || id}</span>
+            <div class="donut-legend-item${more}" data-id="${escapeHtml(id)}">
+                <span class="donut-legend-dot" style="background:${slice.color}"></span>
+                <span class="donut-legend-emoji">${escapeHtml(slice.emoji)}</span>
+                <span class="donut-legend-label">${escapeHtml(slice.label)}</span>
                 <span class="donut-legend-value">${pct}%</span>
             </div>`;
     }).join('');
+    el.onclick = e => {
+        const item = e.target.closest('.donut-legend-item.drillable');
+        if (item) drillInto(item.dataset.id);
+    };
+}
+
+// ─── Drill-down ───────────────────────────────────────
+
+/**
+ * Emoji, name and color of a slice: a category, or once drilled into one,
+ * a subcategory — '' being the entries of the category without one.
+ */
+function sliceInfo(id) {
+    if (!_drill) return findCategory(id);
+    const cat = findCategory(_drill);
+    if (!id) return { emoji: cat.emoji, label: getI18nValue('sub.none'), color: cat.color };
+    return findSubcategory(_drill, id);
+}
+
+function canDrill(id) {
+    return !_drill && subcategoriesFor(id, { hidden: true }).length > 0;
+}
+
+function drillInto(id) {
+    if (!canDrill(id)) return;
+    _drill = id;
+    const { year, month } = getSelectedMonth();
+    renderDonutChart(year, month);
+}
+
+function renderDrillBack() {
+    const back = document.getElementById('stats-donut-back');
+    if (!back) return;
+    if (!_drill) {
+        back.style.display = 'none';
+        return;
+    }
+    const cat = findCategory(_drill);
+    back.textContent   = `‹ ${getI18nValue('sub.all')} · ${cat.emoji} ${cat.label}`;
+    back.style.display = '';
+    back.onclick       = () => {
+        _drill = null;
+        const { year, month } = getSelectedMonth();
+        renderDonutChart(year, month);
+    };
 }
 
 // ─── Helpers ──────────────────────────────────────────
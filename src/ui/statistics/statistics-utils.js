@@ -1,3 +1,5 @@
+import Big from 'big.js';
+
 /**
  * Formats a Date as an ISO-8601 date string "YYYY-MM-DD".
  * @param {Date} d
@@ -47,17 +49,38 @@ export function buildPeriodBarColors(count, activeIdx = count - 1) {
 
 /**
  * Groups a flat list of expenses by category and returns them sorted
- * descending by total amount.
+ * descending by total amount. Refunds (negative amounts) reduce their
+ * category's total; summed with Big.js so a full refund nets to exactly 0.
  *
  * @param {Array<{category: string, amount: number|string}>} expenses
  * @returns {Array<[string, number]>}  sorted [categoryId, total] pairs
  */
 export function groupExpensesByCategory(expenses) {
     const grouped = expenses.reduce((acc, e) => {
-        acc[e.category] = (acc[e.category] ?? 0) + Number(e.amount);
+        acc[e.category] = (acc[e.category] ?? new Big(0)).plus(Number(e.amount));
         return acc;
     }, {});
-    return Object.entries(grouped).sort(([, a], [, b]) => b - a);
+    return Object.entries(grouped)
+        .map(([category, total]) => [category, Number(total.toFixed(2))])
+        .sort(([, a], [, b]) => b - a);
+}
+
+/**
+ * Groups one category's expenses by subcategory, sorted like
+ * groupExpensesByCategory. Entries without a subcategory, or with one the
+ * category no longer has, roll up under '' — the category itself.
+ *
+ * @param {Array<{category: string, subcategory?: string, amount: number|string}>} expenses
+ * @param {string}   categoryId
+ * @param {string[]} known  IDs of the category's subcategories
+ * @returns {Array<[string, number]>}  sorted [subcategoryId or '', total] pairs
+ */
+export function groupExpensesBySubcategory(expenses, categoryId, known) {
+    const ids = new Set(known);
+    return groupExpensesByCategory(expenses
+        .filter(e => e.category === categoryId)
+        .map(e => ({ category: ids.has(e.subcategory) ? e.subcategory : '', amount: e.amount }))
+    );
 }
 
 /**
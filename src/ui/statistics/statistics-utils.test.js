@@ -3,6 +3,7 @@ import {
     getShortDay,
     buildPeriodBarColors,
     groupExpensesByCategory,
+    groupExpensesBySubcategory,
     calcPercentage,
     getMonthBands,
     getActiveBandIndex,
@@ -102,11 +103,46 @@ describe('groupExpensesByCategory', () => {
         expect(groupExpensesByCategory(expenses)).toEqual([['food', 20]]);
     });
 
+    test('subtracts refunds from their category', () => {
+        const expenses = [
+            { category: 'clothes', amount: 79.99 },
+            { category: 'clothes', amount: -79.99 },
+            { category: 'food',    amount: 12 },
+        ];
+        expect(groupExpensesByCategory(expenses)).toEqual([['food', 12], ['clothes', 0]]);
+    });
+
     test('returns empty array for empty input', () => {
         expect(groupExpensesByCategory([])).toEqual([]);
     });
 });
 
+// ─── groupExpensesBySubcategory ───────────────────────
+
+describe('groupExpensesBySubcategory', () => {
+    test('groups one category by subcategory', () => {
+        const expenses = [
+            { category: 'food', subcategory: 'bakery',  amount: 5 },
+            { category: 'food', subcategory: 'canteen', amount: 12 },
+            { category: 'food', subcategory: 'bakery',  amount: 3 },
+            { category: 'fun',  subcategory: 'cinema',  amount: 40 },
+        ];
+        const result = groupExpensesBySubcategory(expenses, 'food', ['bakery', 'canteen']);
+        expect(result).toEqual([['canteen', 12], ['bakery', 8]]);
+    });
+
+    test('rolls entries without a known subcategory up under the category', () => {
+        const expenses = [
+            { category: 'food', amount: 10 },
+            { category: 'food', subcategory: '',     amount: 5 },
+            { category: 'food', subcategory: 'gone', amount: 2 },
+            { category: 'food', subcategory: 'bakery', amount: 4 },
+        ];
+        const result = groupExpensesBySubcategory(expenses, 'food', ['bakery']);
+        expect(result).toEqual([['', 17], ['bakery', 4]]);
+    });
+});
+
 // ─── calcPercentage ───────────────────────────────────
 
 describe('calcPercentage', () => {
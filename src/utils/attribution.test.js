@@ -0,0 +1,35 @@
+import { stampCreated, stampUpdated, authorsOf } from './attribution.utils.js';
+
+const NOW   = new Date('2025-03-05T10:00:00.000Z');
+const LATER = new Date('2025-03-06T08:30:00.000Z');
+
+describe('stampCreated / stampUpdated', () => {
+    test('given a new entry — when stamped — then the author and creation time are recorded', () => {
+        // when
+        const entry = stampCreated({ id: 'a', amount: 5 }, ' Ann@X.com ', NOW);
+        // then
+        expect(entry).toEqual({ id: 'a', amount: 5, author: 'ann@x.com', createdAt: '2025-03-05T10:00:00.000Z', updatedAt: '' });
+    });
+
+    test('given an entry updated by someone else — when stamped — then the author is kept', () => {
+        // given
+        const entry = stampCreated({ id: 'a' }, 'ann@x.com', NOW);
+        // when
+        const updated = stampUpdated(entry, LATER);
+        // then
+        expect(updated).toMatchObject({ author: 'ann@x.com', createdAt: NOW.toISOString(), updatedAt: LATER.toISOString() });
+    });
+
+    test('given no signed-in email — when stamped — then the author is empty', () => {
+        expect(stampCreated({}, null, NOW).author).toBe('');
+    });
+});
+
+describe('authorsOf', () => {
+    test('given entries by several people — when listed — then the most frequent author comes first', () => {
+        // given
+        const entries = [{ author: 'bob@y.com' }, { author: 'ann@x.com' }, { author: 'bob@y.com' }, {}, { author: '' }];
+        // when / then
+        expect(authorsOf(entries)).toEqual(['bob@y.com', 'ann@x.com']);
+    });
+});
\ No newline at end of file
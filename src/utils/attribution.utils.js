@@ -0,0 +1,44 @@
+import { normaliseEmail } from './split.utils.js';
+
+/**
+ * Pure helpers for recording who wrote each entry of a shared spreadsheet.
+ *
+ * Every entry carries its author's email and ISO timestamps of when it was
+ * created and last updated. Rows written before attribution existed have
+ * none of them and read as "unknown author".
+ */
+
+/**
+ * Marks a new entry as written by `email` now.
+ * @param {Object} entry
+ * @param {string|null} email
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export function stampCreated(entry, email, now = new Date()) {
+    return { ...entry, author: normaliseEmail(email), createdAt: now.toISOString(), updatedAt: '' };
+}
+
+/**
+ * Marks an entry as updated now. The author stays whoever created it.
+ * @param {Object} entry
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export function stampUpdated(entry, now = new Date()) {
+    return { ...entry, updatedAt: now.toISOString() };
+}
+
+/**
+ * Authors of the given entries, most frequent first; entries without an
+ * author are left out.
+ * @param {Array<{ author?: string }>} entries
+ * @returns {string[]}
+ */
+export function authorsOf(entries) {
+    const counts = new Map();
+    for (const { author } of entries) {
+        if (author) counts.set(author, (counts.get(author) ?? 0) + 1);
+    }
+    return [...counts].sort(([a, x], [b, y]) => y - x || a.localeCompare(b)).map(([email]) => email);
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+import {
+    parseCategoryRules,
+    categoryRulesToRows,
+    matchRule,
+    learnCategories,
+    suggestCategory,
+    commentWords,
+} from './autocategory.utils.js';
+
+const rule = (keyword, category, subcategory = '') => ({ keyword, category, subcategory });
+
+const entry = (comment, category, fields = {}) => ({ comment, category, subcategory: '', type: 'expense', ...fields });
+
+// ─── Sheet tab ────────────────────────────────────────
+
+describe('parseCategoryRules / categoryRulesToRows', () => {
+    test('given rules — when serialized and parsed back — then they round-trip in order', () => {
+        // given
+        const rules = [rule('Uber', 'transport'), rule('Netflix', 'fun', 'streaming')];
+        // when
+        const rows = categoryRulesToRows(rules);
+        // then
+        expect(rows).toEqual([['Uber', 'transport', ''], ['Netflix', 'fun', 'streaming']]);
+        expect(parseCategoryRules(rows)).toEqual(rules);
+    });
+
+    test('given hand-edited rows — when parsed — then values are trimmed and invalid or repeated rows dropped', () => {
+        // when
+        const result = parseCategoryRules([
+            [' Uber ', ' Transport '],
+            ['', 'food'],
+            ['  -- ', 'food'],
+            ['gym'],
+            ['UBER', 'food'],
+            ['Café', 'food', 'Coffee'],
+        ]);
+        // then
+        expect(result).toEqual([rule('Uber', 'transport'), rule('Café', 'food', 'coffee')]);
+    });
+
+    test('given no rows — when parsed — then there are no rules', () => {
+        expect(parseCategoryRules(undefined)).toEqual([]);
+    });
+});
+
+// ─── Words ────────────────────────────────────────────
+
+describe('commentWords', () => {
+    test('given a comment — when split — then words are lowercase, without accents, numbers or single letters', () => {
+        expect(commentWords('Café au lait x2, 3 PCS — Żabka')).toEqual(['cafe', 'au', 'lait', 'x2', 'pcs', 'zabka']);
+    });
+
+    test('given no comment — when split — then there are no words', () => {
+        expect(commentWords(undefined)).toEqual([]);
+    });
+});
+
+// ─── matchRule ────────────────────────────────────────
+
+describe('matchRule', () => {
+    const rules = [rule('uber', 'transport'), rule('Uber Eats', 'food'), rule('bar', 'fun')];
+
+    test('given a comment starting a word with a keyword — when matched — then that rule applies, whatever the case', () => {
+        expect(matchRule('UBER*TRIP to airport', rules)).toBe(rules[0]);
+    });
+
+    test('given a keyword inside a word — when matched — then only a word starting with it matches', () => {
+        expect(matchRule('Barber', rules)).toBe(rules[2]);
+        expect(matchRule('Crowbar', rules)).toBeNull();
+    });
+
+    test('given several matching rules — when matched — then the longest keyword wins', () => {
+        expect(matchRule('uber eats order', rules)).toBe(rules[1]);
+    });
+
+    test('given a rule whose category is not allowed — when matched — then the next best applies', () => {
+        expect(matchRule('uber eats order', rules, cat => cat !== 'food')).toBe(rules[0]);
+    });
+});
+
+// ─── suggestCategory ──────────────────────────────────
+
+describe('learnCategories / suggestCategory', () => {
+    const history = [
+        entry('Uber to office', 'transport'),
+        entry('uber home', 'transport'),
+        entry('Uber airport', 'transport', { subcategory: 'taxi' }),
+        entry('Uber airport', 'transport', { subcategory: 'taxi' }),
+        entry('Coffee at the office', 'food'),
+        entry('Coffee', 'food'),
+        entry('Netflix', 'fun'),
+        entry('Salary office', 'salary', { type: 'income' }),
+        entry('Salary', 'salary', { type: 'income' }),
+    ];
+    const learned = learnCategories(history);
+
+    test('given words filed under one category before — when suggested — then that category comes from history', () => {
+        // when
+        const result = suggestCategory('uber', { learned });
+        // then
+        expect(result).toEqual({ category: 'transport', subcategory: '', source: 'history' });
+    });
+
+    test('given words seen with a subcategory — when suggested — then the subcategory comes along', () => {
+        expect(suggestCategory('airport', { learned })).toEqual({ category: 'transport', subcategory: 'taxi', source: 'history' });
+    });
+
+    test('given a word seen only once — when suggested — then nothing is suggested', () => {
+        expect(suggestCategory('Netflix', { learned })).toBeNull();
+    });
+
+    test('given words split between categories — when suggested — then the one with most of the votes wins', () => {
+        expect(suggestCategory('coffee office', { learned })?.category).toBe('food');
+    });
+
+    test('given an unknown comment — when suggested — then nothing is suggested', () => {
+        expect(suggestCategory('piano lesson', { learned })).toBeNull();
+        expect(suggestCategory('', { learned })).toBeNull();
+    });
+
+    test('given income — when suggested — then only income entries are learned from', () => {
+        expect(suggestCategory('salary', { learned, type: 'income' })?.category).toBe('salary');
+        expect(suggestCategory('salary', { learned })).toBeNull();
+    });
+
+    test('given a category that is not allowed — when suggested — then its entries are left out', () => {
+        expect(suggestCategory('uber', { learned, allowed: cat => cat !== 'transport' })).toBeNull();
+    });
+
+    test('given a matching rule — when suggested — then it wins over history', () => {
+        // given
+        const rules = [rule('uber', 'business', 'trips')];
+        // when
+        const result = suggestCategory('Uber home', { rules, learned });
+        // then
+        expect(result).toEqual({ category: 'business', subcategory: 'trips', source: 'rule' });
+    });
+});
\ No newline at end of file
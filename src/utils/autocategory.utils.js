@@ -0,0 +1,166 @@
+/**
+ * Pure helpers for picking an entry's category from its comment. Two
+ * sources, in order:
+ *   - keyword rules from the "category_rules" tab, each row
+ *       { keyword, category, subcategory }
+ *     A rule applies when a word of the comment starts with its keyword
+ *     (several words for a keyword of several); the longest one wins.
+ *   - past entries: every word of a comment votes for the categories
+ *     earlier entries with that word were filed under.
+ * Case and accents are ignored, so "Café" matches "cafe".
+ */
+
+/** @typedef {{ keyword: string, category: string, subcategory: string }} CategoryRule */
+/** @typedef {{ category: string, subcategory: string, source: 'rule'|'history' }} Suggestion */
+/** @typedef {Map<string, Map<string, { category: string, subcategory: string, count: number }>>} Learned */
+
+/** Header of the "category_rules" tab. */
+export const CATEGORY_RULES_HEADER = ['Keyword', 'Category', 'Subcategory'];
+
+/** Past entries a word must have been filed with before it suggests anything. */
+export const MIN_SUPPORT = 2;
+
+/** Share of the comment's known words that must point at the suggestion. */
+export const MIN_SHARE = 0.5;
+
+// ─── Sheet tab ────────────────────────────────────────
+
+/**
+ * Parses "category_rules" tab rows (header excluded). Rows without a
+ * keyword or category are ignored, and so is a repeated keyword.
+ * @param {Array<Array>} rows
+ * @returns {CategoryRule[]}
+ */
+export function parseCategoryRules(rows) {
+    const seen  = new Set();
+    const rules = [];
+    for (const [keyword, category, subcategory] of rows || []) {
+        const key = _normalize(keyword);
+        const cat = String(category ?? '').trim().toLowerCase();
+        if (!key || !cat || seen.has(key)) continue;
+        seen.add(key);
+        rules.push({
+            keyword:     String(keyword).trim(),
+            category:    cat,
+            subcategory: String(subcategory ?? '').trim().toLowerCase(),
+        });
+    }
+    return rules;
+}
+
+/**
+ * Serializes rules into "category_rules" tab rows (header excluded).
+ * @param {CategoryRule[]} rules
+ * @returns {Array<Array>}
+ */
+export function categoryRulesToRows(rules) {
+    return rules.map(r => [r.keyword, r.category, r.subcategory]);
+}
+
+// ─── Matching ─────────────────────────────────────────
+
+/**
+ * The rule for a comment: of those whose keyword it contains and whose
+ * category is allowed, the one with the longest keyword, the first on a tie.
+ * @param {string} comment
+ * @param {CategoryRule[]} rules
+ * @param {(category: string) => boolean} [allowed]
+ * @returns {CategoryRule|null}
+ */
+export function matchRule(comment, rules, allowed = () => true) {
+    const text = ` ${_normalize(comment)}`;
+    let best   = null;
+    let length = 0;
+    for (const rule of rules) {
+        const key = _normalize(rule.keyword);
+        if (key.length > length && text.includes(` ${key}`) && allowed(rule.category)) {
+            best   = rule;
+            length = key.length;
+        }
+    }
+    return best;
+}
+
+/**
+ * Counts, for every word of past comments, the categories its entries were
+ * filed under, separately for expenses and income.
+ * @param {Array<{ comment?: string, category: string, subcategory?: string, type?: string }>} entries
+ * @returns {Learned}
+ */
+export function learnCategories(entries) {
+    /** @type {Learned} */
+    const learned = new Map();
+    for (const entry of entries) {
+        const type = entry.type === 'income' ? 'income' : 'expense';
+        const sub  = entry.subcategory || '';
+        const pick = `${entry.category}/${sub}`;
+        for (const word of commentWords(entry.comment)) {
+            const key    = `${type}:${word}`;
+            const counts = learned.get(key) ?? new Map();
+            const slot   = counts.get(pick) ?? { category: entry.category, subcategory: sub, count: 0 };
+            slot.count++;
+            counts.set(pick, slot);
+            learned.set(key, counts);
+        }
+    }
+    return learned;
+}
+
+/**
+ * Suggests a category for a comment: a rule first, then past entries.
+ * Each known word splits one vote between its categories by how often it
+ * was filed under them; the winner needs `MIN_SHARE` of the votes and a word
+ * seen with it at least `MIN_SUPPORT` times.
+ * @param {string} comment
+ * @param {{
+ *   rules?: CategoryRule[],
+ *   learned?: Learned,
+ *   type?: 'expense'|'income',
+ *   allowed?: (category: string) => boolean
+ * }} [options]
+ * @returns {Suggestion|null}
+ */
+export function suggestCategory(comment, { rules = [], learned = new Map(), type = 'expense', allowed = () => true } = {}) {
+    const rule = matchRule(comment, rules, allowed);
+    if (rule) return { category: rule.category, subcategory: rule.subcategory, source: 'rule' };
+
+    const votes = new Map();
+    let known   = 0;
+    for (const word of new Set(commentWords(comment))) {
+        const slots = [...(learned.get(`${type}:${word}`) ?? [])].filter(([, s]) => allowed(s.category));
+        const total = slots.reduce((sum, [, s]) => sum + s.count, 0);
+        if (!total) continue;
+        known++;
+        for (const [pick, slot] of slots) {
+            const vote = votes.get(pick) ?? { category: slot.category, subcategory: slot.subcategory, share: 0, support: 0 };
+            vote.share  += slot.count / total;
+            vote.support = Math.max(vote.support, slot.count);
+            votes.set(pick, vote);
+        }
+    }
+
+    const best = [...votes.values()].reduce((a, b) => (!a || b.share > a.share ? b : a), null);
+    if (!best || best.share / known < MIN_SHARE || best.support < MIN_SUPPORT) return null;
+    return { category: best.category, subcategory: best.subcategory, source: 'history' };
+}
+
+/**
+ * Words of a comment as matching sees them: lowercase, without accents,
+ * and without numbers or single letters.
+ * @param {string} comment
+ * @returns {string[]}
+ */
+export function commentWords(comment) {
+    return _normalize(comment).split(' ').filter(w => w.length > 1 && !/^\d+$/.test(w));
+}
+
+// ─── Private ──────────────────────────────────────────
+
+function _normalize(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
\ No newline at end of file
@@ -0,0 +1,136 @@
+import {
+    parseBudgets,
+    budgetsToRows,
+    monthSpending,
+    budgetLevel,
+    budgetProgress,
+    budgetsForFilter,
+    crossedBudgets,
+    OVERALL,
+} from './budget.utils.js';
+
+const exp = (date, category, amount) => ({ id: `${date}-${category}-${amount}`, date, category, amount });
+
+// ─── Sheet tab ────────────────────────────────────────
+
+describe('parseBudgets / budgetsToRows', () => {
+    test('given budgets — when serialized and parsed back — then they round-trip with the overall limit first', () => {
+        // given
+        const budgets = { food: 600, total: 3000, eating: 200 };
+        // when
+        const rows = budgetsToRows(budgets);
+        // then
+        expect(rows).toEqual([['total', 3000], ['eating', 200], ['food', 600]]);
+        expect(parseBudgets(rows)).toEqual(budgets);
+    });
+
+    test('given hand-edited rows — when parsed — then values are normalised and invalid rows dropped', () => {
+        // when
+        const result = parseBudgets([[' Food ', '600,50'], ['', '100'], ['fun', '0'], ['sport', 'abc']]);
+        // then
+        expect(result).toEqual({ food: 600.5 });
+    });
+
+    test('given no rows — when parsed — then there are no budgets', () => {
+        expect(parseBudgets(undefined)).toEqual({});
+    });
+});
+
+// ─── monthSpending ────────────────────────────────────
+
+describe('monthSpending', () => {
+    test('given expenses across months — when summed for one month — then only expenses of that month count', () => {
+        // given
+        const expenses = [
+            exp('2025-03-01', 'food', 10.1),
+            exp('2025-03-31', 'food', 0.2),
+            exp('2025-03-15', 'fun', 5),
+            exp('2025-02-28', 'food', 99),
+            { ...exp('2025-03-10', 'salary', 3000), type: 'income' },
+        ];
+        // when / then
+        expect(monthSpending(expenses, '2025-03')).toEqual({ [OVERALL]: 15.3, food: 10.3, fun: 5 });
+    });
+});
+
+// ─── budgetLevel / budgetProgress ─────────────────────
+
+describe('budgetLevel', () => {
+    test.each([
+        [79,  'ok'],
+        [80,  'warn'],
+        [100, 'warn'],
+        [101, 'over'],
+    ])('given %i spent of 100 — when checked — then the level is %s', (spent, level) => {
+        expect(budgetLevel(spent, 100)).toBe(level);
+    });
+});
+
+describe('budgetProgress', () => {
+    test('given budgets — when computed — then the overall limit comes first, then the most used categories', () => {
+        // when
+        const result = budgetProgress({ food: 100, fun: 50, total: 1000 }, { total: 150, food: 20, fun: 45 });
+        // then
+        expect(result.map(b => [b.id, b.spent, b.level])).toEqual([
+            ['total', 150, 'ok'],
+            ['fun',   45,  'warn'],
+            ['food',  20,  'ok'],
+        ]);
+    });
+
+    test('given a budgeted category with no spending — when computed — then it shows zero', () => {
+        expect(budgetProgress({ sport: 40 }, { total: 0 })).toEqual([
+            { id: 'sport', limit: 40, spent: 0, ratio: 0, level: 'ok' },
+        ]);
+    });
+});
+
+// ─── budgetsForFilter ─────────────────────────────────
+
+describe('budgetsForFilter', () => {
+    const progress = [
+        { id: 'total', level: 'ok' },
+        { id: 'fun',   level: 'over' },
+        { id: 'food',  level: 'warn' },
+        { id: 'sport', level: 'ok' },
+    ];
+
+    test('given no category filter — when filtered — then the overall limit and categories running hot are kept', () => {
+        expect(budgetsForFilter(progress, 'all').map(b => b.id)).toEqual(['total', 'fun', 'food']);
+    });
+
+    test('given a category filter — when filtered — then only that category is kept', () => {
+        expect(budgetsForFilter(progress, 'sport').map(b => b.id)).toEqual(['sport']);
+    });
+
+    test('given a category filter without a budget — when filtered — then nothing is kept', () => {
+        expect(budgetsForFilter(progress, 'travel')).toEqual([]);
+    });
+});
+
+// ─── crossedBudgets ───────────────────────────────────
+
+describe('crossedBudgets', () => {
+    const budgets = { food: 100, total: 500 };
+
+    test('given spending crossing 80% — when checked — then a warning is reported', () => {
+        expect(crossedBudgets(budgets, { total: 70, food: 70 }, { total: 85, food: 85 }))
+            .toEqual([{ id: 'food', level: 'warn', ratio: 0.85 }]);
+    });
+
+    test('given spending jumping past the limit — when checked — then only the worse level is reported', () => {
+        expect(crossedBudgets(budgets, { total: 50, food: 50 }, { total: 150, food: 150 }))
+            .toEqual([{ id: 'food', level: 'over', ratio: 1.5 }]);
+    });
+
+    test('given a budget already in warning — when more is spent below the limit — then nothing is reported', () => {
+        expect(crossedBudgets(budgets, { total: 85, food: 85 }, { total: 95, food: 95 })).toEqual([]);
+    });
+
+    test('given both the category and the overall limit crossed — when checked — then the overall one comes last', () => {
+        // when
+        const result = crossedBudgets(budgets, { total: 390, food: 10 }, { total: 490, food: 110 });
+        // then
+        expect(result.map(b => [b.id, b.level])).toEqual([['food', 'over'], ['total', 'warn']]);
+    });
+});
\ No newline at end of file
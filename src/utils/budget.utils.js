@@ -0,0 +1,130 @@
+import { parseAmount, sumAmounts } from './helpers.js';
+import { ofType } from './cashflow.utils.js';
+
+/**
+ * Pure helpers for monthly budgets.
+ *
+ * Budgets are the per-spreadsheet monthly limits, keyed by category ID plus
+ * OVERALL for the limit on all spending:
+ *   { total: 3000, food: 600, eating: 200 }
+ * Limits are in the base currency; spending is compared after conversion.
+ */
+
+/** Key of the limit on the month's total spending. */
+export const OVERALL = 'total';
+
+/** Share of a limit at which the user is warned the month is running hot. */
+export const WARN_RATIO = 0.8;
+
+/** Header of the "budgets" tab. */
+export const BUDGETS_HEADER = ['Category', 'Monthly limit'];
+
+// ─── Sheet tab ────────────────────────────────────────
+
+/**
+ * Parses "budgets" tab rows (header excluded). Rows without a category or
+ * a positive limit are ignored; a later row for the same category wins.
+ * @param {Array<Array>} rows
+ * @returns {Object<string, number>}
+ */
+export function parseBudgets(rows) {
+    const budgets = {};
+    for (const [category, limit] of rows || []) {
+        const id    = String(category ?? '').trim().toLowerCase();
+        const value = parseAmount(limit);
+        if (id && value > 0) budgets[id] = value;
+    }
+    return budgets;
+}
+
+/**
+ * Serializes budgets into "budgets" tab rows (header excluded): the overall
+ * limit first, then categories alphabetically.
+ * @param {Object<string, number>} budgets
+ * @returns {Array<Array>}
+ */
+export function budgetsToRows(budgets) {
+    const ids = Object.keys(budgets).filter(id => id !== OVERALL).sort();
+    if (budgets[OVERALL]) ids.unshift(OVERALL);
+    return ids.map(id => [id, budgets[id]]);
+}
+
+// ─── Progress ─────────────────────────────────────────
+
+/**
+ * Sums a month's spending per category and overall. Income is ignored.
+ * @param {Array<{ date: string, category: string, amount: number }>} expenses - amounts in base currency
+ * @param {string} month - YYYY-MM
+ * @returns {Object<string, number>} `{ total, [category]: amount }`
+ */
+export function monthSpending(expenses, month) {
+    const inMonth = ofType(expenses, 'expense').filter(e => e.date?.startsWith(month));
+    const spent   = { [OVERALL]: sumAmounts(inMonth) };
+    for (const category of new Set(inMonth.map(e => e.category))) {
+        spent[category] = sumAmounts(inMonth.filter(e => e.category === category));
+    }
+    return spent;
+}
+
+/**
+ * @param {number} spent
+ * @param {number} limit
+ * @returns {'ok'|'warn'|'over'}
+ */
+export function budgetLevel(spent, limit) {
+    if (spent > limit)               return 'over';
+    if (spent >= limit * WARN_RATIO) return 'warn';
+    return 'ok';
+}
+
+/**
+ * One entry per budget: the overall limit first, then categories with the
+ * most used first.
+ * @param {Object<string, number>} budgets
+ * @param {Object<string, number>} spent - from monthSpending
+ * @returns {Array<{ id: string, limit: number, spent: number, ratio: number, level: string }>}
+ */
+export function budgetProgress(budgets, spent) {
+    const entries = Object.entries(budgets).map(([id, limit]) => {
+        const amount = spent[id] ?? 0;
+        return { id, limit, spent: amount, ratio: amount / limit, level: budgetLevel(amount, limit) };
+    });
+    return entries.sort((a, b) =>
+        (b.id === OVERALL) - (a.id === OVERALL) || b.ratio - a.ratio || a.id.localeCompare(b.id)
+    );
+}
+
+/**
+ * Bars worth showing on the main screen. With no category filter: the
+ * overall limit plus any category at or past WARN_RATIO; with one, just
+ * that category's budget.
+ * @param {Array<{ id: string, level: string }>} progress - from budgetProgress
+ * @param {string} categoryFilter - category ID or 'all'
+ * @returns {Array}
+ */
+export function budgetsForFilter(progress, categoryFilter) {
+    if (categoryFilter !== 'all') return progress.filter(b => b.id === categoryFilter);
+    return progress.filter(b => b.id === OVERALL || b.level !== 'ok');
+}
+
+/**
+ * Budgets an expense pushed into a worse level — past WARN_RATIO or past
+ * the limit. Budgets already at that level are not reported again.
+ * @param {Object<string, number>} budgets
+ * @param {Object<string, number>} before - monthSpending without the expense
+ * @param {Object<string, number>} after  - monthSpending with the expense
+ * @returns {Array<{ id: string, level: 'warn'|'over', ratio: number }>} overall last
+ */
+export function crossedBudgets(budgets, before, after) {
+    const rank = { ok: 0, warn: 1, over: 2 };
+    return Object.entries(budgets)
+        .map(([id, limit]) => ({
+            id,
+            from:  budgetLevel(before[id] ?? 0, limit),
+            level: budgetLevel(after[id] ?? 0, limit),
+            ratio: (after[id] ?? 0) / limit,
+        }))
+        .filter(b => rank[b.level] > rank[b.from])
+        .sort((a, b) => (a.id === OVERALL) - (b.id === OVERALL))
+        .map(({ id, level, ratio }) => ({ id, level, ratio }));
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { shiftDate, shiftDates, recategorize, selectionRange } from './bulk.utils.js';
+
+const entry = (id, date, extra = {}) => ({ id, date, category: 'food', amount: 10, ...extra });
+
+// ─── shiftDate ────────────────────────────────────────
+
+describe('shiftDate', () => {
+    test('given a date — when shifted forward across a month end — then the month rolls over', () => {
+        // when / then
+        expect(shiftDate('2025-01-30', 3)).toBe('2025-02-02');
+    });
+
+    test('given a date — when shifted back across a year start — then the year rolls back', () => {
+        // when / then
+        expect(shiftDate('2025-01-01', -1)).toBe('2024-12-31');
+    });
+
+    test('given a leap year — when shifted over February — then the 29th is counted', () => {
+        // when / then
+        expect(shiftDate('2024-02-28', 2)).toBe('2024-03-01');
+    });
+});
+
+// ─── shiftDates ───────────────────────────────────────
+
+describe('shiftDates', () => {
+    test('given entries — when shifted — then each moves by the same number of days', () => {
+        // when
+        const result = shiftDates([entry('a', '2025-03-01'), entry('b', '2025-03-10')], -2, '2025-06-01');
+        // then
+        expect(result.map(e => e.date)).toEqual(['2025-02-27', '2025-03-08']);
+    });
+
+    test('given a shift past today — when shifted — then the entry stops at today', () => {
+        // when
+        const [result] = shiftDates([entry('a', '2025-05-30')], 5, '2025-06-01');
+        // then
+        expect(result.date).toBe('2025-06-01');
+    });
+
+    test('given an entry dated today — when shifted forward — then it is left out as unchanged', () => {
+        // when / then
+        expect(shiftDates([entry('a', '2025-06-01')], 1, '2025-06-01')).toEqual([]);
+    });
+
+    test('given entries — when shifted — then the input is not mutated', () => {
+        // given
+        const list = [entry('a', '2025-03-01')];
+        // when
+        shiftDates(list, 1, '2025-06-01');
+        // then
+        expect(list[0].date).toBe('2025-03-01');
+    });
+});
+
+// ─── recategorize ─────────────────────────────────────
+
+describe('recategorize', () => {
+    test('given expenses — when recategorized — then they take the new category', () => {
+        // when
+        const result = recategorize([entry('a', '2025-03-01'), entry('b', '2025-03-02')], 'transport', 'expense');
+        // then
+        expect(result.map(e => e.category)).toEqual(['transport', 'transport']);
+    });
+
+    test('given an entry with a subcategory — when recategorized — then the subcategory is cleared', () => {
+        // when
+        const [result] = recategorize([entry('a', '2025-03-01', { subcategory: 'bakery' })], 'transport', 'expense');
+        // then
+        expect(result).toMatchObject({ category: 'transport', subcategory: '' });
+    });
+
+    test('given an entry already in the category — when recategorized — then it is left out', () => {
+        // when
+        const result = recategorize([entry('a', '2025-03-01'), entry('b', '2025-03-02', { category: 'transport' })], 'transport', 'expense');
+        // then
+        expect(result.map(e => e.id)).toEqual(['a']);
+    });
+
+    test('given income in the selection — when given an expense category — then the income is left out', () => {
+        // when
+        const result = recategorize([entry('a', '2025-03-01'), entry('b', '2025-03-02', { type: 'income', category: 'salary' })], 'transport', 'expense');
+        // then
+        expect(result.map(e => e.id)).toEqual(['a']);
+    });
+});
+
+// ─── selectionRange ───────────────────────────────────
+
+describe('selectionRange', () => {
+    test('given entries in any order — when ranged — then the first and last dates are returned', () => {
+        // when / then
+        expect(selectionRange([entry('a', '2025-03-10'), entry('b', '2025-01-05'), entry('c', '2025-02-01')]))
+            .toEqual({ from: '2025-01-05', to: '2025-03-10' });
+    });
+
+    test('given one entry — when ranged — then both ends are its date', () => {
+        // when / then
+        expect(selectionRange([entry('a', '2025-03-10')])).toEqual({ from: '2025-03-10', to: '2025-03-10' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { entryType } from './cashflow.utils.js';
+
+/**
+ * Pure helpers for bulk actions on a selection of entries. Each returns only
+ * the entries the action actually changes, so nothing else is written back.
+ */
+
+/**
+ * @param {string} iso  - YYYY-MM-DD
+ * @param {number} days - negative for earlier
+ * @returns {string} YYYY-MM-DD
+ */
+export function shiftDate(iso, days) {
+    const date = new Date(`${iso}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Entries moved by `days`; none lands after `today`.
+ * @param {Array<{ date: string }>} entries
+ * @param {number} days
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<Object>}
+ */
+export function shiftDates(entries, days, today) {
+    return entries
+        .map(e => {
+            const date = shiftDate(e.date, days);
+            return { ...e, date: date > today ? today : date };
+        })
+        .filter((e, i) => e.date !== entries[i].date);
+}
+
+/**
+ * Entries moved to `category`, leaving the subcategory of the old one
+ * behind. Only entries of the category's type can take it: an income
+ * category means nothing on an expense.
+ * @param {Array<{ category: string, type?: string }>} entries
+ * @param {string} category
+ * @param {'expense'|'income'} type - the category's type
+ * @returns {Array<Object>}
+ */
+export function recategorize(entries, category, type) {
+    return entries
+        .filter(e => entryType(e) === type && e.category !== category)
+        .map(e => ({ ...e, category, subcategory: '' }));
+}
+
+/**
+ * First and last date of a selection, e.g. for the name of its export.
+ * @param {Array<{ date: string }>} entries - at least one
+ * @returns {{ from: string, to: string }}
+ */
+export function selectionRange(entries) {
+    const dates = entries.map(e => e.date).sort();
+    return { from: dates[0], to: dates[dates.length - 1] };
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { normaliseType, entryType, isIncome, ofType, isRefund, refundedAmounts, cashFlow } from './cashflow.utils.js';
+
+// ─── Entry type ───────────────────────────────────────
+
+describe('normaliseType', () => {
+    test.each([
+        ['income',   'income'],
+        [' Income ', 'income'],
+        ['expense',  'expense'],
+        ['',         'expense'],
+        [undefined,  'expense'],
+        ['salary',   'expense'],
+    ])('given the Type cell %p — when read — then the entry is %s', (cell, expected) => {
+        expect(normaliseType(cell)).toBe(expected);
+    });
+});
+
+describe('entryType / isIncome / ofType', () => {
+    const entries = [
+        { id: '1', amount: 10 },
+        { id: '2', amount: 20, type: 'income' },
+        { id: '3', amount: 30, type: 'expense' },
+    ];
+
+    test('given an entry without a type — when checked — then it is an expense', () => {
+        expect(entryType(entries[0])).toBe('expense');
+        expect(isIncome(entries[0])).toBe(false);
+    });
+
+    test('given mixed entries — when filtered by type — then only that type is kept', () => {
+        expect(ofType(entries, 'income').map(e => e.id)).toEqual(['2']);
+        expect(ofType(entries, 'expense').map(e => e.id)).toEqual(['1', '3']);
+    });
+});
+
+// ─── Refunds ──────────────────────────────────────────
+
+describe('isRefund / refundedAmounts', () => {
+    test('given a negative amount — when checked — then it is a refund', () => {
+        expect(isRefund({ amount: -5 })).toBe(true);
+        expect(isRefund({ amount: 5 })).toBe(false);
+    });
+
+    test('given partial refunds of one expense — when summed — then they add up per original', () => {
+        // given
+        const entries = [
+            { id: 'a', amount: 100 },
+            { id: 'r1', amount: -30.1, refundOf: 'a' },
+            { id: 'r2', amount: -0.2,  refundOf: 'a' },
+            { id: 'r3', amount: -15 },
+        ];
+        // when
+        const result = refundedAmounts(entries);
+        // then
+        expect([...result]).toEqual([['a', 30.3]]);
+    });
+});
+
+// ─── cashFlow ─────────────────────────────────────────
+
+describe('cashFlow', () => {
+    test('given income and expenses — when computed — then net and savings rate are derived', () => {
+        // given
+        const entries = [
+            { amount: 2000, type: 'income' },
+            { amount: 500.1 },
+            { amount: 0.2, type: 'expense' },
+        ];
+        // when / then
+        expect(cashFlow(entries)).toEqual({ income: 2000, spent: 500.3, net: 1499.7, savingsRate: 75 });
+    });
+
+    test('given spending above income — when computed — then net and savings rate are negative', () => {
+        expect(cashFlow([{ amount: 100, type: 'income' }, { amount: 150 }]))
+            .toEqual({ income: 100, spent: 150, net: -50, savingsRate: -50 });
+    });
+
+    test('given a refund — when computed — then it reduces spending', () => {
+        expect(cashFlow([{ amount: 100, type: 'income' }, { amount: 80 }, { amount: -30 }]))
+            .toEqual({ income: 100, spent: 50, net: 50, savingsRate: 50 });
+    });
+
+    test('given no income — when computed — then there is no savings rate', () => {
+        expect(cashFlow([{ amount: 40 }])).toEqual({ income: 0, spent: 40, net: -40, savingsRate: null });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+import Big from 'big.js';
+import { sumAmounts } from './helpers.js';
+
+/**
+ * Pure helpers for telling income from expenses, and refunds from both.
+ *
+ * Every entry in the sheet is an expense unless its Type cell says
+ * "income"; rows from expense-only sheets (no Type column) keep reading as
+ * expenses. A negative amount is a refund or other credit: it stays in its
+ * category and type and simply reduces their totals. `refundOf` optionally
+ * holds the ID of the entry it was refunded from.
+ */
+
+/** @type {['expense', 'income']} */
+export const ENTRY_TYPES = ['expense', 'income'];
+
+/**
+ * Reads a Type cell. Anything but "income" (any case) is an expense.
+ * @param {*} value
+ * @returns {'expense'|'income'}
+ */
+export function normaliseType(value) {
+    return String(value ?? '').trim().toLowerCase() === 'income' ? 'income' : 'expense';
+}
+
+/**
+ * @param {{ type?: string }} entry
+ * @returns {'expense'|'income'}
+ */
+export function entryType(entry) {
+    return entry.type === 'income' ? 'income' : 'expense';
+}
+
+/**
+ * @param {{ type?: string }} entry
+ * @returns {boolean}
+ */
+export function isIncome(entry) {
+    return entryType(entry) === 'income';
+}
+
+/**
+ * Keeps the entries of one type.
+ * @param {Array<{ type?: string }>} entries
+ * @param {'expense'|'income'} type
+ * @returns {Array}
+ */
+export function ofType(entries, type) {
+    return entries.filter(e => entryType(e) === type);
+}
+
+/**
+ * @param {{ amount: number }} entry
+ * @returns {boolean}
+ */
+export function isRefund(entry) {
+    return entry.amount < 0;
+}
+
+/**
+ * How much has been refunded of each entry, from refunds that link to it.
+ * @param {Array<{ amount: number, refundOf?: string }>} entries
+ * @returns {Map<string, number>} entry ID → refunded amount (positive)
+ */
+export function refundedAmounts(entries) {
+    const refunded = new Map();
+    for (const e of entries) {
+        if (!isRefund(e) || !e.refundOf) continue;
+        const sum = new Big(refunded.get(e.refundOf) ?? 0).minus(e.amount);
+        refunded.set(e.refundOf, Number(sum.toFixed(2)));
+    }
+    return refunded;
+}
+
+/**
+ * Income, spending and what is left of a set of entries.
+ * Amounts must already be in one currency (see inBaseCurrency).
+ *
+ * @param {Array<{ amount: number, type?: string }>} entries
+ * @returns {{ income: number, spent: number, net: number, savingsRate: number|null }}
+ *          savingsRate is the share of income not spent, in whole percent
+ *          (negative when spending exceeds income), or null without income
+ */
+export function cashFlow(entries) {
+    const income = sumAmounts(ofType(entries, 'income'));
+    const spent  = sumAmounts(ofType(entries, 'expense'));
+    const net    = Number(new Big(income).minus(spent).toFixed(2));
+    return {
+        income,
+        spent,
+        net,
+        savingsRate: income > 0 ? Math.round((net / income) * 100) : null,
+    };
+}
\ No newline at end of file
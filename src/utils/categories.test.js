@@ -0,0 +1,215 @@
+import {
+    parseCategories,
+    categoriesToRows,
+    mergeCategories,
+    toDefinitions,
+    newCategoryId,
+    subcategoriesOf,
+    toSubDefinitions,
+    shadeColor,
+    DEFAULT_EMOJI,
+} from './categories.utils.js';
+
+const BUILT_IN = [
+    { id: 'food',  label: 'Food',  emoji: '🍔', color: '#e05c2a' },
+    { id: 'fun',   label: 'Fun',   emoji: '🎬', color: '#0f9e6b' },
+    { id: 'other', label: 'Other', emoji: '📦', color: '#6b7280' },
+];
+
+const def = (id, fields = {}) => ({ id, type: 'expense', name: '', emoji: '', color: '', hidden: false, parent: '', ...fields });
+
+// ─── Sheet tab ────────────────────────────────────────
+
+describe('parseCategories / categoriesToRows', () => {
+    test('given definitions — when serialized and parsed back — then they round-trip in order', () => {
+        // given
+        const defs = [
+            def('pets', { name: 'Pets', emoji: '🐶', color: '#123abc' }),
+            def('food', { hidden: true }),
+            def('bonus', { type: 'income', name: 'Bonus' }),
+            def('bakery', { name: 'Bakery', parent: 'food' }),
+        ];
+        // when
+        const rows = categoriesToRows(defs);
+        // then
+        expect(rows[1]).toEqual(['food', 'expense', '', '', '', 'TRUE', '']);
+        expect(rows[3]).toEqual(['bakery', 'expense', 'Bakery', '', '', '', 'food']);
+        expect(parseCategories(rows)).toEqual(defs);
+    });
+
+    test('given hand-edited rows — when parsed — then values are normalised and invalid rows dropped', () => {
+        // when
+        const result = parseCategories([
+            [' Pets ', 'EXPENSE', ' Pets ', '🐶', 'blue', 'yes'],
+            ['', 'expense', 'No id'],
+            ['pets', 'expense', 'Again'],
+            ['bonus', 'Income', 'Bonus', '', '#ABCDEF', true],
+            ['gym'],
+            ['loop', 'expense', 'Loop', '', '', '', 'LOOP'],
+        ]);
+        // then
+        expect(result).toEqual([
+            def('pets', { name: 'Pets', emoji: '🐶', hidden: true }),
+            def('bonus', { type: 'income', name: 'Bonus', color: '#abcdef', hidden: true }),
+            def('gym'),
+            def('loop', { name: 'Loop' }),
+        ]);
+    });
+
+    test('given no rows — when parsed — then there are no definitions', () => {
+        expect(parseCategories(undefined)).toEqual([]);
+    });
+});
+
+// ─── mergeCategories ──────────────────────────────────
+
+describe('mergeCategories', () => {
+    test('given no definitions — when merged — then the built-ins are listed as they are', () => {
+        // when
+        const result = mergeCategories(BUILT_IN, []);
+        // then
+        expect(result.map(c => c.id)).toEqual(['food', 'fun', 'other']);
+        expect(result.every(c => !c.hidden)).toBe(true);
+    });
+
+    test('given a reordered, customised list — when merged — then its order and fields win over the built-ins', () => {
+        // given
+        const defs = [
+            def('pets', { name: 'Pets', emoji: '🐶', color: '#123abc' }),
+            def('fun', { name: 'Going out', hidden: true }),
+            def('food'),
+        ];
+        // when
+        const result = mergeCategories(BUILT_IN, defs);
+        // then
+        expect(result).toEqual([
+            { id: 'pets',  label: 'Pets',      emoji: '🐶', color: '#123abc', hidden: false },
+            { id: 'fun',   label: 'Going out', emoji: '🎬', color: '#0f9e6b', hidden: true },
+            { id: 'food',  label: 'Food',      emoji: '🍔', color: '#e05c2a', hidden: false },
+            { id: 'other', label: 'Other',     emoji: '📦', color: '#6b7280', hidden: false },
+        ]);
+    });
+
+    test('given subcategories — when merged — then they are left out of the categories', () => {
+        // when
+        const result = mergeCategories(BUILT_IN, [def('bakery', { name: 'Bakery', parent: 'food' })]);
+        // then
+        expect(result.map(c => c.id)).toEqual(['food', 'fun', 'other']);
+    });
+
+    test('given an added category without a name or emoji — when merged — then a nameless one is dropped and a default emoji used', () => {
+        // when
+        const result = mergeCategories(BUILT_IN, [def('gym'), def('pets', { name: 'Pets' })]);
+        // then
+        expect(result[0]).toMatchObject({ id: 'pets', emoji: DEFAULT_EMOJI });
+        expect(result.some(c => c.id === 'gym')).toBe(false);
+    });
+});
+
+// ─── toDefinitions ────────────────────────────────────
+
+describe('toDefinitions', () => {
+    test('given an edited list — when turned into definitions — then unchanged built-in fields stay blank', () => {
+        // given
+        const edited = [
+            { id: 'fun',  label: 'Fun',  emoji: '🎉', color: '#0f9e6b', hidden: true },
+            { id: 'pets', label: ' Pets ', emoji: '🐶', color: '#123abc' },
+            { id: 'food', label: 'Food', emoji: '🍔', color: '#e05c2a' },
+        ];
+        // when
+        const result = toDefinitions(edited, BUILT_IN, 'expense');
+        // then
+        expect(result).toEqual([
+            def('fun', { emoji: '🎉', hidden: true }),
+            def('pets', { name: 'Pets', emoji: '🐶', color: '#123abc' }),
+            def('food'),
+        ]);
+    });
+
+    test('given an added category left without a name — when turned into definitions — then it is dropped', () => {
+        // when
+        const result = toDefinitions([{ id: 'custom', label: '  ', emoji: '🐶', color: '#123abc' }], BUILT_IN, 'expense');
+        // then
+        expect(result).toEqual([]);
+    });
+
+    test('given definitions from an edited list — when merged again — then the edited list comes back', () => {
+        // given
+        const edited = mergeCategories(BUILT_IN, [def('other', { name: 'Misc' }), def('pets', { name: 'Pets' })]);
+        // when
+        const result = mergeCategories(BUILT_IN, toDefinitions(edited, BUILT_IN, 'expense'));
+        // then
+        expect(result).toEqual(edited);
+    });
+});
+
+// ─── Subcategories ────────────────────────────────────
+
+describe('subcategoriesOf / toSubDefinitions', () => {
+    const food = BUILT_IN[0];
+    const defs = [
+        def('bakery', { name: 'Bakery', parent: 'food' }),
+        def('pets', { name: 'Pets' }),
+        def('canteen', { name: 'Canteen', emoji: '🥗', parent: 'food', hidden: true }),
+        def('cinema', { name: 'Cinema', parent: 'fun' }),
+        def('nameless', { parent: 'food' }),
+    ];
+
+    test('given definitions — when the subcategories of a category are listed — then only its own come, in order', () => {
+        // when
+        const result = subcategoriesOf(food, defs);
+        // then
+        expect(result.map(s => s.id)).toEqual(['bakery', 'canteen']);
+        expect(result[0]).toMatchObject({ label: 'Bakery', emoji: '🍔', hidden: false });
+        expect(result[1]).toMatchObject({ label: 'Canteen', emoji: '🥗', hidden: true });
+    });
+
+    test('given subcategories — when listed — then each has its own lighter shade of the category color', () => {
+        // when
+        const colors = subcategoriesOf(food, defs).map(s => s.color);
+        // then
+        expect(new Set([food.color, ...colors]).size).toBe(3);
+    });
+
+    test('given an edited list — when turned into definitions — then they point at the category and round-trip', () => {
+        // given
+        const edited = [...subcategoriesOf(food, defs), { id: 'blank', label: ' ', emoji: '🍔' }];
+        // when
+        const result = toSubDefinitions(edited, food, 'expense');
+        // then
+        expect(result).toEqual([
+            def('bakery', { name: 'Bakery', parent: 'food' }),
+            def('canteen', { name: 'Canteen', emoji: '🥗', parent: 'food', hidden: true }),
+        ]);
+        expect(subcategoriesOf(food, result)).toEqual(subcategoriesOf(food, defs));
+    });
+});
+
+describe('shadeColor', () => {
+    test('given an amount — when shaded — then the color is mixed with white', () => {
+        expect(shadeColor('#000000', 0.5)).toBe('#808080');
+        expect(shadeColor('#e05c2a', 0)).toBe('#e05c2a');
+    });
+
+    test('given an amount past the cap — when shaded — then the color stays visible', () => {
+        expect(shadeColor('#000000', 1)).toBe('#b3b3b3');
+    });
+});
+
+// ─── newCategoryId ────────────────────────────────────
+
+describe('newCategoryId', () => {
+    test('given a name — when an ID is made — then it is the name in lowercase latin letters', () => {
+        expect(newCategoryId('Café & Bars', [])).toBe('cafe_bars');
+    });
+
+    test('given a taken or reserved ID — when an ID is made — then it is numbered', () => {
+        expect(newCategoryId('Food', ['food', 'food_2'])).toBe('food_3');
+        expect(newCategoryId('All', [])).toBe('all_2');
+        expect(newCategoryId('Total', [])).toBe('total_2');
+    });
+
+    test('given a name without latin letters — when an ID is made — then it falls back to "custom"', () => {
+        expect(newCategoryId('Питомцы', ['custom'])).toBe('custom_2');
+    });
+});
\ No newline at end of file
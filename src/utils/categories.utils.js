@@ -0,0 +1,208 @@
+import { OVERALL } from './budget.utils.js';
+
+/**
+ * Pure helpers for the categories a spreadsheet defines in its "categories"
+ * tab. Each row is a definition:
+ *   { id, type, name, emoji, color, hidden, parent }
+ * A definition with the ID of a built-in category customizes it: blank name,
+ * emoji or color keep the built-in (and translated) ones. Any other ID adds a
+ * category of its own, which needs a name. A definition with a parent is a
+ * subcategory of that category; it takes the category's emoji when it has
+ * none, and a shade of its color. Rows are kept in display order.
+ */
+
+/** @typedef {{ id: string, type: 'expense'|'income', name: string, emoji: string, color: string, hidden: boolean, parent: string }} CategoryDefinition */
+/** @typedef {{ id: string, label: string, emoji: string, color: string, hidden?: boolean }} Category */
+
+/** Header of the "categories" tab. */
+export const CATEGORIES_HEADER = ['ID', 'Type', 'Name', 'Emoji', 'Color', 'Hidden', 'Parent'];
+
+/** Emoji of an added category until one is picked. */
+export const DEFAULT_EMOJI = '🏷️';
+
+/** Colors handed out in turn to added categories. */
+export const CATEGORY_COLORS = ['#e05c2a', '#2478cc', '#6c3fc5', '#0f9e6b', '#c47d00', '#b5006e', '#007fa3', '#65a30d'];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// ─── Sheet tab ────────────────────────────────────────
+
+/**
+ * Parses "categories" tab rows (header excluded). Rows without an ID are
+ * ignored, and so is a repeated ID; a type other than income means expense.
+ * @param {Array<Array>} rows
+ * @returns {CategoryDefinition[]}
+ */
+export function parseCategories(rows) {
+    const seen = new Set();
+    const defs = [];
+    for (const [id, type, name, emoji, color, hidden, parent] of rows || []) {
+        const key = String(id ?? '').trim().toLowerCase();
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        const hex   = String(color ?? '').trim();
+        const under = String(parent ?? '').trim().toLowerCase();
+        defs.push({
+            id:     key,
+            type:   String(type ?? '').trim().toLowerCase() === 'income' ? 'income' : 'expense',
+            name:   String(name ?? '').trim(),
+            emoji:  String(emoji ?? '').trim(),
+            color:  HEX_COLOR.test(hex) ? hex.toLowerCase() : '',
+            hidden: hidden === true || /^(true|yes|1|x)$/i.test(String(hidden ?? '').trim()),
+            parent: under === key ? '' : under,
+        });
+    }
+    return defs;
+}
+
+/**
+ * Serializes definitions into "categories" tab rows (header excluded).
+ * @param {CategoryDefinition[]} defs
+ * @returns {Array<Array>}
+ */
+export function categoriesToRows(defs) {
+    return defs.map(d => [d.id, d.type, d.name, d.emoji, d.color, d.hidden ? 'TRUE' : '', d.parent]);
+}
+
+// ─── Active list ──────────────────────────────────────
+
+/**
+ * Built-in categories of a type with the definitions applied, in the order
+ * of the tab. Built-ins the tab doesn't mention follow, in their own order,
+ * so a category added to the app later still shows up.
+ * @param {Category[]} builtIn
+ * @param {CategoryDefinition[]} defs - of the same type
+ * @returns {Array<Category & { hidden: boolean }>}
+ */
+export function mergeCategories(builtIn, defs) {
+    const byId   = new Map(builtIn.map(c => [c.id, c]));
+    const merged = [];
+    const seen   = new Set();
+    defs.filter(def => !def.parent).forEach((def, i) => {
+        const base = byId.get(def.id);
+        if (seen.has(def.id) || (!base && !def.name)) return;
+        seen.add(def.id);
+        merged.push({
+            id:     def.id,
+            label:  def.name || base.label,
+            emoji:  def.emoji || base?.emoji || DEFAULT_EMOJI,
+            color:  def.color || base?.color || CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+            hidden: def.hidden,
+        });
+    });
+    for (const cat of builtIn) {
+        if (!seen.has(cat.id)) merged.push({ ...cat, hidden: false });
+    }
+    return merged;
+}
+
+/**
+ * Turns an edited list back into definitions. Fields equal to a built-in's
+ * are left blank so the built-in label keeps following the language;
+ * added categories without a name are dropped.
+ * @param {Array<Category & { hidden?: boolean }>} categories - in display order
+ * @param {Category[]} builtIn
+ * @param {'expense'|'income'} type
+ * @returns {CategoryDefinition[]}
+ */
+export function toDefinitions(categories, builtIn, type) {
+    const byId = new Map(builtIn.map(c => [c.id, c]));
+    return categories
+        .map(cat => {
+            const base  = byId.get(cat.id);
+            const name  = cat.label.trim();
+            const emoji = cat.emoji.trim();
+            return {
+                id:     cat.id,
+                type,
+                name:   base && name === base.label ? '' : name,
+                emoji:  base && emoji === base.emoji ? '' : emoji,
+                color:  base && cat.color === base.color ? '' : cat.color,
+                hidden: Boolean(cat.hidden),
+                parent: '',
+            };
+        })
+        .filter(def => byId.has(def.id) || def.name);
+}
+
+// ─── Subcategories ────────────────────────────────────
+
+/**
+ * Subcategories of a category, in the order of the tab, each in a lighter
+ * shade of the category's color.
+ * @param {Category} parent
+ * @param {CategoryDefinition[]} defs
+ * @returns {Array<Category & { hidden: boolean }>}
+ */
+export function subcategoriesOf(parent, defs) {
+    const subs = defs.filter(d => d.parent === parent.id && d.name);
+    return subs.map((def, i) => ({
+        id:     def.id,
+        label:  def.name,
+        emoji:  def.emoji || parent.emoji,
+        color:  shadeColor(parent.color, (i + 1) / (subs.length + 1)),
+        hidden: def.hidden,
+    }));
+}
+
+/**
+ * Turns an edited list of subcategories back into definitions. An emoji
+ * equal to the category's is left blank; subcategories without a name are
+ * dropped.
+ * @param {Array<Category & { hidden?: boolean }>} subs - in display order
+ * @param {Category} parent
+ * @param {'expense'|'income'} type
+ * @returns {CategoryDefinition[]}
+ */
+export function toSubDefinitions(subs, parent, type) {
+    return subs
+        .map(sub => {
+            const emoji = sub.emoji.trim();
+            return {
+                id:     sub.id,
+                type,
+                name:   sub.label.trim(),
+                emoji:  emoji === parent.emoji ? '' : emoji,
+                color:  '',
+                hidden: Boolean(sub.hidden),
+                parent: parent.id,
+            };
+        })
+        .filter(def => def.name);
+}
+
+/**
+ * Mixes a #rrggbb color with white.
+ * @param {string} hex
+ * @param {number} amount - 0 keeps the color, 1 gives white; capped at 0.7 so it stays visible
+ * @returns {string}
+ */
+export function shadeColor(hex, amount) {
+    const t = Math.min(Math.max(amount, 0), 0.7);
+    return '#' + [1, 3, 5]
+        .map(i => parseInt(hex.slice(i, i + 2), 16))
+        .map(c => Math.round(c + (255 - c) * t).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * ID for a new category: its name in lowercase latin letters and digits,
+ * numbered when taken. Names without any fall back to "custom".
+ * @param {string} name
+ * @param {string[]} taken - IDs of every category, both types
+ * @returns {string}
+ */
+export function newCategoryId(name, taken) {
+    const base = String(name ?? '')
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 24) || 'custom';
+    // "all" is the pill for every category, OVERALL the limit on all spending.
+    const used = new Set([...taken, 'all', OVERALL]);
+    if (!used.has(base)) return base;
+    let n = 2;
+    while (used.has(`${base}_${n}`)) n++;
+    return `${base}_${n}`;
+}
\ No newline at end of file
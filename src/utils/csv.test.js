@@ -0,0 +1,49 @@
+import { detectDelimiter, parseCsv, toCsv } from './csv.utils.js';
+
+describe('detectDelimiter', () => {
+    test.each([
+        ['date,amount,comment\n1,2,3', ','],
+        ['date;amount;comment\n1;2;3', ';'],
+        ['date\tamount\tcomment', '\t'],
+        ['"a;b;c",amount\n', ','],
+    ])('given %p — when detected — then the delimiter is %p', (text, expected) => {
+        expect(detectDelimiter(text)).toBe(expected);
+    });
+});
+
+describe('parseCsv', () => {
+    test('given quoted cells — when parsed — then quotes, escaped quotes and line breaks are kept', () => {
+        // given
+        const text = '\uFEFFDate,Comment\r\n2025-03-01,"Lunch, ""big"" one"\r\n2025-03-02,"two\nlines"\r\n';
+        // when
+        const rows = parseCsv(text);
+        // then
+        expect(rows).toEqual([
+            ['Date', 'Comment'],
+            ['2025-03-01', 'Lunch, "big" one'],
+            ['2025-03-02', 'two\nlines'],
+        ]);
+    });
+
+    test('given blank lines and padding — when parsed — then blank rows are skipped and cells trimmed', () => {
+        expect(parseCsv('a; b \n\n ;\nc;d', ';')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('given empty text — when parsed — then there are no rows', () => {
+        expect(parseCsv('')).toEqual([]);
+    });
+});
+
+describe('toCsv', () => {
+    test('given cells with delimiters, quotes and line breaks — when written — then only those are quoted', () => {
+        // when
+        const text = toCsv([['Date', 'Comment'], ['2025-03-01', 'Lunch, "big" one'], ['2025-03-02', 'two\nlines'], [12.5, null]]);
+        // then
+        expect(text).toBe('Date,Comment\r\n2025-03-01,"Lunch, ""big"" one"\r\n2025-03-02,"two\nlines"\r\n12.5,');
+    });
+
+    test('given written rows — when parsed back — then they round-trip', () => {
+        const rows = [['a;b', 'c"d'], ['e', 'f']];
+        expect(parseCsv(toCsv(rows, ';'), ';')).toEqual(rows);
+    });
+});
\ No newline at end of file
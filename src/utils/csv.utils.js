@@ -0,0 +1,83 @@
+/**
+ * Minimal CSV reader and writer for imports and exports: RFC 4180 quoting
+ * ("a ""b""", embedded line breaks), CRLF or LF line ends, a leading BOM,
+ * and the delimiters spreadsheet apps and banks actually export — comma,
+ * semicolon or tab.
+ */
+
+/** Delimiters tried by detectDelimiter, most common first. */
+export const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Picks the delimiter that splits the first line into the most cells.
+ * Delimiters inside quotes don't count.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+    let quoted = false;
+    for (const ch of text) {
+        if (ch === '"') quoted = !quoted;
+        else if (!quoted && (ch === '\n' || ch === '\r')) break;
+        else if (!quoted && ch in counts) counts[ch]++;
+    }
+    return DELIMITERS.reduce((best, d) => counts[d] > counts[best] ? d : best, DELIMITERS[0]);
+}
+
+/**
+ * Parses CSV text into rows of trimmed cells. Blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter] - detected from the first line when omitted
+ * @returns {Array<string[]>}
+ */
+export function parseCsv(text, delimiter) {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    const sep    = delimiter ?? detectDelimiter(source);
+    const rows   = [];
+    let row      = [];
+    let cell     = '';
+    let quoted   = false;
+
+    const endCell = () => { row.push(cell.trim()); cell = ''; };
+    const endRow  = () => {
+        endCell();
+        if (row.some(c => c !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === sep) {
+            endCell();
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += ch;
+        }
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Writes rows as CSV. Cells holding the delimiter, quotes or line breaks
+ * are quoted; lines end with CRLF as RFC 4180 asks.
+ * @param {Array<Array<string|number>>} rows
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function toCsv(rows, delimiter = ',') {
+    const escape = value => {
+        const text = String(value ?? '');
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(delimiter)).join('\r\n');
+}
\ No newline at end of file
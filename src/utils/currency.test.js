@@ -0,0 +1,196 @@
+import {
+    currencyOf,
+    toBase,
+    inBaseCurrency,
+    parseRate,
+    normaliseCurrency,
+    parseLedger,
+    ledgerToRows,
+    emptyLedger,
+    rebaseLedger,
+} from './currency.utils.js';
+
+const ledger = { baseCurrency: 'PLN', rates: { EUR: 4.3, CZK: 0.17 } };
+
+// ─── currencyOf ───────────────────────────────────────
+
+describe('currencyOf', () => {
+    test('given an expense with its own currency — when resolved — then it is returned', () => {
+        expect(currencyOf({ currency: 'EUR' }, ledger)).toBe('EUR');
+    });
+
+    test('given an expense without currency — when resolved — then the base currency is returned', () => {
+        expect(currencyOf({ currency: '' }, ledger)).toBe('PLN');
+    });
+
+    test('given no currency anywhere — when resolved — then null is returned', () => {
+        expect(currencyOf({}, emptyLedger())).toBeNull();
+    });
+});
+
+// ─── toBase ───────────────────────────────────────────
+
+describe('toBase', () => {
+    test('given a foreign expense with a rate — when converted — then amount is multiplied and rounded to 2 dp', () => {
+        expect(toBase({ amount: 10.15, currency: 'EUR' }, ledger)).toBe(43.65);
+    });
+
+    test('given a base-currency or blank-currency expense — when converted — then amount is unchanged', () => {
+        expect(toBase({ amount: 7, currency: 'PLN' }, ledger)).toBe(7);
+        expect(toBase({ amount: 7, currency: '' }, ledger)).toBe(7);
+    });
+
+    test('given a currency without a rate — when converted — then null is returned', () => {
+        expect(toBase({ amount: 7, currency: 'USD' }, ledger)).toBeNull();
+    });
+
+    test('given no base currency — when converted — then amount is used as-is', () => {
+        expect(toBase({ amount: 7, currency: 'USD' }, emptyLedger())).toBe(7);
+    });
+});
+
+// ─── inBaseCurrency ───────────────────────────────────
+
+describe('inBaseCurrency', () => {
+    test('given mixed currencies — when converted — then amounts are in base and unrated ones are reported', () => {
+        // given
+        const expenses = [
+            { id: 'a', amount: 10, currency: 'EUR' },
+            { id: 'b', amount: 5,  currency: '' },
+            { id: 'c', amount: 3,  currency: 'USD' },
+            { id: 'd', amount: 4,  currency: 'USD' },
+        ];
+        // when
+        const result = inBaseCurrency(expenses, ledger);
+        // then
+        expect(result.expenses.map(e => [e.id, e.amount])).toEqual([['a', 43], ['b', 5]]);
+        expect(result.missing).toEqual(['USD']);
+    });
+
+    test('given an expense in base currency — when converted — then the same object is kept', () => {
+        // given
+        const expense = { id: 'a', amount: 10, currency: 'PLN' };
+        // when
+        const result = inBaseCurrency([expense], ledger);
+        // then
+        expect(result.expenses[0]).toBe(expense);
+    });
+
+    test('given foreign expenses — when converted — then inputs are not mutated', () => {
+        // given
+        const expense = { id: 'a', amount: 10, currency: 'EUR' };
+        // when
+        inBaseCurrency([expense], ledger);
+        // then
+        expect(expense.amount).toBe(10);
+    });
+});
+
+// ─── parseRate / normaliseCurrency ────────────────────
+
+describe('parseRate', () => {
+    test.each([
+        ['4.3',       4.3],
+        ['0,0412',    0.0412],
+        [' 1.1234567', 1.123457],
+        [4.3,         4.3],
+        ['',          0],
+        ['abc',       0],
+        ['-2',        0],
+        ['0',         0],
+        [undefined,   0],
+    ])('given %p — when parsed — then %p is returned', (raw, expected) => {
+        expect(parseRate(raw)).toBe(expected);
+    });
+});
+
+describe('normaliseCurrency', () => {
+    test.each([
+        ['eur',    'EUR'],
+        [' Usd ',  'USD'],
+        ['EURO',   ''],
+        ['€',      ''],
+        ['',       ''],
+        [null,     ''],
+    ])('given %p — when normalised — then %p is returned', (raw, expected) => {
+        expect(normaliseCurrency(raw)).toBe(expected);
+    });
+});
+
+// ─── Sheet tab ────────────────────────────────────────
+
+describe('parseLedger', () => {
+    test('given tab rows — when parsed — then base and rates are read', () => {
+        // when
+        const result = parseLedger([['PLN', '1', 'TRUE'], ['EUR', '4,3', ''], ['czk', '0.17']]);
+        // then
+        expect(result).toEqual(ledger);
+    });
+
+    test('given invalid rows — when parsed — then they are ignored', () => {
+        // when
+        const result = parseLedger([['PLN', 1, true], ['??', '2'], ['USD', 'x'], []]);
+        // then
+        expect(result).toEqual({ baseCurrency: 'PLN', rates: {} });
+    });
+
+    test('given no row flagged as base — when parsed — then base is null', () => {
+        expect(parseLedger([['EUR', '4.3']]).baseCurrency).toBeNull();
+    });
+
+    test('given no rows — when parsed — then an empty ledger is returned', () => {
+        expect(parseLedger(undefined)).toEqual(emptyLedger());
+    });
+});
+
+describe('ledgerToRows', () => {
+    test('given a ledger — when serialized — then base comes first and rates are sorted', () => {
+        expect(ledgerToRows(ledger)).toEqual([['PLN', 1, 'TRUE'], ['CZK', 0.17, ''], ['EUR', 4.3, '']]);
+    });
+
+    test('given a ledger — when serialized and parsed back — then it round-trips', () => {
+        expect(parseLedger(ledgerToRows(ledger))).toEqual(ledger);
+    });
+
+    test('given a rate for the base currency itself — when serialized — then it is not duplicated', () => {
+        expect(ledgerToRows({ baseCurrency: 'PLN', rates: { PLN: 2 } })).toEqual([['PLN', 1, 'TRUE']]);
+    });
+});
+
+// ─── rebaseLedger ─────────────────────────────────────
+
+describe('rebaseLedger', () => {
+    const history = [
+        { amount: 100, currency: 'EUR' },
+        { amount: 430, currency: 'PLN' },
+        { amount: 1000, currency: 'CZK' },
+    ];
+
+    test('given history in several currencies — when the base changes to one with a rate — then every entry keeps its value', () => {
+        // given
+        const before = inBaseCurrency(history, ledger).expenses.map(e => e.amount);
+        // when
+        const rebased = rebaseLedger(ledger, 'EUR');
+        // then
+        expect(rebased).toEqual({ baseCurrency: 'EUR', rates: { PLN: 0.232558, CZK: 0.039535 } });
+        const after = inBaseCurrency(history, rebased).expenses.map(e => e.amount);
+        after.forEach((amount, i) => expect(amount * 4.3).toBeCloseTo(before[i], 1));
+    });
+
+    test('given no rate for the new base — when rebased — then the old rates are dropped, not misread', () => {
+        expect(rebaseLedger(ledger, 'USD')).toEqual({ baseCurrency: 'USD', rates: {} });
+    });
+
+    test('given no base yet — when one is set — then the rates are kept as entered', () => {
+        expect(rebaseLedger({ baseCurrency: null, rates: { EUR: 4.3 } }, 'PLN'))
+            .toEqual({ baseCurrency: 'PLN', rates: { EUR: 4.3 } });
+    });
+
+    test('given a base — when it is cleared — then the ledger has no base', () => {
+        expect(rebaseLedger(ledger, '')).toEqual({ baseCurrency: null, rates: ledger.rates });
+    });
+
+    test('given the same base — when rebased — then nothing changes', () => {
+        expect(rebaseLedger(ledger, 'PLN')).toEqual(ledger);
+    });
+});
\ No newline at end of file
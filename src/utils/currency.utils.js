@@ -0,0 +1,178 @@
+import Big from 'big.js';
+
+/**
+ * Pure helpers for multi-currency ledgers.
+ *
+ * A ledger is the per-spreadsheet currency setup:
+ *   { baseCurrency: 'PLN' | null, rates: { EUR: 4.3, CZK: 0.17 } }
+ * where `rates[code]` is how many units of the base currency one unit of
+ * `code` is worth. Totals are always shown in the base currency.
+ *
+ * An expense with no currency — every row written before currencies
+ * existed — is in the base currency. While no base currency is set the
+ * ledger is "single-currency" and amounts are used as-is.
+ */
+
+/** Currencies offered in pickers, most common for our users first. */
+export const CURRENCIES = [
+    'EUR', 'USD', 'GBP', 'PLN', 'CZK', 'RUB', 'UAH', 'CHF', 'SEK', 'NOK',
+    'DKK', 'HUF', 'RON', 'BGN', 'TRY', 'GEL', 'KZT', 'BYN', 'JPY', 'CNY',
+    'CAD', 'AUD', 'MXN', 'ARS', 'BRL',
+];
+
+/** @returns {{ baseCurrency: null, rates: {} }} */
+export function emptyLedger() {
+    return { baseCurrency: null, rates: {} };
+}
+
+/**
+ * Effective currency of an expense: its own, or the base currency if blank.
+ * @param {{ currency?: string }} expense
+ * @param {{ baseCurrency: string|null }} ledger
+ * @returns {string|null}
+ */
+export function currencyOf(expense, ledger) {
+    return expense.currency || ledger.baseCurrency || null;
+}
+
+/**
+ * Converts an expense amount to the base currency.
+ * @param {{ amount: number, currency?: string }} expense
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @returns {number|null} Amount in base currency (2 dp), or null if there is no rate
+ */
+export function toBase(expense, ledger) {
+    const currency = expense.currency;
+    if (!ledger.baseCurrency || !currency || currency === ledger.baseCurrency) {
+        return expense.amount;
+    }
+    const rate = ledger.rates[currency];
+    if (!rate) return null;
+    return Number(new Big(expense.amount).times(rate).toFixed(2));
+}
+
+/**
+ * Maps expenses to base-currency amounts so the existing summing and
+ * grouping helpers can work on them unchanged. Expenses whose currency has
+ * no rate are left out and reported, rather than silently counted 1:1.
+ *
+ * @param {Array<{ amount: number, currency?: string }>} expenses
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @returns {{ expenses: Array, missing: string[] }} missing — currency codes without a rate
+ */
+export function inBaseCurrency(expenses, ledger) {
+    const converted = [];
+    const missing   = new Set();
+    for (const e of expenses) {
+        const amount = toBase(e, ledger);
+        if (amount === null) missing.add(e.currency);
+        else converted.push(amount === e.amount ? e : { ...e, amount });
+    }
+    return { expenses: converted, missing: [...missing] };
+}
+
+/**
+ * Parses a user-typed exchange rate. Accepts comma or dot as decimal
+ * separator and keeps up to 6 decimals — rates like 0.0412 are common.
+ * @param {string|number} raw
+ * @returns {number} 0 for empty, invalid or non-positive input
+ */
+export function parseRate(raw) {
+    try {
+        const normalised = String(raw ?? '').trim().replace(',', '.');
+        if (!normalised) return 0;
+        const big = new Big(normalised);
+        if (big.lte(0)) return 0;
+        return Number(big.toFixed(6));
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Normalises a currency code typed by a user or read from a sheet cell.
+ * @param {*} raw
+ * @returns {string} Upper-case 3-letter code, or '' if it isn't one
+ */
+export function normaliseCurrency(raw) {
+    const code = String(raw ?? '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : '';
+}
+
+/**
+ * Re-quotes a ledger's rates against a new base currency, so changing the
+ * base doesn't leave every rate meaning "units of the old base". Needs
+ * the new base's own rate as the pivot: without one the old rates can't
+ * be converted and are dropped rather than silently misread.
+ *
+ * Only rates move — expenses without a currency still follow the base,
+ * so callers must confirm the change with the user when history exists.
+ *
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @param {string|null} newBase
+ * @returns {{ baseCurrency: string|null, rates: Object<string, number> }}
+ */
+export function rebaseLedger(ledger, newBase) {
+    const oldBase = ledger.baseCurrency;
+    const base    = normaliseCurrency(newBase) || null;
+    if (!oldBase || !base || base === oldBase) {
+        const { [base]: _dropped, ...rates } = ledger.rates;
+        return { baseCurrency: base, rates };
+    }
+
+    const pivot = ledger.rates[base];
+    if (!pivot) return { baseCurrency: base, rates: {} };
+
+    const rates = {};
+    for (const [code, rate] of Object.entries({ ...ledger.rates, [oldBase]: 1 })) {
+        const value = parseRate(new Big(rate).div(pivot).toFixed(6));
+        if (code !== base && value) rates[code] = value;
+    }
+    return { baseCurrency: base, rates };
+}
+
+// ─── Sheet tab ────────────────────────────────────────
+
+/** Header of the "currencies" tab that stores a ledger. */
+export const LEDGER_HEADER = ['Currency', 'Rate', 'Base'];
+
+/**
+ * Builds a ledger from the rows of the "currencies" tab (header excluded).
+ * Each row is `currency | rate to base | base flag`; the first row flagged
+ * as base wins. Rows with an invalid code or rate are ignored, so hand
+ * edits in the sheet can't break the app.
+ *
+ * @param {Array<Array>} rows
+ * @returns {{ baseCurrency: string|null, rates: Object<string, number> }}
+ */
+export function parseLedger(rows) {
+    const baseRow      = (rows || []).find(r => _isTruthyCell(r[2]) && normaliseCurrency(r[0]));
+    const baseCurrency = baseRow ? normaliseCurrency(baseRow[0]) : null;
+
+    const rates = {};
+    for (const [code, rate] of rows || []) {
+        const currency = normaliseCurrency(code);
+        const value    = parseRate(rate);
+        if (currency && value && currency !== baseCurrency) rates[currency] = value;
+    }
+    return { baseCurrency, rates };
+}
+
+/**
+ * Serializes a ledger into "currencies" tab rows (header excluded):
+ * the base currency first, then the rates sorted by code.
+ *
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @returns {Array<Array>}
+ */
+export function ledgerToRows(ledger) {
+    const rows = Object.keys(ledger.rates)
+        .filter(code => code !== ledger.baseCurrency)
+        .sort()
+        .map(code => [code, ledger.rates[code], '']);
+    return ledger.baseCurrency ? [[ledger.baseCurrency, 1, 'TRUE'], ...rows] : rows;
+}
+
+function _isTruthyCell(cell) {
+    return cell === true || String(cell ?? '').trim().toUpperCase() === 'TRUE';
+}
\ No newline at end of file
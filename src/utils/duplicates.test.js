@@ -0,0 +1,77 @@
+import {
+    commentSimilarity,
+    isLikelyDuplicate,
+    findDuplicatesOf,
+    duplicatePairs,
+    COMMENT_THRESHOLD,
+} from './duplicates.utils.js';
+
+const entry = (id, over = {}) => ({
+    id, date: '2025-03-10', category: 'food', amount: 12.5, comment: 'Lidl', currency: '', type: 'expense', ...over,
+});
+
+// ─── Comments ─────────────────────────────────────────
+
+describe('commentSimilarity', () => {
+    test.each([
+        ['Lidl groceries', 'groceries, LIDL'],
+        ['Lidl groceries', 'Lidl grocery'],
+        ['Uber',           'uber'],
+    ])('given %p and %p — when compared — then they count as the same', (a, b) => {
+        expect(commentSimilarity(a, b)).toBeGreaterThanOrEqual(COMMENT_THRESHOLD);
+    });
+
+    test.each([
+        ['Netflix', 'Spotify'],
+        ['Lidl',    'Aldi'],
+        ['',        ''],
+    ])('given %p and %p — when compared — then they differ', (a, b) => {
+        expect(commentSimilarity(a, b)).toBeLessThan(COMMENT_THRESHOLD);
+    });
+});
+
+// ─── Pairs ────────────────────────────────────────────
+
+describe('isLikelyDuplicate', () => {
+    test('given the same amount and category a day apart — when compared — then they are duplicates', () => {
+        expect(isLikelyDuplicate(entry('a'), entry('b', { date: '2025-03-11', comment: '' }))).toBe(true);
+    });
+
+    test('given different categories but matching comments — when compared — then they are duplicates', () => {
+        expect(isLikelyDuplicate(entry('a'), entry('b', { category: 'eating', comment: 'LIDL' }))).toBe(true);
+    });
+
+    test.each([
+        ['another amount',        { amount: 12.49 }],
+        ['another currency',      { currency: 'USD' }],
+        ['another type',          { type: 'income' }],
+        ['outside the window',    { date: '2025-03-13' }],
+        ['another category and comment', { category: 'fun', comment: 'Cinema' }],
+        ['a refund of the first', { refundOf: 'a' }],
+    ])('given %s — when compared — then they are not duplicates', (_, over) => {
+        expect(isLikelyDuplicate(entry('a'), entry('b', over))).toBe(false);
+    });
+
+    test('given a wider window — when compared — then entries further apart match', () => {
+        expect(isLikelyDuplicate(entry('a'), entry('b', { date: '2025-03-15' }), { windowDays: 7 })).toBe(true);
+        expect(isLikelyDuplicate(entry('a'), entry('b', { date: '2025-03-11' }), { windowDays: 0 })).toBe(false);
+    });
+});
+
+describe('findDuplicatesOf / duplicatePairs', () => {
+    const entries = [
+        entry('a', { date: '2025-03-08' }),
+        entry('b', { date: '2025-03-10' }),
+        entry('c', { date: '2025-03-20', amount: 5 }),
+        entry('d', { date: '2025-03-21', amount: 5, category: 'fun', comment: 'lidl' }),
+    ];
+
+    test('given a new entry — when checked — then matches are returned closest first', () => {
+        expect(findDuplicatesOf(entry('new', { date: '2025-03-09' }), entries).map(e => e.id)).toEqual(['a', 'b']);
+        expect(findDuplicatesOf(entry('new', { amount: 99 }), entries)).toEqual([]);
+    });
+
+    test('given loaded entries — when scanned — then every suspicious pair is listed newest first', () => {
+        expect(duplicatePairs(entries).map(([x, y]) => [x.id, y.id])).toEqual([['c', 'd'], ['a', 'b']]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { entryType } from './cashflow.utils.js';
+
+/**
+ * Pure helpers for spotting entries recorded twice — a double tap on submit,
+ * two members logging the same receipt, or an import overlapping what was
+ * typed in.
+ *
+ * Two entries are likely duplicates when they are of the same type, in the
+ * same currency, for the same amount, no more than `windowDays` apart, and
+ * either share a category or have near-identical comments (members often
+ * file the same receipt under different categories). A refund is never a
+ * duplicate of the entry it refunds.
+ */
+
+/** Day windows offered in settings. */
+export const WINDOW_CHOICES = [0, 1, 2, 3, 7];
+
+/** @type {number} */
+export const DEFAULT_WINDOW_DAYS = 2;
+
+/** Comment similarity (0–1) from which comments count as the same. */
+export const COMMENT_THRESHOLD = 0.8;
+
+const DAY_MS = 86400000;
+
+/**
+ * Dice coefficient of the letter pairs of two comments, ignoring case,
+ * punctuation and word order. Empty comments are never similar.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0–1
+ */
+export function commentSimilarity(a, b) {
+    const x = _normalise(a);
+    const y = _normalise(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const pairsX = _bigrams(x);
+    const pairsY = _bigrams(y);
+    if (!pairsX.length || !pairsY.length) return 0;
+
+    const counts = new Map();
+    for (const p of pairsX) counts.set(p, (counts.get(p) ?? 0) + 1);
+    let shared = 0;
+    for (const p of pairsY) {
+        const n = counts.get(p);
+        if (n) { shared++; counts.set(p, n - 1); }
+    }
+    return (2 * shared) / (pairsX.length + pairsY.length);
+}
+
+/**
+ * @param {Object} a
+ * @param {Object} b
+ * @param {{ windowDays?: number }} [options]
+ * @returns {boolean}
+ */
+export function isLikelyDuplicate(a, b, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+    if (a.id === b.id) return false;
+    if (a.refundOf === b.id || b.refundOf === a.id) return false;
+    if (entryType(a) !== entryType(b)) return false;
+    if ((a.currency || '') !== (b.currency || '')) return false;
+    if (Math.round(a.amount * 100) !== Math.round(b.amount * 100)) return false;
+    if (_daysApart(a.date, b.date) > windowDays) return false;
+    return a.category === b.category || commentSimilarity(a.comment, b.comment) >= COMMENT_THRESHOLD;
+}
+
+/**
+ * Existing entries a new one would likely duplicate, closest in date first.
+ * @param {Object} candidate
+ * @param {Array<Object>} entries
+ * @param {{ windowDays?: number }} [options]
+ * @returns {Array<Object>}
+ */
+export function findDuplicatesOf(candidate, entries, options) {
+    return entries
+        .filter(e => isLikelyDuplicate(candidate, e, options))
+        .sort((a, b) => _daysApart(a.date, candidate.date) - _daysApart(b.date, candidate.date));
+}
+
+/**
+ * Every pair of likely duplicates, newest first. Entries are compared only
+ * with those inside the date window, so large histories stay cheap.
+ * @param {Array<Object>} entries
+ * @param {{ windowDays?: number }} [options]
+ * @returns {Array<[Object, Object]>} [earlier, later] pairs
+ */
+export function duplicatePairs(entries, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+    const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+    const pairs  = [];
+    for (let i = 0; i < sorted.length; i++) {
+        for (let j = i + 1; j < sorted.length && _daysApart(sorted[i].date, sorted[j].date) <= windowDays; j++) {
+            if (isLikelyDuplicate(sorted[i], sorted[j], { windowDays })) pairs.push([sorted[i], sorted[j]]);
+        }
+    }
+    return pairs.reverse();
+}
+
+// ─── Private ──────────────────────────────────────────
+
+function _normalise(text) {
+    return String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim().split(' ').sort().join(' ');
+}
+
+function _bigrams(text) {
+    const pairs = [];
+    for (const word of text.split(' ')) {
+        if (word.length === 1) pairs.push(word);
+        for (let i = 0; i < word.length - 1; i++) pairs.push(word.slice(i, i + 2));
+    }
+    return pairs;
+}
+
+function _daysApart(a, b) {
+    return Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+}
\ No newline at end of file
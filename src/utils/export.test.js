@@ -0,0 +1,90 @@
+import { presetRange, selectForExport, exportKind, exportRecords, exportFile, exportFileName } from './export.utils.js';
+
+const entries = [
+    { id: '1', date: '2025-03-10', category: 'food',   amount: 1234.5, comment: 'Groceries, weekly', currency: '' },
+    { id: '2', date: '2025-03-02', category: 'salary', amount: 3000,   comment: '',                  currency: '', type: 'income' },
+    { id: '3', date: '2025-03-12', category: 'food',   amount: -20,    comment: 'Returned',          currency: 'USD', refundOf: '1' },
+    { id: '4', date: '2025-04-01', category: 'food',   amount: 5,      comment: '',                  currency: '' },
+];
+
+const options = {
+    ledger:        { baseCurrency: 'EUR' },
+    categoryLabel: id => ({ food: 'Еда', salary: 'Зарплата' })[id],
+    kindLabel:     kind => kind.toUpperCase(),
+};
+
+const header = ['Date', 'Type', 'Category', 'Amount', 'Currency', 'Comment'];
+
+// ─── Selection ────────────────────────────────────────
+
+describe('presetRange', () => {
+    test.each([
+        ['this_month', '2025-03-14', { from: '2025-03-01', to: '2025-03-14' }],
+        ['last_month', '2025-03-14', { from: '2025-02-01', to: '2025-02-28' }],
+        ['last_month', '2025-01-05', { from: '2024-12-01', to: '2024-12-31' }],
+        ['this_year',  '2025-03-14', { from: '2025-01-01', to: '2025-03-14' }],
+    ])('given %s on %s — when resolved — then the range is %p', (preset, today, expected) => {
+        expect(presetRange(preset, today)).toEqual(expected);
+    });
+});
+
+describe('selectForExport', () => {
+    test('given a range — when selected — then entries inside it are returned oldest first', () => {
+        expect(selectForExport(entries, { from: '2025-03-01', to: '2025-03-31' }).map(e => e.id)).toEqual(['2', '1', '3']);
+    });
+
+    test('given a category — when selected — then only that category is kept', () => {
+        expect(selectForExport(entries, { from: '2025-03-01', to: '2025-04-30', category: 'food' }).map(e => e.id)).toEqual(['1', '3', '4']);
+    });
+});
+
+// ─── Records ──────────────────────────────────────────
+
+describe('exportRecords', () => {
+    test('given entries — when flattened — then records carry labels and currencies but no IDs', () => {
+        // when
+        const records = exportRecords(entries.slice(0, 3), options);
+        // then
+        expect(records).toEqual([
+            { date: '2025-03-10', type: 'EXPENSE', category: 'Еда',      amount: 1234.5, currency: 'EUR', comment: 'Groceries, weekly' },
+            { date: '2025-03-02', type: 'INCOME',  category: 'Зарплата', amount: 3000,   currency: 'EUR', comment: '' },
+            { date: '2025-03-12', type: 'REFUND',  category: 'Еда',      amount: -20,    currency: 'USD', comment: 'Returned' },
+        ]);
+        expect(exportKind({ type: 'income', amount: -5 })).toBe('income');
+    });
+});
+
+// ─── Files ────────────────────────────────────────────
+
+describe('exportFile', () => {
+    const records = exportRecords(entries.slice(0, 3), options);
+
+    test('given csv — when written — then amounts read like the app shows them and cells are quoted', () => {
+        // when
+        const { data, mime } = exportFile(records, 'csv', { header });
+        // then
+        expect(mime).toBe('text/csv;charset=utf-8');
+        expect(data.split('\r\n')).toEqual([
+            '\uFEFFDate,Type,Category,Amount,Currency,Comment',
+            '2025-03-10,EXPENSE,Еда,"1,234.50",EUR,"Groceries, weekly"',
+            '2025-03-02,INCOME,Зарплата,"3,000",EUR,',
+            '2025-03-12,REFUND,Еда,-20,USD,Returned',
+        ]);
+    });
+
+    test('given json — when written — then the records are kept with numeric amounts', () => {
+        expect(JSON.parse(exportFile(records, 'json', { header }).data)).toEqual(records);
+    });
+
+    test('given xlsx — when written — then a zip archive is returned', () => {
+        // when
+        const { data, mime } = exportFile(records, 'xlsx', { header, sheetName: 'March' });
+        // then
+        expect(mime).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        expect(Array.from(data.subarray(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+    });
+
+    test('given a range — when named — then the file name holds the range and extension', () => {
+        expect(exportFileName({ from: '2025-03-01', to: '2025-03-31' }, 'xlsx')).toBe('spengo-2025-03-01-2025-03-31.xlsx');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+import { formatMoney } from './helpers.js';
+import { currencyOf } from './currency.utils.js';
+import { isIncome, isRefund } from './cashflow.utils.js';
+import { toCsv } from './csv.utils.js';
+import { buildXlsx } from './xlsx.utils.js';
+
+/**
+ * Pure helpers for exporting entries to a file: picking the entries in a
+ * date range and category, flattening them into records that carry only
+ * what a reader of the file needs (no IDs or bookkeeping columns), and
+ * writing those records as CSV, JSON or XLSX.
+ */
+
+/** @type {['csv', 'json', 'xlsx']} */
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+/** Record fields, in column order. */
+export const EXPORT_COLUMNS = ['date', 'type', 'category', 'amount', 'currency', 'comment'];
+
+const FORMATS = {
+    csv:  { mime: 'text/csv;charset=utf-8' },
+    json: { mime: 'application/json' },
+    xlsx: { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+/** @type {['this_month', 'last_month', 'this_year']} */
+export const RANGE_PRESETS = ['this_month', 'last_month', 'this_year'];
+
+/**
+ * Date range of a preset, relative to today.
+ * @param {'this_month'|'last_month'|'this_year'} preset
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ from: string, to: string }}
+ */
+export function presetRange(preset, today) {
+    const [y, m] = today.split('-').map(Number);
+    if (preset === 'this_year') return { from: `${y}-01-01`, to: today };
+    if (preset === 'this_month') return { from: `${today.slice(0, 7)}-01`, to: today };
+
+    const last = new Date(Date.UTC(y, m - 1, 0));   // day 0 — last day of the previous month
+    const to   = last.toISOString().slice(0, 10);
+    return { from: `${to.slice(0, 7)}-01`, to };
+}
+
+/**
+ * Entries dated within [from, to] (inclusive, YYYY-MM-DD) and in the
+ * category, oldest first.
+ * @param {Array<{ date: string, category: string }>} entries
+ * @param {{ from: string, to: string, category?: string }} range - category 'all' keeps every category
+ * @returns {Array}
+ */
+export function selectForExport(entries, { from, to, category = 'all' }) {
+    return entries
+        .filter(e => e.date >= from && e.date <= to)
+        .filter(e => category === 'all' || e.category === category)
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt ?? '').localeCompare(String(b.createdAt ?? '')));
+}
+
+/**
+ * @param {{ type?: string, amount: number }} entry
+ * @returns {'expense'|'income'|'refund'}
+ */
+export function exportKind(entry) {
+    if (isIncome(entry)) return 'income';
+    return isRefund(entry) ? 'refund' : 'expense';
+}
+
+/**
+ * Flattens entries into export records. Labels come from the caller so the
+ * file uses the reader's language; amounts stay signed numbers in the
+ * entry's own currency.
+ *
+ * @param {Array} entries
+ * @param {{
+ *   ledger: { baseCurrency: string|null },
+ *   categoryLabel: (id: string) => string,
+ *   kindLabel: (kind: 'expense'|'income'|'refund') => string
+ * }} options
+ * @returns {Array<{ date: string, type: string, category: string, amount: number, currency: string, comment: string }>}
+ */
+export function exportRecords(entries, { ledger, categoryLabel, kindLabel }) {
+    return entries.map(e => ({
+        date:     e.date,
+        type:     kindLabel(exportKind(e)),
+        category: categoryLabel(e.category),
+        amount:   e.amount,
+        currency: currencyOf(e, ledger) ?? '',
+        comment:  e.comment ?? '',
+    }));
+}
+
+/**
+ * Writes records in a format. CSV amounts read the way the app shows them
+ * (formatMoney) and the file starts with a BOM so Excel detects UTF-8; JSON
+ * and XLSX keep amounts numeric.
+ *
+ * @param {Array<Object>} records - from exportRecords
+ * @param {'csv'|'json'|'xlsx'} format
+ * @param {{ header: string[], sheetName?: string }} options - header labels, in EXPORT_COLUMNS order
+ * @returns {{ data: string|Uint8Array, mime: string }}
+ */
+export function exportFile(records, format, { header, sheetName }) {
+    const { mime } = FORMATS[format];
+
+    if (format === 'json') {
+        return { data: JSON.stringify(records, null, 2), mime };
+    }
+    if (format === 'csv') {
+        const rows = records.map(r => EXPORT_COLUMNS.map(col => col === 'amount' ? formatMoney(r.amount) : r[col]));
+        return { data: '\uFEFF' + toCsv([header, ...rows]), mime };
+    }
+    const rows  = records.map(r => EXPORT_COLUMNS.map(col => r[col]));
+    const types = EXPORT_COLUMNS.map(col => col === 'date' ? 'date' : col === 'amount' ? 'number' : 'text');
+    return { data: buildXlsx([header, ...rows], { sheetName, types }), mime };
+}
+
+/**
+ * @param {{ from: string, to: string }} range
+ * @param {'csv'|'json'|'xlsx'} format
+ * @returns {string} e.g. "spengo-2025-03-01-2025-03-31.csv"
+ */
+export function exportFileName({ from, to }, format) {
+    return `spengo-${from}-${to}.${format}`;
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+import {
+    EMPTY_FILTER,
+    hasDateRange,
+    activeCriteria,
+    matchesFilter,
+    applyFilter,
+} from './filter.utils.js';
+
+const ledger = { baseCurrency: 'PLN', rates: { EUR: 4 } };
+const entry  = (id, over = {}) => ({
+    id, date: '2025-05-10', category: 'transport', amount: 60, comment: 'Taxi', currency: '', author: 'ann@x.com', ...over,
+});
+const filter = over => ({ ...EMPTY_FILTER, ...over });
+
+// ─── Criteria ─────────────────────────────────────────
+
+describe('activeCriteria', () => {
+    test('given the empty filter — when counted — then nothing is active', () => {
+        expect(activeCriteria(EMPTY_FILTER)).toBe(0);
+        expect(activeCriteria(undefined)).toBe(0);
+    });
+
+    test('given a range, an amount bound and categories — when counted — then each counts once', () => {
+        expect(activeCriteria(filter({ from: '2025-04-01', to: '2025-06-30', min: 50, categories: ['transport'] }))).toBe(3);
+    });
+});
+
+describe('hasDateRange', () => {
+    test.each([
+        [{ from: '2025-04-01' }, true],
+        [{ to: '2025-06-30' },   true],
+        [{ min: 50 },            false],
+    ])('given %p — when checked — then it is %p', (over, expected) => {
+        expect(hasDateRange(filter(over))).toBe(expected);
+    });
+});
+
+// ─── Matching ─────────────────────────────────────────
+
+describe('matchesFilter', () => {
+    test('given transport over 50 in Q2 — when matched — then a 60 taxi in May passes', () => {
+        const q2 = filter({ from: '2025-04-01', to: '2025-06-30', min: 50, categories: ['transport'] });
+        expect(matchesFilter(entry('a'), q2, ledger)).toBe(true);
+    });
+
+    test.each([
+        ['before the range',    { date: '2025-03-31' }],
+        ['after the range',     { date: '2025-07-01' }],
+        ['another category',    { category: 'food' }],
+        ['too small an amount', { amount: 40 }],
+    ])('given an entry %s — when matched — then it is left out', (_, over) => {
+        const q2 = filter({ from: '2025-04-01', to: '2025-06-30', min: 50, categories: ['transport'] });
+        expect(matchesFilter(entry('a', over), q2, ledger)).toBe(false);
+    });
+
+    test('given a foreign-currency entry — when matched on amount — then the base amount is compared', () => {
+        expect(matchesFilter(entry('a', { amount: 20, currency: 'EUR' }), filter({ min: 50 }), ledger)).toBe(true);
+        expect(matchesFilter(entry('a', { amount: 20, currency: 'EUR' }), filter({ max: 50 }), ledger)).toBe(false);
+    });
+
+    test('given a refund — when matched on amount — then its size counts, not its sign', () => {
+        expect(matchesFilter(entry('a', { amount: -60 }), filter({ min: 50 }), ledger)).toBe(true);
+    });
+
+    test('given "has comment" — when matched — then blank comments are left out', () => {
+        expect(matchesFilter(entry('a', { comment: '  ' }), filter({ hasComment: true }), ledger)).toBe(false);
+    });
+
+    test('given authors — when matched — then entries of others are left out', () => {
+        expect(matchesFilter(entry('a'), filter({ authors: ['bob@y.com'] }), ledger)).toBe(false);
+        expect(matchesFilter(entry('a'), filter({ authors: ['ann@x.com', 'bob@y.com'] }), ledger)).toBe(true);
+    });
+});
+
+describe('applyFilter', () => {
+    test('given no criteria — when applied — then the same list is returned', () => {
+        const entries = [entry('a')];
+        expect(applyFilter(entries, EMPTY_FILTER, ledger)).toBe(entries);
+    });
+
+    test('given a maximum — when applied — then larger entries are dropped', () => {
+        const result = applyFilter([entry('a'), entry('b', { amount: 10 })], filter({ max: 50 }), ledger);
+        expect(result.map(e => e.id)).toEqual(['b']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+import { toBase } from './currency.utils.js';
+
+/**
+ * Pure helpers for the advanced filter of the main screen. A filter narrows
+ * the entries by any mix of:
+ *   from / to   — YYYY-MM-DD bounds, inclusive; '' for open-ended
+ *   min / max   — amount bounds in the base currency, inclusive; null for none
+ *   categories  — category IDs, any of them; [] for all
+ *   hasComment  — only entries with a comment
+ *   authors     — author emails, any of them; [] for everyone
+ * Amounts are compared without their sign, so a refund of 60 is "over 50".
+ */
+
+/** @typedef {{ from: string, to: string, min: number|null, max: number|null, categories: string[], hasComment: boolean, authors: string[] }} Filter */
+
+/** @type {Filter} */
+export const EMPTY_FILTER = { from: '', to: '', min: null, max: null, categories: [], hasComment: false, authors: [] };
+
+/**
+ * @param {Filter|null|undefined} filter
+ * @returns {boolean} whether a date range replaces the period buttons
+ */
+export function hasDateRange(filter) {
+    return Boolean(filter?.from || filter?.to);
+}
+
+/**
+ * Number of criteria set, for the badge on the filter button.
+ * @param {Filter|null|undefined} filter
+ * @returns {number}
+ */
+export function activeCriteria(filter) {
+    if (!filter) return 0;
+    return [
+        hasDateRange(filter),
+        filter.min !== null || filter.max !== null,
+        filter.categories.length > 0,
+        filter.hasComment,
+        filter.authors.length > 0,
+    ].filter(Boolean).length;
+}
+
+/**
+ * @param {{ date: string, amount: number, currency?: string, category: string, comment?: string, author?: string }} entry
+ * @param {Filter} filter
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @returns {boolean}
+ */
+export function matchesFilter(entry, filter, ledger) {
+    if (filter.from && entry.date < filter.from) return false;
+    if (filter.to && entry.date > filter.to) return false;
+    if (filter.categories.length && !filter.categories.includes(entry.category)) return false;
+    if (filter.hasComment && !String(entry.comment ?? '').trim()) return false;
+    if (filter.authors.length && !filter.authors.includes(entry.author)) return false;
+    if (filter.min === null && filter.max === null) return true;
+
+    // Without a rate the entry's own amount is the best there is.
+    const amount = Math.abs(toBase(entry, ledger) ?? entry.amount);
+    if (filter.min !== null && amount < filter.min) return false;
+    if (filter.max !== null && amount > filter.max) return false;
+    return true;
+}
+
+/**
+ * Entries passing the filter; all of them when no criteria are set.
+ * @param {Array<Object>} entries
+ * @param {Filter|null|undefined} filter
+ * @param {{ baseCurrency: string|null, rates: Object<string, number> }} ledger
+ * @returns {Array<Object>}
+ */
+export function applyFilter(entries, filter, ledger) {
+    if (!activeCriteria(filter)) return entries;
+    return entries.filter(e => matchesFilter(e, filter, ledger));
+}
\ No newline at end of file
@@ -2,6 +2,7 @@ import { LANG } from '../i18n/localization.js';
 import { parseISO, isSameDay, isSameMonth, isSameWeek, format } from 'date-fns';
 import { ru, enUS, es, pl, cs } from 'date-fns/locale';
 import Big from 'big.js';
+import { activeCriteria, hasDateRange, applyFilter } from './filter.utils.js';
 
 const LOCALE_MAP = { 
     ru: 'ru-RU',
@@ -42,6 +43,17 @@ export function todayStr() {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Returns the ISO date string (YYYY-MM-DD) for the 1st of the previous month —
+ * the lower bound of the "hot" window loaded on startup.
+ * @param {Date} [now]  injectable for testing
+ * @returns {string}
+ */
+export function prevMonthStart(now = new Date()) {
+    const d = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`;
+}
+
 /**
  * Formats an ISO date string to a localized string (e.g., "1 Mar").
  * Automatically detects the current language if not provided.
@@ -90,6 +102,21 @@ export function formatMoney(amount, locale = 'en-US') {
     }
 }
 
+/**
+ * Formats an amount followed by its currency code, e.g. "12.50 EUR".
+ * Without a currency it is the same as formatMoney — single-currency
+ * ledgers keep showing bare amounts.
+ *
+ * @param {number} amount
+ * @param {string|null} currency - ISO 4217 code
+ * @param {string} [locale='en-US']
+ * @returns {string}
+ */
+export function formatCurrency(amount, currency, locale = 'en-US') {
+    const money = formatMoney(amount, locale);
+    return currency ? `${money} ${currency}` : money;
+}
+
 /**
  * Checks if a given ISO date string falls within the current calendar period
  * based on the user's local time zone.
@@ -117,13 +144,27 @@ export function isInPeriod(dateIsoString, period) {
 }
 
 /**
- * @param {{ expenses: Array, currentPeriod: string, currentCategoryFilter: string }} state
+ * Entries of the current period, category, type and author. Entries without
+ * a type are expenses, and so is the view when `currentEntryType` is not
+ * given; without `currentMemberFilter` every author is shown.
+ *
+ * An advanced `filter` (see filter.utils) takes over from the category and
+ * member pills, and its date range, when set, from the period.
+ *
+ * @param {{ expenses: Array, currentPeriod: string, currentCategoryFilter: string, currentEntryType?: string, currentMemberFilter?: string, filter?: Object, ledger?: Object }} state
  * @returns {Array}
  */
 export function getFilteredExpenses(state) {
-    return state.expenses
-        .filter(e => isInPeriod(e.date, state.currentPeriod))
-        .filter(e => state.currentCategoryFilter === 'all' || e.category === state.currentCategoryFilter);
+    const type     = state.currentEntryType || 'expense';
+    const advanced = activeCriteria(state.filter) > 0;
+    const member   = advanced ? 'all' : state.currentMemberFilter || 'all';
+    const category = advanced ? 'all' : state.currentCategoryFilter;
+    const entries  = state.expenses
+        .filter(e => (e.type || 'expense') === type)
+        .filter(e => hasDateRange(state.filter) || isInPeriod(e.date, state.currentPeriod))
+        .filter(e => category === 'all' || e.category === category)
+        .filter(e => member === 'all' || e.author === member);
+    return applyFilter(entries, state.filter, state.ledger ?? { baseCurrency: null, rates: {} });
 }
 
 /**
@@ -168,6 +209,20 @@ export function setHTML(id, value) {
     if (el) el.innerHTML = value;
 }
 
+/**
+ * Escapes text for markup built as a string, such as a name a member typed.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Parses a user-typed amount string, accepting both dot and comma as the
  * decimal separator ("10,5" and "10.5" both become 10.5).
@@ -188,8 +243,24 @@ export function parseAmount(raw) {
     }
 }
 
+/**
+ * Parses an amount read from the sheet, where refunds and other credits are
+ * stored as negative numbers ("-49.90", "−49,90"). Same as parseAmount
+ * otherwise; returns 0 for empty or non-numeric input.
+ *
+ * @param {string|number} raw
+ * @returns {number} Plain JS number rounded to 2 decimal places.
+ */
+export function parseSignedAmount(raw) {
+    const text     = String(raw ?? '').trim().replace('\u2212', '-');
+    const negative = text.startsWith('-');
+    const amount   = parseAmount(negative ? text.slice(1) : text);
+    return negative && amount ? -amount : amount;
+}
+
 /**
  * Sums an array of expense amounts using Big.js to avoid float drift.
+ * Refunds are negative and reduce the total.
  * 0.1 + 0.2 → 0.3 (not 0.30000000000000004)
  *
  * @param {Array<{ amount: number }>} expenses
@@ -313,6 +384,35 @@ export function isAuthError(err) {
     return msg.includes('401') || msg.includes('403');
 }
 
+/**
+ * Messages of the TypeError `fetch` rejects with when the request never got
+ * through, as worded by Chrome, Firefox and Safari.
+ */
+const FETCH_FAILURES = [
+    'failed to fetch',
+    'networkerror',
+    'load failed',
+    'network connection was lost',
+    'internet connection appears to be offline',
+];
+
+/**
+ * Returns true if the error means the request never reached the server
+ * (device offline, DNS failure, dropped connection). `fetch` rejects with a
+ * TypeError in all of these cases, while HTTP errors surface as plain Errors.
+ * Other TypeErrors are bugs and don't count, or a bad op would be retried
+ * forever instead of being dropped.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    if (!(err instanceof TypeError)) return false;
+    const msg = err.message.toLowerCase();
+    return FETCH_FAILURES.some(failure => msg.includes(failure));
+}
+
 // ─── Ownership / sharing helpers ─────────────────────────────────────────
 
 /**
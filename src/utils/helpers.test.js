@@ -1,20 +1,26 @@
 import {
     formatDate,
     formatMoney,
+    formatCurrency,
     isInPeriod,
     getFilteredExpenses,
     parseAmount,
+    parseSignedAmount,
     sumAmounts,
     sortExpenses,
     uuid,
     todayStr,
+    prevMonthStart,
     isGoogleEmail,
     isPermissionError,
     isAuthError,
+    isNetworkError,
     isSheetOwner,
     buildAccessUrl,
     validateShareTarget,
+    escapeHtml,
 } from './helpers.js';
+import { EMPTY_FILTER } from './filter.utils.js';
 
 const fmt = d =>
     `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
@@ -59,6 +65,20 @@ describe('todayStr', () => {
     });
 });
 
+describe('prevMonthStart', () => {
+    test('given a mid-month date — when called — then returns the 1st of the previous month', () => {
+        expect(prevMonthStart(new Date(2025, 4, 17))).toBe('2025-04-01');
+    });
+
+    test('given a January date — when called — then rolls back to December of the previous year', () => {
+        expect(prevMonthStart(new Date(2025, 0, 31))).toBe('2024-12-01');
+    });
+
+    test('given March 31 — when called — then does not overflow into March', () => {
+        expect(prevMonthStart(new Date(2025, 2, 31))).toBe('2025-02-01');
+    });
+});
+
 describe('formatDate', () => {
     test('given empty string — when called — then returns empty string', () => {
         expect(formatDate('')).toBe('');
@@ -196,6 +216,30 @@ describe('formatMoney', () => {
     });
 });
 
+describe('formatCurrency', () => {
+    test('given a currency — when called — then code follows the amount', () => {
+        expect(formatCurrency(12.5, 'EUR')).toBe('12.50 EUR');
+    });
+
+    test('given no currency — when called — then it matches formatMoney', () => {
+        expect(formatCurrency(1000, null)).toBe(formatMoney(1000));
+    });
+});
+
+describe('parseSignedAmount', () => {
+    test.each([
+        ['-49.90',  -49.9],
+        ['\u221249,90', -49.9],
+        [' -5 ',    -5],
+        ['12.5',    12.5],
+        ['-',       0],
+        ['-0',      0],
+        ['abc',     0],
+    ])('given %p — when parsed — then returns %p', (raw, expected) => {
+        expect(parseSignedAmount(raw)).toBe(expected);
+    });
+});
+
 describe('parseAmount', () => {
     test('given integer string — when called — then returns number', () => {
         expect(parseAmount('100')).toBe(100);
@@ -270,6 +314,15 @@ describe('sumAmounts', () => {
         expect(result).toBe(60);
     });
 
+    test('given a refund — when summed — then it reduces the total', () => {
+        // given
+        const expenses = [{ amount: 49.9 }, { amount: 15.3 }, { amount: -49.9 }];
+        // when
+        const result = sumAmounts(expenses);
+        // then
+        expect(result).toBe(15.3);
+    });
+
     test('given 0.1 and 0.2 — when summed — then returns 0.3 without float drift', () => {
         // given
         const expenses = [{ amount: 0.1 }, { amount: 0.2 }];
@@ -376,6 +429,16 @@ describe('getFilteredExpenses', () => {
         expect(result[0].id).toBe('2');
     });
 
+    test('given a member filter — when called — then returns only that author\'s items', () => {
+        // given
+        const authored = expenses.map((e, i) => ({ ...e, author: i % 2 ? 'bob@y.com' : 'ann@x.com' }));
+        const state    = { expenses: authored, currentPeriod: 'day', currentCategoryFilter: 'all', currentMemberFilter: 'bob@y.com' };
+        // when
+        const result = getFilteredExpenses(state);
+        // then
+        expect(result.map(e => e.id)).toEqual(['2']);
+    });
+
     test('given expenses and filter "transport" — when period is "day" — then returns empty array', () => {
         // given
         const state = { expenses, currentPeriod: 'day', currentCategoryFilter: 'transport' };
@@ -385,6 +448,26 @@ describe('getFilteredExpenses', () => {
         expect(result).toHaveLength(0);
     });
 
+    test('given an advanced filter with a date range — when called — then the range replaces the period and the pills', () => {
+        // given
+        const filter = { ...EMPTY_FILTER, from: '2000-01-01', to: '2000-12-31', min: 100 };
+        const state  = { expenses, currentPeriod: 'day', currentCategoryFilter: 'health', filter };
+        // when
+        const result = getFilteredExpenses(state);
+        // then
+        expect(result.map(e => e.id)).toEqual(['4']);
+    });
+
+    test('given an advanced filter without dates — when called — then the period still applies', () => {
+        // given
+        const filter = { ...EMPTY_FILTER, categories: ['food', 'health'], max: 60 };
+        const state  = { expenses, currentPeriod: 'day', currentCategoryFilter: 'all', filter };
+        // when
+        const result = getFilteredExpenses(state);
+        // then
+        expect(result.map(e => e.id)).toEqual(['2', '3']);
+    });
+
     test('given empty expenses — when called — then returns empty array', () => {
         // given
         const state = { expenses: [], currentPeriod: 'day', currentCategoryFilter: 'all' };
@@ -421,6 +504,26 @@ describe('getFilteredExpenses', () => {
         // then
         expect(expenses).toHaveLength(originalLength);
     });
+
+    test('given income among expenses — when no type is requested — then only expenses are returned', () => {
+        // given
+        const withIncome = [...expenses, { id: '6', date: todayISO, category: 'salary', amount: 900, type: 'income' }];
+        const state      = { expenses: withIncome, currentPeriod: 'day', currentCategoryFilter: 'all' };
+        // when
+        const result = getFilteredExpenses(state);
+        // then
+        expect(result.map(e => e.id)).toEqual(['1', '2', '3']);
+    });
+
+    test('given income among expenses — when the income view is requested — then only income is returned', () => {
+        // given
+        const withIncome = [...expenses, { id: '6', date: todayISO, category: 'salary', amount: 900, type: 'income' }];
+        const state      = { expenses: withIncome, currentPeriod: 'day', currentCategoryFilter: 'all', currentEntryType: 'income' };
+        // when
+        const result = getFilteredExpenses(state);
+        // then
+        expect(result.map(e => e.id)).toEqual(['6']);
+    });
 });
 
 describe('sortExpenses', () => {
@@ -474,6 +577,13 @@ describe('sortExpenses', () => {
     });
 });
 
+describe('escapeHtml', () => {
+    test('given text with markup — when escaped — then it is shown as text', () => {
+        expect(escapeHtml(`<img src=x onerror="alert('!')"> & co`))
+            .toBe('&lt;img src=x onerror=&quot;alert(&#39;!&#39;)&quot;&gt; &amp; co');
+    });
+});
+
 describe('isGoogleEmail', () => {
 
     test('given gmail address — when called — then returns true', () => {
@@ -654,6 +764,26 @@ describe('isAuthError', () => {
     });
 });
 
+describe('isNetworkError', () => {
+    test('given a TypeError from fetch — when called — then returns true', () => {
+        expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+        expect(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+        expect(isNetworkError(new TypeError('Load failed'))).toBe(true);
+    });
+
+    test('given a TypeError from a bug — when called — then returns false', () => {
+        expect(isNetworkError(new TypeError("Cannot read properties of undefined (reading 'id')"))).toBe(false);
+    });
+
+    test('given an HTTP error — when called — then returns false', () => {
+        expect(isNetworkError(new Error('HTTP 500'))).toBe(false);
+    });
+
+    test('given null — when called — then returns false', () => {
+        expect(isNetworkError(null)).toBe(false);
+    });
+});
+
 describe('isSheetOwner', () => {
     test('given guest mode — when called — then returns false regardless of emails', () => {
         // given
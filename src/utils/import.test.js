@@ -0,0 +1,186 @@
+import {
+    guessMapping,
+    isMappingComplete,
+    detectDateOrder,
+    parseImportDate,
+    parseImportAmount,
+    isAmbiguousAmount,
+    categoryNames,
+    guessCategoryMap,
+    buildImport,
+} from './import.utils.js';
+
+const CATEGORIES = [
+    { id: 'food',      label: 'Groceries' },
+    { id: 'transport', label: 'Transport' },
+    { id: 'other',     label: 'Other' },
+];
+
+// ─── Column mapping ───────────────────────────────────
+
+describe('guessMapping', () => {
+    test('given a recognisable header — when guessed — then every field finds its column', () => {
+        // when
+        const mapping = guessMapping(['Booking date', 'Description', 'Amount', 'Category']);
+        // then
+        expect(mapping).toEqual({ date: 0, amount: 2, category: 3, comment: 1 });
+        expect(isMappingComplete(mapping)).toBe(true);
+    });
+
+    test('given a header in another language — when guessed — then it is recognised too', () => {
+        expect(guessMapping(['Дата', 'Сумма', 'Комментарий'])).toEqual({ date: 0, amount: 1, category: -1, comment: 2 });
+    });
+
+    test('given no amount column — when checked — then the mapping is incomplete', () => {
+        expect(isMappingComplete(guessMapping(['Date', 'Note']))).toBe(false);
+    });
+});
+
+// ─── Dates ────────────────────────────────────────────
+
+describe('detectDateOrder / parseImportDate', () => {
+    test('given a day above 12 in second place — when detected — then dates are month-first', () => {
+        expect(detectDateOrder(['03/04/2025', '03/25/2025'])).toBe('mdy');
+        expect(detectDateOrder(['25.03.2025'])).toBe('dmy');
+        expect(detectDateOrder(['2025-03-25'])).toBe('dmy');
+    });
+
+    test.each([
+        ['2025-03-05',          'dmy', '2025-03-05'],
+        ['2025-03-05T10:00:00', 'dmy', '2025-03-05'],
+        ['2025/3/5',            'dmy', '2025-03-05'],
+        ['05.03.2025',          'dmy', '2025-03-05'],
+        ['03/05/2025',          'mdy', '2025-03-05'],
+        ['5/3/25',              'dmy', '2025-03-05'],
+        ['31.02.2025',          'dmy', ''],
+        ['yesterday',           'dmy', ''],
+        ['',                    'dmy', ''],
+    ])('given %p read as %s — when parsed — then the date is %p', (raw, order, expected) => {
+        expect(parseImportDate(raw, order)).toBe(expected);
+    });
+});
+
+// ─── Amounts ──────────────────────────────────────────
+
+describe('parseImportAmount', () => {
+    test.each([
+        ['12.50',       12.5],
+        ['12,50',       12.5],
+        ['€12.50',      12.5],
+        ['12,50 EUR',   12.5],
+        ['1,234.56',    1234.56],
+        ['1.234,56',    1234.56],
+        ['1 234,56',    1234.56],
+        ['1,234,567',   1234567],
+        ['-49.90',      -49.9],
+        ['(12.00)',     -12],
+        ['abc',         0],
+    ])('given %p — when parsed — then the amount is %p', (raw, expected) => {
+        expect(parseImportAmount(raw)).toBe(expected);
+    });
+
+    test.each([
+        ['1,234',     true],
+        ['2.500 EUR', true],
+        ['-1,234',    true],
+        ['1,234.56',  false],
+        ['12,50',     false],
+        ['0,125',     false],
+        ['1234',      false],
+    ])('given %p — when checked — then ambiguous is %p', (raw, expected) => {
+        expect(isAmbiguousAmount(raw)).toBe(expected);
+    });
+});
+
+// ─── Categories ───────────────────────────────────────
+
+describe('categoryNames / guessCategoryMap', () => {
+    test('given category cells — when listed — then names are distinct and blanks skipped', () => {
+        expect(categoryNames([['Food'], [''], ['Taxi'], ['Food']], { category: 0 })).toEqual(['Food', 'Taxi']);
+        expect(categoryNames([['Food']], { category: -1 })).toEqual([]);
+    });
+
+    test('given names matching IDs or labels — when guessed — then they map, the rest go to other', () => {
+        expect(guessCategoryMap(['FOOD', 'transport', 'groceries', 'Taxi'], CATEGORIES)).toEqual({
+            FOOD: 'food', transport: 'transport', groceries: 'food', Taxi: 'other',
+        });
+    });
+
+    test('given a suggester — when guessed — then names without a match take its suggestion', () => {
+        // given
+        const suggest = name => name === 'UBER *TRIP' ? { category: 'transport', subcategory: '' } : null;
+        // when
+        const result = guessCategoryMap(['UBER *TRIP', 'food', 'Piano'], CATEGORIES, suggest);
+        // then
+        expect(result).toEqual({ 'UBER *TRIP': 'transport', food: 'food', Piano: 'other' });
+    });
+});
+
+// ─── Rows → expenses ──────────────────────────────────
+
+describe('buildImport', () => {
+    const mapping = { date: 0, amount: 1, category: 2, comment: 3 };
+
+    test('given valid and invalid rows — when built — then valid rows become expenses and the rest are reported', () => {
+        // given
+        const rows = [
+            ['05.03.2025', '12,50', 'Taxi', 'Airport'],
+            ['31.02.2025', '10',    'Food', ''],
+            ['06.03.2025', 'n/a',   'Food', ''],
+            ['',           '0',     '',     ''],
+        ];
+        // when
+        const { expenses, errors } = buildImport(rows, { mapping, categoryMap: { Taxi: 'transport' } });
+        // then
+        expect(expenses).toEqual([{
+            id: expect.any(String), date: '2025-03-05', category: 'transport', subcategory: '',
+            amount: 12.5, comment: 'Airport', currency: '', type: 'expense',
+        }]);
+        expect(errors).toEqual([
+            { row: 3, errors: ['date'] },
+            { row: 4, errors: ['amount'] },
+            { row: 5, errors: ['date', 'amount'] },
+        ]);
+    });
+
+    test('given a future date or an ambiguous amount — when built — then the row is reported', () => {
+        // given
+        const rows = [
+            ['2025-03-11', '10',    'Food', ''],
+            ['2025-03-10', '1,234', 'Food', ''],
+            ['2025-03-10', '1 234', 'Food', ''],
+        ];
+        // when
+        const { expenses, errors } = buildImport(rows, { mapping, today: '2025-03-10' });
+        // then
+        expect(expenses.map(e => e.amount)).toEqual([1234]);
+        expect(errors).toEqual([
+            { row: 2, errors: ['future'] },
+            { row: 3, errors: ['ambiguous'] },
+        ]);
+    });
+
+    test('given a bank export with negative spending — when built with flipSign — then spending is positive and credits become refunds', () => {
+        // when
+        const { expenses } = buildImport([['2025-03-05', '-20'], ['2025-03-06', '5']], {
+            mapping: { date: 0, amount: 1, category: -1, comment: -1 },
+            flipSign: true,
+        });
+        // then
+        expect(expenses.map(e => [e.amount, e.category])).toEqual([[20, 'other'], [-5, 'other']]);
+    });
+
+    test('given rows without a category — when built with a suggester — then they take the one suggested for their comment', () => {
+        // given
+        const rows    = [
+            ['2025-03-05', '20', '',     'Uber airport'],
+            ['2025-03-06', '10', 'Food', 'Uber Eats'],
+            ['2025-03-07', '5',  '',     'Piano'],
+        ];
+        const suggest = comment => comment.startsWith('Uber') ? { category: 'transport', subcategory: 'taxi' } : null;
+        // when
+        const { expenses } = buildImport(rows, { mapping, categoryMap: { Food: 'food' }, suggest });
+        // then
+        expect(expenses.map(e => [e.category, e.subcategory])).toEqual([['transport', 'taxi'], ['food', ''], ['other', '']]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+import { uuid, parseSignedAmount, todayStr } from './helpers.js';
+
+/**
+ * Pure helpers for the CSV import wizard: guessing which column holds
+ * what, reading dates in the formats exports use, matching category names
+ * to category IDs, and turning mapped rows into expenses with per-row
+ * validation errors.
+ *
+ * A mapping is `{ date, amount, category, comment }`, each the index of the
+ * source column or -1 when the file has no such column. Date and amount are
+ * required; rows without a category take the one suggested from their
+ * comment, or "other".
+ */
+
+/** Fields a CSV column can be mapped to, in wizard order. */
+export const IMPORT_FIELDS = ['date', 'amount', 'category', 'comment'];
+
+/** Fields the import can't do without. */
+export const REQUIRED_FIELDS = ['date', 'amount'];
+
+/** Header words that identify each field, in every language the app speaks. */
+const HEADER_HINTS = {
+    date:     ['date', 'day', 'дата', 'fecha', 'data', 'datum'],
+    amount:   ['amount', 'sum', 'total', 'value', 'price', 'сумма', 'importe', 'monto', 'kwota', 'částka', 'castka'],
+    category: ['category', 'categ', 'категория', 'categoría', 'kategoria', 'kategorie'],
+    comment:  ['comment', 'description', 'note', 'memo', 'details', 'payee', 'комментарий', 'описание', 'descripción', 'concepto', 'opis', 'popis', 'poznámka'],
+};
+
+// ─── Column mapping ───────────────────────────────────
+
+/**
+ * Guesses the mapping from a header row. Each column is used at most once;
+ * unrecognised fields map to -1.
+ * @param {string[]} header
+ * @returns {{ date: number, amount: number, category: number, comment: number }}
+ */
+export function guessMapping(header) {
+    const labels  = (header || []).map(h => String(h ?? '').trim().toLowerCase());
+    const taken   = new Set();
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        const idx = labels.findIndex((label, i) =>
+            !taken.has(i) && HEADER_HINTS[field].some(hint => label.includes(hint))
+        );
+        mapping[field] = idx;
+        if (idx !== -1) taken.add(idx);
+    }
+    return mapping;
+}
+
+/**
+ * @param {{ date: number, amount: number }} mapping
+ * @returns {boolean} whether every required field has a column
+ */
+export function isMappingComplete(mapping) {
+    return REQUIRED_FIELDS.every(field => mapping[field] >= 0);
+}
+
+// ─── Dates ────────────────────────────────────────────
+
+/**
+ * Works out whether day-first dates ("05/03/2025") are day/month or
+ * month/day from the values themselves: a first part above 12 can only be
+ * a day, a second part above 12 can only be a day too. Defaults to
+ * day/month, the European convention.
+ * @param {string[]} values
+ * @param {'dmy'|'mdy'} [fallback] - when no value tells
+ * @returns {'dmy'|'mdy'}
+ */
+export function detectDateOrder(values, fallback = 'dmy') {
+    for (const value of values) {
+        const parts = /^(\d{1,2})[./-](\d{1,2})[./-]\d{2,4}/.exec(String(value ?? '').trim());
+        if (!parts) continue;
+        if (Number(parts[1]) > 12) return 'dmy';
+        if (Number(parts[2]) > 12) return 'mdy';
+    }
+    return fallback;
+}
+
+/**
+ * Reads a date cell as YYYY-MM-DD. Accepts ISO dates (with or without a
+ * time), "2025/03/05", and day-first or month-first dates with ".", "/" or
+ * "-" and two- or four-digit years.
+ * @param {string} raw
+ * @param {'dmy'|'mdy'} [order]
+ * @returns {string} '' when the cell is not a real calendar date
+ */
+export function parseImportDate(raw, order = 'dmy') {
+    const value = String(raw ?? '').trim();
+    let y, m, d;
+
+    const iso = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(value);
+    const dm  = /^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})(?!\d)/.exec(value);
+    if (iso) {
+        [y, m, d] = [iso[1], iso[2], iso[3]].map(Number);
+    } else if (dm) {
+        const [a, b] = [Number(dm[1]), Number(dm[2])];
+        [d, m] = order === 'mdy' ? [b, a] : [a, b];
+        y      = Number(dm[3].length === 2 ? `20${dm[3]}` : dm[3]);
+    } else {
+        return '';
+    }
+
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return '';
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// ─── Amounts ──────────────────────────────────────────
+
+/**
+ * Reads an amount cell the way exports write them: with currency signs or
+ * codes ("€12.50", "12,50 EUR"), thousands separators ("1,234.56",
+ * "1 234,56", "1'234.56"), or accounting parentheses for negatives
+ * ("(12.00)"). When both "." and "," appear, the last one is the decimal
+ * separator.
+ * @param {string} raw
+ * @returns {number} signed amount, 0 when unreadable
+ */
+export function parseImportAmount(raw) {
+    let text = String(raw ?? '').trim().replace('\u2212', '-');
+    const parens = /^\(.*\)$/.test(text);
+    text = text.replace(/[^\d.,-]/g, '');
+
+    const lastDot   = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+        const thousands = lastDot > lastComma ? ',' : '.';
+        text = text.split(thousands).join('');
+    } else if (lastComma !== -1 && text.indexOf(',') !== lastComma) {
+        text = text.split(',').join('');
+    } else if (lastDot !== -1 && text.indexOf('.') !== lastDot) {
+        text = text.split('.').join('');
+    }
+
+    const amount = parseSignedAmount(text);
+    return parens ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Whether an amount cell could be read two ways: a single "." or "," with
+ * exactly three digits after it ("1,234", "2.500") is a thousands separator
+ * as often as a decimal one, and parseImportAmount would take it as decimal.
+ * @param {string} raw
+ * @returns {boolean}
+ */
+export function isAmbiguousAmount(raw) {
+    const text = String(raw ?? '').trim().replace(/[^\d.,-]/g, '');
+    return /^-?[1-9]\d{0,2}[.,]\d{3}$/.test(text);
+}
+
+// ─── Categories ───────────────────────────────────────
+
+/**
+ * Distinct category names found in the mapped column, in order of first
+ * appearance. Empty when the file has no category column.
+ * @param {Array<string[]>} rows - data rows (header excluded)
+ * @param {{ category: number }} mapping
+ * @returns {string[]}
+ */
+export function categoryNames(rows, mapping) {
+    if (mapping.category < 0) return [];
+    const names = new Set(rows.map(r => String(r[mapping.category] ?? '').trim()).filter(Boolean));
+    return [...names];
+}
+
+/**
+ * Pre-fills the category step: a name matching a category ID or label
+ * (any case) maps to that category, anything else to the one suggested
+ * for it, or "other".
+ * @param {string[]} names
+ * @param {Array<{ id: string, label: string }>} categories
+ * @param {(text: string) => { category: string }|null} [suggest]
+ * @returns {Object<string, string>} name → category ID
+ */
+export function guessCategoryMap(names, categories, suggest = () => null) {
+    const byName = new Map();
+    for (const cat of categories) {
+        byName.set(cat.id.toLowerCase(), cat.id);
+        byName.set(String(cat.label ?? '').toLowerCase(), cat.id);
+    }
+    return Object.fromEntries(names.map(name => [
+        name,
+        byName.get(name.toLowerCase()) ?? suggest(name)?.category ?? 'other',
+    ]));
+}
+
+// ─── Rows → expenses ──────────────────────────────────
+
+/**
+ * Why a row can't be imported as it is, shared by CSV rows and statement
+ * transactions: a missing or future date, or a missing, zero or ambiguous
+ * amount (see isAmbiguousAmount).
+ *
+ * @param {string} date      - YYYY-MM-DD, '' when unreadable
+ * @param {number} amount    - 0 when unreadable
+ * @param {string} rawAmount - the amount as written in the file
+ * @param {string} today     - YYYY-MM-DD
+ * @returns {string[]} 'date' | 'future' | 'amount' | 'ambiguous'; empty when the row is fine
+ */
+export function importIssues(date, amount, rawAmount, today) {
+    const issues = [];
+    if (!date || date > today)                   issues.push(date ? 'future' : 'date');
+    if (!amount || isAmbiguousAmount(rawAmount)) issues.push(amount ? 'ambiguous' : 'amount');
+    return issues;
+}
+
+/**
+ * Turns mapped data rows into expenses. Rows with an invalid or future
+ * date, or an invalid, zero or ambiguous amount (see isAmbiguousAmount),
+ * are reported instead of imported; `row` numbers are 1-based positions in
+ * the file, counting the header when there is one.
+ *
+ * Negative amounts import as refunds. Bank exports usually write spending
+ * as negative numbers — `flipSign` turns those into expenses. A row whose
+ * category cell is empty, or with no category column at all, takes the
+ * category `suggest` finds for its comment.
+ *
+ * @param {Array<string[]>} rows - data rows (header excluded)
+ * @param {{
+ *   mapping: { date: number, amount: number, category: number, comment: number },
+ *   dateOrder?: 'dmy'|'mdy',
+ *   categoryMap?: Object<string, string>,
+ *   flipSign?: boolean,
+ *   firstRow?: number,
+ *   today?: string,
+ *   suggest?: (comment: string) => { category: string, subcategory: string }|null
+ * }} options
+ * @returns {{ expenses: Array<Object>, errors: Array<{ row: number, errors: string[] }> }}
+ */
+export function buildImport(rows, { mapping, dateOrder = 'dmy', categoryMap = {}, flipSign = false, firstRow = 2, today = todayStr(), suggest = () => null }) {
+    const cell     = (row, field) => mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '';
+    const expenses = [];
+    const errors   = [];
+
+    rows.forEach((row, i) => {
+        const raw    = cell(row, 'amount');
+        const date   = parseImportDate(cell(row, 'date'), dateOrder);
+        const amount = parseImportAmount(raw);
+        const issues = importIssues(date, amount, raw, today);
+        if (issues.length) {
+            errors.push({ row: firstRow + i, errors: issues });
+            return;
+        }
+        const comment  = cell(row, 'comment').slice(0, 120);
+        const named    = categoryMap[cell(row, 'category')];
+        const guess    = named ? null : suggest(comment);
+        expenses.push({
+            id:          uuid(),
+            date,
+            category:    named ?? guess?.category ?? 'other',
+            subcategory: guess?.subcategory ?? '',
+            amount:      flipSign ? -amount : amount,
+            comment,
+            currency:    '',
+            type:        'expense',
+        });
+    });
+
+    return { expenses, errors };
+}
\ No newline at end of file
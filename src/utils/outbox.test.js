@@ -0,0 +1,385 @@
+import { appendOp, applyOps, isHeld, nextDue, dropHeld, insertBatches, INSERT_BATCH_SIZE } from './outbox.utils.js';
+
+const SHEET = 'sheet-1';
+
+const expense = (id, amount = 10) => ({ id, date: '2025-03-01', category: 'food', amount, comment: '' });
+
+const op = (type, id, extra = {}) => ({
+    id:            `op-${type}-${id}-${extra.amount ?? ''}`,
+    type,
+    spreadsheetId: extra.spreadsheetId ?? SHEET,
+    expenseId:     id,
+    expense:       type === 'remove' ? undefined : expense(id, extra.amount),
+});
+
+// ─── appendOp ─────────────────────────────────────────
+
+describe('appendOp', () => {
+    test('given empty queue — when insert appended — then queue holds the insert', () => {
+        // when
+        const result = appendOp([], op('insert', 'a'));
+        // then
+        expect(result).toHaveLength(1);
+        expect(result[0].type).toBe('insert');
+    });
+
+    test('given pending insert — when update appended — then insert carries the new expense', () => {
+        // given
+        const queue = [op('insert', 'a', { amount: 10 })];
+        // when
+        const result = appendOp(queue, op('update', 'a', { amount: 25 }));
+        // then
+        expect(result).toHaveLength(1);
+        expect(result[0].type).toBe('insert');
+        expect(result[0].expense.amount).toBe(25);
+    });
+
+    test('given pending update — when another update appended — then only the latest is kept', () => {
+        // given
+        const queue = [op('update', 'a', { amount: 10 })];
+        // when
+        const result = appendOp(queue, op('update', 'a', { amount: 30 }));
+        // then
+        expect(result).toHaveLength(1);
+        expect(result[0].expense.amount).toBe(30);
+    });
+
+    test('given pending insert — when remove appended — then both cancel out', () => {
+        // given
+        const queue = [op('insert', 'a'), op('insert', 'b')];
+        // when
+        const result = appendOp(queue, op('remove', 'a'));
+        // then
+        expect(result.map(o => o.expenseId)).toEqual(['b']);
+    });
+
+    test('given pending update — when remove appended — then only the remove is kept', () => {
+        // given
+        const queue = [op('update', 'a')];
+        // when
+        const result = appendOp(queue, op('remove', 'a'));
+        // then
+        expect(result).toHaveLength(1);
+        expect(result[0].type).toBe('remove');
+    });
+
+    test('given same expense id on another spreadsheet — when update appended — then ops are not merged', () => {
+        // given
+        const queue = [op('insert', 'a', { spreadsheetId: 'other' })];
+        // when
+        const result = appendOp(queue, op('update', 'a'));
+        // then
+        expect(result).toHaveLength(2);
+    });
+
+    test('given insert in flight — when update appended — then update is queued separately', () => {
+        // given
+        const queue = [{ ...op('insert', 'a'), inFlight: true }];
+        // when
+        const result = appendOp(queue, op('update', 'a', { amount: 25 }));
+        // then
+        expect(result.map(o => o.type)).toEqual(['insert', 'update']);
+        expect(result[0].expense.amount).toBe(10);
+    });
+
+    test('given insert in flight — when remove appended — then remove is still queued', () => {
+        // given
+        const queue = [{ ...op('insert', 'a'), inFlight: true }];
+        // when
+        const result = appendOp(queue, op('remove', 'a'));
+        // then
+        expect(result.map(o => o.type)).toEqual(['insert', 'remove']);
+    });
+
+    test('given a queue — when op appended — then input is not mutated', () => {
+        // given
+        const queue = [op('insert', 'a')];
+        // when
+        appendOp(queue, op('update', 'a', { amount: 99 }));
+        // then
+        expect(queue[0].expense.amount).toBe(10);
+    });
+});
+
+// ─── appendOp: tab ops ────────────────────────────────
+
+describe('appendOp with tab ops', () => {
+    const tabOp = (id, tab, rows, extra = {}) => ({
+        id, type: 'tab', spreadsheetId: SHEET, tab, header: ['H'], rows, ...extra,
+    });
+
+    test('given a pending write of the same tab — when tab op appended — then only the latest is kept, at the end', () => {
+        // given
+        const queue = [tabOp('t1', 'currencies', [['EUR']]), op('insert', 'a')];
+        // when
+        const result = appendOp(queue, tabOp('t2', 'currencies', [['USD']]));
+        // then
+        expect(result.map(o => o.id)).toEqual(['op-insert-a-', 't2']);
+    });
+
+    test('given a pending write of another tab — when tab op appended — then both are kept', () => {
+        // given
+        const queue = [tabOp('t1', 'budgets', [])];
+        // when
+        const result = appendOp(queue, tabOp('t2', 'currencies', []));
+        // then
+        expect(result.map(o => o.id)).toEqual(['t1', 't2']);
+    });
+
+    test('given the same tab write in flight — when tab op appended — then it is queued after it', () => {
+        // given
+        const queue = [tabOp('t1', 'currencies', [], { inFlight: true })];
+        // when
+        const result = appendOp(queue, tabOp('t2', 'currencies', []));
+        // then
+        expect(result.map(o => o.id)).toEqual(['t1', 't2']);
+    });
+
+    test('given a pending tab op — when an expense is removed — then the tab op is untouched', () => {
+        // given
+        const queue = [tabOp('t1', 'currencies', [])];
+        // when
+        const result = appendOp(queue, { ...op('remove', undefined) });
+        // then
+        expect(result.map(o => o.type)).toEqual(['tab', 'remove']);
+    });
+
+    test('given a tab op — when applied to expenses — then the list is unchanged', () => {
+        // given
+        const list = [expense('a')];
+        // when / then
+        expect(applyOps(list, [tabOp('t1', 'currencies', [])])).toEqual(list);
+    });
+});
+
+// ─── appendOp: batched inserts ────────────────────────
+
+describe('appendOp with batched inserts', () => {
+    const batch = (id, ids, extra = {}) => ({
+        id, type: 'insertMany', spreadsheetId: SHEET, expenses: ids.map(i => expense(i)), ...extra,
+    });
+
+    test('given a pending batch — when one of its expenses is updated — then the batch carries the update', () => {
+        // when
+        const result = appendOp([batch('b1', ['a', 'b'])], op('update', 'b', { amount: 99 }));
+        // then
+        expect(result).toHaveLength(1);
+        expect(result[0].expenses.map(e => e.amount)).toEqual([10, 99]);
+    });
+
+    test('given a pending batch — when one of its expenses is removed — then it leaves the batch', () => {
+        // when
+        const result = appendOp([batch('b1', ['a', 'b'])], op('remove', 'a'));
+        // then
+        expect(result[0].expenses.map(e => e.id)).toEqual(['b']);
+    });
+
+    test('given a batch of one — when its expense is removed — then the batch is dropped', () => {
+        expect(appendOp([batch('b1', ['a'])], op('remove', 'a'))).toEqual([]);
+    });
+
+    test('given a batch in flight — when one of its expenses is removed — then the remove is queued', () => {
+        // when
+        const result = appendOp([batch('b1', ['a'], { inFlight: true })], op('remove', 'a'));
+        // then
+        expect(result.map(o => o.type)).toEqual(['insertMany', 'remove']);
+    });
+
+    test('given a batch — when applied — then expenses not yet present are added', () => {
+        // when
+        const result = applyOps([expense('a')], [batch('b1', ['a', 'b', 'c'])]);
+        // then
+        expect(result.map(e => e.id)).toEqual(['a', 'b', 'c']);
+    });
+});
+
+// ─── insertBatches ────────────────────────────────────
+
+describe('insertBatches', () => {
+    test('given a large import — when split — then every batch is bounded and the rows keep their order', () => {
+        // given
+        const rows = Array.from({ length: 2 * INSERT_BATCH_SIZE + 37 }, (_, i) => expense(`e${i}`));
+        // when
+        const batches = insertBatches(rows);
+        // then
+        expect(batches.map(b => b.length)).toEqual([INSERT_BATCH_SIZE, INSERT_BATCH_SIZE, 37]);
+        expect(batches.flat()).toEqual(rows);
+    });
+
+    test('given a large import queued in batches — when a row of a later batch is removed — then only that batch changes', () => {
+        // given
+        const rows  = Array.from({ length: INSERT_BATCH_SIZE + 1 }, (_, i) => expense(`e${i}`));
+        const queue = insertBatches(rows).map((expenses, i) => ({ id: `b${i}`, type: 'insertMany', spreadsheetId: SHEET, expenses }));
+        // when
+        const result = appendOp(queue, op('remove', `e${INSERT_BATCH_SIZE}`));
+        // then
+        expect(result.map(o => o.id)).toEqual(['b0']);
+        expect(result[0].expenses).toHaveLength(INSERT_BATCH_SIZE);
+    });
+
+    test('given no rows — when split — then there is no batch', () => {
+        expect(insertBatches([])).toEqual([]);
+    });
+});
+
+// ─── applyOps ─────────────────────────────────────────
+
+describe('applyOps', () => {
+    test('given insert op — when applied — then expense is added', () => {
+        // when
+        const result = applyOps([expense('a')], [op('insert', 'b')]);
+        // then
+        expect(result.map(e => e.id)).toEqual(['a', 'b']);
+    });
+
+    test('given insert op for an expense already present — when applied — then no duplicate is added', () => {
+        // when
+        const result = applyOps([expense('a')], [op('insert', 'a')]);
+        // then
+        expect(result).toHaveLength(1);
+    });
+
+    test('given update op — when applied — then expense is replaced', () => {
+        // when
+        const result = applyOps([expense('a', 10)], [op('update', 'a', { amount: 42 })]);
+        // then
+        expect(result[0].amount).toBe(42);
+    });
+
+    test('given remove op — when applied — then expense is dropped', () => {
+        // when
+        const result = applyOps([expense('a'), expense('b')], [op('remove', 'a')]);
+        // then
+        expect(result.map(e => e.id)).toEqual(['b']);
+    });
+
+    test('given no ops — when applied — then list is returned unchanged', () => {
+        // given
+        const list = [expense('a')];
+        // when / then
+        expect(applyOps(list, [])).toEqual(list);
+    });
+});
+
+// ─── Held deletes (undo window) ───────────────────────
+
+describe('held deletes', () => {
+    const NOW  = 1_000_000;
+    const held = (id, until = NOW + 5000) => ({ ...op('remove', id), heldUntil: until });
+
+    test('given a pending insert — when a held remove is appended — then both are kept', () => {
+        // given
+        const queue = [op('insert', 'a')];
+        // when
+        const result = appendOp(queue, held('a'));
+        // then
+        expect(result.map(o => o.type)).toEqual(['insert', 'remove']);
+    });
+
+    test('given a pending update — when a held remove is appended — then the update is kept', () => {
+        // given
+        const queue = [op('update', 'a', { amount: 42 })];
+        // when
+        const result = appendOp(queue, held('a'));
+        // then
+        expect(result.map(o => o.type)).toEqual(['update', 'remove']);
+    });
+
+    test('given a remove held into the future — when checked — then it is held', () => {
+        // when / then
+        expect(isHeld(held('a'), NOW)).toBe(true);
+        expect(isHeld(held('a', NOW - 1), NOW)).toBe(false);
+        expect(isHeld(op('remove', 'a'), NOW)).toBe(false);
+    });
+
+    test('given a held remove first — when the next op is picked — then later ops overtake it', () => {
+        // given
+        const queue = [held('a'), op('insert', 'b')];
+        // when / then
+        expect(nextDue(queue, NOW).id).toBe('op-insert-b-');
+    });
+
+    test('given ops of another sheet first — when the next op for a sheet is picked — then they are skipped', () => {
+        // given
+        const queue = [op('insert', 'a', { spreadsheetId: 'sheet-2' }), op('insert', 'b')];
+        // when / then
+        expect(nextDue(queue, NOW, SHEET).expenseId).toBe('b');
+        expect(nextDue(queue, NOW, 'sheet-3')).toBeNull();
+    });
+
+    test('given only held removes — when the next op is picked — then nothing is due', () => {
+        // when / then
+        expect(nextDue([held('a')], NOW)).toBeNull();
+    });
+
+    test('given the undo window has passed — when the next op is picked — then the remove is due', () => {
+        // when / then
+        expect(nextDue([held('a', NOW)], NOW).expenseId).toBe('a');
+    });
+
+    test('given an update then a held remove — when the remove is dropped — then the update is left', () => {
+        // given
+        const queue = appendOp([op('update', 'a', { amount: 42 })], held('a'));
+        // when
+        const result = dropHeld(queue, SHEET, 'a');
+        // then
+        expect(result).toEqual([op('update', 'a', { amount: 42 })]);
+    });
+
+    test('given the held remove in flight — when dropped — then null is returned', () => {
+        // given
+        const queue = [{ ...held('a'), inFlight: true }];
+        // when / then
+        expect(dropHeld(queue, SHEET, 'a')).toBeNull();
+    });
+
+    test('given a remove without a hold — when dropped — then null is returned', () => {
+        // when / then
+        expect(dropHeld([op('remove', 'a')], SHEET, 'a')).toBeNull();
+    });
+
+    test('given a held remove — when applied to expenses — then the expense is hidden', () => {
+        // when
+        const result = applyOps([expense('a'), expense('b')], [held('a')]);
+        // then
+        expect(result.map(e => e.id)).toEqual(['b']);
+    });
+});
+
+// ─── Batches (bulk actions) ───────────────────────────
+
+describe('batch ops', () => {
+    const batch = (updates, removes, extra = {}) => ({
+        id: 'op-batch', type: 'batch', spreadsheetId: SHEET, updates, removes, ...extra,
+    });
+
+    test('given a pending update — when a batch is appended — then both are kept in order', () => {
+        // given
+        const queue = [op('update', 'a', { amount: 42 })];
+        // when
+        const result = appendOp(queue, batch([expense('a', 7)], []));
+        // then
+        expect(result.map(o => o.type)).toEqual(['update', 'batch']);
+    });
+
+    test('given a batch — when applied to expenses — then updates replace and removes drop entries', () => {
+        // when
+        const result = applyOps([expense('a'), expense('b'), expense('c')], [batch([expense('b', 99)], ['c'])]);
+        // then
+        expect(result.map(e => [e.id, e.amount])).toEqual([['a', 10], ['b', 99]]);
+    });
+
+    test('given a held batch of deletes — when one of its expenses is dropped — then the whole batch goes', () => {
+        // given
+        const queue = [op('insert', 'z'), batch([], ['a', 'b'], { heldUntil: 2_000 })];
+        // when
+        const result = dropHeld(queue, SHEET, 'b');
+        // then
+        expect(result.map(o => o.type)).toEqual(['insert']);
+    });
+
+    test('given a batch without a hold — when dropped — then null is returned', () => {
+        // when / then
+        expect(dropHeld([batch([], ['a'])], SHEET, 'a')).toBeNull();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Pure helpers for the offline write outbox.
+ *
+ * An op is a plain serialisable object:
+ *   { id, type: 'insert' | 'update' | 'remove', spreadsheetId, expense?, expenseId, queuedAt, attempts }
+ * or, for many new expenses appended in one request (imports, recurring),
+ * at most INSERT_BATCH_SIZE of them:
+ *   { id, type: 'insertMany', spreadsheetId, expenses, queuedAt, attempts }
+ * or, for many updates and deletes sent in one request (bulk actions):
+ *   { id, type: 'batch', spreadsheetId, updates, removes, queuedAt, attempts }
+ * or, for a full rewrite of an auxiliary tab (currency ledger, …):
+ *   { id, type: 'tab', spreadsheetId, tab, header, rows, queuedAt, attempts }
+ *
+ * Ops are replayed strictly in queue order, so every helper here preserves
+ * the relative order of the ops it keeps. An op flagged `inFlight` is being
+ * sent right now and is never merged into or cancelled.
+ *
+ * A remove or a batch may carry `heldUntil` (epoch ms): it is the delete of
+ * an undo snackbar, kept back until the undo window has passed. Later ops
+ * overtake it meanwhile, and undoing the delete just drops it from the queue.
+ */
+
+/**
+ * Most expenses one insertMany op carries. Larger imports are split, so a
+ * single request stays small enough to send and a failure costs one chunk.
+ */
+export const INSERT_BATCH_SIZE = 200;
+
+/**
+ * Splits new expenses into the chunks queued as insertMany ops, in order.
+ * @param {Array<{ id: string }>} expenses
+ * @param {number} [size]
+ * @returns {Array<Array<{ id: string }>>}
+ */
+export function insertBatches(expenses, size = INSERT_BATCH_SIZE) {
+    const batches = [];
+    for (let i = 0; i < expenses.length; i += size) batches.push(expenses.slice(i, i + size));
+    return batches;
+}
+
+/**
+ * Appends an op to the queue, collapsing it into earlier ops for the same
+ * expense where the result on the sheet would be identical:
+ *   insert → update  ⇒ single insert carrying the updated expense
+ *   update → update  ⇒ single update carrying the latest expense
+ *   insert → remove  ⇒ nothing (the row never reaches the sheet)
+ *   update → remove  ⇒ single remove
+ * An update or remove of an expense still waiting in a batched insert is
+ * folded into the batch the same way. A tab op replaces any earlier queued
+ * op for the same tab, since each one rewrites the whole tab anyway. Batches
+ * and held removes are queued as they are, so dropping a held one again
+ * restores the queue exactly.
+ *
+ * @param {Array<Object>} ops
+ * @param {Object}        op
+ * @returns {Array<Object>} new queue — the input is not mutated
+ */
+export function appendOp(ops, op) {
+    if (op.type === 'tab') {
+        const sameTab = o => !o.inFlight
+            && o.type === 'tab'
+            && o.spreadsheetId === op.spreadsheetId
+            && o.tab === op.tab;
+        return [...ops.filter(o => !sameTab(o)), op];
+    }
+
+    if (op.type === 'batch' || (op.type === 'remove' && op.heldUntil)) return [...ops, op];
+
+    const sameTarget = o => !o.inFlight
+        && o.type !== 'tab'
+        && o.spreadsheetId === op.spreadsheetId
+        && o.expenseId === op.expenseId;
+
+    const batchIdx = ops.findIndex(o => !o.inFlight
+        && o.type === 'insertMany'
+        && o.spreadsheetId === op.spreadsheetId
+        && o.expenses.some(e => e.id === op.expenseId));
+
+    if (batchIdx !== -1 && op.type === 'update') {
+        return ops.map((o, i) => i === batchIdx
+            ? { ...o, expenses: o.expenses.map(e => e.id === op.expenseId ? op.expense : e) }
+            : o);
+    }
+
+    if (batchIdx !== -1 && op.type === 'remove') {
+        const batch = ops[batchIdx];
+        const left  = batch.expenses.filter(e => e.id !== op.expenseId);
+        return left.length
+            ? ops.map((o, i) => i === batchIdx ? { ...batch, expenses: left } : o)
+            : ops.filter((_, i) => i !== batchIdx);
+    }
+
+    if (op.type === 'update') {
+        const idx = ops.findIndex(o => sameTarget(o) && (o.type === 'insert' || o.type === 'update'));
+        if (idx !== -1) {
+            return ops.map((o, i) => i === idx ? { ...o, expense: op.expense } : o);
+        }
+    }
+
+    if (op.type === 'remove') {
+        const hasInsert = ops.some(o => sameTarget(o) && o.type === 'insert');
+        const rest      = ops.filter(o => !sameTarget(o));
+        return hasInsert ? rest : [...rest, op];
+    }
+
+    return [...ops, op];
+}
+
+/**
+ * @param {Object} op
+ * @param {number} now - epoch ms
+ * @returns {boolean} whether the op is a delete still in its undo window
+ */
+export function isHeld(op, now) {
+    return Boolean(op.heldUntil) && op.heldUntil > now;
+}
+
+/**
+ * @param {Array<Object>} ops
+ * @param {number}        now - epoch ms
+ * @param {string}        [spreadsheetId] - only ops for this sheet; any sheet when omitted
+ * @returns {Object|null} the oldest op due to be sent, skipping held deletes
+ */
+export function nextDue(ops, now, spreadsheetId) {
+    return ops.find(o => !isHeld(o, now) && (!spreadsheetId || o.spreadsheetId === spreadsheetId)) ?? null;
+}
+
+/**
+ * Drops the held delete of an expense, for its undo; for a held batch of
+ * deletes, the whole batch.
+ * @param {Array<Object>} ops
+ * @param {string}        spreadsheetId
+ * @param {string}        expenseId
+ * @returns {Array<Object>|null} new queue, or null when no such delete is waiting
+ */
+export function dropHeld(ops, spreadsheetId, expenseId) {
+    const idx = ops.findIndex(o => !o.inFlight
+        && o.heldUntil
+        && o.spreadsheetId === spreadsheetId
+        && (o.type === 'batch' ? o.removes.includes(expenseId) : o.expenseId === expenseId));
+    return idx === -1 ? null : ops.filter((_, i) => i !== idx);
+}
+
+/**
+ * Replays pending ops on top of a list of expenses, e.g. a fresh read from
+ * the sheet that does not contain the writes made while offline yet.
+ *
+ * @param {Array<{ id: string }>} expenses
+ * @param {Array<Object>}         ops  - already scoped to one spreadsheet
+ * @returns {Array} new list — the input is not mutated
+ */
+export function applyOps(expenses, ops) {
+    return ops.reduce((acc, op) => {
+        switch (op.type) {
+            case 'insert':
+                return acc.some(e => e.id === op.expenseId) ? acc : [...acc, op.expense];
+            case 'insertMany': {
+                const ids = new Set(acc.map(e => e.id));
+                return [...acc, ...op.expenses.filter(e => !ids.has(e.id))];
+            }
+            case 'update':
+                return acc.map(e => e.id === op.expenseId ? op.expense : e);
+            case 'remove':
+                return acc.filter(e => e.id !== op.expenseId);
+            case 'batch': {
+                const updated = new Map(op.updates.map(e => [e.id, e]));
+                return acc
+                    .filter(e => !op.removes.includes(e.id))
+                    .map(e => updated.get(e.id) ?? e);
+            }
+            default:
+                return acc;
+        }
+    }, expenses);
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+import { parseQuickEntry } from './quickadd.utils.js';
+
+const CATEGORIES = [
+    { id: 'food',      label: 'Food',        type: 'expense' },
+    { id: 'home',      label: 'Housing',     type: 'expense' },
+    { id: 'eating',    label: 'Eating out',  type: 'expense' },
+    { id: 'other',     label: 'Other',       type: 'expense' },
+    { id: 'salary',    label: 'Salary',      type: 'income' },
+    { id: 'side',      label: 'Side income', type: 'income' },
+];
+
+const SUBCATEGORIES = [
+    { id: 'bakery', label: 'Bakery', parent: 'food' },
+];
+
+const TODAY = '2025-03-10';
+
+const parse = (text, options = {}) =>
+    parseQuickEntry(text, { today: TODAY, categories: CATEGORIES, subcategories: SUBCATEGORIES, ...options });
+
+// ─── Amount and comment ───────────────────────────────
+
+describe('parseQuickEntry — amount and comment', () => {
+    test('given a comment, an amount and a date — when parsed — then each lands in its field', () => {
+        // when
+        const result = parse('coffee 4.50 yesterday');
+        // then
+        expect(result).toEqual({
+            amount: 4.5, date: '2025-03-09', category: 'food', subcategory: '', type: 'expense', comment: 'coffee',
+        });
+    });
+
+    test('given a decimal comma — when parsed — then it reads as a decimal point', () => {
+        expect(parse('12,5 taxi')).toMatchObject({ amount: 12.5, comment: 'taxi', date: TODAY });
+    });
+
+    test('given currency signs — when parsed — then they are left out of the amount', () => {
+        expect(parse('€3 bus').amount).toBe(3);
+        expect(parse('bread 2,40zł').amount).toBe(2.4);
+    });
+
+    test('given several numbers — when parsed — then the first is the amount and the rest stay in the comment', () => {
+        expect(parse('pizza 18 for 3 people')).toMatchObject({ amount: 18, comment: 'pizza for 3 people' });
+    });
+
+    test('given no amount — when parsed — then there is no entry', () => {
+        expect(parse('coffee yesterday')).toBeNull();
+        expect(parse('coffee 0')).toBeNull();
+        expect(parse('')).toBeNull();
+    });
+});
+
+// ─── Dates ────────────────────────────────────────────
+
+describe('parseQuickEntry — dates', () => {
+    test('given "today" or "yesterday" in another language — when parsed — then it is understood', () => {
+        expect(parse('хлеб 2 вчера').date).toBe('2025-03-09');
+        expect(parse('chleba 2 včera').date).toBe('2025-03-09');
+        expect(parse('pan 2 hoy').date).toBe(TODAY);
+    });
+
+    test('given a day of the month — when parsed — then it is the latest such day up to today', () => {
+        expect(parse('rent 1200 on 1st #home')).toMatchObject({ amount: 1200, date: '2025-03-01', category: 'home', comment: 'rent' });
+        expect(parse('gym 30 on 15').date).toBe('2025-02-15');
+        expect(parse('gym 30 3rd').date).toBe('2025-03-03');
+    });
+
+    test('given "on" not followed by a day — when parsed — then it stays in the comment', () => {
+        expect(parse('spent on snacks 5').comment).toBe('spent on snacks');
+    });
+
+    test('given full or day-first dates — when parsed — then they are read day first', () => {
+        expect(parse('tickets 40 2025-02-03').date).toBe('2025-02-03');
+        expect(parse('tickets 40 5.2.2025').date).toBe('2025-02-05');
+        expect(parse('tickets 40 5/2').date).toBe('2025-02-05');
+        expect(parse('tickets 40 25/12').date).toBe('2024-12-25');
+    });
+
+    test('given a dotted number without a year — when parsed — then it is the amount, not a date', () => {
+        expect(parse('juice 4.05')).toMatchObject({ amount: 4.05, date: TODAY });
+    });
+
+    test('given a date still to come — when parsed — then the entry is dated today', () => {
+        expect(parse('concert 50 2025-04-01').date).toBe(TODAY);
+    });
+});
+
+// ─── Categories ───────────────────────────────────────
+
+describe('parseQuickEntry — categories', () => {
+    test('given a hashtag naming a category — when parsed — then it is used and left out of the comment', () => {
+        expect(parse('#EatingOut 25 sushi')).toMatchObject({ category: 'eating', comment: 'sushi' });
+        expect(parse('lunch 12 #housing')).toMatchObject({ category: 'home' });
+    });
+
+    test('given a hashtag naming a subcategory — when parsed — then its category comes along', () => {
+        expect(parse('croissant 3 #bakery')).toMatchObject({ category: 'food', subcategory: 'bakery' });
+    });
+
+    test('given a hashtag starting only one name — when parsed — then that one is used', () => {
+        expect(parse('bonus 500 #sal')).toMatchObject({ category: 'salary', type: 'income' });
+    });
+
+    test('given a hashtag matching nothing or several — when parsed — then it stays in the comment', () => {
+        expect(parse('bolt 8 #cab')).toMatchObject({ category: 'food', comment: 'bolt #cab' });
+        expect(parse('gift 8 #s')).toMatchObject({ comment: 'gift #s' });
+    });
+
+    test('given no hashtag — when parsed — then the suggestion for the comment is used', () => {
+        // given
+        const suggest = comment => comment === 'taxi' ? { category: 'other', subcategory: '' } : null;
+        // when
+        const result = parse('12,5 taxi', { suggest });
+        // then
+        expect(result).toMatchObject({ category: 'other', type: 'expense' });
+    });
+
+    test('given a hashtag and a suggestion — when parsed — then the hashtag wins', () => {
+        expect(parse('taxi 9 #home', { suggest: () => ({ category: 'other', subcategory: '' }) }).category).toBe('home');
+    });
+});
\ No newline at end of file
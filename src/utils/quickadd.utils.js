@@ -0,0 +1,154 @@
+import { parseAmount } from './helpers.js';
+import { parseImportDate } from './import.utils.js';
+
+/**
+ * Pure helpers for the quick-add bar, which reads a whole entry from one
+ * line such as "coffee 4.50 yesterday", "rent 1200 on 1st #home" or
+ * "12,5 taxi":
+ *   - the amount is the first number, with a decimal point or comma and
+ *     an optional currency sign;
+ *   - the date is "today" or "yesterday" in any language the app speaks,
+ *     an ISO date, a day-first date with slashes ("5/3", "5/3/2025") or a
+ *     dotted one with a year ("5.3.2025"), or a day of the month ("1st",
+ *     "on 15"). Without a year or month it is the latest such day up to
+ *     today; without any date, or with one still to come, today;
+ *   - a hashtag names a category or subcategory by its ID or name, spaces
+ *     left out ("#eatingout"), or by a start only one of them has;
+ *     otherwise `suggest` picks one from the comment;
+ *   - the words left over are the comment.
+ * A dotted number without a year is an amount, not a date: "4.05" is a
+ * price far more often than the 4th of May.
+ */
+
+/**
+ * @typedef {{
+ *   amount: number, date: string, category: string, subcategory: string,
+ *   type: 'expense'|'income', comment: string
+ * }} QuickEntry
+ */
+
+const TODAY     = ['today', 'сегодня', 'hoy', 'dzisiaj', 'dzis', 'dnes'];
+const YESTERDAY = ['yesterday', 'вчера', 'ayer', 'wczoraj', 'vcera'];
+
+const AMOUNT    = /^[$€£¥₽]?(\d+(?:[.,]\d{1,2})?)(?:[$€£¥₽]|zł|kc)?$/;
+const ORDINAL   = /^(\d{1,2})(?:st|nd|rd|th)$/;
+const DAY_MONTH = /^(\d{1,2})\/(\d{1,2})$/;
+
+/**
+ * @param {string} text
+ * @param {{
+ *   today: string,
+ *   categories?: Array<{ id: string, label: string, type: 'expense'|'income' }>,
+ *   subcategories?: Array<{ id: string, label: string, parent: string }>,
+ *   suggest?: (comment: string) => { category: string, subcategory: string }|null
+ * }} options - `categories` in the order they are offered, expenses first
+ * @returns {QuickEntry|null} null while the line has no amount
+ */
+export function parseQuickEntry(text, { today, categories = [], subcategories = [], suggest = () => null }) {
+    const words = String(text ?? '').trim().split(/\s+/).filter(Boolean);
+    const rest  = [];
+    let amount  = 0;
+    let date    = '';
+    let tagged  = null;
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const key  = _fold(word);
+
+        if (!date && key === 'on' && i + 1 < words.length) {
+            const day = _dayOfMonth(_fold(words[i + 1]), today);
+            if (day) { date = day; i++; continue; }
+        }
+        const day = !date && _readDate(key, today);
+        if (day) { date = day; continue; }
+
+        const number = !amount && AMOUNT.exec(key);
+        if (number && parseAmount(number[1])) { amount = parseAmount(number[1]); continue; }
+
+        const pick = !tagged && key.startsWith('#') && _findTag(key.slice(1), categories, subcategories);
+        if (pick) { tagged = pick; continue; }
+
+        rest.push(word);
+    }
+    if (!amount) return null;
+
+    const comment  = rest.join(' ');
+    const guess    = tagged ? null : suggest(comment);
+    const fallback = categories.find(c => c.type === 'expense')?.id ?? 'other';
+    const category = tagged?.category ?? guess?.category ?? fallback;
+    return {
+        amount,
+        date:        date && date < today ? date : today,
+        category,
+        subcategory: tagged?.subcategory ?? guess?.subcategory ?? '',
+        type:        categories.find(c => c.id === category)?.type ?? 'expense',
+        comment,
+    };
+}
+
+// ─── Private ──────────────────────────────────────────
+
+function _fold(word) {
+    return String(word ?? '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function _compact(name) {
+    return _fold(name).replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/** Date a single word stands for, or ''. */
+function _readDate(key, today) {
+    if (TODAY.includes(key))     return today;
+    if (YESTERDAY.includes(key)) return _addDays(today, -1);
+    if (/\d{4}|\d+\D\d+\D\d+/.test(key) && !AMOUNT.test(key)) return parseImportDate(key, 'dmy');
+    const dm = DAY_MONTH.exec(key);
+    if (dm) {
+        const year = Number(today.slice(0, 4));
+        const date = _iso(year, Number(dm[2]), Number(dm[1]));
+        return date > today ? _iso(year - 1, Number(dm[2]), Number(dm[1])) : date;
+    }
+    const ordinal = ORDINAL.exec(key);
+    return ordinal ? _dayOfMonth(ordinal[1], today) : '';
+}
+
+/** The latest given day of a month up to today, for "1st" or "on 15". */
+function _dayOfMonth(key, today) {
+    const match = ORDINAL.exec(key) ?? /^(\d{1,2})$/.exec(key);
+    if (!match) return '';
+    const day    = Number(match[1]);
+    const [y, m] = today.split('-').map(Number);
+    const date   = _iso(y, m, day);
+    if (date && date <= today) return date;
+    return m === 1 ? _iso(y - 1, 12, day) : _iso(y, m - 1, day);
+}
+
+/**
+ * Category, or subcategory with its category, a hashtag names: an exact ID
+ * or name first, then the only one starting with it.
+ */
+function _findTag(tag, categories, subcategories) {
+    const key = _compact(tag);
+    if (!key) return null;
+    const options = [
+        ...categories.map(c => ({ names: [c.id, c.label], category: c.id, subcategory: '' })),
+        ...subcategories.map(s => ({ names: [s.id, s.label], category: s.parent, subcategory: s.id })),
+    ];
+    const names  = option => option.names.map(_compact);
+    const exact  = options.find(o => names(o).includes(key));
+    if (exact) return exact;
+    const starts = key.length >= 3 ? options.filter(o => names(o).some(n => n.startsWith(key))) : [];
+    return starts.length === 1 ? starts[0] : null;
+}
+
+function _addDays(iso, days) {
+    const date = new Date(`${iso}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/** YYYY-MM-DD, or '' when there is no such calendar day. */
+function _iso(y, m, d) {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return '';
+    return date.toISOString().slice(0, 10);
+}
\ No newline at end of file
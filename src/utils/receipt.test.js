@@ -0,0 +1,65 @@
+import {
+    receiptUrl,
+    parseReceipts,
+    receiptsToCell,
+    fitWithin,
+    receiptFileName,
+} from './receipt.utils.js';
+
+const ID_A = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+const ID_B = '1ZyXwVuTsRqPoNmLkJiHgFeDcBa-_9876';
+
+// ─── Cell ─────────────────────────────────────────────
+
+describe('parseReceipts', () => {
+    test('given links written by the app — when parsed — then the file IDs are returned in order', () => {
+        expect(parseReceipts(`${receiptUrl(ID_A)} ${receiptUrl(ID_B)}`)).toEqual([ID_A, ID_B]);
+    });
+
+    test('given bare IDs and open?id= links separated by hand — when parsed — then all are read', () => {
+        const cell = `${ID_A};\nhttps://drive.google.com/open?id=${ID_B}`;
+        expect(parseReceipts(cell)).toEqual([ID_A, ID_B]);
+    });
+
+    test.each([
+        [undefined],
+        [''],
+        ['see the paper copy'],
+    ])('given %p — when parsed — then there are no receipts', cell => {
+        expect(parseReceipts(cell)).toEqual([]);
+    });
+
+    test('given the same photo twice — when parsed — then it is listed once', () => {
+        expect(parseReceipts(`${ID_A} ${receiptUrl(ID_A)}`)).toEqual([ID_A]);
+    });
+});
+
+describe('receiptsToCell', () => {
+    test('given file IDs — when written — then they round-trip through parseReceipts', () => {
+        expect(parseReceipts(receiptsToCell([ID_A, ID_B]))).toEqual([ID_A, ID_B]);
+    });
+
+    test('given no receipts — when written — then the cell is empty', () => {
+        expect(receiptsToCell(undefined)).toBe('');
+        expect(receiptsToCell([])).toBe('');
+    });
+});
+
+// ─── Photos ───────────────────────────────────────────
+
+describe('fitWithin', () => {
+    test('given a large portrait photo — when fitted — then the height is capped and the ratio kept', () => {
+        expect(fitWithin(3000, 4000, 1600)).toEqual({ width: 1200, height: 1600 });
+    });
+
+    test('given a photo already small enough — when fitted — then its size is kept', () => {
+        expect(fitWithin(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+    });
+});
+
+describe('receiptFileName', () => {
+    test('given the second photo of an entry — when named — then the name carries its date, ID and number', () => {
+        expect(receiptFileName({ id: '1f2e3d4c-aaaa-bbbb', date: '2025-03-05' }, 1))
+            .toBe('receipt-2025-03-05-1f2e3d4c-2.jpg');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Pure helpers for receipt photos. The photos live in the uploader's Google
+ * Drive; the sheet keeps one link per photo in the Receipts column, so the
+ * spreadsheet alone is enough to find them again.
+ */
+
+/** Longest side, in pixels, a photo is scaled down to before upload. */
+export const RECEIPT_MAX_SIDE = 1600;
+
+/** JPEG quality of the uploaded photo (0–1). */
+export const RECEIPT_QUALITY = 0.7;
+
+const FILE_ID = /^[\w-]{10,}$/;
+
+/**
+ * Link that opens a receipt in Drive.
+ * @param {string} fileId
+ * @returns {string}
+ */
+export function receiptUrl(fileId) {
+    return `https://drive.google.com/file/d/${fileId}/view`;
+}
+
+/**
+ * Reads the Receipts cell: Drive links or bare file IDs separated by spaces,
+ * commas, semicolons or line breaks. Anything else is ignored.
+ * @param {string|undefined} cell
+ * @returns {string[]} file IDs
+ */
+export function parseReceipts(cell) {
+    const ids = String(cell ?? '')
+        .split(/[\s,;]+/)
+        .map(part => /\/d\/([\w-]+)/.exec(part)?.[1] ?? /[?&]id=([\w-]+)/.exec(part)?.[1] ?? part)
+        .filter(id => FILE_ID.test(id));
+    return [...new Set(ids)];
+}
+
+/**
+ * @param {string[]|undefined} receipts - file IDs
+ * @returns {string}
+ */
+export function receiptsToCell(receipts) {
+    return (receipts ?? []).map(receiptUrl).join(' ');
+}
+
+/**
+ * Size a photo is scaled to so its longest side is at most `maxSide`.
+ * Smaller photos keep their size.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [maxSide]
+ * @returns {{ width: number, height: number }}
+ */
+export function fitWithin(width, height, maxSide = RECEIPT_MAX_SIDE) {
+    const scale = Math.min(1, maxSide / Math.max(width, height, 1));
+    return {
+        width:  Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+    };
+}
+
+/**
+ * Drive file name of the n-th photo of an entry, e.g.
+ * "receipt-2025-03-05-1f2e3d4c-1.jpg".
+ * @param {{ id: string, date: string }} expense
+ * @param {number} index - 0-based
+ * @returns {string}
+ */
+export function receiptFileName(expense, index) {
+    return `receipt-${expense.date}-${expense.id.slice(0, 8)}-${index + 1}.jpg`;
+}
\ No newline at end of file
@@ -0,0 +1,161 @@
+import {
+    nthOccurrence,
+    dueOccurrences,
+    nextOccurrence,
+    occurrenceId,
+    materializeRule,
+    parseRules,
+    rulesToRows,
+    MAX_OCCURRENCES_PER_RUN,
+} from './recurrence.utils.js';
+
+const rule = (overrides = {}) => ({
+    id:        'r1',
+    amount:    50,
+    category:  'subscriptions',
+    comment:   'Phone',
+    currency:  '',
+    frequency: 'monthly',
+    startDate: '2025-01-15',
+    endDate:   '',
+    lastDate:  '',
+    ...overrides,
+});
+
+// ─── nthOccurrence ────────────────────────────────────
+
+describe('nthOccurrence', () => {
+    test.each([
+        ['daily',   2, '2025-01-17'],
+        ['weekly',  2, '2025-01-29'],
+        ['monthly', 2, '2025-03-15'],
+        ['yearly',  2, '2027-01-15'],
+    ])('given a %s rule — when the occurrence %i is computed — then it is %s', (frequency, n, expected) => {
+        expect(nthOccurrence(rule({ frequency }), n)).toBe(expected);
+    });
+
+    test('given a monthly rule on the 31st — when computed — then short months use their last day and the 31st returns', () => {
+        // given
+        const r = rule({ startDate: '2025-01-31' });
+        // when / then
+        expect([1, 2, 3].map(n => nthOccurrence(r, n))).toEqual(['2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+});
+
+// ─── dueOccurrences ───────────────────────────────────
+
+describe('dueOccurrences', () => {
+    test('given a never materialized rule — when checked — then every occurrence up to today is due', () => {
+        expect(dueOccurrences(rule(), '2025-03-20')).toEqual(['2025-01-15', '2025-02-15', '2025-03-15']);
+    });
+
+    test('given a lastDate — when checked — then only later occurrences are due', () => {
+        expect(dueOccurrences(rule({ lastDate: '2025-02-15' }), '2025-03-20')).toEqual(['2025-03-15']);
+    });
+
+    test('given an occurrence on today — when checked — then it is due', () => {
+        expect(dueOccurrences(rule({ lastDate: '2025-02-15' }), '2025-03-15')).toEqual(['2025-03-15']);
+    });
+
+    test('given an end date — when checked — then nothing after it is due', () => {
+        expect(dueOccurrences(rule({ endDate: '2025-02-20' }), '2025-06-01')).toEqual(['2025-01-15', '2025-02-15']);
+    });
+
+    test('given a start date in the future — when checked — then nothing is due', () => {
+        expect(dueOccurrences(rule({ startDate: '2025-04-01' }), '2025-03-20')).toEqual([]);
+    });
+
+    test('given a long backlog — when checked — then at most the per-run limit is returned', () => {
+        // when
+        const dates = dueOccurrences(rule({ frequency: 'daily', startDate: '2020-01-01' }), '2025-01-01');
+        // then
+        expect(dates).toHaveLength(MAX_OCCURRENCES_PER_RUN);
+        expect(dates[0]).toBe('2020-01-01');
+    });
+
+    test('given an unknown frequency — when checked — then nothing is due', () => {
+        expect(dueOccurrences(rule({ frequency: 'hourly' }), '2025-03-20')).toEqual([]);
+    });
+});
+
+// ─── nextOccurrence ───────────────────────────────────
+
+describe('nextOccurrence', () => {
+    test('given an active rule — when checked — then the first date after today is returned', () => {
+        expect(nextOccurrence(rule(), '2025-03-15')).toBe('2025-04-15');
+    });
+
+    test('given a rule that has ended — when checked — then null is returned', () => {
+        expect(nextOccurrence(rule({ endDate: '2025-03-01' }), '2025-03-15')).toBeNull();
+    });
+});
+
+// ─── materializeRule ──────────────────────────────────
+
+describe('materializeRule', () => {
+    test('given due occurrences — when materialized — then expenses with deterministic IDs are built', () => {
+        // when
+        const result = materializeRule(rule({ lastDate: '2025-01-15' }), '2025-03-20');
+        // then
+        expect(result.expenses).toEqual([
+            { id: occurrenceId('r1', '2025-02-15'), date: '2025-02-15', category: 'subscriptions', amount: 50, comment: 'Phone', currency: '' },
+            { id: occurrenceId('r1', '2025-03-15'), date: '2025-03-15', category: 'subscriptions', amount: 50, comment: 'Phone', currency: '' },
+        ]);
+        expect(result.lastDate).toBe('2025-03-15');
+    });
+
+    test('given an occurrence already in the sheet — when materialized — then it is skipped but lastDate still advances', () => {
+        // given
+        const existing = new Set([occurrenceId('r1', '2025-03-15')]);
+        // when
+        const result = materializeRule(rule({ lastDate: '2025-02-15' }), '2025-03-20', existing);
+        // then
+        expect(result.expenses).toEqual([]);
+        expect(result.lastDate).toBe('2025-03-15');
+    });
+
+    test('given nothing due — when materialized — then lastDate is unchanged', () => {
+        // when
+        const result = materializeRule(rule({ lastDate: '2025-03-15' }), '2025-03-20');
+        // then
+        expect(result).toEqual({ expenses: [], lastDate: '2025-03-15' });
+    });
+});
+
+// ─── Sheet tab ────────────────────────────────────────
+
+describe('parseRules / rulesToRows', () => {
+    test('given rules — when serialized and parsed back — then they round-trip', () => {
+        // given
+        const rules = [rule(), rule({ id: 'r2', frequency: 'yearly', currency: 'EUR', endDate: '2026-01-01', lastDate: '2025-01-15' })];
+        // when / then
+        expect(parseRules(rulesToRows(rules))).toEqual(rules);
+    });
+
+    test('given hand-edited rows — when parsed — then values are normalised', () => {
+        // when
+        const [result] = parseRules([['r1', '9,99', '', '', 'usd', ' Weekly ', '2025-01-01']]);
+        // then
+        expect(result).toMatchObject({ amount: 9.99, category: 'other', currency: 'USD', frequency: 'weekly', endDate: '', lastDate: '' });
+    });
+
+    test('given invalid rows — when parsed — then they are dropped', () => {
+        // when
+        const result = parseRules([
+            ['',   '10', 'food', '', '', 'monthly', '2025-01-01'],
+            ['r1', '0',  'food', '', '', 'monthly', '2025-01-01'],
+            ['r2', '10', 'food', '', '', 'hourly',  '2025-01-01'],
+            ['r3', '10', 'food', '', '', 'monthly', '01/01/2025'],
+            ['r4', '10', 'food', '', '', 'monthly', '2024-13-45'],
+        ]);
+        // then
+        expect(result).toEqual([]);
+    });
+
+    test('given impossible end and last dates — when parsed — then they are treated as empty', () => {
+        // when
+        const [result] = parseRules([['r1', '10', 'food', '', '', 'monthly', '2025-01-01', '2025-02-30', '2024-13-45']]);
+        // then
+        expect(result).toMatchObject({ startDate: '2025-01-01', endDate: '', lastDate: '' });
+    });
+});
\ No newline at end of file
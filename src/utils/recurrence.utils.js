@@ -0,0 +1,165 @@
+import { parseISO, isValid, format, addDays, addWeeks, addMonths, addYears } from 'date-fns';
+import { parseAmount } from './helpers.js';
+import { normaliseCurrency } from './currency.utils.js';
+
+/**
+ * Pure helpers for recurring expenses (rent, phone, streaming…).
+ *
+ * A rule is
+ *   { id, amount, category, comment, currency, frequency, startDate, endDate, lastDate }
+ * where dates are YYYY-MM-DD, `endDate` is inclusive or '' for open-ended,
+ * and `lastDate` is the last occurrence already turned into an expense
+ * ('' if none yet).
+ *
+ * Every occurrence gets a deterministic expense ID derived from the rule and
+ * the date, so materializing the same occurrence twice — on two devices, or
+ * after a crash before `lastDate` was saved — can be detected and skipped.
+ */
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Upper bound of occurrences produced per rule in one run. A daily rule
+ * started years ago catches up over several app starts instead of flooding
+ * the outbox in one go.
+ */
+export const MAX_OCCURRENCES_PER_RUN = 120;
+
+const STEP = {
+    daily:   addDays,
+    weekly:  addWeeks,
+    monthly: addMonths,
+    yearly:  addYears,
+};
+
+// ─── Occurrences ──────────────────────────────────────
+
+/**
+ * Date of the n-th occurrence (0 = startDate). Always computed from the start
+ * date rather than the previous occurrence, so a rule starting on the 31st
+ * falls on the last day of shorter months and returns to the 31st after.
+ *
+ * @param {{ frequency: string, startDate: string }} rule
+ * @param {number} n
+ * @returns {string} YYYY-MM-DD
+ */
+export function nthOccurrence(rule, n) {
+    return format(STEP[rule.frequency](parseISO(rule.startDate), n), 'yyyy-MM-dd');
+}
+
+/**
+ * Occurrences that should exist by `today` but haven't been materialized:
+ * after `lastDate`, not after `endDate`, not in the future.
+ *
+ * @param {Object} rule
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} [limit]
+ * @returns {string[]} dates in ascending order
+ */
+export function dueOccurrences(rule, today, limit = MAX_OCCURRENCES_PER_RUN) {
+    if (!STEP[rule.frequency] || !rule.startDate) return [];
+
+    const until = rule.endDate && rule.endDate < today ? rule.endDate : today;
+    const dates = [];
+    for (let n = 0; dates.length < limit; n++) {
+        const date = nthOccurrence(rule, n);
+        if (date > until) break;
+        if (!rule.lastDate || date > rule.lastDate) dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Next occurrence after `today`, or null if the rule has ended.
+ * @param {Object} rule
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string|null}
+ */
+export function nextOccurrence(rule, today) {
+    if (!STEP[rule.frequency] || !rule.startDate) return null;
+    for (let n = 0; ; n++) {
+        const date = nthOccurrence(rule, n);
+        if (rule.endDate && date > rule.endDate) return null;
+        if (date > today) return date;
+    }
+}
+
+/**
+ * Deterministic expense ID of one occurrence.
+ * @param {string} ruleId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export function occurrenceId(ruleId, date) {
+    return `rec-${ruleId}-${date}`;
+}
+
+/**
+ * Turns a rule's due occurrences into expenses.
+ *
+ * @param {Object}      rule
+ * @param {string}      today       - YYYY-MM-DD
+ * @param {Set<string>} existingIds - IDs already in the sheet or queued
+ * @returns {{ expenses: Array, lastDate: string }} new expenses (existing IDs
+ *          skipped) and the rule's updated `lastDate`
+ */
+export function materializeRule(rule, today, existingIds = new Set()) {
+    const dates    = dueOccurrences(rule, today);
+    const expenses = dates
+        .map(date => ({
+            id:       occurrenceId(rule.id, date),
+            date,
+            category: rule.category,
+            amount:   rule.amount,
+            comment:  rule.comment,
+            currency: rule.currency,
+        }))
+        .filter(e => !existingIds.has(e.id));
+
+    return { expenses, lastDate: dates.length ? dates[dates.length - 1] : rule.lastDate };
+}
+
+// ─── Sheet tab ────────────────────────────────────────
+
+/** Header of the "recurring" tab. */
+export const RULES_HEADER = ['ID', 'Amount', 'Category', 'Comment', 'Currency', 'Frequency', 'Start', 'End', 'Last'];
+
+/**
+ * Parses "recurring" tab rows (header excluded). Rows without an ID, a
+ * positive amount, a known frequency or a start date are ignored.
+ * @param {Array<Array>} rows
+ * @returns {Array<Object>}
+ */
+export function parseRules(rows) {
+    return (rows || [])
+        .map(([id, amount, category, comment, currency, frequency, startDate, endDate, lastDate]) => ({
+            id:        String(id ?? '').trim(),
+            amount:    parseAmount(amount),
+            category:  category || 'other',
+            comment:   comment || '',
+            currency:  normaliseCurrency(currency),
+            frequency: String(frequency ?? '').trim().toLowerCase(),
+            startDate: _isoDate(startDate),
+            endDate:   _isoDate(endDate),
+            lastDate:  _isoDate(lastDate),
+        }))
+        .filter(r => r.id && r.amount > 0 && FREQUENCIES.includes(r.frequency) && r.startDate);
+}
+
+/**
+ * Serializes rules into "recurring" tab rows (header excluded).
+ * @param {Array<Object>} rules
+ * @returns {Array<Array>}
+ */
+export function rulesToRows(rules) {
+    return rules.map(r => [
+        r.id, r.amount, r.category, r.comment ?? '', r.currency ?? '',
+        r.frequency, r.startDate, r.endDate ?? '', r.lastDate ?? '',
+    ]);
+}
+
+/** A YYYY-MM-DD cell that is a real date, or '' — "2024-13-45" is not one. */
+function _isoDate(cell) {
+    const value = String(cell ?? '').trim();
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value)) ? value : '';
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { buildRowIndex, rowFromRange, withRowDeleted, withRowsDeleted, rowsStillMatch } from './rowIndex.utils.js';
+
+// ─── buildRowIndex ────────────────────────────────────
+
+describe('buildRowIndex', () => {
+    test('given rows read from A2 — when built — then IDs map to 1-based sheet rows', () => {
+        // when
+        const index = buildRowIndex([['a', '2025-01-01'], ['b', '2025-01-02']]);
+        // then
+        expect(index.get('a')).toBe(2);
+        expect(index.get('b')).toBe(3);
+    });
+
+    test('given more than a thousand rows — when built — then the last row is still indexed', () => {
+        // given
+        const rows = Array.from({ length: 2500 }, (_, i) => [`id-${i}`]);
+        // when
+        const index = buildRowIndex(rows);
+        // then
+        expect(index.get('id-2499')).toBe(2501);
+    });
+
+    test('given blank ID cells — when built — then they are skipped without shifting later rows', () => {
+        // when
+        const index = buildRowIndex([['a'], [], [''], ['b']]);
+        // then
+        expect(index.size).toBe(2);
+        expect(index.get('b')).toBe(5);
+    });
+
+    test('given a duplicated ID — when built — then the first row wins', () => {
+        // when
+        const index = buildRowIndex([['a'], ['a']]);
+        // then
+        expect(index.get('a')).toBe(2);
+    });
+
+    test('given a custom first row — when built — then rows are offset from it', () => {
+        // when
+        const index = buildRowIndex([['a']], 10);
+        // then
+        expect(index.get('a')).toBe(10);
+    });
+
+    test('given no values — when built — then index is empty', () => {
+        expect(buildRowIndex(undefined).size).toBe(0);
+    });
+});
+
+// ─── rowFromRange ─────────────────────────────────────
+
+describe('rowFromRange', () => {
+    test('given an append updatedRange — when parsed — then its row is returned', () => {
+        expect(rowFromRange('spends!A1234:E1234')).toBe(1234);
+    });
+
+    test('given a quoted sheet name with absolute refs — when parsed — then its row is returned', () => {
+        expect(rowFromRange("'My sheet'!$A$57:$E$57")).toBe(57);
+    });
+
+    test('given a range without a row — when parsed — then -1 is returned', () => {
+        expect(rowFromRange('spends!A:E')).toBe(-1);
+        expect(rowFromRange(undefined)).toBe(-1);
+    });
+});
+
+// ─── withRowDeleted ───────────────────────────────────
+
+describe('withRowDeleted', () => {
+    const index = () => new Map([['a', 2], ['b', 3], ['c', 4]]);
+
+    test('given a deleted middle row — when applied — then rows below move up by one', () => {
+        // when
+        const next = withRowDeleted(index(), 3);
+        // then
+        expect([...next]).toEqual([['a', 2], ['c', 3]]);
+    });
+
+    test('given a deleted last row — when applied — then rows above are untouched', () => {
+        // when
+        const next = withRowDeleted(index(), 4);
+        // then
+        expect([...next]).toEqual([['a', 2], ['b', 3]]);
+    });
+
+    test('given an index — when a row is deleted — then input is not mutated', () => {
+        // given
+        const original = index();
+        // when
+        withRowDeleted(original, 2);
+        // then
+        expect(original.get('b')).toBe(3);
+    });
+});
+
+// ─── withRowsDeleted ──────────────────────────────────
+
+describe('withRowsDeleted', () => {
+    const index = () => new Map([['a', 2], ['b', 3], ['c', 4], ['d', 5], ['e', 6]]);
+
+    test('given rows deleted in one go — when applied — then the rest close up in order', () => {
+        // when
+        const next = withRowsDeleted(index(), [3, 5]);
+        // then
+        expect([...next]).toEqual([['a', 2], ['c', 3], ['e', 4]]);
+    });
+
+    test('given the rows in any order — when applied — then the result is the same', () => {
+        // when / then
+        expect([...withRowsDeleted(index(), [5, 2, 3])]).toEqual([...withRowsDeleted(index(), [2, 3, 5])]);
+    });
+
+    test('given no rows — when applied — then the index is unchanged', () => {
+        // when / then
+        expect([...withRowsDeleted(index(), [])]).toEqual([...index()]);
+    });
+});
+
+// ─── rowsStillMatch ───────────────────────────────────
+
+describe('rowsStillMatch', () => {
+    const located = new Map([['a', 2], ['c', 4]]);
+
+    test('given the ID cells hold the indexed IDs — when checked — then the rows match', () => {
+        // when / then
+        expect(rowsStillMatch(located, [{ values: [['a']] }, { values: [['c']] }])).toBe(true);
+    });
+
+    test('given a cached row now holding a different ID — when checked — then the rows do not match', () => {
+        // given — row 3 was deleted from another device, so "d" moved up into row 4
+        const cells = [{ values: [['a']] }, { values: [['d']] }];
+        // when / then
+        expect(rowsStillMatch(located, cells)).toBe(false);
+    });
+
+    test('given an indexed row that is now empty — when checked — then the rows do not match', () => {
+        // when / then
+        expect(rowsStillMatch(located, [{ values: [['a']] }, {}])).toBe(false);
+    });
+});
\ No newline at end of file
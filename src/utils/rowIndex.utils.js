@@ -0,0 +1,79 @@
+/**
+ * Pure helpers for the expense ID → sheet row index.
+ *
+ * Rows are 1-based A1 row numbers (header = row 1, first expense = row 2),
+ * i.e. exactly what goes into a range like `spends!A57:E57`.
+ */
+
+/**
+ * Builds an ID → row map from rows whose first cell is the expense ID.
+ * Blank IDs are skipped; for duplicated IDs the first row wins, matching
+ * what a top-down scan of column A would find.
+ *
+ * @param {Array<Array>} rows     - Raw values, e.g. from `A2:E` or `A2:A`
+ * @param {number}       firstRow - Sheet row of rows[0]
+ * @returns {Map<string, number>}
+ */
+export function buildRowIndex(rows, firstRow = 2) {
+    const index = new Map();
+    (rows || []).forEach((row, i) => {
+        const id = row?.[0];
+        if (id && !index.has(id)) index.set(id, firstRow + i);
+    });
+    return index;
+}
+
+/**
+ * Extracts the first row number from an A1 range returned by the API,
+ * e.g. the `updates.updatedRange` of an append response.
+ *
+ * @param {string} a1 - e.g. "spends!A57:E57" or "'My sheet'!$A$57"
+ * @returns {number} Row number, or -1 if the range has none
+ */
+export function rowFromRange(a1) {
+    const match = /!\$?[A-Z]+\$?(\d+)/.exec(a1 || '');
+    return match ? Number(match[1]) : -1;
+}
+
+/**
+ * Returns the index as it is after `deletedRow` was removed from the sheet:
+ * the row's own entry is dropped and every row below moves up by one.
+ *
+ * @param {Map<string, number>} index
+ * @param {number}              deletedRow
+ * @returns {Map<string, number>} new map — the input is not mutated
+ */
+export function withRowDeleted(index, deletedRow) {
+    const next = new Map();
+    index.forEach((row, id) => {
+        if (row === deletedRow) return;
+        next.set(id, row > deletedRow ? row - 1 : row);
+    });
+    return next;
+}
+
+/**
+ * Returns the index as it is after all of `deletedRows` were removed in one
+ * go. Rows are taken bottom-up, so each one is still at its original number
+ * when it is removed.
+ *
+ * @param {Map<string, number>} index
+ * @param {number[]}            deletedRows
+ * @returns {Map<string, number>} new map — the input is not mutated
+ */
+export function withRowsDeleted(index, deletedRows) {
+    return [...deletedRows].sort((a, b) => b - a).reduce(withRowDeleted, index);
+}
+
+/**
+ * Whether the ID cells read back from the sheet still hold the IDs the
+ * index put at those rows. A row deleted from another device shifts every
+ * row below it, and the index doesn't know until it is rebuilt.
+ *
+ * @param {Map<string, number>}        located - ID → row, as taken from the index
+ * @param {Array<{ values?: Array }>} cells   - one value range per entry of `located`, in its order
+ * @returns {boolean}
+ */
+export function rowsStillMatch(located, cells) {
+    return [...located.keys()].every((id, i) => cells[i]?.values?.[0]?.[0] === id);
+}
\ No newline at end of file
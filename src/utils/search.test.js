@@ -0,0 +1,103 @@
+import {
+    searchTerms,
+    amountMatches,
+    matchesSearch,
+    searchEntries,
+    highlightParts,
+} from './search.utils.js';
+
+const entry = (id, over = {}) => ({
+    id, date: '2025-03-10', category: 'health', amount: 120, comment: 'Dentist check-up', type: 'expense', ...over,
+});
+const labelOf = e => ({ health: 'Health', food: 'Food' })[e.category];
+
+// ─── Terms ────────────────────────────────────────────
+
+describe('searchTerms', () => {
+    test('given a query with extra spaces and capitals — when split — then lower-cased words are returned', () => {
+        expect(searchTerms('  Dentist   MARCH ')).toEqual(['dentist', 'march']);
+    });
+
+    test('given an empty query — when split — then there are no terms', () => {
+        expect(searchTerms('   ')).toEqual([]);
+    });
+});
+
+describe('amountMatches', () => {
+    test.each([
+        [120,    '120',    true],
+        [120.99, '120',    true],
+        [12.5,   '12.5',   true],
+        [12.5,   '12,50',  true],
+        [-12.5,  '12.50',  true],
+        [12.55,  '12.5',   false],
+        [1200,   '120',    false],
+        [120,    'dentist', false],
+    ])('given %p and %p — when compared — then it is %p', (amount, term, expected) => {
+        expect(amountMatches(amount, term)).toBe(expected);
+    });
+});
+
+// ─── Matching ─────────────────────────────────────────
+
+describe('matchesSearch', () => {
+    test('given words from the comment and the category — when matched — then the entry is found', () => {
+        expect(matchesSearch(entry('a'), ['dentist', 'health'], 'Health')).toBe(true);
+    });
+
+    test('given a word and the amount — when matched — then the entry is found', () => {
+        expect(matchesSearch(entry('a'), ['dent', '120'], 'Health')).toBe(true);
+    });
+
+    test('given one word the entry lacks — when matched — then it is not found', () => {
+        expect(matchesSearch(entry('a'), ['dentist', 'food'], 'Health')).toBe(false);
+    });
+
+    test('given no terms — when matched — then nothing is found', () => {
+        expect(matchesSearch(entry('a'), [], 'Health')).toBe(false);
+    });
+});
+
+describe('searchEntries', () => {
+    test('given entries from several years — when searched — then the matches come newest first', () => {
+        // given
+        const entries = [
+            entry('old', { date: '2023-03-02' }),
+            entry('new', { date: '2025-03-02' }),
+            entry('other', { comment: 'Lunch', category: 'food' }),
+        ];
+        // when
+        const result = searchEntries(entries, 'dentist', labelOf);
+        // then
+        expect(result.map(e => e.id)).toEqual(['new', 'old']);
+    });
+
+    test('given the same entry twice — when searched — then its later copy is listed once', () => {
+        const result = searchEntries([entry('a'), entry('a', { comment: 'Dentist, new filling' })], 'dentist', labelOf);
+        expect(result).toHaveLength(1);
+        expect(result[0].comment).toBe('Dentist, new filling');
+    });
+});
+
+// ─── Highlighting ─────────────────────────────────────
+
+describe('highlightParts', () => {
+    test('given matching words — when split — then the matches are marked whatever their case', () => {
+        expect(highlightParts('Dentist in March', ['dentist', 'march'])).toEqual([
+            { text: 'Dentist', match: true },
+            { text: ' in ',    match: false },
+            { text: 'March',   match: true },
+        ]);
+    });
+
+    test('given terms with regex characters — when split — then they are matched literally', () => {
+        expect(highlightParts('a+b (c)', ['(c)'])).toEqual([
+            { text: 'a+b ', match: false },
+            { text: '(c)',  match: true },
+        ]);
+    });
+
+    test('given no match — when split — then the text is one plain run', () => {
+        expect(highlightParts('Lunch', ['dentist'])).toEqual([{ text: 'Lunch', match: false }]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Pure helpers for the full-text search of the main screen. A query is split
+ * into words; an entry matches when every word is found in its comment or
+ * category name (case-insensitively) or, for a number, equals its amount.
+ * "12" finds 12.00 and 12.99, "12.5" or "12,50" only 12.50.
+ */
+
+/**
+ * @param {string} query
+ * @returns {string[]} lower-cased words
+ */
+export function searchTerms(query) {
+    return String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * @param {number} amount - signed; refunds match by their absolute value
+ * @param {string} term
+ * @returns {boolean}
+ */
+export function amountMatches(amount, term) {
+    const match = /^(\d+)(?:[.,](\d{1,2}))?$/.exec(term);
+    if (!match) return false;
+    const cents = Math.round(Math.abs(amount) * 100);
+    if (match[2] === undefined) return Math.floor(cents / 100) === Number(match[1]);
+    return cents === Number(match[1]) * 100 + Number(match[2].padEnd(2, '0'));
+}
+
+/**
+ * @param {{ amount: number, comment?: string }} entry
+ * @param {string[]} terms - from searchTerms
+ * @param {string} label - the entry's category name
+ * @returns {boolean}
+ */
+export function matchesSearch(entry, terms, label) {
+    const text = `${entry.comment ?? ''}\n${label}`.toLowerCase();
+    return terms.length > 0 && terms.every(t => text.includes(t) || amountMatches(entry.amount, t));
+}
+
+/**
+ * Entries matching a query, newest first. An entry listed twice (e.g. in an
+ * older read and in the live list) is kept once, as its later copy.
+ * @param {Array<Object>} entries
+ * @param {string} query
+ * @param {(entry: Object) => string} labelOf - category name of an entry
+ * @returns {Array<Object>}
+ */
+export function searchEntries(entries, query, labelOf) {
+    const terms  = searchTerms(query);
+    const unique = [...new Map(entries.map(e => [e.id, e])).values()];
+    return unique
+        .filter(e => matchesSearch(e, terms, labelOf(e)))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Splits text into matched and unmatched runs for highlighting.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function highlightParts(text, terms) {
+    if (!text) return [];
+    if (!terms.length) return [{ text, match: false }];
+    const pattern = new RegExp(`(${terms.map(_escapeRegExp).join('|')})`, 'giu');
+    return text.split(pattern)
+        .filter(Boolean)
+        .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+// ─── Private ──────────────────────────────────────────
+
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { toCellData, buildUpdateRowRequests, buildDeleteRowsRequests } from './sheetBatch.utils.js';
+
+const SHEET_ID = 7;
+
+// ─── toCellData ───────────────────────────────────────
+
+describe('toCellData', () => {
+    test('given a number — when converted — then it is a number value', () => {
+        // when / then
+        expect(toCellData(12.5)).toEqual({ userEnteredValue: { numberValue: 12.5 } });
+    });
+
+    test('given a date string — when converted — then it stays a string', () => {
+        // when / then
+        expect(toCellData('2025-03-01')).toEqual({ userEnteredValue: { stringValue: '2025-03-01' } });
+    });
+
+    test('given an empty cell — when converted — then it is an empty string', () => {
+        // when / then
+        expect(toCellData('')).toEqual({ userEnteredValue: { stringValue: '' } });
+    });
+});
+
+// ─── buildUpdateRowRequests ───────────────────────────
+
+describe('buildUpdateRowRequests', () => {
+    test('given a full row — when built — then one request starts at column A of the row', () => {
+        // when
+        const [request, ...rest] = buildUpdateRowRequests(SHEET_ID, 57, ['id-1', '2025-03-01', 10]);
+        // then
+        expect(rest).toHaveLength(0);
+        expect(request.updateCells.start).toEqual({ sheetId: SHEET_ID, rowIndex: 56, columnIndex: 0 });
+        expect(request.updateCells.rows[0].values).toHaveLength(3);
+        expect(request.updateCells.fields).toBe('userEnteredValue');
+    });
+
+    test('given a column the app does not know — when built — then it is skipped, not cleared', () => {
+        // when
+        const requests = buildUpdateRowRequests(SHEET_ID, 2, ['id-1', null, 'food', 10]);
+        // then
+        expect(requests.map(r => r.updateCells.start.columnIndex)).toEqual([0, 2]);
+        expect(requests.map(r => r.updateCells.rows[0].values.length)).toEqual([1, 2]);
+    });
+
+    test('given unknown trailing columns — when built — then the row ends before them', () => {
+        // when
+        const requests = buildUpdateRowRequests(SHEET_ID, 2, ['id-1', 'food', null, null]);
+        // then
+        expect(requests).toHaveLength(1);
+        expect(requests[0].updateCells.rows[0].values).toHaveLength(2);
+    });
+});
+
+// ─── buildDeleteRowsRequests ──────────────────────────
+
+describe('buildDeleteRowsRequests', () => {
+    const ranges = requests => requests.map(r => [r.deleteDimension.range.startIndex, r.deleteDimension.range.endIndex]);
+
+    test('given scattered rows — when built — then they are removed bottom-up', () => {
+        // when / then
+        expect(ranges(buildDeleteRowsRequests(SHEET_ID, [3, 10, 6]))).toEqual([[9, 10], [5, 6], [2, 3]]);
+    });
+
+    test('given adjacent rows — when built — then they share one request', () => {
+        // when / then
+        expect(ranges(buildDeleteRowsRequests(SHEET_ID, [4, 2, 3, 8]))).toEqual([[7, 8], [1, 4]]);
+    });
+
+    test('given the same row twice — when built — then it is removed once', () => {
+        // when / then
+        expect(ranges(buildDeleteRowsRequests(SHEET_ID, [5, 5]))).toEqual([[4, 5]]);
+    });
+
+    test('given rows — when built — then the requests target the given sheet', () => {
+        // when
+        const [request] = buildDeleteRowsRequests(SHEET_ID, [2]);
+        // then
+        expect(request.deleteDimension.range).toMatchObject({ sheetId: SHEET_ID, dimension: 'ROWS' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Pure builders for spreadsheets:batchUpdate requests, used to write many
+ * expense rows in a single request (bulk actions on a selection).
+ *
+ * Rows are 1-based sheet rows as in rowIndex.utils; the requests themselves
+ * take 0-based indexes, so sheet row N is index N - 1.
+ */
+
+/**
+ * Cell value as the API's CellData, entered as-is like the RAW values
+ * writes elsewhere: strings are never parsed into numbers or dates.
+ * @param {string|number|boolean} value
+ * @returns {Object}
+ */
+export function toCellData(value) {
+    if (typeof value === 'number')  return { userEnteredValue: { numberValue: value } };
+    if (typeof value === 'boolean') return { userEnteredValue: { boolValue: value } };
+    return { userEnteredValue: { stringValue: String(value ?? '') } };
+}
+
+/**
+ * updateCells requests writing `values` into a sheet row. Null values are
+ * columns the app doesn't know; they are left alone, so the row is written
+ * as one request per run of known columns.
+ *
+ * @param {number}  numericSheetId
+ * @param {number}  sheetRow - 1-based
+ * @param {Array}   values   - e.g. from expenseToRow
+ * @returns {Array<Object>}
+ */
+export function buildUpdateRowRequests(numericSheetId, sheetRow, values) {
+    const requests = [];
+    let start = -1;
+    values.forEach((value, col) => {
+        const known = value !== null;
+        if (known && start === -1) start = col;
+        if (start !== -1 && (!known || col === values.length - 1)) {
+            const end = known ? col + 1 : col;
+            requests.push({
+                updateCells: {
+                    rows:   [{ values: values.slice(start, end).map(toCellData) }],
+                    fields: 'userEnteredValue',
+                    start:  { sheetId: numericSheetId, rowIndex: sheetRow - 1, columnIndex: start },
+                },
+            });
+            start = -1;
+        }
+    });
+    return requests;
+}
+
+/**
+ * deleteDimension requests removing the given sheet rows, bottom-up so the
+ * rows still to be removed keep their numbers; adjacent rows share one
+ * request.
+ *
+ * @param {number}   numericSheetId
+ * @param {number[]} sheetRows - 1-based, any order
+ * @returns {Array<Object>}
+ */
+export function buildDeleteRowsRequests(numericSheetId, sheetRows) {
+    const rows   = [...new Set(sheetRows)].sort((a, b) => b - a);
+    const blocks = [];
+    for (const row of rows) {
+        const last = blocks[blocks.length - 1];
+        if (last && last.top === row + 1) last.top = row;
+        else blocks.push({ top: row, bottom: row });
+    }
+    return blocks.map(({ top, bottom }) => ({
+        deleteDimension: {
+            range: {
+                sheetId:    numericSheetId,
+                dimension:  'ROWS',
+                startIndex: top - 1,
+                endIndex:   bottom,
+            },
+        },
+    }));
+}
\ No newline at end of file
@@ -0,0 +1,285 @@
+import {
+    FIELDS,
+    SCHEMA_VERSION,
+    columnsForVersion,
+    resolveSchema,
+    detectVersion,
+    planMigration,
+    headerRow,
+    expenseToRow,
+    rowToExpense,
+    rowsToExpenses,
+    columnLetter,
+} from './sheetSchema.utils.js';
+
+const V1_HEADER = ['ID', 'Date', 'Category', 'Amount', 'Comment'];
+
+// A two-step history used to exercise migrations independently of the
+// real registry, which only grows over time.
+const TEST_MIGRATIONS = [
+    { version: 1, add: ['id', 'date', 'category', 'amount'] },
+    { version: 2, add: ['comment'] },
+];
+
+const expense = { id: 'a', date: '2025-03-01', category: 'food', amount: 12.5, comment: 'lunch', currency: '', type: 'expense', refundOf: '', paidBy: '', split: {}, author: '', createdAt: '', updatedAt: '', receipts: [], subcategory: '' };
+
+// ─── columnsForVersion ────────────────────────────────
+
+describe('columnsForVersion', () => {
+    test('given version 1 — when resolved — then the original five columns are returned', () => {
+        expect(columnsForVersion(1)).toEqual(['id', 'date', 'category', 'amount', 'comment']);
+    });
+
+    test('given the current version — when resolved — then every column is a registered field', () => {
+        columnsForVersion(SCHEMA_VERSION).forEach(key => expect(FIELDS[key]).toBeDefined());
+    });
+});
+
+// ─── resolveSchema ────────────────────────────────────
+
+describe('resolveSchema', () => {
+    test('given the v1 header — when resolved — then columns follow the header', () => {
+        // when
+        const schema = resolveSchema(V1_HEADER, 1);
+        // then
+        expect(schema).toEqual({ version: 1, columns: ['id', 'date', 'category', 'amount', 'comment'] });
+    });
+
+    test('given reordered headers in other case — when resolved — then columns are matched by label', () => {
+        // when
+        const schema = resolveSchema(['date', ' AMOUNT ', 'id'], 1);
+        // then
+        expect(schema.columns).toEqual(['date', 'amount', 'id']);
+    });
+
+    test('given a column inserted by the user — when resolved — then it maps to null', () => {
+        // when
+        const schema = resolveSchema(['ID', 'Date', 'My notes', 'Category', 'Amount'], 1);
+        // then
+        expect(schema.columns).toEqual(['id', 'date', null, 'category', 'amount']);
+    });
+
+    test('given no recognised header — when resolved — then the positional layout of the version is used', () => {
+        // when
+        const schema = resolveSchema([], 1);
+        // then
+        expect(schema.columns).toEqual(columnsForVersion(1));
+    });
+});
+
+// ─── detectVersion ────────────────────────────────────
+
+describe('detectVersion', () => {
+    test('given every column of version 2 — when detected — then version 2 is returned', () => {
+        expect(detectVersion(V1_HEADER, TEST_MIGRATIONS)).toBe(2);
+    });
+
+    test('given only the version 1 columns — when detected — then version 1 is returned', () => {
+        expect(detectVersion(['ID', 'Date', 'Category', 'Amount'], TEST_MIGRATIONS)).toBe(1);
+    });
+
+    test('given the real registry and the original header — when detected — then version 1 is returned', () => {
+        expect(detectVersion(V1_HEADER)).toBe(1);
+    });
+
+    test('given an empty header — when detected — then it defaults to version 1', () => {
+        expect(detectVersion([], TEST_MIGRATIONS)).toBe(1);
+    });
+});
+
+// ─── planMigration ────────────────────────────────────
+
+describe('planMigration', () => {
+    const migrations = TEST_MIGRATIONS;
+
+    test('given a sheet behind the target — when planned — then missing headers are appended after the last column', () => {
+        // given
+        const schema = resolveSchema(['ID', 'Date', 'Category', 'Amount'], 1, migrations);
+        // when
+        const plan = planMigration(schema, 2, migrations);
+        // then
+        expect(plan.startColumn).toBe(4);
+        expect(plan.headers).toEqual(['Comment']);
+        expect(plan.schema).toEqual({ version: 2, columns: ['id', 'date', 'category', 'amount', 'comment'] });
+    });
+
+    test('given a half-applied migration — when planned — then present columns are not added again', () => {
+        // given
+        const schema = resolveSchema(V1_HEADER, 1, migrations);
+        // when
+        const plan = planMigration(schema, 2, migrations);
+        // then
+        expect(plan.headers).toEqual([]);
+        expect(plan.schema.version).toBe(2);
+    });
+
+    test('given a user column at the end — when planned — then new columns go after it', () => {
+        // given
+        const schema = resolveSchema(['ID', 'Date', 'Category', 'Amount', 'Extra'], 1, migrations);
+        // when
+        const plan = planMigration(schema, 2, migrations);
+        // then
+        expect(plan.startColumn).toBe(5);
+    });
+
+    test('given a sheet at the target version — when planned — then nothing is to be done', () => {
+        expect(planMigration({ version: 2, columns: [] }, 2, migrations)).toBeNull();
+    });
+});
+
+// ─── Row mapping ──────────────────────────────────────
+
+describe('row mapping', () => {
+    const schema = resolveSchema(V1_HEADER, 1);
+
+    test('given the current version — when header built — then it has a label per column', () => {
+        expect(headerRow()[0]).toHaveLength(columnsForVersion(SCHEMA_VERSION).length);
+    });
+
+    test('given an expense — when serialized and read back — then it round-trips', () => {
+        // when
+        const row = expenseToRow(expense, schema);
+        // then
+        expect(row).toEqual(['a', '2025-03-01', 'food', 12.5, 'lunch']);
+        expect(rowToExpense(row, schema)).toEqual(expense);
+    });
+
+    test('given a v2 row with a currency — when read — then the code is normalised', () => {
+        // given
+        const v2 = resolveSchema([...V1_HEADER, 'Currency'], 2);
+        // when
+        const result = rowToExpense(['a', '2025-03-01', 'food', '12.5', 'lunch', ' eur '], v2);
+        // then
+        expect(result.currency).toBe('EUR');
+        expect(expenseToRow(result, v2)[5]).toBe('EUR');
+    });
+
+    test('given a v3 row typed as income — when read — then the type is kept, and older rows read as expenses', () => {
+        // given
+        const v3 = resolveSchema([...V1_HEADER, 'Currency', 'Type'], 3);
+        // when
+        const income = rowToExpense(['a', '2025-03-01', 'salary', '3000', '', '', 'Income'], v3);
+        const old    = rowToExpense(['b', '2025-03-01', 'food', '12.5', 'lunch'], v3);
+        // then
+        expect(income.type).toBe('income');
+        expect(expenseToRow(income, v3)[6]).toBe('income');
+        expect(old.type).toBe('expense');
+    });
+
+    test('given a v4 refund row — when read — then the negative amount and the link are kept', () => {
+        // given
+        const v4 = resolveSchema([...V1_HEADER, 'Currency', 'Type', 'Refund of'], 4);
+        // when
+        const refund = rowToExpense(['r', '2025-03-05', 'clothes', '-79.99', 'Jacket', '', 'expense', 'a'], v4);
+        // then
+        expect(refund).toMatchObject({ amount: -79.99, refundOf: 'a' });
+        expect(expenseToRow(refund, v4).slice(3)).toEqual([-79.99, 'Jacket', '', 'expense', 'a']);
+    });
+
+    test('given a v5 shared row — when read — then the payer and split are kept', () => {
+        // given
+        const v5 = resolveSchema([...V1_HEADER, 'Currency', 'Type', 'Refund of', 'Paid by', 'Split'], 5);
+        // when
+        const row = rowToExpense(['s', '2025-03-05', 'food', '90', '', '', '', '', 'Ann@x.com', 'ann@x.com; bob@y.com=2'], v5);
+        // then
+        expect(row).toMatchObject({ paidBy: 'ann@x.com', split: { 'ann@x.com': 1, 'bob@y.com': 2 } });
+        expect(expenseToRow(row, v5).slice(8)).toEqual(['ann@x.com', 'ann@x.com; bob@y.com=2']);
+    });
+
+    test('given a v6 row — when read — then the author and timestamps are kept', () => {
+        // given
+        const v6  = resolveSchema([...V1_HEADER, 'Currency', 'Type', 'Refund of', 'Paid by', 'Split', 'Author', 'Created', 'Updated'], 6);
+        const row = ['a', '2025-03-05', 'food', '9', '', '', '', '', '', '', 'Bob@Y.com', '2025-03-05T10:00:00.000Z', ''];
+        // when
+        const entry = rowToExpense(row, v6);
+        // then
+        expect(entry).toMatchObject({ author: 'bob@y.com', createdAt: '2025-03-05T10:00:00.000Z', updatedAt: '' });
+        expect(expenseToRow(entry, v6).slice(10)).toEqual(['bob@y.com', '2025-03-05T10:00:00.000Z', '']);
+    });
+
+    test('given a v7 row — when read — then the receipt links become file IDs and are written back as links', () => {
+        // given
+        const v7   = resolveSchema([...V1_HEADER, 'Currency', 'Type', 'Refund of', 'Paid by', 'Split', 'Author', 'Created', 'Updated', 'Receipts'], 7);
+        const link = 'https://drive.google.com/file/d/1AbCdEfGhIjKlMnOp/view';
+        const row  = ['a', '2025-03-05', 'food', '9', '', '', '', '', '', '', '', '', '', link];
+        // when
+        const entry = rowToExpense(row, v7);
+        // then
+        expect(entry.receipts).toEqual(['1AbCdEfGhIjKlMnOp']);
+        expect(expenseToRow(entry, v7)[13]).toBe(link);
+    });
+
+    test('given rows before and after v8 — when read — then only the newer one has a subcategory', () => {
+        // given
+        const v7 = resolveSchema([...V1_HEADER, 'Currency', 'Type', 'Refund of', 'Paid by', 'Split', 'Author', 'Created', 'Updated', 'Receipts'], 7);
+        const v8 = resolveSchema([...v7.columns.map(key => FIELDS[key].header), 'Subcategory'], 8);
+        const row = ['a', '2025-03-05', 'food', '9', '', '', '', '', '', '', '', '', '', '', 'bakery'];
+        // when
+        const older = rowToExpense(row.slice(0, 14), v7);
+        const newer = rowToExpense(row, v8);
+        // then
+        expect(older).toMatchObject({ category: 'food', subcategory: '' });
+        expect(newer).toMatchObject({ category: 'food', subcategory: 'bakery' });
+        expect(expenseToRow(newer, v8)[14]).toBe('bakery');
+    });
+
+    test('given a user-owned column — when serialized — then its cell is null so it is left untouched', () => {
+        // given
+        const withUserColumn = resolveSchema(['ID', 'Date', 'Notes', 'Category', 'Amount', 'Comment'], 1);
+        // when
+        const row = expenseToRow(expense, withUserColumn);
+        // then
+        expect(row[2]).toBeNull();
+        expect(rowToExpense(['a', '2025-03-01', 'mine', 'food', '12.5', 'lunch'], withUserColumn)).toEqual(expense);
+    });
+
+    test('given a row shorter than the schema — when read — then missing fields get defaults', () => {
+        // when
+        const result = rowToExpense(['a', '2025-03-01', '', '5'], schema);
+        // then
+        expect(result.category).toBe('other');
+        expect(result.comment).toBe('');
+    });
+
+    test('given a schema without a field — when read — then the field still gets its default', () => {
+        // when
+        const result = rowToExpense(['a', '5'], { version: 1, columns: ['id', 'amount'] });
+        // then
+        expect(result).toEqual({ id: 'a', date: '', category: 'other', amount: 5, comment: '', currency: '', type: 'expense', refundOf: '', paidBy: '', split: {}, author: '', createdAt: '', updatedAt: '', receipts: [], subcategory: '' });
+    });
+
+    test('given a row with zero or invalid amount — when read — then it is dropped', () => {
+        // when
+        const result = rowsToExpenses([['a', '2025-03-01', 'food', '0'], ['b', '2025-03-01', 'food', 'x'], ['c', '2025-03-01', 'food', '3']], schema);
+        // then
+        expect(result.map(e => e.id)).toEqual(['c']);
+    });
+
+    test('given an ID on two rows — when read — then only the first row is kept', () => {
+        // when
+        const result = rowsToExpenses([['rec-r-2025-03-01', '2025-03-01', 'food', '3'], ['b', '2025-03-01', 'food', '4'], ['rec-r-2025-03-01', '2025-03-01', 'food', '5']], schema);
+        // then
+        expect(result.map(e => [e.id, e.amount])).toEqual([['rec-r-2025-03-01', 3], ['b', 4]]);
+    });
+
+    test('given a row without ID — when read — then a generated ID is assigned', () => {
+        expect(rowToExpense(['', '2025-03-01', 'food', '3'], schema).id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
+
+// ─── columnLetter ─────────────────────────────────────
+
+describe('columnLetter', () => {
+    test.each([
+        [0,  'A'],
+        [4,  'E'],
+        [25, 'Z'],
+        [26, 'AA'],
+        [51, 'AZ'],
+        [52, 'BA'],
+        [701, 'ZZ'],
+        [702, 'AAA'],
+    ])('given index %i — when converted — then %s is returned', (index, letter) => {
+        expect(columnLetter(index)).toBe(letter);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,291 @@
+import { uuid, parseSignedAmount } from './helpers.js';
+import { normaliseCurrency } from './currency.utils.js';
+import { normaliseType } from './cashflow.utils.js';
+import { normaliseEmail, parseSplit, splitToCell } from './split.utils.js';
+import { parseReceipts, receiptsToCell } from './receipt.utils.js';
+
+/**
+ * Versioned layout of the expenses tab.
+ *
+ * The spreadsheet stores the version it was last migrated to (see
+ * sheetsHelpers.ensureSchema); everything below is pure so the layout logic
+ * can be tested without the Sheets API.
+ *
+ * A schema is `{ version, columns }` where `columns[i]` is the FIELDS key
+ * stored in sheet column i, or null for a column the app doesn't own (e.g.
+ * one the user inserted by hand) — those are read as nothing and never
+ * overwritten.
+ */
+
+// ─── Field registry ───────────────────────────────────
+
+/**
+ * Every expense property the app can store in the sheet.
+ *   header   — label written to row 1; also how columns are recognised
+ *   toCell   — expense → cell value
+ *   fromCell — raw cell (undefined when the row is shorter) → property value
+ */
+export const FIELDS = {
+    id: {
+        header:   'ID',
+        toCell:   e => e.id,
+        fromCell: v => v || uuid(),
+    },
+    date: {
+        header:   'Date',
+        toCell:   e => e.date,
+        fromCell: v => v || '',
+    },
+    category: {
+        header:   'Category',
+        toCell:   e => e.category,
+        fromCell: v => v || 'other',
+    },
+    amount: {
+        header:   'Amount',
+        toCell:   e => e.amount,
+        fromCell: v => parseSignedAmount(v),
+    },
+    comment: {
+        header:   'Comment',
+        toCell:   e => e.comment ?? '',
+        fromCell: v => v || '',
+    },
+    currency: {
+        header:   'Currency',
+        toCell:   e => e.currency ?? '',
+        fromCell: v => normaliseCurrency(v),
+    },
+    type: {
+        header:   'Type',
+        toCell:   e => normaliseType(e.type),
+        fromCell: v => normaliseType(v),
+    },
+    refundOf: {
+        header:   'Refund of',
+        toCell:   e => e.refundOf ?? '',
+        fromCell: v => v || '',
+    },
+    paidBy: {
+        header:   'Paid by',
+        toCell:   e => e.paidBy ?? '',
+        fromCell: v => normaliseEmail(v),
+    },
+    split: {
+        header:   'Split',
+        toCell:   e => splitToCell(e.split),
+        fromCell: v => parseSplit(v),
+    },
+    author: {
+        header:   'Author',
+        toCell:   e => e.author ?? '',
+        fromCell: v => normaliseEmail(v),
+    },
+    createdAt: {
+        header:   'Created',
+        toCell:   e => e.createdAt ?? '',
+        fromCell: v => v || '',
+    },
+    updatedAt: {
+        header:   'Updated',
+        toCell:   e => e.updatedAt ?? '',
+        fromCell: v => v || '',
+    },
+    receipts: {
+        header:   'Receipts',
+        toCell:   e => receiptsToCell(e.receipts),
+        fromCell: v => parseReceipts(v),
+    },
+    subcategory: {
+        header:   'Subcategory',
+        toCell:   e => e.subcategory ?? '',
+        fromCell: v => v || '',
+    },
+};
+
+// ─── Migrations ───────────────────────────────────────
+
+/**
+ * Ordered list of schema versions. Each one appends its fields as new
+ * columns to the right of the existing ones, so rows written by an older
+ * app version stay valid — their new cells just read as the field default.
+ *
+ * To add a field: register it in FIELDS, then append
+ * `{ version: <last + 1>, add: ['fieldKey'] }` here.
+ */
+export const MIGRATIONS = [
+    { version: 1, add: ['id', 'date', 'category', 'amount', 'comment'] },
+    { version: 2, add: ['currency'] },
+    { version: 3, add: ['type'] },
+    { version: 4, add: ['refundOf'] },
+    { version: 5, add: ['paidBy', 'split'] },
+    { version: 6, add: ['author', 'createdAt', 'updatedAt'] },
+    { version: 7, add: ['receipts'] },
+    { version: 8, add: ['subcategory'] },
+];
+
+/** Version a spreadsheet is migrated to on first use. */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Field keys in column order for a given version.
+ * @param {number} version
+ * @param {Array}  [migrations]
+ * @returns {string[]}
+ */
+export function columnsForVersion(version, migrations = MIGRATIONS) {
+    return migrations
+        .filter(m => m.version <= version)
+        .flatMap(m => m.add);
+}
+
+// ─── Schema resolution ────────────────────────────────
+
+/**
+ * Works out which field lives in which column from the sheet's header row.
+ *
+ * Columns are matched by header label (case-insensitive), so a user moving
+ * or inserting columns by hand doesn't corrupt reads or writes. A header row
+ * with no recognised labels at all is treated as the positional layout of
+ * `version` — that covers sheets whose header was deleted or renamed.
+ *
+ * @param {Array<string>} header  - Raw values of row 1
+ * @param {number}        version - Version stored in the spreadsheet
+ * @param {Array}         [migrations]
+ * @returns {{ version: number, columns: Array<string|null> }}
+ */
+export function resolveSchema(header, version, migrations = MIGRATIONS) {
+    const byLabel = _fieldsByLabel();
+    const columns = (header || []).map(cell => byLabel.get(_label(cell)) ?? null);
+
+    if (!columns.some(Boolean)) {
+        return { version, columns: columnsForVersion(version, migrations) };
+    }
+    return { version, columns };
+}
+
+/**
+ * Guesses the version of a spreadsheet that has no stored version yet
+ * (created before versioning existed): the highest version whose columns
+ * are all present in the header. Defaults to 1.
+ *
+ * @param {Array<string>} header
+ * @param {Array}         [migrations]
+ * @returns {number}
+ */
+export function detectVersion(header, migrations = MIGRATIONS) {
+    const present = new Set((header || []).map(_label));
+    let version = 1;
+    for (const m of migrations) {
+        if (!m.add.every(key => present.has(_label(FIELDS[key]?.header)))) break;
+        version = m.version;
+    }
+    return version;
+}
+
+/**
+ * Header cells to append to bring `schema` up to `targetVersion`.
+ * Fields already present (e.g. a migration that was half-applied before the
+ * version could be saved) are skipped, so running a plan twice is harmless.
+ *
+ * @param {{ version: number, columns: Array<string|null> }} schema
+ * @param {number} [targetVersion]
+ * @param {Array}  [migrations]
+ * @returns {{ startColumn: number, headers: string[], schema: Object } | null}
+ *          null when nothing has to be written
+ */
+export function planMigration(schema, targetVersion = SCHEMA_VERSION, migrations = MIGRATIONS) {
+    if (schema.version >= targetVersion) return null;
+
+    const missing = migrations
+        .filter(m => m.version > schema.version && m.version <= targetVersion)
+        .flatMap(m => m.add)
+        .filter(key => !schema.columns.includes(key));
+
+    return {
+        startColumn: schema.columns.length,
+        headers:     missing.map(key => FIELDS[key].header),
+        schema:      { version: targetVersion, columns: [...schema.columns, ...missing] },
+    };
+}
+
+// ─── Row mapping ──────────────────────────────────────
+
+/**
+ * Header row for a brand-new spreadsheet at the current version.
+ * @returns {string[][]}
+ */
+export function headerRow() {
+    return [columnsForVersion(SCHEMA_VERSION).map(key => FIELDS[key].header)];
+}
+
+/**
+ * Serializes an expense into a row laid out for `schema`.
+ * Columns the app doesn't own are null, which the Sheets API leaves untouched.
+ *
+ * @param {Object} expense
+ * @param {{ columns: Array<string|null> }} schema
+ * @returns {Array}
+ */
+export function expenseToRow(expense, schema) {
+    return schema.columns.map(key => key ? FIELDS[key].toCell(expense) : null);
+}
+
+/**
+ * Deserializes a row laid out for `schema`. Fields the schema doesn't have
+ * yet get their default value, so every expense has the same shape.
+ * Negative amounts are refunds; returns null for rows with a zero or
+ * unreadable amount.
+ *
+ * @param {Array} row
+ * @param {{ columns: Array<string|null> }} schema
+ * @returns {Object|null}
+ */
+export function rowToExpense(row, schema) {
+    const expense = {};
+    for (const [key, field] of Object.entries(FIELDS)) {
+        const col = schema.columns.indexOf(key);
+        expense[key] = field.fromCell(col === -1 ? undefined : row[col]);
+    }
+    return expense.amount !== 0 ? expense : null;
+}
+
+/**
+ * Maps a 2D array of raw rows into valid expense objects, dropping invalid ones.
+ * An ID appended twice (two devices creating the same recurring occurrence)
+ * is read once; the first row wins, as in the row index.
+ * @param {Array<Array>} rows
+ * @param {{ columns: Array<string|null> }} schema
+ * @returns {Array}
+ */
+export function rowsToExpenses(rows, schema) {
+    const seen = new Set();
+    return (rows || []).map(row => rowToExpense(row, schema)).filter(expense => {
+        if (!expense || seen.has(expense.id)) return false;
+        seen.add(expense.id);
+        return true;
+    });
+}
+
+/**
+ * Converts a 0-based column index to its A1 letter: 0 → A, 25 → Z, 26 → AA.
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+// ─── Internal helpers ─────────────────────────────────
+
+function _label(cell) {
+    return String(cell ?? '').trim().toLowerCase();
+}
+
+function _fieldsByLabel() {
+    return new Map(Object.entries(FIELDS).map(([key, field]) => [_label(field.header), key]));
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+import {
+    parseSplit,
+    splitToCell,
+    isShared,
+    ledgerMembers,
+    memberLetter,
+    splitAmount,
+    balances,
+    settleUp,
+    parseSettlements,
+    settlementsToRows,
+    settledBalances,
+} from './split.utils.js';
+
+const shared = (paidBy, amount, split) => ({ amount, paidBy, split });
+
+// ─── Sheet cell ───────────────────────────────────────
+
+describe('parseSplit / splitToCell', () => {
+    test('given a split — when serialized and parsed back — then it round-trips', () => {
+        // given
+        const split = { 'ann@x.com': 1, 'bob@y.com': 2 };
+        // when
+        const cell = splitToCell(split);
+        // then
+        expect(cell).toBe('ann@x.com; bob@y.com=2');
+        expect(parseSplit(cell)).toEqual(split);
+    });
+
+    test('given a hand-edited cell — when parsed — then emails are normalised and invalid members dropped', () => {
+        expect(parseSplit(' Ann@X.com ;bob=1; cid@z.com=0; dan@w.com=1,5;')).toEqual({ 'ann@x.com': 1, 'dan@w.com': 1.5 });
+    });
+
+    test('given an empty cell — when parsed — then the entry is not shared', () => {
+        expect(parseSplit(undefined)).toEqual({});
+        expect(isShared({ paidBy: 'ann@x.com', split: {} })).toBe(false);
+    });
+});
+
+// ─── Members ──────────────────────────────────────────
+
+describe('ledgerMembers', () => {
+    test('given every source — when merged — then the signed-in user comes first and duplicates collapse', () => {
+        // when
+        const members = ledgerMembers({
+            myEmail:     'Bob@y.com',
+            ownerEmail:  'ann@x.com',
+            sharedUsers: [{ email: 'bob@y.com' }, { email: 'dan@w.com' }],
+            entries:     [shared('cid@z.com', 10, { 'eve@v.com': 1 }), { amount: 5, author: 'fay@u.com' }],
+        });
+        // then
+        expect(members).toEqual(['bob@y.com', 'ann@x.com', 'cid@z.com', 'dan@w.com', 'eve@v.com', 'fay@u.com']);
+    });
+});
+
+describe('memberLetter', () => {
+    test('given a name — when shown as an avatar — then its first letter is capitalised', () => {
+        expect(memberLetter(' ann')).toBe('A');
+    });
+
+    test('given an author cell without a local part — when its name is empty — then a placeholder is shown', () => {
+        // given
+        const [email] = ledgerMembers({ entries: [{ amount: 5, author: '@x.com' }] });
+        // when / then
+        expect(memberLetter(email.split('@')[0])).toBe('?');
+        expect(memberLetter(undefined)).toBe('?');
+    });
+});
+
+// ─── Balances ─────────────────────────────────────────
+
+describe('splitAmount', () => {
+    test('given an amount that does not divide evenly — when split — then parts add up to the cent', () => {
+        expect(splitAmount(10, { a: 1, b: 1, c: 1 })).toEqual({ a: 3.34, b: 3.33, c: 3.33 });
+    });
+
+    test('given weights — when split — then parts are proportional', () => {
+        expect(splitAmount(90, { a: 1, b: 2 })).toEqual({ a: 30, b: 60 });
+    });
+});
+
+describe('balances', () => {
+    test('given shared expenses — when balanced — then the payer is owed what others owe', () => {
+        // given
+        const entries = [
+            shared('ann', 90, { ann: 1, bob: 1, cid: 1 }),
+            shared('bob', 30, { ann: 1, bob: 1, cid: 1 }),
+            { amount: 500, paidBy: 'cid', split: {} },
+            { amount: 1000, type: 'income', paidBy: 'ann', split: { bob: 1 } },
+        ];
+        // when / then
+        expect(balances(entries)).toEqual({ ann: 50, bob: -10, cid: -40 });
+    });
+
+    test('given a refund of a shared expense — when balanced — then it cancels the original', () => {
+        const entries = [shared('ann', 60, { ann: 1, bob: 1 }), shared('ann', -60, { ann: 1, bob: 1 })];
+        expect(balances(entries)).toEqual({ ann: 0, bob: 0 });
+    });
+});
+
+// ─── Settlements ──────────────────────────────────────
+
+describe('parseSettlements / settlementsToRows', () => {
+    test('given settlement rows — when parsed — then emails are normalised and invalid rows dropped', () => {
+        // given
+        const rows = [
+            ['s1', '2025-03-10', ' Bob@Y.com ', 'ann@x.com', '40', 'eur'],
+            ['s2', '2025-03-10', 'ann@x.com', 'ann@x.com', '5', ''],
+            ['s3', '2025-03-10', 'bob@y.com', '', '5', ''],
+            ['s4', '2025-03-10', 'bob@y.com', 'ann@x.com', '0', ''],
+        ];
+        // when / then
+        expect(parseSettlements(rows)).toEqual([
+            { id: 's1', date: '2025-03-10', from: 'bob@y.com', to: 'ann@x.com', amount: 40, currency: 'EUR' },
+        ]);
+    });
+
+    test('given settlements — when written and read back — then they round-trip', () => {
+        // given
+        const settlements = [{ id: 's1', date: '2025-03-10', from: 'bob@y.com', to: 'ann@x.com', amount: 12.5, currency: 'PLN' }];
+        // when / then
+        expect(parseSettlements(settlementsToRows(settlements))).toEqual(settlements);
+    });
+});
+
+describe('settledBalances', () => {
+    test('given a recorded payment — when applied — then both balances move towards zero', () => {
+        // given
+        const balanceOf = { ann: 50, bob: -10, cid: -40 };
+        // when
+        const result = settledBalances(balanceOf, [{ from: 'cid', to: 'ann', amount: 40 }]);
+        // then
+        expect(result).toEqual({ ann: 10, bob: -10, cid: 0 });
+    });
+
+    test('given payments in cents — when applied — then no float drift is left', () => {
+        // when
+        const result = settledBalances({ ann: 0.3, bob: -0.3 }, [{ from: 'bob', to: 'ann', amount: 0.1 }, { from: 'bob', to: 'ann', amount: 0.2 }]);
+        // then
+        expect(result).toEqual({ ann: 0, bob: 0 });
+    });
+});
+
+// ─── Settle up ────────────────────────────────────────
+
+describe('settleUp', () => {
+    test('given one creditor — when settled — then every debtor pays them', () => {
+        expect(settleUp({ ann: 50, bob: -10, cid: -40 })).toEqual([
+            { from: 'cid', to: 'ann', amount: 40 },
+            { from: 'bob', to: 'ann', amount: 10 },
+        ]);
+    });
+
+    test('given balances that pair off — when settled — then pairs settle directly', () => {
+        // given — matching largest debts first would take 5 transfers here
+        const balanceOf = { a: 6, b: 5, c: -5, d: 4, e: 4, f: -14 };
+        // when
+        const transfers = settleUp(balanceOf);
+        // then
+        expect(transfers).toHaveLength(4);
+        expect(transfers).toContainEqual({ from: 'c', to: 'b', amount: 5 });
+    });
+
+    test('given groups that settle independently — when settled — then one transfer per pair', () => {
+        // given
+        const balanceOf = { a: 7, b: -7, c: 2.5, d: -2.5, e: 0 };
+        // when / then
+        expect(settleUp(balanceOf)).toHaveLength(2);
+    });
+
+    test('given settled balances — when settled — then nothing is transferred', () => {
+        expect(settleUp({ ann: 0, bob: 0 })).toEqual([]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,302 @@
+import Big from 'big.js';
+import { parseAmount } from './helpers.js';
+import { ofType } from './cashflow.utils.js';
+
+/**
+ * Pure helpers for splitting expenses in a shared ledger.
+ *
+ * An expense may record who paid it (`paidBy`, an email) and how it is
+ * split (`split`, email → share weight). Each member owes the part of the
+ * amount proportional to their share; the payer is owed all of it. Entries
+ * without a payer or a split are personal and never affect balances.
+ *
+ * In the sheet a split is one cell, e.g. "ann@x.com; bob@y.com=2": members
+ * separated by ";", with an optional "=weight" (1 when omitted).
+ *
+ * Money paid back between members is recorded as a settlement in its own
+ * tab rather than as an expense, so it never counts as spending; it only
+ * moves the two members' balances towards zero.
+ */
+
+/**
+ * @param {*} value
+ * @returns {string} trimmed lower-case email, or '' for anything else
+ */
+export function normaliseEmail(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+// ─── Sheet cell ───────────────────────────────────────
+
+/**
+ * Reads a Split cell. Members without an "@" or with a non-positive weight
+ * are dropped; a repeated member keeps the last weight.
+ * @param {*} cell
+ * @returns {Object<string, number>}
+ */
+export function parseSplit(cell) {
+    const split = {};
+    for (const part of String(cell ?? '').split(';')) {
+        const [who, weight] = part.split('=');
+        const email = normaliseEmail(who);
+        const share = weight === undefined ? 1 : parseAmount(weight);
+        if (email.includes('@') && share > 0) split[email] = share;
+    }
+    return split;
+}
+
+/**
+ * @param {Object<string, number>|undefined} split
+ * @returns {string}
+ */
+export function splitToCell(split) {
+    return Object.entries(split || {})
+        .map(([email, share]) => share === 1 ? email : `${email}=${share}`)
+        .join('; ');
+}
+
+/**
+ * @param {{ paidBy?: string, split?: Object<string, number> }} entry
+ * @returns {boolean} whether the entry takes part in balances
+ */
+export function isShared(entry) {
+    return Boolean(entry.paidBy) && Object.keys(entry.split || {}).length > 0;
+}
+
+// ─── Members ──────────────────────────────────────────
+
+/**
+ * Everyone who can pay or share in the ledger: the signed-in user, the
+ * sheet owner, the users it is shared with, and anyone already named in an
+ * entry as author, payer or sharer (guests don't see the sharing list).
+ * The signed-in user comes first, the rest alphabetically.
+ *
+ * @param {{
+ *   myEmail?: string|null,
+ *   ownerEmail?: string|null,
+ *   sharedUsers?: Array<{ email: string }>,
+ *   entries?: Array<{ author?: string, paidBy?: string, split?: Object<string, number> }>
+ * }} sources
+ * @returns {string[]}
+ */
+export function ledgerMembers({ myEmail = null, ownerEmail = null, sharedUsers = [], entries = [] }) {
+    const me     = normaliseEmail(myEmail);
+    const others = new Set([
+        normaliseEmail(ownerEmail),
+        ...sharedUsers.map(u => normaliseEmail(u.email)),
+        ...entries.flatMap(e => [normaliseEmail(e.author), normaliseEmail(e.paidBy), ...Object.keys(e.split || {})]),
+    ]);
+    others.delete(me);
+    others.delete('');
+    return [...(me ? [me] : []), ...[...others].sort()];
+}
+
+/**
+ * Initial shown in place of a member's avatar; '?' for an empty name, e.g.
+ * a hand-edited author cell like "@x.com".
+ * @param {string} name
+ * @returns {string}
+ */
+export function memberLetter(name) {
+    return (String(name ?? '').trim()[0] ?? '?').toUpperCase();
+}
+
+// ─── Balances ─────────────────────────────────────────
+
+/**
+ * Splits an amount by share weights, in cents, so the parts add up to the
+ * amount exactly: leftover cents go to the first members.
+ * @param {number} amount
+ * @param {Object<string, number>} split
+ * @returns {Object<string, number>} email → amount owed
+ */
+export function splitAmount(amount, split) {
+    const entries = Object.entries(split);
+    const cents   = _cents(amount);
+    const weight  = entries.reduce((sum, [, share]) => sum.plus(share), new Big(0));
+    if (!entries.length || weight.eq(0)) return {};
+
+    const parts = entries.map(([, share]) =>
+        Number(new Big(cents).times(share).div(weight).round(0, Big.roundDown))
+    );
+    let left = cents - parts.reduce((a, b) => a + b, 0);
+    const step = Math.sign(left);
+    for (let i = 0; left !== 0; i = (i + 1) % parts.length) {
+        parts[i] += step;
+        left     -= step;
+    }
+    return Object.fromEntries(entries.map(([email], i) => [email, parts[i] / 100]));
+}
+
+/**
+ * Net balance of each member over shared expenses: positive when the
+ * member is owed money, negative when they owe. Refunds (negative amounts)
+ * reverse the original split; income is ignored.
+ *
+ * @param {Array<{ amount: number, type?: string, paidBy?: string, split?: Object<string, number> }>} entries
+ *        amounts in one currency (see inBaseCurrency)
+ * @returns {Object<string, number>}
+ */
+export function balances(entries) {
+    const cents = {};
+    const add   = (email, value) => { cents[email] = (cents[email] ?? 0) + value; };
+
+    for (const e of ofType(entries, 'expense').filter(isShared)) {
+        add(normaliseEmail(e.paidBy), _cents(e.amount));
+        for (const [email, owed] of Object.entries(splitAmount(e.amount, e.split))) {
+            add(email, -Math.round(owed * 100));
+        }
+    }
+    return Object.fromEntries(Object.entries(cents).map(([email, value]) => [email, value / 100]));
+}
+
+/**
+ * @param {number} amount
+ * @returns {number} whole cents, halves rounded away from zero
+ */
+function _cents(amount) {
+    return Number(new Big(amount).times(100).round(0, Big.roundHalfUp));
+}
+
+// ─── Settlements ──────────────────────────────────────
+
+/** @typedef {{ id: string, date: string, from: string, to: string, amount: number, currency: string }} Settlement */
+
+/** Header of the "settlements" tab. */
+export const SETTLEMENTS_HEADER = ['ID', 'Date', 'From', 'To', 'Amount', 'Currency'];
+
+/**
+ * Parses "settlements" tab rows (header excluded). Rows without two
+ * different members or a positive amount are ignored.
+ * @param {Array<Array>} rows
+ * @returns {Settlement[]}
+ */
+export function parseSettlements(rows) {
+    return (rows || [])
+        .map(([id, date, from, to, amount, currency]) => ({
+            id:       String(id ?? '').trim(),
+            date:     String(date ?? '').trim(),
+            from:     normaliseEmail(from),
+            to:       normaliseEmail(to),
+            amount:   parseAmount(amount),
+            currency: String(currency ?? '').trim().toUpperCase(),
+        }))
+        .filter(s => s.from && s.to && s.from !== s.to && s.amount > 0);
+}
+
+/**
+ * @param {Settlement[]} settlements
+ * @returns {Array<Array>} "settlements" tab rows, header excluded
+ */
+export function settlementsToRows(settlements) {
+    return settlements.map(s => [s.id, s.date, s.from, s.to, s.amount, s.currency]);
+}
+
+/**
+ * Balances once the recorded payments are taken into account: the payer's
+ * debt shrinks and so does what the recipient is owed.
+ * @param {Object<string, number>} balanceOf - as returned by balances()
+ * @param {Array<{ from: string, to: string, amount: number }>} settlements - in the same currency
+ * @returns {Object<string, number>}
+ */
+export function settledBalances(balanceOf, settlements) {
+    const cents = Object.fromEntries(Object.entries(balanceOf).map(([email, value]) => [email, _cents(value)]));
+    for (const { from, to, amount } of settlements) {
+        cents[from] = (cents[from] ?? 0) + _cents(amount);
+        cents[to]   = (cents[to] ?? 0) - _cents(amount);
+    }
+    return Object.fromEntries(Object.entries(cents).map(([email, value]) => [email, value / 100]));
+}
+
+// ─── Settle up ────────────────────────────────────────
+
+/** Largest group solved exactly; bigger ones fall back to greedy matching. */
+const EXACT_LIMIT = 15;
+
+/**
+ * The fewest transfers that bring every balance to zero.
+ *
+ * n members with a non-zero balance need n − k transfers, where k is the
+ * largest number of groups they can be split into that each sum to zero
+ * (each group settles internally in size − 1 transfers). k is found with a
+ * DP over subsets, so this is exact up to EXACT_LIMIT members — far more
+ * than any household.
+ *
+ * @param {Object<string, number>} balanceOf - as returned by balances()
+ * @returns {Array<{ from: string, to: string, amount: number }>}
+ */
+export function settleUp(balanceOf) {
+    const people = Object.entries(balanceOf)
+        .map(([email, value]) => [email, _cents(value)])
+        .filter(([, cents]) => cents !== 0)
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    const groups = people.length <= EXACT_LIMIT ? _zeroSumGroups(people) : [people];
+    return groups.flatMap(_settleGroup);
+}
+
+/**
+ * Partitions members into the most groups whose balances each sum to zero.
+ * @param {Array<[string, number]>} people - [email, cents]
+ * @returns {Array<Array<[string, number]>>}
+ */
+function _zeroSumGroups(people) {
+    const n    = people.length;
+    const full = (1 << n) - 1;
+    const sum  = new Array(full + 1).fill(0);
+    const best = new Array(full + 1).fill(0);
+
+    for (let mask = 1; mask <= full; mask++) {
+        const low = mask & -mask;
+        sum[mask] = sum[mask ^ low] + people[31 - Math.clz32(low)][1];
+        for (let i = 0; i < n; i++) {
+            if (mask & (1 << i)) best[mask] = Math.max(best[mask], best[mask ^ (1 << i)]);
+        }
+        if (sum[mask] === 0) best[mask] += 1;
+    }
+
+    // Walk back from the full set; each time the remaining set sums to zero
+    // the members peeled off since the previous such point form one group.
+    const groups = [];
+    let current  = [];
+    let mask     = full;
+    while (mask) {
+        const gain = sum[mask] === 0 ? 1 : 0;
+        if (gain && current.length) {
+            groups.push(current);
+            current = [];
+        }
+        const i = people.findIndex((_, j) => (mask & (1 << j)) && best[mask ^ (1 << j)] + gain === best[mask]);
+        current.push(people[i]);
+        mask ^= 1 << i;
+    }
+    if (current.length) groups.push(current);
+    return groups;
+}
+
+/**
+ * Settles a zero-sum group by repeatedly paying the largest creditor from
+ * the largest debtor.
+ * @param {Array<[string, number]>} group - [email, cents]
+ * @returns {Array<{ from: string, to: string, amount: number }>}
+ */
+function _settleGroup(group) {
+    const debtors   = group.filter(([, c]) => c < 0).map(([e, c]) => [e, -c]);
+    const creditors = group.filter(([, c]) => c > 0).map(([e, c]) => [e, c]);
+    const byAmount  = (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]);
+    const transfers = [];
+
+    while (debtors.length && creditors.length) {
+        debtors.sort(byAmount);
+        creditors.sort(byAmount);
+        const [from, owes]  = debtors[0];
+        const [to, isOwed]  = creditors[0];
+        const cents         = Math.min(owes, isOwed);
+        transfers.push({ from, to, amount: cents / 100 });
+        debtors[0][1]   -= cents;
+        creditors[0][1] -= cents;
+        if (debtors[0][1] === 0)   debtors.shift();
+        if (creditors[0][1] === 0) creditors.shift();
+    }
+    return transfers;
+}
\ No newline at end of file
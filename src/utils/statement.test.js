@@ -0,0 +1,201 @@
+import {
+    detectStatementFormat,
+    parseStatement,
+    statementEntryId,
+    statementExpenses,
+    statementPayees,
+} from './statement.utils.js';
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>1234<ACCTID>DE44 5001
+</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250305120000[-5:EST]
+<TRNAMT>-12.50
+<FITID>T-001
+<NAME>Lidl &amp; Co
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250306
+<TRNAMT>2500,00
+<FITID>T-002
+<NAME>Salary
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250307
+<TRNAMT>-3.20
+<FITID>T-003
+<MEMO>Coffee
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const QIF = `!Type:Bank
+D03/15'25
+T-1,234.56
+PRent
+^
+D3/16/2025
+T-4.00
+MBus ticket
+^
+D3/16/2025
+T-4.00
+MBus ticket
+^
+`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+<BkToCstmrStmt><Stmt>
+  <Acct><Id><IBAN>CH93 0076 2011 6238 5295 7</IBAN></Id><Ccy>CHF</Ccy></Acct>
+  <Ntry>
+    <Amt Ccy="CHF">45.10</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+    <BookgDt><Dt>2025-03-04</Dt></BookgDt>
+    <AcctSvcrRef>REF-1</AcctSvcrRef>
+    <NtryDtls><TxDtls><RltdPties><Cdtr><Nm>Migros</Nm></Cdtr><CdtrAcct><Id><IBAN>X</IBAN></Id></CdtrAcct></RltdPties></TxDtls></NtryDtls>
+  </Ntry>
+  <Ntry>
+    <Amt Ccy="EUR">20.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+    <BookgDt><DtTm>2025-03-05T10:00:00</DtTm></BookgDt>
+    <NtryDtls><TxDtls><RmtInf><Ustrd>Museum tickets</Ustrd></RmtInf></TxDtls></NtryDtls>
+  </Ntry>
+  <Ntry>
+    <Amt Ccy="CHF">9.90</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts>
+    <BookgDt><Dt>2025-03-06</Dt></BookgDt>
+  </Ntry>
+  <Ntry>
+    <Amt Ccy="CHF">100.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+    <BookgDt><Dt>2025-03-06</Dt></BookgDt><AcctSvcrRef>REF-3</AcctSvcrRef>
+    <NtryDtls><TxDtls><RltdPties><Dbtr><Nm>Anna</Nm></Dbtr></RltdPties></TxDtls></NtryDtls>
+  </Ntry>
+</Stmt></BkToCstmrStmt>
+</Document>`;
+
+// ─── Detection ────────────────────────────────────────
+
+describe('detectStatementFormat', () => {
+    test.each([
+        [OFX,                            'ofx'],
+        ['<?xml version="1.0"?><OFX>',   'ofx'],
+        [QIF,                            'qif'],
+        [CAMT,                           'camt'],
+        ['date,amount\n2025-03-01,12',   null],
+    ])('given a file — when detected — then the format is %#', (text, expected) => {
+        expect(detectStatementFormat(text)).toBe(expected);
+    });
+});
+
+// ─── Parsers ──────────────────────────────────────────
+
+describe('parseStatement', () => {
+    test('given an OFX statement — when parsed — then transactions keep their bank IDs and signs', () => {
+        // when
+        const statement = parseStatement(OFX, 'ofx');
+        // then
+        expect(statement.account).toBe('DE44 5001');
+        expect(statement.transactions).toEqual([
+            { id: 'T-001', date: '2025-03-05', amount: -12.5, rawAmount: '-12.50',  payee: 'Lidl & Co', currency: 'EUR' },
+            { id: 'T-002', date: '2025-03-06', amount: 2500,  rawAmount: '2500,00', payee: 'Salary',    currency: 'EUR' },
+            { id: 'T-003', date: '2025-03-07', amount: -3.2,  rawAmount: '-3.20',   payee: 'Coffee',    currency: 'EUR' },
+        ]);
+    });
+
+    test('given a QIF file — when parsed — then dates read month-first and repeated purchases get distinct IDs', () => {
+        // when
+        const { transactions } = parseStatement(QIF, 'qif');
+        // then
+        expect(transactions.map(t => [t.date, t.amount, t.payee])).toEqual([
+            ['2025-03-15', -1234.56, 'Rent'],
+            ['2025-03-16', -4,       'Bus ticket'],
+            ['2025-03-16', -4,       'Bus ticket'],
+        ]);
+        expect(transactions[1].id).toBe('20250316--400-busticket');
+        expect(transactions[2].id).toBe('20250316--400-busticket-2');
+    });
+
+    test('given a CAMT.053 statement — when parsed — then booked entries are read with their counterparty', () => {
+        // when
+        const statement = parseStatement(CAMT, 'camt');
+        // then
+        expect(statement.account).toBe('CH93 0076 2011 6238 5295 7');
+        expect(statement.transactions).toEqual([
+            { id: 'REF-1', date: '2025-03-04', amount: -45.1, rawAmount: '45.10',  payee: 'Migros', currency: 'CHF' },
+            expect.objectContaining({ date: '2025-03-05', amount: -20, payee: 'Museum tickets', currency: 'EUR' }),
+            { id: 'REF-3', date: '2025-03-06', amount: 100,   rawAmount: '100.00', payee: 'Anna',   currency: 'CHF' },
+        ]);
+    });
+
+    test('given the same file twice — when parsed — then the IDs are identical', () => {
+        expect(parseStatement(QIF, 'qif').transactions.map(t => t.id))
+            .toEqual(parseStatement(QIF, 'qif').transactions.map(t => t.id));
+    });
+});
+
+// ─── Statement → expenses ─────────────────────────────
+
+describe('statementExpenses', () => {
+    test('given a statement — when converted — then money out becomes expenses and money in is counted', () => {
+        // given
+        const statement = parseStatement(CAMT, 'camt');
+        // when
+        const { expenses, errors, credits } = statementExpenses(statement, {
+            categoryMap:  { Migros: 'food' },
+            baseCurrency: 'CHF',
+        });
+        // then
+        expect(expenses[0]).toEqual({
+            id: 'bank-CH9300762011623852957-REF-1', date: '2025-03-04', category: 'food',
+            amount: 45.1, comment: 'Migros', currency: '', type: 'expense',
+        });
+        expect(expenses[1]).toEqual(expect.objectContaining({ category: 'other', amount: 20, currency: 'EUR' }));
+        expect(errors).toEqual([]);
+        expect(credits).toBe(1);
+    });
+
+    test('given no base currency — when converted — then no currency is recorded', () => {
+        const { expenses } = statementExpenses(parseStatement(OFX, 'ofx'));
+        expect(expenses.map(e => e.currency)).toEqual(['', '']);
+    });
+
+    test('given unreadable transactions — when converted — then they are reported by position', () => {
+        // given
+        const statement = { account: '', transactions: [{ id: 'a', date: '', amount: -5, payee: 'X', currency: '' }] };
+        // when / then
+        expect(statementExpenses(statement).errors).toEqual([{ row: 1, errors: ['date'] }]);
+    });
+
+    test('given a future date or an ambiguous amount — when converted — then the transaction is reported like a CSV row', () => {
+        // given
+        const tx = (date, rawAmount, amount) => ({ id: date, date, amount, rawAmount, payee: 'X', currency: '' });
+        const statement = { account: '', transactions: [
+            tx('2025-03-01', '-12.50', -12.5),
+            tx('2025-03-21', '-12.50', -12.5),
+            tx('2025-03-02', '-1,234', -1.234),
+        ] };
+        // when
+        const { expenses, errors } = statementExpenses(statement, { today: '2025-03-20' });
+        // then
+        expect(expenses.map(e => e.date)).toEqual(['2025-03-01']);
+        expect(errors).toEqual([
+            { row: 2, errors: ['future'] },
+            { row: 3, errors: ['ambiguous'] },
+        ]);
+    });
+
+    test('given a statement — when listing payees — then only distinct payees of money out are returned', () => {
+        expect(statementPayees(parseStatement(OFX, 'ofx'))).toEqual(['Lidl & Co', 'Coffee']);
+        expect(statementEntryId('', 'x')).toBe('bank-x');
+    });
+});
\ No newline at end of file
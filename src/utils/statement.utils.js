@@ -0,0 +1,246 @@
+import { todayStr } from './helpers.js';
+import { detectDateOrder, parseImportDate, parseImportAmount, importIssues } from './import.utils.js';
+
+/**
+ * Pure parsers for bank statements: OFX/QFX (SGML 1.x and XML 2.x), QIF and
+ * ISO 20022 CAMT.053. Each turns a file into
+ *
+ *   { account, currency, transactions: [{ id, date, amount, rawAmount, payee, currency }] }
+ *
+ * with signed amounts as the bank reports them (money out is negative) and
+ * `rawAmount` as written in the file.
+ * `id` is the bank's own transaction reference when the format has one and
+ * a stable stand-in otherwise, so importing the same statement twice can
+ * be recognised. statementExpenses turns the outgoing transactions into
+ * expenses for the import wizard.
+ */
+
+/** @type {['ofx', 'qif', 'camt']} */
+export const STATEMENT_FORMATS = ['ofx', 'qif', 'camt'];
+
+/**
+ * Recognises a statement by its content; CSV and anything else give null.
+ * @param {string} text
+ * @returns {'ofx'|'qif'|'camt'|null}
+ */
+export function detectStatementFormat(text) {
+    const head = String(text ?? '').replace(/^\uFEFF/, '').trimStart().slice(0, 2000);
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/^!(Type|Account|Option)/i.test(head)) return 'qif';
+    if (/camt\.053|<(\w+:)?BkToCstmrStmt\b/.test(head)) return 'camt';
+    return null;
+}
+
+/**
+ * @param {string} text
+ * @param {'ofx'|'qif'|'camt'} format
+ * @returns {{ account: string, currency: string, transactions: Array<{ id: string, date: string, amount: number, rawAmount: string, payee: string, currency: string }> }}
+ */
+export function parseStatement(text, format) {
+    const parsers = { ofx: parseOfx, qif: parseQif, camt: parseCamt053 };
+    return parsers[format](String(text ?? '').replace(/^\uFEFF/, ''));
+}
+
+// ─── OFX / QFX ────────────────────────────────────────
+
+/**
+ * OFX 1.x is SGML with unclosed leaf tags, 2.x is XML; reading each leaf as
+ * "<TAG>value" up to the next tag or line end handles both.
+ * @param {string} text
+ */
+export function parseOfx(text) {
+    const currency     = _ofxValue(text, 'CURDEF').toUpperCase();
+    const transactions = _blocks(text, 'STMTTRN').map(block => ({
+        id:        _ofxValue(block, 'FITID'),
+        date:      parseImportDate(_ofxValue(block, 'DTPOSTED').replace(/^(\d{4})(\d{2})(\d{2}).*/, '$1-$2-$3')),
+        amount:    parseImportAmount(_ofxValue(block, 'TRNAMT')),
+        rawAmount: _ofxValue(block, 'TRNAMT'),
+        payee:     _ofxValue(block, 'NAME') || _ofxValue(block, 'MEMO'),
+        currency,
+    }));
+    return { account: _ofxValue(text, 'ACCTID'), currency, transactions: _fillIds(transactions) };
+}
+
+function _ofxValue(text, tag) {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(text);
+    return match ? _decodeXml(match[1].trim()) : '';
+}
+
+// ─── QIF ──────────────────────────────────────────────
+
+/**
+ * QIF records are lines keyed by their first letter and ended by "^".
+ * Dates carry no order marker; without a telling value they are read
+ * month-first, as Quicken writes them.
+ * @param {string} text
+ */
+export function parseQif(text) {
+    const records = [];
+    let record    = {};
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith('!')) continue;
+        if (line.trim() === '^') {
+            if (Object.keys(record).length) records.push(record);
+            record = {};
+            continue;
+        }
+        const key = line[0];
+        if (key && !(key in record)) record[key] = line.slice(1).trim();
+    }
+    if (Object.keys(record).length) records.push(record);
+
+    const dates = records.map(r => String(r.D ?? '').replace(/'\s*/g, '/').replace(/\s+/g, ''));
+    const order = detectDateOrder(dates, 'mdy');
+    const transactions = records.map((r, i) => ({
+        id:        '',
+        date:      parseImportDate(dates[i], order),
+        amount:    parseImportAmount(r.T ?? r.U),
+        rawAmount: r.T ?? r.U ?? '',
+        payee:     r.P || r.M || '',
+        currency:  '',
+    }));
+    return { account: '', currency: '', transactions: _fillIds(transactions) };
+}
+
+// ─── CAMT.053 ─────────────────────────────────────────
+
+/**
+ * Reads the booked entries (Ntry) of every statement in the file. The
+ * counterparty is the creditor for money out and the debtor for money in;
+ * without one the remittance text or entry description is used. Pending
+ * entries are left out.
+ * @param {string} text
+ */
+export function parseCamt053(text) {
+    const statement = _blocks(text, 'Stmt')[0] ?? text;
+    const acct      = _blocks(statement, 'Acct')[0] ?? '';
+    const account   = _xmlValue(acct, 'IBAN') || _xmlValue(_blocks(acct, 'Othr')[0] ?? '', 'Id');
+    const currency  = _xmlValue(acct, 'Ccy');
+
+    const transactions = _blocks(text, 'Ntry')
+        .filter(entry => !/PDNG/.test(_blocks(entry, 'Sts')[0] ?? _xmlValue(entry, 'Sts')))
+        .map(entry => {
+            const debit = _xmlValue(entry, 'CdtDbtInd') === 'DBIT';
+            const party = _blocks(entry, debit ? 'Cdtr' : 'Dbtr')[0] ?? '';
+            const date  = _blocks(entry, 'BookgDt')[0] ?? _blocks(entry, 'ValDt')[0] ?? '';
+            const raw   = _xmlValue(entry, 'Amt');
+            const value = parseImportAmount(raw);
+            return {
+                id:        _xmlValue(entry, 'AcctSvcrRef') || _xmlValue(entry, 'NtryRef') || _xmlValue(entry, 'EndToEndId').replace(/^NOTPROVIDED$/, ''),
+                date:      parseImportDate(_xmlValue(date, 'Dt') || _xmlValue(date, 'DtTm')),
+                amount:    debit ? -Math.abs(value) : Math.abs(value),
+                rawAmount: raw,
+                payee:     _xmlValue(party, 'Nm') || _xmlValue(entry, 'Ustrd') || _xmlValue(entry, 'AddtlNtryInf'),
+                currency:  _xmlAttr(entry, 'Amt', 'Ccy') || currency,
+            };
+        });
+    return { account, currency, transactions: _fillIds(transactions) };
+}
+
+// ─── Statement → expenses ─────────────────────────────
+
+/**
+ * Deterministic expense ID of a statement transaction.
+ * @param {string} account
+ * @param {string} transactionId
+ * @returns {string}
+ */
+export function statementEntryId(account, transactionId) {
+    return ['bank', account.replace(/\s+/g, ''), transactionId].filter(Boolean).join('-');
+}
+
+/**
+ * Turns the outgoing transactions of a statement into expenses; incoming
+ * ones are counted, not imported. Transactions go through the same checks
+ * as CSV rows (see importIssues) and are reported the same way, numbered
+ * from 1. A currency other than the base one is kept on the expense;
+ * without a base currency the ledger is single-currency and none is recorded.
+ *
+ * @param {{ account: string, transactions: Array }} statement
+ * @param {{ categoryMap?: Object<string, string>, baseCurrency?: string|null, today?: string }} [options]
+ * @returns {{ expenses: Array<Object>, errors: Array<{ row: number, errors: string[] }>, credits: number }}
+ */
+export function statementExpenses(statement, { categoryMap = {}, baseCurrency = null, today = todayStr() } = {}) {
+    const expenses = [];
+    const errors   = [];
+    let credits    = 0;
+
+    statement.transactions.forEach((tx, i) => {
+        const issues = importIssues(tx.date, tx.amount, tx.rawAmount, today);
+        if (issues.length) {
+            errors.push({ row: i + 1, errors: issues });
+            return;
+        }
+        if (tx.amount > 0) { credits++; return; }
+        expenses.push({
+            id:       statementEntryId(statement.account, tx.id),
+            date:     tx.date,
+            category: categoryMap[tx.payee] ?? 'other',
+            amount:   -tx.amount,
+            comment:  tx.payee.slice(0, 120),
+            currency: baseCurrency && tx.currency && tx.currency !== baseCurrency ? tx.currency : '',
+            type:     'expense',
+        });
+    });
+
+    return { expenses, errors, credits };
+}
+
+/**
+ * Distinct payees of the outgoing transactions, for the category step.
+ * @param {{ transactions: Array<{ amount: number, payee: string }> }} statement
+ * @returns {string[]}
+ */
+export function statementPayees(statement) {
+    return [...new Set(statement.transactions.filter(tx => tx.amount < 0 && tx.payee).map(tx => tx.payee))];
+}
+
+// ─── Private ──────────────────────────────────────────
+
+/**
+ * Transactions without a bank reference get one from their date, amount
+ * and payee, numbered when the same purchase appears more than once, so the
+ * same file always yields the same IDs.
+ */
+function _fillIds(transactions) {
+    const seen = new Map();
+    return transactions.map(tx => {
+        if (tx.id) return tx;
+        const key = `${tx.date.replace(/-/g, '')}-${Math.round(tx.amount * 100)}-${_slug(tx.payee)}`;
+        const n   = (seen.get(key) ?? 0) + 1;
+        seen.set(key, n);
+        return { ...tx, id: n > 1 ? `${key}-${n}` : key };
+    });
+}
+
+function _slug(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '').slice(0, 24);
+}
+
+/** Contents of every <tag>…</tag> element, namespace prefix allowed. */
+function _blocks(text, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+    return [...text.matchAll(pattern)].map(m => m[1]);
+}
+
+/** Text of the first <tag> leaf element. */
+function _xmlValue(text, tag) {
+    const match = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([^<]*)<`).exec(text);
+    return match ? _decodeXml(match[1].trim()) : '';
+}
+
+/** An attribute of the first <tag> element. */
+function _xmlAttr(text, tag, attr) {
+    const match = new RegExp(`<(?:\\w+:)?${tag}\\s[^>]*\\b${attr}="([^"]*)"`).exec(text);
+    return match ? match[1] : '';
+}
+
+function _decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { buildXlsx, columnName, crc32 } from './xlsx.utils.js';
+
+/** Reads the stored (uncompressed) entries of a zip archive. */
+function unzip(bytes) {
+    const view    = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const files   = {};
+    let pos = 0;
+    while (view.getUint32(pos, true) === 0x04034B50) {
+        const size    = view.getUint32(pos + 18, true);
+        const nameLen = view.getUint16(pos + 26, true);
+        const name    = decoder.decode(bytes.subarray(pos + 30, pos + 30 + nameLen));
+        const data    = bytes.subarray(pos + 30 + nameLen, pos + 30 + nameLen + size);
+        expect(view.getUint32(pos + 14, true)).toBe(crc32(data));
+        files[name] = decoder.decode(data);
+        pos += 30 + nameLen + size;
+    }
+    return files;
+}
+
+describe('crc32 / columnName', () => {
+    test('given known inputs — when computed — then they match the reference values', () => {
+        expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610A686);
+        expect(crc32(new Uint8Array())).toBe(0);
+        expect([0, 25, 26, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+    });
+});
+
+describe('buildXlsx', () => {
+    test('given rows and column types — when built — then the archive holds a workbook with typed cells', () => {
+        // when
+        const files = unzip(buildXlsx(
+            [['Date', 'Amount', 'Comment'], ['2025-03-05', 12.5, 'Fish & <chips>'], ['2025-03-06', -3, '']],
+            { sheetName: 'Q1: 2025', types: ['date', 'number', 'text'] }
+        ));
+        // then
+        expect(Object.keys(files)).toEqual(expect.arrayContaining([
+            '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml',
+        ]));
+        expect(files['xl/workbook.xml']).toContain('<sheet name="Q1  2025"');
+
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        expect(sheet).toContain('<c r="A1" s="3" t="inlineStr"><is><t xml:space="preserve">Date</t></is></c>');
+        expect(sheet).toContain('<c r="A2" s="2"><v>45721</v></c>');
+        expect(sheet).toContain('<c r="B2" s="1"><v>12.5</v></c>');
+        expect(sheet).toContain('<t xml:space="preserve">Fish &amp; &lt;chips&gt;</t>');
+        expect(sheet).toContain('<row r="3"><c r="A3" s="2"><v>45722</v></c><c r="B3" s="1"><v>-3</v></c></row>');
+    });
+});
\ No newline at end of file
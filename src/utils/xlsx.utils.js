@@ -0,0 +1,205 @@
+/**
+ * Minimal XLSX writer for exports: one worksheet of inline strings, numbers
+ * and dates, zipped without compression so no library is needed. Enough for
+ * Excel, Numbers and Google Sheets to open the file with typed cells.
+ */
+
+/** Cell kinds a column can hold. */
+export const CELL_TYPES = ['text', 'number', 'date'];
+
+/** Style indexes in styles.xml: plain, 2-decimal number, date, bold header. */
+const STYLE = { text: 0, number: 1, date: 2, header: 3 };
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>';
+
+// numFmtId 4 is the built-in "#,##0.00", 14 the built-in short date.
+const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '</cellXfs>'
+    + '</styleSheet>';
+
+/**
+ * Builds an .xlsx file. The first row is written as a bold header; the
+ * other rows follow `types`, one per column ('text' when omitted). Date
+ * cells take YYYY-MM-DD strings; empty cells are left out.
+ *
+ * @param {Array<Array<string|number>>} rows - header first
+ * @param {{ sheetName?: string, types?: string[] }} [options]
+ * @returns {Uint8Array}
+ */
+export function buildXlsx(rows, { sheetName = 'Sheet1', types = [] } = {}) {
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${_escapeXml(_sheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>';
+
+    return _zip([
+        ['[Content_Types].xml',        CONTENT_TYPES],
+        ['_rels/.rels',                ROOT_RELS],
+        ['xl/workbook.xml',            workbook],
+        ['xl/_rels/workbook.xml.rels', WORKBOOK_RELS],
+        ['xl/styles.xml',              STYLES],
+        ['xl/worksheets/sheet1.xml',   _sheetXml(rows, types)],
+    ]);
+}
+
+/**
+ * Spreadsheet column letters: 0 → A, 25 → Z, 26 → AA.
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * CRC-32 (IEEE) of a byte array, as the zip format stores it.
+ * @param {Uint8Array} bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ─── Private ──────────────────────────────────────────
+
+function _sheetXml(rows, types) {
+    const body = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            if (value === '' || value === null || value === undefined) return '';
+            const ref  = `${columnName(c)}${r + 1}`;
+            const type = r === 0 ? 'header' : types[c] || 'text';
+            if (type === 'number' && typeof value === 'number') {
+                return `<c r="${ref}" s="${STYLE.number}"><v>${value}</v></c>`;
+            }
+            if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return `<c r="${ref}" s="${STYLE.date}"><v>${_dateSerial(value)}</v></c>`;
+            }
+            return `<c r="${ref}" s="${STYLE[type === 'header' ? 'header' : 'text']}" t="inlineStr"><is><t xml:space="preserve">${_escapeXml(String(value))}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${body.join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+/** Days since 1899-12-30, the epoch spreadsheet dates count from. */
+function _dateSerial(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return (Date.UTC(y, m - 1, d) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/** Excel rejects sheet names over 31 characters or with []:*?/\ in them. */
+function _sheetName(name) {
+    return String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+}
+
+function _escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and line breaks are invalid in XML.
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+/**
+ * Stores files in a zip archive without compression.
+ * @param {Array<[string, string]>} files - [path, content]
+ * @returns {Uint8Array}
+ */
+function _zip(files) {
+    const encoder = new TextEncoder();
+    const locals  = [];
+    const central = [];
+    let offset    = 0;
+
+    for (const [path, content] of files) {
+        const name = encoder.encode(path);
+        const data = encoder.encode(content);
+        const crc  = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, 0x0800, true);       // UTF-8 names
+        local.setUint16(8, 0, true);            // stored
+        local.setUint16(10, 0, true);           // time
+        local.setUint16(12, 0x21, true);        // date: 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);   // central directory signature
+        entry.setUint16(4, 20, true);           // version made by
+        entry.setUint16(6, 20, true);           // version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, 0, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);      // local header offset
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...central, new Uint8Array(end.buffer)];
+    const out   = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    for (const part of parts) { out.set(part, pos); pos += part.length; }
+    return out;
+}
\ No newline at end of file
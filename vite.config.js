@@ -1,8 +1,69 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+/**
+ * public/ files that are never needed by the installed app — social preview
+ * images and crawler files. Everything else in public/ is precached.
+ */
+const PRECACHE_EXCLUDE = ['ogimage.png', 'robots.txt', 'sitemap.xml', 'llms.txt'];
+
+/**
+ * Emits /sw.js from src/sw.js with the precache list of this build inlined:
+ * the app shell, every bundled asset and the files copied from public/.
+ * The version is a hash of all precached content, so sw.js only changes —
+ * and clients only re-download the shell — when something actually changed.
+ */
+function serviceWorker() {
+    let publicDir;
+
+    return {
+        name:    'spengo-service-worker',
+        apply:   'build',
+        // After vite:build-html, so index.html is part of the bundle and the hash.
+        enforce: 'post',
+
+        configResolved(config) {
+            publicDir = config.publicDir;
+        },
+
+        generateBundle(_options, bundle) {
+            const hash = createHash('sha256');
+            const urls = ['/'];
+
+            for (const [fileName, output] of Object.entries(bundle)) {
+                if (fileName.endsWith('.map')) continue;
+                hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source);
+                if (fileName !== 'index.html') urls.push(`/${fileName}`);
+            }
+
+            for (const file of _listFiles(publicDir)) {
+                const path = relative(publicDir, file).split(sep).join('/');
+                if (PRECACHE_EXCLUDE.includes(path)) continue;
+                hash.update(path).update(readFileSync(file));
+                urls.push(`/${path}`);
+            }
+
+            const source = readFileSync('src/sw.js', 'utf-8')
+                .replace('__PRECACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+                .replace('__PRECACHE_URLS__',    JSON.stringify(urls, null, 4));
+
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        },
+    };
+}
+
+function _listFiles(dir) {
+    return readdirSync(dir).flatMap(name => {
+        const path = join(dir, name);
+        return statSync(path).isDirectory() ? _listFiles(path) : [path];
+    });
+}
 
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorker()],
     build: {
         outDir: 'dist',
         minify: 'esbuild',